@@ -6,7 +6,7 @@
  * to break it down and provide analysis.
  */
 
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { ReasoningAgent } from '../framework/agents/ReasoningAgent';
 import { AnthropicProvider } from '../framework/providers/AnthropicProvider';
 
@@ -15,6 +15,10 @@ function TaskAnalyzer() {
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Stop any analysis still running when the component unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
 
   // Initialize provider and agent
   const getAgent = () => {
@@ -38,6 +42,10 @@ function TaskAnalyzer() {
     setError(null);
     setResult(null);
 
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
     try {
       const agent = getAgent();
 
@@ -45,14 +53,19 @@ function TaskAnalyzer() {
         id: `task-${Date.now()}`,
         description: task,
         priority: 'medium'
-      });
+      }, { signal: controller.signal, timeout: 120000 });
 
       setResult(taskResult);
     } catch (err) {
+      if (err.name === 'AgentCancelledError' && err.details.reason === 'aborted') {
+        return;
+      }
       setError(err.message || 'Failed to analyze task');
       console.error('Task analysis error:', err);
     } finally {
-      setLoading(false);
+      if (controllerRef.current === controller) {
+        setLoading(false);
+      }
     }
   };
 
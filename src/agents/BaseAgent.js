@@ -13,22 +13,46 @@
  */
 
 import { logger } from '../utils/logger';
-import { ContextManager } from '../memory/ContextManager';
+import { truncateToTokens } from '../utils/tokens';
+import { ContextManager, modelSummarizer } from '../memory/ContextManager';
+import { RequestCancelledError, cancelledError, linkSignal, throwIfAborted } from '../utils/abort';
+
+const OUTCOME_TOKENS = 500;
+
+const EVALUATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        score: { type: 'number', minimum: 0, maximum: 10 },
+        correctness: { type: 'string' },
+        completeness: { type: 'string' },
+        clarity: { type: 'string' },
+        suggestions: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['score', 'suggestions']
+};
 
 /**
  * @typedef {Object} AgentConfig
  * @property {string} id - Unique identifier
  * @property {Array<string>} capabilities - Agent capabilities
  * @property {Object} provider - Model provider instance
- * @property {Object} [memory] - Memory system instance
+ * @property {Object} [memory] - Memory system instance (see MemorySystem)
+ * @property {boolean} [rememberOutcomes] - Store each task's outcome in
+ *   episodic `memory` when execute() finishes (default true)
+ * @property {Object} [executionStore] - Records each execute() with its
+ *   status, duration, tokens and cost (see SupabaseExecutionStore)
  * @property {Object} [toolRegistry] - Tool registry instance
+ * @property {Function|null} [summarizer] - Condenses history that overflows
+ *   the context window (see ContextManager); defaults to a cheap model through
+ *   `provider`, null leaves the overflow out
  */
 
 /**
  * @typedef {Object} Task
  * @property {string} id - Task identifier
  * @property {string} description - What needs to be done
- * @property {string} [priority] - Task priority (low, medium, high)
+ * @property {string} [priority] - Task priority (low, medium, high); also orders
+ *   this task's model calls in the provider rate limiter queue
  * @property {Object} [metadata] - Additional task data
  */
 
@@ -37,6 +61,15 @@ import { ContextManager } from '../memory/ContextManager';
  * @property {Object} memory - Memory context
  * @property {Array<Object>} conversationHistory - Past messages
  * @property {Object} [feedback] - Feedback from previous attempts
+ * @property {Function} [onDelta] - Receives streamed model output as it arrives
+ * @property {string} [sessionId] - Groups model costs for session budgets
+ * @property {AbortSignal} [signal] - Aborting cancels the task and any model call in flight
+ * @property {number|Date} [deadline] - Absolute time (epoch ms or Date) after which the task is cancelled
+ * @property {number} [timeout] - Milliseconds from now, when no deadline is given
+ * @property {Object} [partial] - Set by execute(): `{ plan, results }` so far,
+ *   which act() implementations append each finished step to,
+ *   `producers`, the `{ provider, model }` of each response the result is built from,
+ *   and `omitted`, what fitPrompt() had to cut to fit the context window
  */
 
 export class BaseAgent {
@@ -49,10 +82,14 @@ export class BaseAgent {
         this.capabilities = config.capabilities || [];
         this.provider = config.provider;
         this.memory = config.memory;
+        this.rememberOutcomes = config.rememberOutcomes ?? true;
+        this.executionStore = config.executionStore || null;
         this.toolRegistry = config.toolRegistry;
-        this.contextManager = new ContextManager(
-            this.provider.getContextWindow()
-        );
+        // Agents don't pin a model; UniversalProvider answers with the smallest
+        // window among the models their calls may land on
+        this.contextManager = new ContextManager(this.provider.getContextWindow?.(), {
+            summarizer: config.summarizer === undefined ? modelSummarizer(this.provider) : config.summarizer
+        });
 
         logger.info(`Agent ${this.id} initialized`, {
             capabilities: this.capabilities
@@ -63,43 +100,88 @@ export class BaseAgent {
      * Main execution method - orchestrates plan, act, reflect cycle
      * @param {Task} task - Task to execute
      * @param {ExecutionContext} [context] - Execution context
-     * @returns {Promise<Object>} Execution result
+     * @returns {Promise<Object>} Execution result; `omittedContext` lists what
+     *   was cut from prompts to fit the context window, if anything. The
+     *   outcome, success or failure, is written to memory and the
+     *   execution store.
+     * @throws {AgentCancelledError} If `context.signal` aborts or the deadline passes
      */
     async execute(task, context = {}) {
         logger.info(`Agent ${this.id} executing task`, { taskId: task.id });
 
+        const deadline = context.deadline ?? (context.timeout ? Date.now() + context.timeout : undefined);
+        const { signal, dispose } = linkSignal(context.signal, deadline);
+        const partial = { plan: null, results: [], producers: [], omitted: [] };
+        const execution = await this.startExecution(task);
+
         try {
             // Build context from memory and history
-            const fullContext = await this.buildContext(task, context);
+            const fullContext = await this.buildContext(task, { ...context, signal, partial });
+            await this.updateExecution(execution, task, { status: 'running' });
 
             // Plan the approach
+            throwIfAborted(signal);
             const plan = await this.plan(task, fullContext);
+            partial.plan = plan;
             logger.debug(`Plan created`, { plan });
 
             // Execute the plan
+            throwIfAborted(signal);
             const result = await this.act(plan, fullContext);
             logger.debug(`Execution complete`, { result });
 
             // Reflect on the result (if enabled)
+            let final = result;
             if (this.shouldReflect(result)) {
-                const improved = await this.reflect(result, task);
-                logger.debug(`Reflection complete`, { improved });
-                return improved;
+                throwIfAborted(signal);
+                final = await this.reflect(result, task, fullContext);
+                logger.debug(`Reflection complete`, { improved: final });
             }
 
-            return result;
+            await this.rememberOutcome(task, { success: true, result: final }, context);
+            await this.updateExecution(execution, task, { status: 'completed', result: final });
+            return partial.omitted.length > 0 ? { ...final, omittedContext: partial.omitted } : final;
 
         } catch (error) {
+            if (error instanceof RequestCancelledError || signal.aborted) {
+                const cancellation = error instanceof RequestCancelledError ? error : cancelledError(signal);
+
+                logger.warn(`Agent ${this.id} task cancelled`, {
+                    taskId: task.id,
+                    reason: cancellation.details.reason,
+                    completedSteps: partial.results.length
+                });
+                await this.updateExecution(execution, task, {
+                    status: 'failed',
+                    error: `Cancelled (${cancellation.details.reason})`
+                });
+
+                throw new AgentCancelledError(
+                    `Agent ${this.id} task was cancelled`,
+                    {
+                        taskId: task.id,
+                        reason: cancellation.details.reason,
+                        plan: partial.plan,
+                        partialResults: partial.results,
+                        originalError: cancellation
+                    }
+                );
+            }
+
             logger.error(`Agent ${this.id} execution failed`, {
                 taskId: task.id,
                 error: error.message,
                 stack: error.stack
             });
+            await this.rememberOutcome(task, { success: false, error }, context);
+            await this.updateExecution(execution, task, { status: 'failed', error: error.message });
 
             throw new AgentExecutionError(
                 `Agent ${this.id} failed to execute task`,
                 { taskId: task.id, originalError: error }
             );
+        } finally {
+            dispose();
         }
     }
 
@@ -138,8 +220,10 @@ export class BaseAgent {
         const results = [];
 
         for (const step of plan.steps) {
+            throwIfAborted(context.signal);
             const result = await this.executeStep(step, context);
             results.push(result);
+            context.partial?.results.push(result);
         }
 
         return {
@@ -155,13 +239,14 @@ export class BaseAgent {
      * 
      * @param {Object} result - Execution result
      * @param {Task} task - Original task
+     * @param {ExecutionContext} [context] - Execution context
      * @returns {Promise<Object>} Improved result
      */
-    async reflect(result, task) {
+    async reflect(result, task, context = {}) {
         logger.info(`Agent ${this.id} reflecting on result`);
 
         // Evaluate the result
-        const evaluation = await this.evaluate(result, task);
+        const evaluation = await this.evaluate(result, task, context);
 
         // If quality is sufficient, return as-is
         if (evaluation.score >= this.getQualityThreshold()) {
@@ -175,7 +260,7 @@ export class BaseAgent {
             threshold: this.getQualityThreshold()
         });
 
-        return await this.improve(result, evaluation, task);
+        return await this.improve(result, evaluation, task, context);
     }
 
     /**
@@ -185,12 +270,13 @@ export class BaseAgent {
     async executeStep(step, context) {
         logger.debug(`Executing step: ${step.description}`);
 
-        const prompt = this.buildStepPrompt(step, context);
+        const prompt = await this.buildStepPrompt(step, context);
 
         const response = await this.provider.complete({
             messages: [{ role: 'user', content: prompt }],
             maxTokens: 4096
-        });
+        }, { ...this.callOptions(context), onDelta: context.onDelta });
+        this.noteProducer(response, context);
 
         return {
             step: step.description,
@@ -210,7 +296,8 @@ export class BaseAgent {
         let relevantMemories = [];
         if (this.memory) {
             relevantMemories = await this.memory.retrieve(task, {
-                maxTokens: 10000
+                maxTokens: 10000,
+                signal: context.signal
             });
         }
 
@@ -220,41 +307,194 @@ export class BaseAgent {
             task,
             memory: relevantMemories,
             conversationHistory: context.conversationHistory || [],
-            feedback: context.feedback
+            feedback: context.feedback,
+            onDelta: context.onDelta,
+            signal: context.signal,
+            sessionId: context.sessionId,
+            partial: context.partial
+        };
+    }
+
+    /**
+     * Options for this agent's model calls: queue priority, cancellation,
+     * and who the cost ledger charges the call to
+     * @protected
+     */
+    callOptions(context) {
+        return {
+            priority: context.task?.priority,
+            signal: context.signal,
+            agentId: this.id,
+            taskId: context.task?.id,
+            sessionId: context.sessionId
         };
     }
 
     /**
-     * Build prompt for a step
+     * Remember which provider and model produced part of the result, so
+     * evaluate() can credit them with its score
+     * @protected
+     */
+    noteProducer(response, context) {
+        context.partial?.producers.push({ provider: response.provider, model: response.model });
+    }
+
+    /**
+     * Fit prompt sections into the context window (see ContextManager),
+     * noting what was cut in `context.partial.omitted`
+     * @protected
+     * @param {Array<Object>} sections - ContextSections, in prompt order
+     * @param {ExecutionContext} context
+     * @param {number} outputTokens - The call's maxTokens
+     * @returns {Promise<string>}
+     */
+    async fitPrompt(sections, context, outputTokens) {
+        const { prompt, omitted } = await this.contextManager.build(sections, {
+            outputTokens,
+            callOptions: this.callOptions(context)
+        });
+
+        context.partial?.omitted.push(...omitted);
+        return prompt;
+    }
+
+    /**
+     * Store how a task went in episodic memory, for later tasks to retrieve.
+     * A memory failure is logged, never the task's failure.
+     * @protected
+     * @param {Task} task
+     * @param {Object} outcome - `{ success, result }` or `{ success: false, error }`
+     * @param {ExecutionContext} context
+     */
+    async rememberOutcome(task, outcome, context) {
+        if (!this.memory || !this.rememberOutcomes) return;
+
+        const summary = outcome.success
+            ? this.describeResult(outcome.result)
+            : `Failed: ${outcome.error.message}`;
+
+        try {
+            await this.memory.store({
+                type: 'episodic',
+                role: 'assistant',
+                content: truncateToTokens(`Task: ${task.description}\nOutcome: ${summary}`, OUTCOME_TOKENS),
+                agentId: this.id,
+                taskId: task.id,
+                sessionId: context.sessionId,
+                metadata: { kind: 'task-outcome', success: outcome.success }
+            });
+        } catch (error) {
+            logger.warn(`Agent ${this.id} could not remember the task outcome`, {
+                taskId: task.id,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Record a run in the execution store, if there is one. Like memory, the
+     * store is for the record; its failures are logged, never the task's.
      * @private
+     * @returns {Promise<Object|null>} `{ id, startedAt }`
      */
-    buildStepPrompt(step, context) {
-        let prompt = `${context.systemPrompt}\n\n`;
+    async startExecution(task) {
+        if (!this.executionStore) return null;
 
-        if (context.feedback) {
-            prompt += `Previous Feedback: ${JSON.stringify(context.feedback)}\n\n`;
+        const startedAt = Date.now();
+        try {
+            const id = await this.executionStore.start({
+                agentId: this.id,
+                agentType: this.constructor.name,
+                taskId: task.id,
+                taskDescription: task.description,
+                startedAt: new Date(startedAt).toISOString()
+            });
+            return { id, startedAt };
+        } catch (error) {
+            logger.warn(`Agent ${this.id} could not record the execution`, {
+                taskId: task.id,
+                error: error.message
+            });
+            return null;
         }
+    }
 
-        prompt += `Task: ${step.description}\n\n`;
+    /**
+     * Record a status change; a finished run also gets its duration and,
+     * from the provider's cost ledger, the tokens and cost of its calls
+     * @private
+     */
+    async updateExecution(execution, task, changes) {
+        if (!execution) return;
+
+        let finished = {};
+        if (changes.status !== 'running') {
+            const now = Date.now();
+            const since = new Date(execution.startedAt).toISOString();
+            const entries = (this.provider.ledger?.getEntries({ agentId: this.id, taskId: task.id }) || [])
+                .filter(entry => entry.createdAt >= since);
+
+            finished = {
+                durationMs: now - execution.startedAt,
+                completedAt: new Date(now).toISOString(),
+                tokensUsed: entries.reduce((sum, entry) => sum + entry.totalTokens, 0),
+                costUsd: entries.reduce((sum, entry) => sum + entry.costUsd, 0)
+            };
+        }
 
-        if (context.memory && context.memory.length > 0) {
-            prompt += `Relevant Context:\n`;
-            context.memory.forEach(mem => {
-                prompt += `- ${mem.content}\n`;
+        try {
+            await this.executionStore.update(execution.id, { ...changes, ...finished });
+        } catch (error) {
+            logger.warn(`Agent ${this.id} could not record the execution`, {
+                taskId: task.id,
+                error: error.message
             });
-            prompt += '\n';
         }
+    }
+
+    /**
+     * The gist of a result, as text for memory
+     * Subclasses can override
+     * @protected
+     */
+    describeResult(result) {
+        if (typeof result.finalAnswer === 'string') return result.finalAnswer;
+        if (Array.isArray(result.results)) {
+            return result.results.map(step => typeof step.result === 'string' ? step.result : JSON.stringify(step.result)).join('\n');
+        }
+        return JSON.stringify(result);
+    }
 
-        prompt += `Please provide a detailed response.`;
+    /**
+     * Build prompt for a step. Memories go in by relevance and the oldest
+     * conversation turns are summarized when they don't all fit.
+     * @private
+     */
+    async buildStepPrompt(step, context) {
+        const history = (context.conversationHistory || []).map(msg =>
+            `${msg.role}: ${typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)}`
+        );
 
-        return prompt;
+        return await this.fitPrompt([
+            { name: 'system', items: context.systemPrompt, required: true },
+            {
+                name: 'feedback',
+                items: context.feedback && `Previous Feedback: ${JSON.stringify(context.feedback)}`,
+                priority: 2
+            },
+            { name: 'history', heading: 'Conversation So Far:', items: history, keep: 'newest', summarize: true, priority: 1 },
+            { name: 'task', items: `Task: ${step.description}`, required: true },
+            { name: 'memory', heading: 'Relevant Context:', items: (context.memory || []).map(mem => `- ${mem.content}`) },
+            { name: 'instructions', items: 'Please provide a detailed response.', required: true }
+        ], context, 4096);
     }
 
     /**
      * Evaluate result quality
      * @private
+     * @throws {StructuredOutputError} If the model never returns a valid evaluation
      */
-    async evaluate(result, task) {
+    async evaluate(result, task, context = {}) {
         const evaluationPrompt = `Evaluate this result for the given task.
 
 Task: ${task.description}
@@ -266,27 +506,32 @@ Evaluate on:
 2. Completeness: Is anything missing?
 3. Clarity: Is it easy to understand?
 
-Provide a score from 0-10 and specific feedback.
+Provide a score from 0-10 and specific feedback.`;
 
-Output JSON:
-{
-  "score": 0-10,
-  "correctness": "analysis",
-  "completeness": "analysis", 
-  "clarity": "analysis",
-  "suggestions": ["suggestion1", "suggestion2"]
-}`;
-
-        const response = await this.provider.complete({
+        const { data } = await this.provider.completeStructured({
             messages: [{ role: 'user', content: evaluationPrompt }],
             maxTokens: 2048
-        });
+        }, EVALUATION_SCHEMA, this.callOptions({ ...context, task }));
 
-        try {
-            return JSON.parse(response.content);
-        } catch (error) {
-            logger.warn('Failed to parse evaluation JSON', { error });
-            return { score: 5, suggestions: [] };
+        this.recordQuality(data, context);
+        return data;
+    }
+
+    /**
+     * Feed the evaluation score back to the provider for quality-aware
+     * routing, once per model that produced the result
+     * @private
+     */
+    recordQuality(evaluation, context) {
+        if (typeof this.provider.recordQuality !== 'function') return;
+
+        const seen = new Set();
+        for (const { provider, model } of context.partial?.producers || []) {
+            const key = `${provider}/${model}`;
+            if (!provider || !model || seen.has(key)) continue;
+
+            seen.add(key);
+            this.provider.recordQuality(provider, model, evaluation.score / 10);
         }
     }
 
@@ -294,7 +539,7 @@ Output JSON:
      * Improve result based on evaluation
      * @private
      */
-    async improve(result, evaluation, task) {
+    async improve(result, evaluation, task, context = {}) {
         logger.info(`Improving result based on evaluation`);
 
         const improvementPrompt = `Improve this result based on the evaluation.
@@ -312,7 +557,7 @@ Please provide an improved version that addresses these issues.`;
         const response = await this.provider.complete({
             messages: [{ role: 'user', content: improvementPrompt }],
             maxTokens: 4096
-        });
+        }, this.callOptions({ ...context, task }));
 
         return {
             ...result,
@@ -379,3 +624,16 @@ export class AgentExecutionError extends Error {
         this.details = details;
     }
 }
+
+/**
+ * The task was cancelled through its signal or ran past its deadline.
+ * `details` carries `reason` ('aborted' or 'deadline'), the `plan` if one was
+ * made, and the `partialResults` of the steps that finished.
+ */
+export class AgentCancelledError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'AgentCancelledError';
+        this.details = details;
+    }
+}
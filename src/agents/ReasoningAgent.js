@@ -7,6 +7,30 @@
 
 import { BaseAgent } from './BaseAgent';
 import { logger } from '../utils/logger';
+import { throwIfAborted } from '../utils/abort';
+
+const DECOMPOSITION_SCHEMA = {
+    type: 'object',
+    properties: {
+        strategy: { type: 'string' },
+        tasks: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    description: { type: 'string' },
+                    reasoning: { type: 'string' },
+                    dependencies: { type: 'array', items: { type: 'string' } },
+                    complexity: { enum: ['low', 'medium', 'high'] }
+                },
+                required: ['id', 'description']
+            }
+        }
+    },
+    required: ['strategy', 'tasks']
+};
 
 export class ReasoningAgent extends BaseAgent {
     constructor(config) {
@@ -25,7 +49,7 @@ export class ReasoningAgent extends BaseAgent {
         logger.info(`ReasoningAgent ${this.id} planning task`);
 
         // Decompose complex task into subtasks
-        const decomposition = await this.decomposeTask(task);
+        const decomposition = await this.decomposeTask(task, context);
 
         return {
             approach: 'decomposition',
@@ -45,6 +69,7 @@ export class ReasoningAgent extends BaseAgent {
 
         // Execute each subtask with reasoning chain
         for (const subtask of plan.subtasks) {
+            throwIfAborted(context.signal);
             const result = await this.executeWithReasoning(
                 subtask,
                 workingMemory,
@@ -52,6 +77,7 @@ export class ReasoningAgent extends BaseAgent {
             );
 
             results.push(result);
+            context.partial?.results.push(result);
 
             // Update working memory with results
             workingMemory = {
@@ -61,7 +87,8 @@ export class ReasoningAgent extends BaseAgent {
         }
 
         // Synthesize final answer
-        const synthesis = await this.synthesizeResults(results, context.task);
+        throwIfAborted(context.signal);
+        const synthesis = await this.synthesizeResults(results, context.task, context);
 
         return {
             success: true,
@@ -74,8 +101,9 @@ export class ReasoningAgent extends BaseAgent {
     /**
      * Decompose task into manageable subtasks
      * @private
+     * @throws {StructuredOutputError} If the model never returns a valid plan
      */
-    async decomposeTask(task) {
+    async decomposeTask(task, context = {}) {
         const prompt = `You are an expert task planner. Decompose this task into clear, executable subtasks.
 
 Task: ${task.description}
@@ -83,42 +111,16 @@ Task: ${task.description}
 Requirements:
 1. Break into 3-7 subtasks
 2. Each subtask should be clear and actionable
-3. Include dependencies (which must complete first)
+3. Include dependencies (ids of subtasks that must complete first)
 4. Provide overall strategy
+5. Rate each subtask's complexity as low, medium or high`;
 
-Output JSON:
-{
-  "strategy": "high-level approach",
-  "tasks": [
-    {
-      "id": "task_1",
-      "description": "what to do",
-      "reasoning": "why this is needed",
-      "dependencies": [],
-      "complexity": "low|medium|high"
-    }
-  ]
-}`;
-
-        const response = await this.provider.complete({
+        const { data } = await this.provider.completeStructured({
             messages: [{ role: 'user', content: prompt }],
             maxTokens: 2048
-        });
+        }, DECOMPOSITION_SCHEMA, this.callOptions({ ...context, task }));
 
-        try {
-            return JSON.parse(response.content);
-        } catch (error) {
-            logger.warn('Failed to parse decomposition, using simple plan');
-            return {
-                strategy: 'direct',
-                tasks: [{
-                    id: 'task_1',
-                    description: task.description,
-                    dependencies: [],
-                    complexity: 'medium'
-                }]
-            };
-        }
+        return data;
     }
 
     /**
@@ -128,12 +130,13 @@ Output JSON:
     async executeWithReasoning(subtask, workingMemory, context) {
         logger.debug(`Executing subtask with reasoning: ${subtask.description}`);
 
-        const prompt = this.buildReasoningPrompt(subtask, workingMemory, context);
+        const prompt = await this.buildReasoningPrompt(subtask, workingMemory, context);
 
         const response = await this.provider.complete({
             messages: [{ role: 'user', content: prompt }],
             maxTokens: 4096
-        });
+        }, { ...this.callOptions(context), onDelta: context.onDelta });
+        this.noteProducer(response, context);
 
         return {
             subtask: subtask.description,
@@ -144,30 +147,24 @@ Output JSON:
     }
 
     /**
-     * Build chain-of-thought prompt
+     * Build chain-of-thought prompt. On long runs the oldest steps are
+     * summarized to keep the prompt within the context window.
      * @private
      */
-    buildReasoningPrompt(subtask, workingMemory, context) {
-        let prompt = `${context.systemPrompt}\n\n`;
-
-        prompt += `Let's solve this step by step.\n\n`;
-
-        // Add previous results if available
-        if (workingMemory.previousResults?.length > 0) {
-            prompt += `Previous Steps:\n`;
-            workingMemory.previousResults.forEach((result, i) => {
-                prompt += `${i + 1}. ${result.subtask}: ${result.result}\n`;
-            });
-            prompt += '\n';
-        }
-
-        prompt += `Current Step: ${subtask.description}\n\n`;
-
-        if (subtask.reasoning) {
-            prompt += `Why this step: ${subtask.reasoning}\n\n`;
-        }
-
-        prompt += `Please work through this methodically:
+    async buildReasoningPrompt(subtask, workingMemory, context) {
+        const previousSteps = (workingMemory.previousResults || []).map((result, i) =>
+            `${i + 1}. ${result.subtask}: ${result.result}`
+        );
+
+        return await this.fitPrompt([
+            { name: 'system', items: context.systemPrompt, required: true },
+            { name: 'intro', items: `Let's solve this step by step.`, required: true },
+            { name: 'previousSteps', heading: 'Previous Steps:', items: previousSteps, keep: 'newest', summarize: true },
+            { name: 'step', items: `Current Step: ${subtask.description}`, required: true },
+            { name: 'rationale', items: subtask.reasoning && `Why this step: ${subtask.reasoning}`, priority: 1 },
+            {
+                name: 'instructions',
+                items: `Please work through this methodically:
 1. Analyze what's being asked
 2. Consider what information or steps are needed
 3. Work through the problem
@@ -175,9 +172,10 @@ Output JSON:
 
 Format:
 REASONING: [Your step-by-step thinking]
-RESULT: [Your final answer for this step]`;
-
-        return prompt;
+RESULT: [Your final answer for this step]`,
+                required: true
+            }
+        ], context, 4096);
     }
 
     /**
@@ -202,22 +200,36 @@ RESULT: [Your final answer for this step]`;
      * Synthesize results into final answer
      * @private
      */
-    async synthesizeResults(results, task) {
+    async synthesizeResults(results, task, context = {}) {
         logger.info('Synthesizing final answer from subtask results');
 
-        const prompt = `Based on these step-by-step results, provide a comprehensive final answer.
-
-Original Task: ${task.description}
-
-Steps Completed:
-${results.map((r, i) => `${i + 1}. ${r.subtask}\n   Reasoning: ${r.reasoning}\n   Result: ${r.result}`).join('\n\n')}
-
-Synthesize these into a clear, complete answer to the original task.`;
+        const prompt = await this.fitPrompt([
+            {
+                name: 'intro',
+                items: 'Based on these step-by-step results, provide a comprehensive final answer.',
+                required: true
+            },
+            { name: 'task', items: `Original Task: ${task.description}`, required: true },
+            {
+                name: 'steps',
+                heading: 'Steps Completed:',
+                items: results.map((r, i) => `${i + 1}. ${r.subtask}\n   Reasoning: ${r.reasoning}\n   Result: ${r.result}`),
+                separator: '\n\n',
+                keep: 'newest',
+                summarize: true
+            },
+            {
+                name: 'instructions',
+                items: 'Synthesize these into a clear, complete answer to the original task.',
+                required: true
+            }
+        ], { ...context, task }, 4096);
 
         const response = await this.provider.complete({
             messages: [{ role: 'user', content: prompt }],
             maxTokens: 4096
-        });
+        }, { ...this.callOptions(context), onDelta: context.onDelta });
+        this.noteProducer(response, context);
 
         return response.content;
     }
@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+import path from 'path';
+import { ReasoningAgent } from './ReasoningAgent';
+import { AgentExecutionError } from './BaseAgent';
+import { CassetteProvider, CassetteMismatchError } from '../providers/CassetteProvider';
+
+const CASSETTE = path.join(__dirname, '__fixtures__/cassettes/reasoning-agent.json');
+
+function createAgent() {
+  const provider = new CassetteProvider({ cassette: CASSETTE, mode: 'strict' });
+  return new ReasoningAgent({ id: 'analyst', provider, summarizer: null });
+}
+
+describe('ReasoningAgent (replayed)', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('decomposes the task, reasons through each step and synthesizes an answer', async () => {
+    const agent = createAgent();
+
+    const result = await agent.execute({ id: 'task-1', description: 'Choose a database for a small analytics app' });
+
+    expect(result.plan.strategy).toBe('Compare hosting cost first, then query speed');
+    expect(result.subtaskResults).toEqual([
+      {
+        subtask: 'Compare the hosting cost of SQLite and Postgres',
+        reasoning: 'SQLite is a file next to the app; Postgres needs a server.',
+        result: 'SQLite costs nothing extra to host.',
+        tokens: 160
+      },
+      {
+        subtask: 'Compare their query speed for a few concurrent analysts',
+        reasoning: 'SQLite serializes writes, Postgres runs queries in parallel.',
+        result: 'Postgres stays fast with several analysts at once.',
+        tokens: 160
+      }
+    ]);
+    expect(result.finalAnswer).toBe('Start with SQLite, and move to Postgres once several analysts query at the same time.');
+    expect(agent.provider.getUnusedInteractions()).toEqual([]);
+  });
+
+  it('fails when its prompts no longer match the recording', async () => {
+    const error = await createAgent()
+      .execute({ id: 'task-1', description: 'Choose a database for a large analytics app' })
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AgentExecutionError);
+    expect(error.details.originalError).toBeInstanceOf(CassetteMismatchError);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Tool-Using Agent
+ *
+ * Works a task through the tools in its registry with a ReAct loop: the
+ * model thinks and calls tools, the agent runs them and feeds back what
+ * they returned, and the model carries on until it answers without calling
+ * a tool. Failed calls (unknown tool, bad arguments, missing permission,
+ * timeout, handler error) are fed back too, so the model can correct
+ * itself. After `maxIterations` rounds of tool calls the model is asked to
+ * answer with what it has, and any further tool calls are ignored. If that
+ * turn holds only tool calls, the answer is the model's last thought; with
+ * none either, the result has `success: false`.
+ */
+
+import { BaseAgent } from './BaseAgent';
+import { logger } from '../utils/logger';
+import { RequestCancelledError, throwIfAborted } from '../utils/abort';
+import { truncateToTokens } from '../utils/tokens';
+import { ToolError } from '../tools/errors';
+
+const FINAL_ANSWER_PROMPT = 'You have used all the tool calls available for this task. Give your final answer now, based on what you have found.';
+
+export class ToolUsingAgent extends BaseAgent {
+    /**
+     * @param {AgentConfig} config - Also:
+     * @param {number} [config.maxIterations] - Rounds of tool calls before the
+     *   model must answer (default 10)
+     * @param {Array<string>} [config.toolPermissions] - Permission tags this
+     *   agent holds; tools needing others are neither offered nor run
+     * @param {number} [config.maxObservationTokens] - Longest tool result fed
+     *   back to the model (default 2000)
+     */
+    constructor(config) {
+        super({
+            ...config,
+            capabilities: [...(config.capabilities || []), 'tool-use']
+        });
+
+        if (!this.toolRegistry) {
+            throw new Error(`ToolUsingAgent ${this.id} needs a toolRegistry`);
+        }
+        this.maxIterations = config.maxIterations || 10;
+        this.toolPermissions = config.toolPermissions || [];
+        this.maxObservationTokens = config.maxObservationTokens || 2000;
+    }
+
+    /**
+     * Override: the loop decides the steps, so the plan is the tools on offer
+     */
+    async plan(task) {
+        const tools = this.toolRegistry.definitions({ permissions: this.toolPermissions });
+        logger.info(`ToolUsingAgent ${this.id} planning with ${tools.length} tools`);
+
+        return {
+            approach: 'react',
+            task: task.description,
+            tools
+        };
+    }
+
+    /**
+     * Override: think → call tools → observe, until the model answers
+     */
+    async act(plan, context) {
+        const messages = [{ role: 'user', content: await this.buildTaskPrompt(plan, context) }];
+        const steps = [];
+
+        for (let iteration = 1; iteration <= this.maxIterations; iteration++) {
+            throwIfAborted(context.signal);
+            const response = await this.think(messages, plan.tools, context);
+
+            if (!response.toolCalls?.length) {
+                return { success: true, finalAnswer: response.content, steps, iterations: iteration, plan };
+            }
+
+            messages.push({ role: 'assistant', content: response.content, toolCalls: response.toolCalls });
+            for (const call of response.toolCalls) {
+                const step = await this.callTool(call, response.content, context);
+                steps.push(step);
+                context.partial?.results.push(step);
+
+                messages.push({
+                    role: 'tool',
+                    toolCallId: call.id,
+                    name: call.name,
+                    content: this.observationOf(step)
+                });
+            }
+        }
+
+        logger.warn(`ToolUsingAgent ${this.id} reached ${this.maxIterations} iterations`, {
+            taskId: context.task?.id
+        });
+
+        throwIfAborted(context.signal);
+        messages.push({ role: 'user', content: FINAL_ANSWER_PROMPT });
+        // Tools stay on offer: some vendors reject tool results in a request without them
+        const response = await this.think(messages, plan.tools, context);
+
+        // A model that calls tools anyway may say nothing else; its last thought is the closest to an answer
+        const finalAnswer = response.content?.trim()
+            ? response.content
+            : steps.map(step => step.thought).filter(thought => thought?.trim()).pop() || '';
+        if (!finalAnswer) {
+            logger.warn(`ToolUsingAgent ${this.id} stopped without an answer`, { taskId: context.task?.id });
+        }
+
+        return {
+            success: Boolean(finalAnswer),
+            finalAnswer,
+            steps,
+            iterations: this.maxIterations,
+            stoppedEarly: true,
+            plan
+        };
+    }
+
+    /**
+     * One model turn
+     * @private
+     */
+    async think(messages, tools, context) {
+        const response = await this.provider.complete({
+            messages,
+            tools,
+            maxTokens: 4096
+        }, { ...this.callOptions(context), onDelta: context.onDelta });
+        this.noteProducer(response, context);
+
+        return response;
+    }
+
+    /**
+     * Run one tool call. A failure becomes part of the step, for the model
+     * to see; only cancellation stops the loop.
+     * @private
+     * @returns {Promise<Object>} `{ tool, arguments, thought, result }` or,
+     *   when the call failed, `error` and `errorKind` instead of `result`
+     */
+    async callTool(call, thought, context) {
+        const step = { tool: call.name, arguments: call.arguments, thought: thought || undefined };
+        const started = Date.now();
+
+        try {
+            const args = typeof call.arguments === 'string' ? JSON.parse(call.arguments) : call.arguments;
+            step.result = await this.toolRegistry.execute(call.name, args ?? {}, {
+                permissions: this.toolPermissions,
+                signal: context.signal,
+                agentId: this.id,
+                taskId: context.task?.id,
+                sessionId: context.sessionId
+            });
+        } catch (error) {
+            if (error instanceof RequestCancelledError || context.signal?.aborted) throw error;
+
+            logger.debug(`Tool call ${call.name} failed`, { error: error.message });
+            step.error = error instanceof SyntaxError ? `Arguments are not valid JSON: ${error.message}` : error.message;
+            step.errorKind = error instanceof ToolError ? error.kind : 'invalid-arguments';
+        }
+
+        step.durationMs = Date.now() - started;
+        return step;
+    }
+
+    /**
+     * What the model is told a tool call returned
+     * @private
+     */
+    observationOf(step) {
+        if (step.error) {
+            return `Error (${step.errorKind}): ${step.error}`;
+        }
+
+        const text = typeof step.result === 'string' ? step.result : JSON.stringify(step.result ?? null);
+        return truncateToTokens(text, this.maxObservationTokens);
+    }
+
+    /**
+     * The opening message: instructions, task and what memory and the
+     * conversation add, fitted to the context window
+     * @private
+     */
+    async buildTaskPrompt(plan, context) {
+        const history = (context.conversationHistory || []).map(msg =>
+            `${msg.role}: ${typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)}`
+        );
+
+        return await this.fitPrompt([
+            { name: 'system', items: context.systemPrompt, required: true },
+            { name: 'history', heading: 'Conversation So Far:', items: history, keep: 'newest', summarize: true, priority: 1 },
+            { name: 'memory', heading: 'Relevant Context:', items: (context.memory || []).map(mem => `- ${mem.content}`) },
+            { name: 'task', items: `Task: ${plan.task}`, required: true },
+            {
+                name: 'instructions',
+                items: `Work step by step. Think about what you need, then call a tool to get it. ` +
+                    `Use each tool result to decide your next step. ` +
+                    `When a tool call fails, read the error and fix the call or try another approach. ` +
+                    `When you have everything you need, reply with your final answer and no tool calls.`,
+                required: true
+            }
+        ], context, 4096);
+    }
+
+    /**
+     * Override: name the tools in the system prompt
+     */
+    getSystemPrompt() {
+        const tools = this.toolRegistry.list({ permissions: this.toolPermissions }).map(tool => tool.name);
+        return `${super.getSystemPrompt()} You can call these tools: ${tools.join(', ') || 'none'}.`;
+    }
+}
+
+/**
+ * Example Usage:
+ *
+ * const tools = new ToolRegistry();
+ * tools.register({
+ *   name: 'calculator',
+ *   description: 'Evaluate an arithmetic expression',
+ *   parameters: { type: 'object', properties: { expression: { type: 'string' } }, required: ['expression'] },
+ *   handler: async ({ expression }) => evaluate(expression)
+ * });
+ *
+ * const agent = new ToolUsingAgent({
+ *   id: 'tool-user-1',
+ *   provider: universal,
+ *   toolRegistry: tools,
+ *   maxIterations: 5
+ * });
+ *
+ * const result = await agent.execute({ id: 'task-1', description: 'What is 17% of 2,340?' });
+ * console.log(result.finalAnswer, result.steps);
+ */
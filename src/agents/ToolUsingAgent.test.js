@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+import path from 'path';
+import { ToolUsingAgent } from './ToolUsingAgent';
+import { AgentExecutionError } from './BaseAgent';
+import { ToolRegistry } from '../tools/ToolRegistry';
+import { CassetteProvider, CassetteMismatchError } from '../providers/CassetteProvider';
+
+const CASSETTE = path.join(__dirname, '__fixtures__/cassettes/tool-using-agent.json');
+
+function createAgent(tools) {
+  const provider = new CassetteProvider({ cassette: CASSETTE, mode: 'strict' });
+  return new ToolUsingAgent({ id: 'calculator', provider, toolRegistry: tools, summarizer: null });
+}
+
+function createTools() {
+  const tools = new ToolRegistry();
+  tools.register({
+    name: 'multiply',
+    description: 'Multiply two numbers',
+    parameters: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+    handler: jest.fn(async ({ a, b }) => a * b)
+  });
+  return tools;
+}
+
+describe('ToolUsingAgent (replayed)', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs the tool the model calls and answers from its result', async () => {
+    const tools = createTools();
+    const agent = createAgent(tools);
+
+    const result = await agent.execute({ id: 'task-2', description: 'What is 17% of 2,340?' });
+
+    expect(tools.get('multiply').handler).toHaveBeenCalledWith({ a: 2340, b: 0.17 }, expect.anything());
+    expect(result.steps).toEqual([expect.objectContaining({
+      tool: 'multiply',
+      arguments: { a: 2340, b: 0.17 },
+      thought: '17% is 0.17 of the amount, so I will multiply.',
+      result: 397.8
+    })]);
+    expect(result.finalAnswer).toBe('17% of 2,340 is 397.8.');
+    expect(result.iterations).toBe(2);
+    expect(agent.provider.getUnusedInteractions()).toEqual([]);
+  });
+
+  it('fails when the tools on offer no longer match the recording', async () => {
+    const tools = createTools();
+    tools.register({ name: 'divide', description: 'Divide two numbers', handler: async ({ a, b }) => a / b });
+
+    const error = await createAgent(tools)
+      .execute({ id: 'task-2', description: 'What is 17% of 2,340?' })
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AgentExecutionError);
+    expect(error.details.originalError).toBeInstanceOf(CassetteMismatchError);
+  });
+});
+
+/**
+ * A provider answering with `turns` in order; each turn is a response or a
+ * function of the request
+ */
+function scriptedProvider(turns) {
+  let next = 0;
+  return {
+    getContextWindow: () => 100000,
+    complete: jest.fn(async request => {
+      const turn = turns[Math.min(next++, turns.length - 1)];
+      return { provider: 'scripted', model: 'scripted-1', ...(typeof turn === 'function' ? turn(request) : turn) };
+    })
+  };
+}
+
+function toolCall(id, name, args) {
+  return { id, name, arguments: args };
+}
+
+describe('ToolUsingAgent (scripted)', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('feeds each failed tool call back to the model', async () => {
+    const tools = createTools();
+    tools.register({ name: 'delete_file', description: 'Delete a file', permissions: ['write'], handler: jest.fn() });
+    tools.register({ name: 'slow', description: 'Never finishes', timeout: 20, handler: () => new Promise(() => {}) });
+    const provider = scriptedProvider([
+      {
+        content: 'Trying everything at once.',
+        toolCalls: [
+          toolCall('1', 'divide', { a: 1, b: 2 }),
+          toolCall('2', 'delete_file', {}),
+          toolCall('3', 'multiply', { a: 'two' }),
+          toolCall('4', 'multiply', '{"a": 2,'),
+          toolCall('5', 'slow', {})
+        ]
+      },
+      { content: 'None of that worked.' }
+    ]);
+    const agent = new ToolUsingAgent({ id: 'clumsy', provider, toolRegistry: tools, summarizer: null });
+
+    const result = await agent.execute({ id: 'task-3', description: 'Break things' });
+
+    expect(result.steps.map(step => step.errorKind)).toEqual([
+      'not-found', 'permission-denied', 'invalid-arguments', 'invalid-arguments', 'timeout'
+    ]);
+    const fedBack = provider.complete.mock.calls[1][0].messages.filter(message => message.role === 'tool');
+    expect(fedBack).toEqual([
+      expect.objectContaining({ toolCallId: '1', name: 'divide', content: expect.stringMatching(/^Error \(not-found\): Unknown tool: divide/) }),
+      expect.objectContaining({ toolCallId: '2', content: expect.stringMatching(/^Error \(permission-denied\): .*write/) }),
+      expect.objectContaining({ toolCallId: '3', content: expect.stringMatching(/^Error \(invalid-arguments\): .*arguments\.a/) }),
+      expect.objectContaining({ toolCallId: '4', content: expect.stringMatching(/^Error \(invalid-arguments\): Arguments are not valid JSON/) }),
+      expect.objectContaining({ toolCallId: '5', content: expect.stringMatching(/^Error \(timeout\): .*timed out after 20ms/) })
+    ]);
+    expect(tools.get('delete_file').handler).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ success: true, finalAnswer: 'None of that worked.', iterations: 2 });
+  });
+
+  it('asks for an answer after maxIterations rounds of tool calls', async () => {
+    const tools = createTools();
+    const provider = scriptedProvider([
+      request => (request.messages.at(-1).content.startsWith('You have used all the tool calls')
+        ? { content: 'It is 6.' }
+        : { content: 'Checking again.', toolCalls: [toolCall(String(request.messages.length), 'multiply', { a: 2, b: 3 })] })
+    ]);
+    const agent = new ToolUsingAgent({ id: 'looping', provider, toolRegistry: tools, summarizer: null, maxIterations: 3 });
+
+    const result = await agent.execute({ id: 'task-4', description: 'What is 2 times 3?' });
+
+    expect(provider.complete).toHaveBeenCalledTimes(4);
+    expect(tools.get('multiply').handler).toHaveBeenCalledTimes(3);
+    expect(result).toMatchObject({ success: true, finalAnswer: 'It is 6.', iterations: 3, stoppedEarly: true });
+  });
+
+  it('answers with the last thought when the final turn only calls tools', async () => {
+    const tools = createTools();
+    const provider = scriptedProvider([
+      { content: 'It should be 6, let me check.', toolCalls: [toolCall('1', 'multiply', { a: 2, b: 3 })] },
+      { content: '', toolCalls: [toolCall('2', 'multiply', { a: 3, b: 2 })] }
+    ]);
+    const agent = new ToolUsingAgent({ id: 'stubborn', provider, toolRegistry: tools, summarizer: null, maxIterations: 1 });
+
+    const result = await agent.execute({ id: 'task-5', description: 'What is 2 times 3?' });
+
+    expect(tools.get('multiply').handler).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ success: true, finalAnswer: 'It should be 6, let me check.', stoppedEarly: true });
+  });
+
+  it('reports failure when it stops without any answer', async () => {
+    const tools = createTools();
+    const provider = scriptedProvider([
+      { content: '', toolCalls: [toolCall('1', 'multiply', { a: 2, b: 3 })] }
+    ]);
+    const agent = new ToolUsingAgent({ id: 'silent', provider, toolRegistry: tools, summarizer: null, maxIterations: 2 });
+
+    const result = await agent.execute({ id: 'task-6', description: 'What is 2 times 3?' });
+
+    expect(result).toMatchObject({ success: false, finalAnswer: '', iterations: 2, stoppedEarly: true });
+  });
+});
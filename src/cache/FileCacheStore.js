@@ -0,0 +1,65 @@
+/**
+ * File-based cache store for Node-side tooling (tests, CI, scripts)
+ *
+ * One JSON file per key in `directory`, so cached responses survive across
+ * test runs and can be inspected or deleted by hand.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile';
+
+export class FileCacheStore {
+  /**
+   * @param {Object} config
+   * @param {string} config.directory - Where cache files are kept
+   */
+  constructor(config) {
+    if (!config?.directory) {
+      throw new Error('FileCacheStore needs a directory');
+    }
+    this.directory = config.directory;
+  }
+
+  async get(key) {
+    const entry = await readJsonFile(this.pathFor(key));
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  async set(key, entry) {
+    await writeJsonFile(this.pathFor(key), entry);
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.pathFor(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async clear() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => fs.unlink(path.join(this.directory, file))));
+  }
+
+  pathFor(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileCacheStore } from './FileCacheStore';
+
+describe('FileCacheStore', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'file-cache-store-'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('keeps one JSON file per key, creating the directory', async () => {
+    const store = new FileCacheStore({ directory: path.join(directory, 'responses') });
+    await store.set('a', { value: { answer: 42 }, expiresAt: null });
+
+    const file = await fs.readFile(path.join(directory, 'responses', 'a.json'), 'utf8');
+    expect(JSON.parse(file)).toEqual({ value: { answer: 42 }, expiresAt: null });
+    await expect(store.get('a')).resolves.toEqual({ value: { answer: 42 }, expiresAt: null });
+    await expect(store.get('b')).resolves.toBeNull();
+  });
+
+  it('deletes an entry once it has expired', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const store = new FileCacheStore({ directory });
+    await store.set('a', { value: 1, expiresAt: 2000 });
+
+    now.mockReturnValue(2000);
+
+    await expect(store.get('a')).resolves.toBeNull();
+    await expect(fs.readdir(directory)).resolves.toEqual([]);
+  });
+
+  it('deletes and clears, missing files and directories included', async () => {
+    const store = new FileCacheStore({ directory });
+    await store.set('a', { value: 1 });
+    await store.set('b', { value: 2 });
+    await fs.writeFile(path.join(directory, 'notes.txt'), 'kept');
+
+    await store.delete('a');
+    await store.delete('a');
+    await store.clear();
+
+    await expect(fs.readdir(directory)).resolves.toEqual(['notes.txt']);
+    await expect(new FileCacheStore({ directory: path.join(directory, 'missing') }).clear()).resolves.toBeUndefined();
+  });
+
+  it('needs a directory', () => {
+    expect(() => new FileCacheStore({})).toThrow('FileCacheStore needs a directory');
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Browser cache store on top of localStorage (or any Web Storage object)
+ *
+ * Entries are `{ value, expiresAt }` stored as JSON under `prefix + key`,
+ * so they survive page reloads. Keep it to small data such as provider
+ * metrics; localStorage holds a few megabytes at most.
+ */
+
+export class LocalStorageCacheStore {
+  /**
+   * @param {Object} [config]
+   * @param {Storage} [config.storage] - Defaults to window.localStorage
+   * @param {string} [config.prefix] - Key prefix (default 'agi:')
+   */
+  constructor(config = {}) {
+    this.storage = config.storage || (typeof window !== 'undefined' ? window.localStorage : undefined);
+    this.prefix = config.prefix ?? 'agi:';
+
+    if (!this.storage) {
+      throw new Error('LocalStorageCacheStore needs localStorage or a storage object');
+    }
+  }
+
+  async get(key) {
+    const raw = this.storage.getItem(this.prefix + key);
+    if (!raw) return null;
+
+    let entry;
+    try {
+      entry = JSON.parse(raw);
+    } catch (error) {
+      // Written by something else under our prefix
+      await this.delete(key);
+      return null;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+  }
+
+  async delete(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+
+  async clear() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key.startsWith(this.prefix)) keys.push(key);
+    }
+    keys.forEach(key => this.storage.removeItem(key));
+  }
+}
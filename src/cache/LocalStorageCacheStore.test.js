@@ -0,0 +1,64 @@
+import { LocalStorageCacheStore } from './LocalStorageCacheStore';
+
+describe('LocalStorageCacheStore', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores entries as JSON under its prefix', async () => {
+    const store = new LocalStorageCacheStore({ prefix: 'test:' });
+    await store.set('a', { value: { answer: 42 }, expiresAt: null });
+
+    expect(JSON.parse(window.localStorage.getItem('test:a'))).toEqual({ value: { answer: 42 }, expiresAt: null });
+    await expect(store.get('a')).resolves.toEqual({ value: { answer: 42 }, expiresAt: null });
+    await expect(store.get('b')).resolves.toBeNull();
+  });
+
+  it('drops an entry once it has expired', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const store = new LocalStorageCacheStore();
+    await store.set('a', { value: 1, expiresAt: 2000 });
+
+    now.mockReturnValue(2000);
+
+    await expect(store.get('a')).resolves.toBeNull();
+    expect(window.localStorage.getItem('agi:a')).toBeNull();
+  });
+
+  it('treats an entry it cannot parse as a miss', async () => {
+    window.localStorage.setItem('agi:a', 'not json');
+
+    await expect(new LocalStorageCacheStore().get('a')).resolves.toBeNull();
+    expect(window.localStorage.getItem('agi:a')).toBeNull();
+  });
+
+  it('clears only its own keys', async () => {
+    const store = new LocalStorageCacheStore();
+    window.localStorage.setItem('other', 'kept');
+    await store.set('a', { value: 1 });
+    await store.set('b', { value: 2 });
+
+    await store.clear();
+
+    expect(window.localStorage.length).toBe(1);
+    expect(window.localStorage.getItem('other')).toBe('kept');
+  });
+
+  it('accepts any storage object', async () => {
+    const items = new Map();
+    const storage = {
+      getItem: key => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value),
+      removeItem: key => items.delete(key)
+    };
+    const store = new LocalStorageCacheStore({ storage });
+
+    await store.set('a', { value: 1 });
+
+    expect(items.get('agi:a')).toBe('{"value":1}');
+  });
+});
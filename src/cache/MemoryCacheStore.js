@@ -0,0 +1,52 @@
+/**
+ * In-memory LRU cache store
+ *
+ * Entries are `{ value, expiresAt }`; expired entries are dropped when read.
+ * Once `maxEntries` is reached the least recently used entry is evicted.
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.maxEntries] - Defaults to 500
+   */
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries ?? 500;
+    // Map iteration order doubles as recency order
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
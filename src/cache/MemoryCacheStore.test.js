@@ -0,0 +1,51 @@
+import { MemoryCacheStore } from './MemoryCacheStore';
+
+describe('MemoryCacheStore', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns what was stored, and null for unknown keys', async () => {
+    const store = new MemoryCacheStore();
+    await store.set('a', { value: 1, expiresAt: null });
+
+    await expect(store.get('a')).resolves.toEqual({ value: 1, expiresAt: null });
+    await expect(store.get('b')).resolves.toBeNull();
+  });
+
+  it('drops an entry once it has expired', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const store = new MemoryCacheStore();
+    await store.set('a', { value: 1, expiresAt: 2000 });
+
+    now.mockReturnValue(1999);
+    await expect(store.get('a')).resolves.toEqual({ value: 1, expiresAt: 2000 });
+    now.mockReturnValue(2000);
+    await expect(store.get('a')).resolves.toBeNull();
+    expect(store.size).toBe(0);
+  });
+
+  it('evicts the least recently used entry when full', async () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+    await store.set('a', { value: 1 });
+    await store.set('b', { value: 2 });
+    await store.get('a');
+
+    await store.set('c', { value: 3 });
+
+    await expect(store.get('b')).resolves.toBeNull();
+    await expect(store.get('a')).resolves.toEqual({ value: 1 });
+    await expect(store.get('c')).resolves.toEqual({ value: 3 });
+  });
+
+  it('deletes and clears', async () => {
+    const store = new MemoryCacheStore();
+    await store.set('a', { value: 1 });
+    await store.set('b', { value: 2 });
+
+    await store.delete('a');
+    expect(store.size).toBe(1);
+    await store.clear();
+    expect(store.size).toBe(0);
+  });
+});
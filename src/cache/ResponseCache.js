@@ -0,0 +1,151 @@
+/**
+ * Response Cache
+ *
+ * Caches normalized completions keyed by a stable hash of the normalized
+ * request, so repeated prompts (evaluation, reflection, test reruns) don't
+ * go back to the vendor.
+ *
+ * Only deterministic requests (temperature 0) are cached unless
+ * `cacheAnyTemperature` is set or the caller passes `cache: true`.
+ *
+ * @example
+ * // Node-side: persist across test runs
+ * const cache = new ResponseCache({
+ *   store: new FileCacheStore({ directory: '.cache/responses' }),
+ *   ttl: 24 * 60 * 60 * 1000
+ * });
+ * const provider = new UniversalProvider({ cache });
+ */
+
+import { MemoryCacheStore } from './MemoryCacheStore';
+import { hashString } from '../utils/hash';
+import { stableStringify } from '../utils/stableStringify';
+
+export class ResponseCache {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.store] - Store with async get/set/delete/clear;
+   *   defaults to a MemoryCacheStore
+   * @param {number} [config.ttl] - Milliseconds an entry stays fresh; 0 never expires
+   * @param {number} [config.maxEntries] - Size of the default memory store
+   * @param {boolean} [config.cacheAnyTemperature] - Also cache sampled (temperature > 0) requests
+   */
+  constructor(config = {}) {
+    this.store = config.store || new MemoryCacheStore({ maxEntries: config.maxEntries });
+    this.ttl = config.ttl ?? 60 * 60 * 1000;
+    this.cacheAnyTemperature = config.cacheAnyTemperature ?? false;
+    this.resetStats();
+  }
+
+  /**
+   * @param {string} providerName
+   * @param {Object} normalizedRequest - Request as sent to the adapter
+   * @returns {string}
+   */
+  keyFor(providerName, normalizedRequest) {
+    return hashString(stableStringify({
+      provider: providerName,
+      model: normalizedRequest.model,
+      system: normalizedRequest.system,
+      messages: normalizedRequest.messages,
+      temperature: normalizedRequest.temperature,
+      maxTokens: normalizedRequest.maxTokens,
+      tools: normalizedRequest.tools,
+      toolChoice: normalizedRequest.toolChoice,
+      responseFormat: normalizedRequest.responseFormat
+    }));
+  }
+
+  /**
+   * How a call uses the cache, from the per-call `cache` option:
+   * - `'bypass'` or `false`: neither read nor write
+   * - `'refresh'`: skip the read, store the fresh response
+   * - `true`: read and write whatever the temperature
+   * - unset: read and write deterministic requests only
+   *
+   * @returns {{ read: boolean, write: boolean }}
+   */
+  modeFor(normalizedRequest, option) {
+    if (option === false || option === 'bypass') {
+      return { read: false, write: false };
+    }
+
+    const cacheable = option === true || option === 'refresh' ||
+      this.cacheAnyTemperature || normalizedRequest.temperature === 0;
+
+    return { read: cacheable && option !== 'refresh', write: cacheable };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Cached normalized response
+   */
+  async get(key) {
+    const entry = await this.store.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const response = entry.value;
+    const saved = this.stats.saved;
+    const byProvider = this.stats.savedByProvider[response.provider] ||
+      (this.stats.savedByProvider[response.provider] = { requests: 0, totalTokens: 0 });
+
+    this.stats.hits++;
+    saved.requests++;
+    saved.inputTokens += response.usage?.inputTokens || 0;
+    saved.outputTokens += response.usage?.outputTokens || 0;
+    saved.totalTokens += response.usage?.totalTokens || 0;
+    byProvider.requests++;
+    byProvider.totalTokens += response.usage?.totalTokens || 0;
+
+    return response;
+  }
+
+  async set(key, response, ttl = this.ttl) {
+    this.stats.writes++;
+    await this.store.set(key, {
+      value: response,
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+  }
+
+  async delete(key) {
+    await this.store.delete(key);
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+
+  recordBypass() {
+    this.stats.bypassed++;
+  }
+
+  /**
+   * @returns {Object} Hits, misses, hit rate and the requests and tokens
+   *   that hits saved, overall and per provider
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      saved: { ...this.stats.saved },
+      savedByProvider: JSON.parse(JSON.stringify(this.stats.savedByProvider)),
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+
+  resetStats() {
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      bypassed: 0,
+      writes: 0,
+      saved: { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+      savedByProvider: {}
+    };
+  }
+}
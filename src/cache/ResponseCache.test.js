@@ -0,0 +1,160 @@
+import { ResponseCache } from './ResponseCache';
+import { MemoryCacheStore } from './MemoryCacheStore';
+import { UniversalProvider } from '../providers/UniversalProvider';
+import { ModelCatalog } from '../providers/ModelCatalog';
+
+const request = {
+  model: 'chat-1',
+  messages: [{ role: 'user', content: 'Hello' }],
+  temperature: 0,
+  maxTokens: 100
+};
+
+const response = {
+  content: 'Hi',
+  provider: 'local',
+  model: 'chat-1',
+  usage: { inputTokens: 10, outputTokens: 5, totalTokens: 15 }
+};
+
+describe('ResponseCache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keys requests by content, not by property order', () => {
+    const cache = new ResponseCache();
+    const reordered = { maxTokens: 100, temperature: 0, messages: [{ content: 'Hello', role: 'user' }], model: 'chat-1' };
+
+    expect(cache.keyFor('local', reordered)).toBe(cache.keyFor('local', request));
+    expect(cache.keyFor('openai', request)).not.toBe(cache.keyFor('local', request));
+    expect(cache.keyFor('local', { ...request, model: 'chat-2' })).not.toBe(cache.keyFor('local', request));
+  });
+
+  it('caches deterministic requests unless told otherwise', () => {
+    const cache = new ResponseCache();
+    const sampled = { ...request, temperature: 0.7 };
+
+    expect(cache.modeFor(request)).toEqual({ read: true, write: true });
+    expect(cache.modeFor(sampled)).toEqual({ read: false, write: false });
+    expect(cache.modeFor(sampled, true)).toEqual({ read: true, write: true });
+    expect(cache.modeFor(request, 'refresh')).toEqual({ read: false, write: true });
+    expect(cache.modeFor(request, 'bypass')).toEqual({ read: false, write: false });
+    expect(cache.modeFor(request, false)).toEqual({ read: false, write: false });
+    expect(new ResponseCache({ cacheAnyTemperature: true }).modeFor(sampled)).toEqual({ read: true, write: true });
+  });
+
+  it('misses once the ttl has passed', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const cache = new ResponseCache({ ttl: 500 });
+    await cache.set('key', response);
+
+    now.mockReturnValue(1499);
+    await expect(cache.get('key')).resolves.toEqual(response);
+    now.mockReturnValue(1500);
+    await expect(cache.get('key')).resolves.toBeNull();
+  });
+
+  it('keeps entries without a ttl', async () => {
+    const store = new MemoryCacheStore();
+    const cache = new ResponseCache({ store, ttl: 0 });
+
+    await cache.set('key', response);
+
+    await expect(store.get('key')).resolves.toEqual({ value: response, expiresAt: null });
+  });
+
+  it('counts hits, misses and the tokens hits saved', async () => {
+    const cache = new ResponseCache();
+    await cache.set('key', response);
+
+    await cache.get('key');
+    await cache.get('key');
+    await cache.get('other');
+    cache.recordBypass();
+
+    expect(cache.getStats()).toEqual(expect.objectContaining({
+      hits: 2,
+      misses: 1,
+      bypassed: 1,
+      writes: 1,
+      hitRate: 2 / 3,
+      saved: { requests: 2, inputTokens: 20, outputTokens: 10, totalTokens: 30 },
+      savedByProvider: { local: { requests: 2, totalTokens: 30 } }
+    }));
+
+    cache.resetStats();
+    expect(cache.getStats()).toEqual(expect.objectContaining({ hits: 0, misses: 0, hitRate: 0 }));
+  });
+
+  describe('through UniversalProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      provider = {
+        name: 'local',
+        defaultModel: 'chat-1',
+        isAvailable: () => true,
+        complete: jest.fn(async () => ({
+          model: 'chat-1',
+          message: { content: 'Hi' },
+          done_reason: 'stop',
+          prompt_eval_count: 10,
+          eval_count: 5
+        }))
+      };
+    });
+
+    function createUniversal(cache) {
+      const catalog = new ModelCatalog().extend({ 'chat-1': { provider: 'local', contextWindow: 8192 } });
+      const universal = new UniversalProvider({ catalog, cache, retryPolicy: { maxRetries: 0 } });
+      universal.register('local', provider);
+      return universal;
+    }
+
+    it('serves a repeated deterministic request from the cache', async () => {
+      const universal = createUniversal({ ttl: 60000 });
+      const call = { messages: [{ role: 'user', content: 'Hello' }], temperature: 0 };
+
+      const first = await universal.complete(call);
+      const second = await universal.complete(call);
+
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(first.cached).toBeUndefined();
+      expect(second).toEqual(expect.objectContaining({ content: 'Hi', cached: true }));
+      expect(universal.getCostSummary().cache).toEqual(expect.objectContaining({ hits: 1, misses: 1 }));
+    });
+
+    it('goes to the vendor for sampled requests and refreshes', async () => {
+      const universal = createUniversal({});
+      const call = { messages: [{ role: 'user', content: 'Hello' }], temperature: 0 };
+
+      await universal.complete({ ...call, temperature: 0.7 });
+      await universal.complete({ ...call, temperature: 0.7 });
+      await universal.complete(call);
+      await universal.complete(call, { cache: 'refresh' });
+      await universal.complete(call, { cache: 'bypass' });
+      expect(provider.complete).toHaveBeenCalledTimes(5);
+
+      await universal.complete(call);
+      expect(provider.complete).toHaveBeenCalledTimes(5);
+    });
+
+    it('treats a failing store as a miss', async () => {
+      const store = {
+        get: jest.fn().mockRejectedValue(new Error('EACCES')),
+        set: jest.fn().mockRejectedValue(new Error('EACCES')),
+        delete: jest.fn(),
+        clear: jest.fn()
+      };
+      const universal = createUniversal(new ResponseCache({ store }));
+
+      const result = await universal.complete({ messages: [{ role: 'user', content: 'Hello' }], temperature: 0 });
+
+      expect(result.content).toBe('Hi');
+      expect(store.set).toHaveBeenCalled();
+    });
+  });
+});
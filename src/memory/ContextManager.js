@@ -0,0 +1,347 @@
+/**
+ * Context Manager
+ *
+ * Fits agent prompts into the model's context window. A prompt is built
+ * from sections (system prompt, task, memories, earlier results...):
+ * required sections always go in, the others share what budget is left,
+ * highest priority first. Within a section items are kept in order, or
+ * newest first for history, until its share runs out; the item that
+ * straddles the limit is truncated and the rest are left out.
+ *
+ * Sections marked `summarize` don't just lose their overflow: the items that
+ * didn't fit are condensed by the summarizer, usually a cheap model (see
+ * modelSummarizer), and the summary takes their place. Summaries are cached
+ * and extended rather than redone, so a long run pays for each item once.
+ *
+ * Every build reports what was truncated, summarized or left out.
+ *
+ * Token counts are estimates (see utils/tokens), so part of the window is
+ * kept free as a safety margin.
+ *
+ * @example
+ * const { prompt, omitted } = await contextManager.build([
+ *   { name: 'system', items: systemPrompt, required: true },
+ *   { name: 'history', heading: 'Previous Steps:', items: steps, keep: 'newest', summarize: true },
+ *   { name: 'task', items: `Current Step: ${step}`, required: true }
+ * ], { outputTokens: 4096 });
+ */
+
+import { logger } from '../utils/logger';
+import { hashString } from '../utils/hash';
+import { RequestCancelledError } from '../utils/abort';
+import { estimateTokens, truncateToTokens } from '../utils/tokens';
+import { DEFAULT_CONTEXT_WINDOW } from '../providers/ModelCatalog';
+
+// A truncated item shorter than this says too little to be worth its tokens
+const MIN_TRUNCATED_TOKENS = 64;
+
+const SUMMARY_PROMPT = `Summarize the following material for an AI agent that will continue the work.
+Keep every fact, decision, number and open question it may need; drop repetition and wording.
+Reply with the summary only.`;
+
+/**
+ * @typedef {Object} ContextSection
+ * @property {string} name - Used in the report
+ * @property {string|Array<string>} items - One text, or items kept or left
+ *   out one by one
+ * @property {string} [heading] - Printed above the items, and left out with them
+ * @property {boolean} [required] - Always included; truncated only when the
+ *   required sections alone overflow the window
+ * @property {number} [priority] - Optional sections get the remaining budget
+ *   highest priority first (default 0)
+ * @property {number} [maxTokens] - Cap on the section, whatever is left
+ * @property {'first'|'newest'} [keep] - Keep leading items (the default, for
+ *   lists ordered by relevance) or trailing ones (for history)
+ * @property {boolean} [summarize] - Condense the items that don't fit
+ *   instead of leaving them out
+ * @property {string} [separator] - Between items (default a newline)
+ */
+
+/**
+ * @typedef {Object} Omission
+ * @property {string} section
+ * @property {'dropped'|'truncated'|'summarized'} reason
+ * @property {number} items
+ * @property {number} tokens - Estimated tokens that didn't make it in as written
+ */
+
+export class ContextManager {
+  /**
+   * @param {number} [contextWindow] - Tokens, input plus output (default
+   *   DEFAULT_CONTEXT_WINDOW)
+   * @param {Object} [options]
+   * @param {Function} [options.summarizer] - `(text, options) => Promise<string>`,
+   *   options being `maxTokens` plus the build's `callOptions`; without one,
+   *   overflow is left out
+   * @param {number} [options.summaryTokens] - Longest summary (default 512)
+   * @param {number} [options.safetyMargin] - Share of the window kept free
+   *   for estimation error (default 0.1)
+   * @param {number} [options.maxCachedSummaries] - Default 50
+   */
+  constructor(contextWindow, options = {}) {
+    this.contextWindow = contextWindow || DEFAULT_CONTEXT_WINDOW;
+    this.summarizer = options.summarizer || null;
+    this.summaryTokens = options.summaryTokens ?? 512;
+    this.safetyMargin = options.safetyMargin ?? 0.1;
+    this.maxCachedSummaries = options.maxCachedSummaries ?? 50;
+
+    // Hash of the summarized text -> summary, oldest first
+    this.summaries = new Map();
+  }
+
+  /**
+   * Prompt tokens available once the response is reserved
+   * @param {number} [outputTokens]
+   * @returns {number}
+   */
+  getBudget(outputTokens = 0) {
+    return Math.max(0, Math.floor((this.contextWindow - outputTokens) * (1 - this.safetyMargin)));
+  }
+
+  /**
+   * @param {Array<ContextSection>} sections - In prompt order
+   * @param {Object} [options]
+   * @param {number} [options.outputTokens] - Reserved for the response
+   * @param {Object} [options.callOptions] - Handed to the summarizer
+   *   (signal, agentId, taskId...)
+   * @returns {Promise<{ prompt: string, tokens: number, omitted: Array<Omission> }>}
+   * @throws {RequestCancelledError} When the summarizer's call is cancelled
+   */
+  async build(sections, options = {}) {
+    const budget = this.getBudget(options.outputTokens);
+    let entries = this.fit(sections, budget);
+
+    const overflowing = entries.filter(entry => entry.section.summarize && entry.dropped.length > 0);
+    if (this.summarizer && overflowing.length > 0) {
+      const summaries = new Map();
+
+      for (const entry of overflowing) {
+        const summary = await this.summarize(entry.dropped.map(item => item.text), entry.section, options.callOptions);
+        if (summary) summaries.set(entry.section, { text: summary, covers: entry.dropped });
+      }
+      if (summaries.size > 0) {
+        entries = this.fit(sections, budget, summaries);
+      }
+    }
+
+    const prompt = entries.map(entry => this.render(entry)).filter(Boolean).join('\n\n');
+    const omitted = entries.flatMap(entry => this.report(entry));
+
+    if (omitted.length > 0) {
+      logger.info('Context trimmed to fit the context window', { budget, omitted });
+    }
+    return { prompt, tokens: estimateTokens(prompt), omitted };
+  }
+
+  /**
+   * Decide what each section keeps. Required sections go first, sharing the
+   * budget in proportion to their size if they don't all fit.
+   * @param {Map} [summaries] - Section -> summary standing in for its overflow
+   * @returns {Array<Object>} Per section: kept, truncated and dropped items
+   */
+  fit(sections, budget, summaries = new Map()) {
+    const entries = sections.map(section => ({
+      section,
+      items: this.itemsOf(section, summaries.get(section)),
+      kept: [],
+      truncated: [],
+      dropped: []
+    }));
+    const required = entries.filter(entry => entry.section.required);
+    const optional = entries
+      .filter(entry => !entry.section.required)
+      .sort((a, b) => (b.section.priority ?? 0) - (a.section.priority ?? 0));
+
+    const sizeOf = entry => this.headingTokens(entry.section) +
+      entry.items.reduce((sum, item) => sum + item.tokens + 1, 0);
+    const requiredSize = required.reduce((sum, entry) => sum + sizeOf(entry), 0);
+    let remaining = budget;
+
+    for (const entry of required) {
+      const share = requiredSize > budget ? Math.floor(budget * sizeOf(entry) / requiredSize) : Infinity;
+      remaining -= this.fitSection(entry, Math.min(share, remaining));
+    }
+    for (const entry of optional) {
+      remaining -= this.fitSection(entry, Math.min(remaining, entry.section.maxTokens ?? Infinity));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Keep items in `keep` order (a summary first) while they fit in `cap`
+   * @returns {number} Tokens used
+   */
+  fitSection(entry, cap) {
+    const { section, items } = entry;
+    if (items.length === 0) return 0;
+
+    let used = this.headingTokens(section);
+    if (used >= cap) {
+      entry.dropped.push(...items.flatMap(item => item.covers || [item]));
+      return 0;
+    }
+
+    const order = items.map((item, index) => index);
+    if (section.keep === 'newest') order.reverse();
+    order.sort((a, b) => (items[b].covers ? 1 : 0) - (items[a].covers ? 1 : 0));
+
+    let full = false;
+    for (const index of order) {
+      const item = items[index];
+      const room = cap - used - 1;
+
+      if (!full && item.tokens <= room) {
+        entry.kept.push(item);
+        used += item.tokens + 1;
+        continue;
+      }
+
+      if (!full && (room >= MIN_TRUNCATED_TOKENS || (section.required && room > 0))) {
+        const text = truncateToTokens(item.text, room);
+        entry.kept.push({ ...item, text });
+        entry.truncated.push({ ...item, lost: item.tokens - estimateTokens(text) });
+        used += estimateTokens(text) + 1;
+      } else {
+        // A summary that doesn't fit leaves out everything it covered
+        entry.dropped.push(...(item.covers || [item]));
+      }
+      full = true;
+    }
+
+    // Back into prompt order
+    entry.kept.sort((a, b) => a.position - b.position);
+    entry.dropped.sort((a, b) => a.position - b.position);
+    return used;
+  }
+
+  /**
+   * The section's items with token estimates, a summary standing in for
+   * the ones it covers
+   */
+  itemsOf(section, summary) {
+    const items = [].concat(section.items ?? [])
+      .filter(text => text !== null && text !== undefined && text !== '')
+      .map((text, position) => ({ text: String(text), tokens: estimateTokens(String(text)), position }));
+
+    if (!summary) return items;
+
+    const covered = new Set(summary.covers.map(item => item.position));
+    const text = `(Summary of ${covered.size} earlier item${covered.size === 1 ? '' : 's'}) ${summary.text}`;
+
+    return [
+      { text, tokens: estimateTokens(text), position: Math.min(...covered) - 0.5, covers: summary.covers },
+      ...items.filter(item => !covered.has(item.position))
+    ];
+  }
+
+  headingTokens(section) {
+    return section.heading ? estimateTokens(section.heading) + 1 : 0;
+  }
+
+  render({ section, kept }) {
+    if (kept.length === 0) return '';
+
+    const body = kept.map(item => item.text).join(section.separator ?? '\n');
+    return section.heading ? `${section.heading}\n${body}` : body;
+  }
+
+  /**
+   * @returns {Array<Omission>}
+   */
+  report({ section, kept, truncated, dropped }) {
+    const omitted = [];
+    const summary = kept.find(item => item.covers);
+
+    if (summary) {
+      omitted.push({
+        section: section.name,
+        reason: 'summarized',
+        items: summary.covers.length,
+        tokens: summary.covers.reduce((sum, item) => sum + item.tokens, 0) - summary.tokens
+      });
+    }
+    if (truncated.length > 0) {
+      omitted.push({
+        section: section.name,
+        reason: 'truncated',
+        items: truncated.length,
+        tokens: truncated.reduce((sum, item) => sum + item.lost, 0)
+      });
+    }
+    if (dropped.length > 0) {
+      omitted.push({
+        section: section.name,
+        reason: 'dropped',
+        items: dropped.length,
+        tokens: dropped.reduce((sum, item) => sum + item.tokens, 0)
+      });
+    }
+    return omitted;
+  }
+
+  /**
+   * Summary of `texts`, extending the cached summary of the longest prefix
+   * already summarized (history overflows a few items at a time)
+   * @returns {Promise<string|null>} Null when summarizing failed
+   * @throws {RequestCancelledError}
+   */
+  async summarize(texts, section, callOptions = {}) {
+    const separator = section.separator ?? '\n';
+    const key = count => hashString(texts.slice(0, count).join(separator));
+
+    const fullKey = key(texts.length);
+    if (this.summaries.has(fullKey)) return this.summaries.get(fullKey);
+
+    let input = texts.join(separator);
+    for (let count = texts.length - 1; count > 0; count--) {
+      const earlier = this.summaries.get(key(count));
+      if (earlier) {
+        input = `Summary so far: ${earlier}${separator}${texts.slice(count).join(separator)}`;
+        break;
+      }
+    }
+
+    try {
+      // The summarizing call has to fit a window too
+      const summary = await this.summarizer(
+        truncateToTokens(input, this.getBudget(this.summaryTokens)),
+        { ...callOptions, maxTokens: this.summaryTokens }
+      );
+      this.cacheSummary(fullKey, summary);
+      return summary;
+    } catch (error) {
+      if (error instanceof RequestCancelledError) throw error;
+
+      logger.warn(`Could not summarize ${section.name}; leaving the overflow out`, { error: error.message });
+      return null;
+    }
+  }
+
+  cacheSummary(key, summary) {
+    this.summaries.set(key, summary);
+    if (this.summaries.size > this.maxCachedSummaries) {
+      this.summaries.delete(this.summaries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * A summarizer that asks `provider` for the summary, routed to the cheapest
+ * suitable model when the provider is a UniversalProvider
+ * @param {Object} provider - UniversalProvider or adapter
+ * @param {Object} [options] - Extra complete() options, e.g. a `provider`
+ *   or `strategy` to use instead of 'cost-optimized'
+ * @returns {Function} For ContextManager's `summarizer`
+ */
+export function modelSummarizer(provider, options = {}) {
+  return async (text, { maxTokens, ...callOptions }) => {
+    const response = await provider.complete({
+      messages: [{ role: 'user', content: `${SUMMARY_PROMPT}\n\n${text}` }],
+      maxTokens,
+      temperature: 0
+    }, { strategy: 'cost-optimized', ...callOptions, ...options });
+
+    return response.content;
+  };
+}
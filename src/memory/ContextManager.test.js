@@ -0,0 +1,150 @@
+import { ContextManager, modelSummarizer } from './ContextManager';
+import { RequestCancelledError } from '../utils/abort';
+
+// 40 characters, so 10 tokens by the estimate
+const item = label => label.padEnd(40, '.');
+const steps = count => Array.from({ length: count }, (_, i) => item(`step ${String(i + 1).padStart(2, '0')}`));
+
+// No safety margin, so budgets are exact
+const manager = (contextWindow, options = {}) => new ContextManager(contextWindow, { safetyMargin: 0, ...options });
+
+describe('ContextManager', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reserves the output and a safety margin', () => {
+    expect(new ContextManager(10000).getBudget(2000)).toBe(7200);
+    expect(new ContextManager(1000).getBudget(2000)).toBe(0);
+  });
+
+  it('keeps everything that fits, in prompt order', async () => {
+    const { prompt, omitted } = await manager(1000).build([
+      { name: 'system', items: 'You are helpful.', required: true },
+      { name: 'memory', heading: 'Relevant Context:', items: ['- a', '- b'] },
+      { name: 'task', items: 'Task: answer', required: true }
+    ]);
+
+    expect(prompt).toBe('You are helpful.\n\nRelevant Context:\n- a\n- b\n\nTask: answer');
+    expect(omitted).toEqual([]);
+  });
+
+  it('leaves out the optional items the budget has no room for', async () => {
+    const { prompt, omitted } = await manager(60).build([
+      { name: 'memory', items: steps(5) },
+      { name: 'task', items: item('task'), required: true }
+    ]);
+
+    // The task takes 11 of 60; four memories take 44 and the fifth won't fit
+    expect(prompt).toBe(`${steps(4).join('\n')}\n\n${item('task')}`);
+    expect(omitted).toEqual([{ section: 'memory', reason: 'dropped', items: 1, tokens: 10 }]);
+  });
+
+  it('gives the budget to higher priority sections first', async () => {
+    const { prompt, omitted } = await manager(40).build([
+      { name: 'memory', items: [item('memory')] },
+      { name: 'history', items: [item('history')], priority: 1 },
+      { name: 'task', items: item('task'), required: true }
+    ], { outputTokens: 10 });
+
+    expect(prompt).toBe(`${item('history')}\n\n${item('task')}`);
+    expect(omitted).toEqual([{ section: 'memory', reason: 'dropped', items: 1, tokens: 10 }]);
+  });
+
+  it('caps a section at its maxTokens', async () => {
+    const { omitted } = await manager(1000).build([{ name: 'memory', items: steps(5), maxTokens: 33 }]);
+
+    expect(omitted).toEqual([{ section: 'memory', reason: 'dropped', items: 2, tokens: 20 }]);
+  });
+
+  it('keeps the newest items of a history section', async () => {
+    const { prompt } = await manager(33).build([{ name: 'history', items: steps(5), keep: 'newest' }]);
+
+    expect(prompt).toBe(steps(5).slice(2).join('\n'));
+  });
+
+  it('truncates an item straddling the limit when enough of it fits', async () => {
+    const long = 'x'.repeat(800);
+
+    const { prompt, omitted } = await manager(150).build([{ name: 'memory', items: [item('short'), long] }]);
+
+    expect(prompt).toMatch(/^short\.+\nx+ …\[truncated\]$/);
+    expect(omitted).toEqual([{ section: 'memory', reason: 'truncated', items: 1, tokens: expect.any(Number) }]);
+    expect(omitted[0].tokens).toBeGreaterThan(50);
+  });
+
+  it('shares the budget among required sections that overflow it', async () => {
+    const { prompt, tokens, omitted } = await manager(100).build([
+      { name: 'system', items: 'a'.repeat(400), required: true },
+      { name: 'task', items: 'b'.repeat(400), required: true }
+    ]);
+
+    expect(prompt).toMatch(/^a+ …\[truncated\]\n\nb+ …\[truncated\]$/);
+    expect(tokens).toBeLessThanOrEqual(101);
+    expect(omitted.map(({ section, reason }) => `${section}:${reason}`)).toEqual(['system:truncated', 'task:truncated']);
+  });
+
+  describe('summarizing', () => {
+    it('puts a summary of the overflow in its place', async () => {
+      const summarizer = jest.fn().mockResolvedValue('sum');
+      const contextManager = manager(100, { summarizer, summaryTokens: 20 });
+
+      const { prompt, omitted } = await contextManager.build([
+        { name: 'history', heading: 'History:', items: steps(10), keep: 'newest', summarize: true }
+      ], { callOptions: { agentId: 'agent-1' } });
+
+      expect(summarizer).toHaveBeenCalledWith(steps(2).join('\n'), { agentId: 'agent-1', maxTokens: 20 });
+      expect(prompt).toBe(['History:', '(Summary of 2 earlier items) sum', ...steps(10).slice(2)].join('\n'));
+      expect(omitted).toEqual([{ section: 'history', reason: 'summarized', items: 2, tokens: 12 }]);
+    });
+
+    it('extends a cached summary instead of redoing it', async () => {
+      const summarizer = jest.fn().mockResolvedValue('sum');
+      const contextManager = manager(100, { summarizer, summaryTokens: 20 });
+      const history = count => [{ name: 'history', heading: 'History:', items: steps(count), keep: 'newest', summarize: true }];
+
+      await contextManager.build(history(10));
+      await contextManager.build(history(10));
+      await contextManager.build(history(11));
+
+      expect(summarizer).toHaveBeenCalledTimes(2);
+      expect(summarizer.mock.calls[1][0]).toBe(`Summary so far: sum\n${steps(3)[2]}`);
+    });
+
+    it('leaves the overflow out when summarizing fails', async () => {
+      const summarizer = jest.fn().mockRejectedValue(new Error('Service unavailable'));
+
+      const { omitted } = await manager(100, { summarizer, summaryTokens: 20 }).build([
+        { name: 'history', items: steps(10), keep: 'newest', summarize: true }
+      ]);
+
+      expect(omitted).toEqual([{ section: 'history', reason: 'dropped', items: 1, tokens: 10 }]);
+    });
+
+    it('stops when the summarizing call is cancelled', async () => {
+      const summarizer = jest.fn().mockRejectedValue(new RequestCancelledError('Cancelled', { reason: 'aborted' }));
+
+      await expect(manager(100, { summarizer, summaryTokens: 20 }).build([
+        { name: 'history', items: steps(10), keep: 'newest', summarize: true }
+      ])).rejects.toBeInstanceOf(RequestCancelledError);
+    });
+
+    it('asks a model for the summary, cheapest first', async () => {
+      const provider = { complete: jest.fn().mockResolvedValue({ content: 'sum' }) };
+
+      const summary = await modelSummarizer(provider)('long text', { maxTokens: 100, agentId: 'agent-1' });
+
+      expect(summary).toBe('sum');
+      expect(provider.complete).toHaveBeenCalledWith(
+        expect.objectContaining({ maxTokens: 100, temperature: 0 }),
+        { strategy: 'cost-optimized', agentId: 'agent-1' }
+      );
+      expect(provider.complete.mock.calls[0][0].messages[0].content).toMatch(/long text$/);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Episodic Memory
+ *
+ * What happened when: task outcomes and conversation turns, kept in order
+ * with their agent, task and session. Retrieval ranks episodes by keyword
+ * overlap with the query, favouring recent ones, and leaves out episodes
+ * that share nothing with it; `list()` replays them in order.
+ */
+
+import { InProcessMemory } from './InProcessMemory';
+import { keywordScore, recencyScore } from './relevance';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export class EpisodicMemory extends InProcessMemory {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.maxItems] - Default 1000
+   * @param {number} [config.halfLife] - Ms for an episode's recency weight
+   *   to halve (default 7 days)
+   * @param {number} [config.minRelevance] - Keyword overlap an episode needs
+   *   to be retrieved, 0 to 1 (default 0.1)
+   * @param {Function} [config.summarizer] - For summarize()
+   */
+  constructor(config = {}) {
+    super('episodic', { maxItems: 1000, ...config });
+    this.halfLife = config.halfLife ?? 7 * DAY;
+    this.minRelevance = config.minRelevance ?? 0.1;
+  }
+
+  /**
+   * Mostly relevance; recency decides between similar episodes
+   * @protected
+   */
+  score(item, queryTerms, { now }) {
+    const relevance = keywordScore(queryTerms, item.content);
+    if (relevance < this.minRelevance) return 0;
+
+    return 0.8 * relevance + 0.2 * recencyScore(item.createdAt, this.halfLife, now);
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * File-backed vector store for Node-side tooling (tests, CI, scripts,
+ * offline demos)
+ *
+ * A LocalVectorStore whose records are read from `file` on first use and
+ * written back after every change, so semantic memory survives restarts.
+ * Kept apart from LocalVectorStore so browser bundles never pull in `fs`.
+ */
+
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile';
+import { LocalVectorStore } from './LocalVectorStore';
+
+const FILE_VERSION = 1;
+
+export class FileVectorStore extends LocalVectorStore {
+  /**
+   * @param {Object} config
+   * @param {string} config.file - JSON file the records are kept in
+   * @param {boolean|Object} [config.index] - See LocalVectorStore
+   */
+  constructor(config) {
+    if (!config?.file) {
+      throw new Error('FileVectorStore needs a file');
+    }
+    super(config);
+    this.file = config.file;
+    this.loading = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * @protected
+   */
+  async ensureLoaded() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    await this.loading;
+  }
+
+  /**
+   * Writes one at a time, so a slow earlier write can't land last
+   * @protected
+   */
+  async persist() {
+    const records = [...this.records.values()];
+    this.saving = this.saving
+      .catch(() => {})
+      .then(() => writeJsonFile(this.file, { version: FILE_VERSION, records }));
+    await this.saving;
+  }
+
+  /**
+   * @private
+   */
+  async load() {
+    const data = await readJsonFile(this.file, { version: FILE_VERSION, records: [] });
+    if (data.version !== FILE_VERSION) {
+      throw new Error(`Vector store file ${this.file} has version ${data.version}; expected ${FILE_VERSION}`);
+    }
+
+    for (const record of data.records) {
+      this.records.set(record.id, record);
+    }
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * In-process Memory
+ *
+ * Base for the memories that keep their items in a list in this process
+ * (ShortTermMemory, EpisodicMemory, SemanticMemory). It implements the
+ * memory interface, `store`, `retrieve`, `forget` and `summarize`;
+ * subclasses decide how an item scores against a query.
+ */
+
+import { logger } from '../utils/logger';
+import { createId } from '../utils/ids';
+import { estimateTokens } from '../utils/tokens';
+import { fitToTokens, matchesFilter, queryText, termsOf } from './relevance';
+
+/**
+ * @typedef {Object} MemoryItem
+ * @property {string} id
+ * @property {'short-term'|'episodic'|'semantic'} type
+ * @property {string} content
+ * @property {string} [role] - user, assistant or system, for conversation turns
+ * @property {string} [agentId]
+ * @property {string} [taskId]
+ * @property {string} [sessionId]
+ * @property {string} [userId]
+ * @property {Object} metadata
+ * @property {number} tokens - Estimated
+ * @property {string} createdAt - ISO timestamp
+ * @property {number} [score] - Relevance to the query, 0 to 1 (retrieve only)
+ */
+
+/**
+ * @typedef {Object} RetrieveOptions
+ * @property {number} [maxTokens] - Total tokens the results may take
+ * @property {number} [limit] - Most results
+ * @property {Object} [filter] - Fields to match exactly (see matchesFilter)
+ * @property {AbortSignal} [signal]
+ */
+
+export class InProcessMemory {
+  /**
+   * @param {string} type - MemoryItem type
+   * @param {Object} [config]
+   * @param {number} [config.maxItems] - Oldest items go beyond this
+   * @param {Function} [config.summarizer] - `(text, { maxTokens }) => Promise<string>`,
+   *   e.g. modelSummarizer(provider), for summarize()
+   */
+  constructor(type, config = {}) {
+    this.type = type;
+    this.maxItems = config.maxItems ?? Infinity;
+    this.summarizer = config.summarizer || null;
+    this.items = [];
+  }
+
+  /**
+   * @param {string|Object} input - Text, or a partial MemoryItem
+   * @returns {Promise<MemoryItem>}
+   */
+  async store(input) {
+    const item = this.createItem(input);
+
+    // Items stay in time order, even one given an earlier createdAt (a summary)
+    this.items.push(item);
+    if (this.items.length > 1 && this.items[this.items.length - 2].createdAt > item.createdAt) {
+      this.items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+    if (this.items.length > this.maxItems) {
+      const removed = this.items.splice(0, this.items.length - this.maxItems);
+      logger.debug(`${this.type} memory full; forgot ${removed.length} oldest items`);
+    }
+    return this.publicItem(item);
+  }
+
+  /**
+   * Items relevant to `query`, best first, within `maxTokens`
+   * @param {string|Object} query - Text, a task, or an item
+   * @param {RetrieveOptions} [options]
+   * @returns {Promise<Array<MemoryItem>>}
+   */
+  async retrieve(query, options = {}) {
+    const queryTerms = termsOf(queryText(query));
+    const candidates = await this.list(options.filter);
+    const now = Date.now();
+
+    const scored = candidates
+      .map((item, index) => ({ item, score: this.score(item, queryTerms, { index, count: candidates.length, now }) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit ?? Infinity)
+      .map(({ item, score }) => ({ ...this.publicItem(item), score }));
+
+    return fitToTokens(scored, options.maxTokens);
+  }
+
+  /**
+   * @param {string|Array<string>|Object} target - An id, ids, or a filter
+   *   (see matchesFilter); `{}` forgets everything
+   * @returns {Promise<number>} How many items were forgotten
+   */
+  async forget(target) {
+    const before = this.items.length;
+    const ids = typeof target === 'string' ? [target] : Array.isArray(target) ? target : null;
+
+    this.items = this.items.filter(item => ids ? !ids.includes(item.id) : !matchesFilter(item, target));
+    return before - this.items.length;
+  }
+
+  /**
+   * Condense older items into one summary item, which replaces them
+   * @param {Object} [options]
+   * @param {Object} [options.filter] - Which items (default all)
+   * @param {number} [options.keepRecent] - Newest matching items left as they are (default 0)
+   * @param {number} [options.maxTokens] - Summary length (default 512)
+   * @param {Function} [options.summarizer] - Instead of the configured one
+   * @param {Object} [options.callOptions] - Handed to the summarizer
+   * @returns {Promise<MemoryItem|null>} The summary, or null with fewer than
+   *   two items to condense
+   * @throws {Error} When there is no summarizer
+   */
+  async summarize(options = {}) {
+    const summarizer = options.summarizer || this.summarizer;
+    if (!summarizer) {
+      throw new Error(`${this.type} memory has no summarizer`);
+    }
+
+    const matching = await this.list(options.filter);
+    const older = matching.slice(0, Math.max(0, matching.length - (options.keepRecent ?? 0)));
+    if (older.length < 2) return null;
+
+    const text = older.map(item => item.role ? `${item.role}: ${item.content}` : item.content).join('\n');
+    const summary = await summarizer(text, { ...options.callOptions, maxTokens: options.maxTokens ?? 512 });
+
+    // The summary keeps whatever its items had in common, and their place in time
+    const shared = {};
+    for (const field of ['agentId', 'taskId', 'sessionId', 'userId']) {
+      if (older.every(item => item[field] === older[0][field])) shared[field] = older[0][field];
+    }
+
+    await this.forget(older.map(item => item.id));
+    return await this.store({
+      ...shared,
+      content: summary,
+      // Back where the items it replaced were
+      createdAt: older[older.length - 1].createdAt,
+      metadata: { summaryOf: older.length, from: older[0].createdAt, to: older[older.length - 1].createdAt }
+    });
+  }
+
+  /**
+   * What retrieve() and summarize() work through; memories kept elsewhere
+   * override it, along with store(), forget() and clear()
+   * @param {Object} [filter]
+   * @returns {Array<MemoryItem>} Oldest first
+   */
+  list(filter) {
+    return this.items.filter(item => matchesFilter(item, filter)).map(item => this.publicItem(item));
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  clear() {
+    this.items = [];
+  }
+
+  /**
+   * How relevant an item is to a query, 0 to 1. Called as
+   * `score(item, queryTerms, { index, count, now })`, `index` being the
+   * item's place among the `count` candidates, oldest first.
+   * @protected
+   * @returns {number}
+   */
+  score() {
+    return 0;
+  }
+
+  /**
+   * @protected
+   */
+  createItem(input) {
+    const fields = typeof input === 'string' ? { content: input } : input;
+    if (!fields?.content) {
+      throw new Error(`${this.type} memory items need content`);
+    }
+
+    return {
+      id: fields.id || createId(),
+      type: this.type,
+      content: String(fields.content),
+      role: fields.role,
+      agentId: fields.agentId,
+      taskId: fields.taskId,
+      sessionId: fields.sessionId,
+      userId: fields.userId,
+      metadata: { ...fields.metadata },
+      tokens: estimateTokens(String(fields.content)),
+      createdAt: fields.createdAt || new Date().toISOString()
+    };
+  }
+
+  /**
+   * A copy safe to hand out
+   * @protected
+   */
+  publicItem(item) {
+    return { ...item, metadata: { ...item.metadata } };
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Local Vector Store
+ *
+ * Embeddings kept in this process, searched the way the Supabase
+ * `match_semantic_memory` function searches `semantic_memory`: cosine
+ * similarity above a threshold, best first, optionally for one user only.
+ * Lets semantic memory run in tests and offline demos; FileVectorStore
+ * adds persistence.
+ *
+ * Vector stores, this one and any other SemanticMemory is given, provide:
+ *
+ * - `upsert(record)` - add a record, or replace the one with its id
+ * - `match(embedding, { matchThreshold, matchCount, filterUserId, filter })`
+ *   - records by similarity, each with `similarity`
+ * - `list(filter)` - records, oldest first
+ * - `delete(target)` - by id, ids or filter; returns the count
+ * - `clear()`
+ *
+ * Records are `{ id, embedding, content, userId, metadata, createdAt, ... }`.
+ *
+ * Past `index.minSize` records, searches go through an IvfIndex instead of
+ * comparing the query with every record. That's approximate, as pgvector's
+ * ivfflat index is: a match in a list that isn't probed is missed.
+ */
+
+import { IvfIndex } from './IvfIndex';
+import { cosineSimilarity, matchesFilter } from './relevance';
+
+/**
+ * @typedef {Object} MatchOptions
+ * @property {number} [matchThreshold] - Similarity a match must exceed (default 0.5)
+ * @property {number} [matchCount] - Most matches (default 5)
+ * @property {string|null} [filterUserId] - Only this user's records
+ * @property {Object} [filter] - Other fields to match (see matchesFilter)
+ */
+
+export class LocalVectorStore {
+  /**
+   * @param {Object} [config]
+   * @param {boolean|Object} [config.index] - Use an approximate index for
+   *   large collections; `true` for the defaults, or IvfIndex config plus
+   *   `minSize`, the records before it's used (default 1000)
+   */
+  constructor(config = {}) {
+    /** @type {Map<string, Object>} In insertion order */
+    this.records = new Map();
+
+    const index = config.index === true ? {} : config.index;
+    this.indexConfig = index ? { minSize: 1000, ...index } : null;
+    this.index = null;
+    this.indexedAt = 0;
+  }
+
+  /**
+   * @param {Object} record - With `id` and `embedding`
+   * @returns {Promise<Object>} The record
+   */
+  async upsert(record) {
+    await this.ensureLoaded();
+    if (!record?.id || !Array.isArray(record.embedding)) {
+      throw new Error('Vector store records need an id and an embedding');
+    }
+
+    this.records.set(record.id, record);
+    this.index?.add(record);
+    await this.persist();
+    return record;
+  }
+
+  /**
+   * Mirrors `match_semantic_memory(query_embedding, match_threshold,
+   * match_count, filter_user_id)`
+   * @param {Array<number>} embedding
+   * @param {MatchOptions} [options]
+   * @returns {Promise<Array<Object>>} Records with `similarity`, best first
+   */
+  async match(embedding, options = {}) {
+    await this.ensureLoaded();
+    const { matchThreshold = 0.5, matchCount = 5, filterUserId = null, filter } = options;
+
+    return this.candidates(embedding)
+      .filter(record => (filterUserId === null || record.userId === filterUserId) && matchesFilter(record, filter))
+      .map(record => ({ record, similarity: cosineSimilarity(record.embedding, embedding) }))
+      .filter(({ similarity }) => similarity > matchThreshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, matchCount)
+      .map(({ record, similarity }) => ({ ...record, similarity }));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    await this.ensureLoaded();
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @returns {Promise<Array<Object>>} Oldest first
+   */
+  async list(filter) {
+    await this.ensureLoaded();
+    return [...this.records.values()]
+      .filter(record => matchesFilter(record, filter))
+      .sort((a, b) => String(a.createdAt ?? '').localeCompare(String(b.createdAt ?? '')));
+  }
+
+  /**
+   * @param {string|Array<string>|Object} target - An id, ids, or a filter
+   * @returns {Promise<number>} How many records were deleted
+   */
+  async delete(target) {
+    await this.ensureLoaded();
+    const ids = typeof target === 'string' ? [target]
+      : Array.isArray(target) ? target
+        : [...this.records.values()].filter(record => matchesFilter(record, target)).map(record => record.id);
+
+    let deleted = 0;
+    for (const id of ids) {
+      if (this.records.delete(id)) {
+        this.index?.remove(id);
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) await this.persist();
+    return deleted;
+  }
+
+  async clear() {
+    await this.ensureLoaded();
+    this.records.clear();
+    this.index = null;
+    this.indexedAt = 0;
+    await this.persist();
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  /**
+   * Records worth comparing with `embedding`: all of them, or once the
+   * collection is large enough for the index, those in the probed lists.
+   * The index is rebuilt when the collection has doubled since it was built.
+   * @private
+   */
+  candidates(embedding) {
+    if (!this.indexConfig || this.records.size < this.indexConfig.minSize) {
+      return [...this.records.values()];
+    }
+
+    if (!this.index || this.records.size >= 2 * this.indexedAt) {
+      this.index = new IvfIndex(this.indexConfig);
+      this.index.build([...this.records.values()]);
+      this.indexedAt = this.records.size;
+    }
+
+    return this.index.candidates(embedding).map(id => this.records.get(id));
+  }
+
+  /**
+   * Called before every operation; stores that load their records from
+   * somewhere override it
+   * @protected
+   */
+  async ensureLoaded() {}
+
+  /**
+   * Called after every change; stores that save their records override it
+   * @protected
+   */
+  async persist() {}
+}
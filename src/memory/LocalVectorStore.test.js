@@ -0,0 +1,107 @@
+import { LocalVectorStore } from './LocalVectorStore';
+
+// Repeatable pseudo-random numbers (mulberry32), so the datasets are the same every run
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Vectors scattered around a few topics, as embeddings of related texts are
+function topicVectors({ topics, dimensions, seed }) {
+  const next = random(seed);
+  const centers = Array.from({ length: topics }, () => Array.from({ length: dimensions }, () => next() * 2 - 1));
+  return (count, spread) => Array.from({ length: count }, (_, i) =>
+    centers[i % topics].map(value => value + (next() * 2 - 1) * spread));
+}
+
+async function storeWith(vectors, config) {
+  const store = new LocalVectorStore(config);
+  for (const [i, embedding] of vectors.entries()) {
+    await store.upsert({ id: `doc-${i}`, embedding, content: `Document ${i}` });
+  }
+  return store;
+}
+
+const ids = records => records.map(record => record.id);
+
+describe('LocalVectorStore', () => {
+  describe('exact search', () => {
+    it('returns matches above the threshold, best first', async () => {
+      const store = await storeWith([[1, 0], [0.8, 0.6], [0, 1], [-1, 0]]);
+
+      const matches = await store.match([1, 0], { matchThreshold: 0.5 });
+
+      expect(ids(matches)).toEqual(['doc-0', 'doc-1']);
+      expect(matches[0].similarity).toBeCloseTo(1);
+      expect(matches[1].similarity).toBeCloseTo(0.8);
+    });
+
+    it('limits to matchCount and to one user\'s records', async () => {
+      const store = new LocalVectorStore();
+      await store.upsert({ id: 'a', embedding: [1, 0], userId: 'user-1' });
+      await store.upsert({ id: 'b', embedding: [0.9, 0.1], userId: 'user-2' });
+      await store.upsert({ id: 'c', embedding: [0.8, 0.2], userId: 'user-1' });
+
+      expect(ids(await store.match([1, 0], { matchCount: 1 }))).toEqual(['a']);
+      expect(ids(await store.match([1, 0], { filterUserId: 'user-1' }))).toEqual(['a', 'c']);
+    });
+  });
+
+  describe('with an IVF index', () => {
+    const near = topicVectors({ topics: 12, dimensions: 16, seed: 7 });
+    const vectors = near(600, 0.4);
+    const queries = near(30, 0.4);
+    const options = { matchThreshold: 0, matchCount: 5 };
+
+    let exact;
+
+    beforeAll(async () => {
+      exact = await storeWith(vectors);
+    });
+
+    async function recall(store) {
+      let found = 0;
+      for (const query of queries) {
+        const expected = new Set(ids(await exact.match(query, options)));
+        found += ids(await store.match(query, options)).filter(id => expected.has(id)).length;
+      }
+      return found / (queries.length * options.matchCount);
+    }
+
+    it('searches only the probed lists once the collection reaches minSize', async () => {
+      const store = await storeWith(vectors, { index: { minSize: 500, lists: 24, probes: 2 } });
+
+      await store.match(queries[0], options);
+
+      expect(store.index.size).toBe(600);
+      expect(store.index.candidates(queries[0]).length).toBeLessThan(200);
+    });
+
+    it('finds nearly every exact match with a few probes', async () => {
+      const store = await storeWith(vectors, { index: { minSize: 500, lists: 24, probes: 3 } });
+
+      expect(await recall(store)).toBeGreaterThanOrEqual(0.9);
+    });
+
+    it('matches exact search when every list is probed', async () => {
+      const store = await storeWith(vectors, { index: { minSize: 500, lists: 24, probes: 24 } });
+
+      expect(await recall(store)).toBe(1);
+    });
+
+    it('finds records added or deleted after the index was built', async () => {
+      const store = await storeWith(vectors, { index: { minSize: 500, lists: 24, probes: 3 } });
+      await store.match(queries[0], options);
+
+      await store.upsert({ id: 'late', embedding: queries[0], content: 'Added later' });
+      expect(ids(await store.match(queries[0], options))[0]).toBe('late');
+
+      await store.delete('late');
+      expect(ids(await store.match(queries[0], options))).not.toContain('late');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Memory System
+ *
+ * What agents take as `memory`: one object over the short-term, episodic
+ * and semantic memories. Every memory, this one included, implements the
+ * same interface, so any of them can stand in for another:
+ *
+ * - `store(input, options)` - keep an item; returns the stored MemoryItem
+ * - `retrieve(query, { maxTokens, limit, filter, signal })` - items relevant
+ *   to a query, best first, within a token budget
+ * - `forget(target)` - drop items by id, ids or filter; returns the count
+ * - `summarize(options)` - condense older items into one
+ *
+ * Items go to the memory their `type` names, episodic when none is given.
+ * Retrieval asks each memory and merges the results. Scores don't compare
+ * across memories (semantic ones are cosine similarities, the others
+ * keyword and recency heuristics), so each memory's are taken relative to
+ * its best match before the lists are merged.
+ *
+ * @example
+ * const memory = new MemorySystem({ embedder: universal, summarizer: modelSummarizer(universal) });
+ * const agent = new ReasoningAgent({ id: 'analyst', provider: universal, memory });
+ */
+
+import { ShortTermMemory } from './ShortTermMemory';
+import { EpisodicMemory } from './EpisodicMemory';
+import { SemanticMemory } from './SemanticMemory';
+import { fitToTokens } from './relevance';
+
+const DEFAULT_TYPE = 'episodic';
+
+export class MemorySystem {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.shortTerm] - Default: a ShortTermMemory
+   * @param {Object} [config.episodic] - Default: an EpisodicMemory
+   * @param {Object} [config.semantic] - Default: a SemanticMemory when an
+   *   `embedder` is given, otherwise none
+   * @param {Object|Function} [config.embedder] - For the default SemanticMemory
+   * @param {Object} [config.vectorStore] - For the default SemanticMemory
+   *   (default a LocalVectorStore)
+   * @param {Function} [config.summarizer] - For the default memories' summarize()
+   */
+  constructor(config = {}) {
+    const { summarizer, embedder, vectorStore } = config;
+
+    /** @type {Object<string, Object>} Keyed by MemoryItem type */
+    this.memories = {
+      'short-term': config.shortTerm || new ShortTermMemory({ summarizer }),
+      episodic: config.episodic || new EpisodicMemory({ summarizer })
+    };
+
+    const semantic = config.semantic || (embedder ? new SemanticMemory({ embedder, vectorStore, summarizer }) : null);
+    if (semantic) {
+      this.memories.semantic = semantic;
+    }
+  }
+
+  /**
+   * @param {string|Object} input - Text, or a partial MemoryItem whose
+   *   `type` picks the memory (default episodic)
+   * @param {Object} [options] - Handed to that memory
+   * @returns {Promise<MemoryItem>}
+   * @throws {Error} When there is no memory of that type
+   */
+  async store(input, options = {}) {
+    const type = (typeof input === 'object' && input?.type) || DEFAULT_TYPE;
+    return await this.memoryOf(type).store(input, options);
+  }
+
+  /**
+   * @param {string|Object} query - Text, a task, or an item
+   * @param {Object} [options] - RetrieveOptions, plus `types`, the memories
+   *   to search (default all); `limit` defaults to 10
+   * @returns {Promise<Array<MemoryItem>>} Best first across memories
+   */
+  async retrieve(query, options = {}) {
+    const { types, maxTokens, limit = 10, ...rest } = options;
+
+    const results = await Promise.all(
+      this.typesOf(types).map(type => this.memories[type].retrieve(query, { ...rest, limit }))
+    );
+
+    // The same text can be in more than one memory; keep its best match
+    const seen = new Set();
+    const merged = results
+      .flatMap(items => this.relativeScores(items))
+      .sort((a, b) => b.relative - a.relative)
+      .filter(({ item }) => {
+        if (seen.has(item.content)) return false;
+        seen.add(item.content);
+        return true;
+      })
+      .slice(0, limit)
+      .map(({ item }) => item);
+
+    return fitToTokens(merged, maxTokens);
+  }
+
+  /**
+   * One memory's results, each with its score as a fraction of the best
+   * one's; items keep the score their memory gave them
+   * @private
+   */
+  relativeScores(items) {
+    const best = Math.max(0, ...items.map(item => item.score ?? 0));
+    return items.map(item => ({ item, relative: best > 0 ? (item.score ?? 0) / best : 0 }));
+  }
+
+  /**
+   * @param {string|Array<string>|Object} target - An id, ids, or a filter
+   * @param {Object} [options]
+   * @param {Array<string>} [options.types] - Memories to forget from (default all)
+   * @returns {Promise<number>} How many items were forgotten
+   */
+  async forget(target, options = {}) {
+    const counts = await Promise.all(this.typesOf(options.types).map(type => this.memories[type].forget(target)));
+    return counts.reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Summarize each memory (see InProcessMemory.summarize)
+   * @param {Object} [options] - Handed to each memory, plus `types`
+   * @returns {Promise<Object<string, MemoryItem|null>>} The summary made in
+   *   each memory, by type
+   */
+  async summarize(options = {}) {
+    const { types, ...rest } = options;
+
+    const summaries = {};
+    for (const type of this.typesOf(types)) {
+      summaries[type] = await this.memories[type].summarize(rest);
+    }
+    return summaries;
+  }
+
+  /**
+   * @param {string} type
+   * @returns {Object}
+   * @throws {Error} When there is no memory of that type
+   */
+  memoryOf(type) {
+    const memory = this.memories[type];
+    if (!memory) {
+      throw new Error(`No ${type} memory configured`);
+    }
+    return memory;
+  }
+
+  /**
+   * @private
+   */
+  typesOf(types) {
+    if (!types) return Object.keys(this.memories);
+    types.forEach(type => this.memoryOf(type));
+    return types;
+  }
+}
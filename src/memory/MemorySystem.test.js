@@ -0,0 +1,52 @@
+import { MemorySystem } from './MemorySystem';
+
+// A memory that answers every query with fixed items
+const fixedMemory = items => ({ retrieve: jest.fn(async () => items) });
+
+const item = (content, score) => ({ id: content, content, score });
+
+describe('MemorySystem.retrieve', () => {
+  it('ranks each memory\'s results against its own best match', async () => {
+    // Cosine similarities sit in 0..1 while the heuristics run higher
+    const memory = new MemorySystem({
+      shortTerm: fixedMemory([]),
+      episodic: fixedMemory([item('met the client', 12), item('sent the invoice', 3)]),
+      semantic: fixedMemory([item('client prefers email', 0.9), item('client is in Berlin', 0.85)])
+    });
+
+    const results = await memory.retrieve('client');
+
+    expect(results.map(result => result.content)).toEqual([
+      'met the client',
+      'client prefers email',
+      'client is in Berlin',
+      'sent the invoice'
+    ]);
+    expect(results[1].score).toBe(0.9);
+  });
+
+  it('keeps one copy of text found in several memories, then applies the limit', async () => {
+    const memory = new MemorySystem({
+      shortTerm: fixedMemory([item('deploy on Friday', 5), item('standup moved', 4)]),
+      episodic: fixedMemory([item('deploy on Friday', 2)]),
+      semantic: fixedMemory([item('release checklist', 0.8)])
+    });
+
+    const results = await memory.retrieve('deploy', { limit: 2 });
+
+    expect(results.map(result => result.content)).toEqual(['deploy on Friday', 'release checklist']);
+    expect(results[0].score).toBe(5);
+  });
+
+  it('asks only the memories named in types', async () => {
+    const episodic = fixedMemory([item('met the client', 1)]);
+    const semantic = fixedMemory([item('client prefers email', 0.9)]);
+    const memory = new MemorySystem({ shortTerm: fixedMemory([]), episodic, semantic });
+
+    const results = await memory.retrieve('client', { types: ['semantic'], limit: 3 });
+
+    expect(results.map(result => result.content)).toEqual(['client prefers email']);
+    expect(episodic.retrieve).not.toHaveBeenCalled();
+    expect(semantic.retrieve).toHaveBeenCalledWith('client', { limit: 3 });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Semantic Memory
+ *
+ * Facts and concepts, found by meaning rather than wording: every item is
+ * embedded when stored, and retrieval ranks items by cosine similarity to
+ * the query's embedding. Thresholds and counts default to those of the
+ * `match_semantic_memory` database function (0.5 and 5).
+ *
+ * Items live in a vector store (see LocalVectorStore for the interface):
+ * a LocalVectorStore unless another is given, so the same memory runs on
+ * Supabase pgvector in production and in process in tests.
+ *
+ * Storing a fact that is nearly identical to one the same user already has
+ * refreshes the existing item instead of adding a duplicate.
+ *
+ * @example
+ * const semantic = new SemanticMemory({ embedder: universal });
+ * await semantic.store({ content: 'The billing API rate-limits at 100 rps', userId });
+ * await semantic.retrieve('how fast can we call billing?', { filter: { userId } });
+ */
+
+import { InProcessMemory } from './InProcessMemory';
+import { LocalVectorStore } from './LocalVectorStore';
+import { fitToTokens, queryText } from './relevance';
+
+export class SemanticMemory extends InProcessMemory {
+  /**
+   * @param {Object} config
+   * @param {Object|Function} config.embedder - Anything with `embed(texts,
+   *   options)` returning `{ embeddings }` (UniversalProvider), or a
+   *   function `(texts, options) => Promise<Array<Array<number>>>`
+   * @param {Object} [config.vectorStore] - Where items are kept (default a
+   *   new LocalVectorStore)
+   * @param {number} [config.matchThreshold] - Similarity a match must exceed (default 0.5)
+   * @param {number} [config.matchCount] - Default result count (default 5)
+   * @param {number} [config.duplicateThreshold] - Similarity at which a new
+   *   fact counts as one already stored (default 0.95)
+   * @param {Function} [config.summarizer] - For summarize()
+   */
+  constructor(config = {}) {
+    super('semantic', config);
+
+    if (!config.embedder) {
+      throw new Error('SemanticMemory needs an embedder');
+    }
+    this.embedder = config.embedder;
+    this.vectorStore = config.vectorStore || new LocalVectorStore();
+    this.matchThreshold = config.matchThreshold ?? 0.5;
+    this.matchCount = config.matchCount ?? 5;
+    this.duplicateThreshold = config.duplicateThreshold ?? 0.95;
+  }
+
+  /**
+   * @param {string|Object} input - Text, or a partial MemoryItem; an
+   *   `embedding` given with it is used as is
+   * @param {Object} [options] - `signal`
+   * @returns {Promise<MemoryItem>}
+   */
+  async store(input, options = {}) {
+    const item = this.createItem(input);
+    item.embedding = input.embedding || (await this.embed([item.content], options))[0];
+
+    const [duplicate] = await this.vectorStore.match(item.embedding, {
+      matchThreshold: this.duplicateThreshold,
+      matchCount: 1,
+      filterUserId: item.userId ?? null
+    });
+    if (duplicate && duplicate.userId === item.userId) {
+      const refreshed = {
+        ...duplicate,
+        // Stores needn't return embeddings from a match
+        embedding: duplicate.embedding || item.embedding,
+        metadata: { ...duplicate.metadata, ...item.metadata },
+        createdAt: item.createdAt
+      };
+      delete refreshed.similarity;
+      return this.publicItem(await this.vectorStore.upsert(refreshed));
+    }
+
+    return this.publicItem(await this.vectorStore.upsert(item));
+  }
+
+  /**
+   * @param {string|Object} query - Text, a task, or an item
+   * @param {Object} [options] - RetrieveOptions, plus `matchThreshold`;
+   *   `limit` defaults to `matchCount`, and `filter.userId` scopes the
+   *   search to one user
+   * @returns {Promise<Array<MemoryItem>>} Best first, `score` being the similarity
+   */
+  async retrieve(query, options = {}) {
+    const text = queryText(query);
+    if (!text) return [];
+
+    const [embedding] = await this.embed([text], options);
+    const matches = await this.vectorStore.match(embedding, {
+      matchThreshold: options.matchThreshold ?? this.matchThreshold,
+      matchCount: options.limit ?? this.matchCount,
+      filterUserId: options.filter?.userId ?? null,
+      filter: options.filter
+    });
+
+    return fitToTokens(matches.map(match => ({ ...this.publicItem(match), score: match.similarity })), options.maxTokens);
+  }
+
+  /**
+   * @param {string|Array<string>|Object} target - An id, ids, or a filter
+   * @returns {Promise<number>}
+   */
+  async forget(target) {
+    return await this.vectorStore.delete(target);
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @returns {Promise<Array<MemoryItem>>} Oldest first
+   */
+  async list(filter) {
+    const records = await this.vectorStore.list(filter);
+    return records.map(record => this.publicItem(record));
+  }
+
+  /**
+   * Undefined for vector stores that can't tell without a query
+   */
+  get size() {
+    return this.vectorStore.size;
+  }
+
+  async clear() {
+    await this.vectorStore.clear();
+  }
+
+  /**
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embed(texts, options = {}) {
+    if (typeof this.embedder === 'function') {
+      return await this.embedder(texts, { signal: options.signal });
+    }
+
+    const { embeddings } = await this.embedder.embed(texts, { signal: options.signal });
+    return embeddings;
+  }
+
+  /**
+   * Without the embedding, which callers rarely want and prompts never do
+   * @protected
+   */
+  publicItem(record) {
+    const item = { ...record, metadata: { ...record.metadata } };
+    delete item.embedding;
+    delete item.similarity;
+    return item;
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Short-term Memory
+ *
+ * The current conversation or task: a bounded list, in this process only.
+ * Recent items always come back, so retrieval ranks by recency first and
+ * keyword overlap second. Clear it (or forget a task's items) when the work
+ * is done.
+ */
+
+import { InProcessMemory } from './InProcessMemory';
+import { keywordScore } from './relevance';
+
+export class ShortTermMemory extends InProcessMemory {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.maxItems] - Default 50
+   * @param {Function} [config.summarizer] - For summarize()
+   */
+  constructor(config = {}) {
+    super('short-term', { maxItems: 50, ...config });
+  }
+
+  /**
+   * Newest scores highest; keyword overlap breaks near-ties
+   * @protected
+   */
+  score(item, queryTerms, { index, count }) {
+    const recency = count > 1 ? index / (count - 1) : 1;
+    return 0.1 + 0.6 * recency + 0.3 * keywordScore(queryTerms, item.content);
+  }
+}
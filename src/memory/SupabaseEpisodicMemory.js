@@ -0,0 +1,138 @@
+/**
+ * Supabase Episodic Memory
+ *
+ * EpisodicMemory kept in the `episodic_memory` table instead of in process:
+ * conversation turns and task outcomes survive restarts and are shared by
+ * every instance of the app. Retrieval scores the most recent rows matching
+ * the filter the same way EpisodicMemory does.
+ *
+ * Rows need a session and an agent; items without a `sessionId` go to this
+ * memory's session. Row Level Security only lets a user see their own
+ * rows, so `userId` should be the signed-in user's id.
+ *
+ * @example
+ * const episodic = new SupabaseEpisodicMemory({ client: supabase, userId: user.id });
+ * const memory = new MemorySystem({ episodic });
+ */
+
+import { createId } from '../utils/ids';
+import { estimateTokens } from '../utils/tokens';
+import { applyFilter, assertClient, run } from '../services/supabase';
+import { EpisodicMemory } from './EpisodicMemory';
+
+const TABLE = 'episodic_memory';
+
+export class SupabaseEpisodicMemory extends EpisodicMemory {
+  /**
+   * @param {Object} config - EpisodicMemory config, plus:
+   * @param {Object} config.client - Supabase client
+   * @param {string} [config.userId] - Written to every row
+   * @param {string} [config.sessionId] - For items without one (default a new id)
+   * @param {number} [config.maxCandidates] - Most recent rows retrieve()
+   *   scores (default 500)
+   */
+  constructor(config = {}) {
+    super(config);
+    assertClient(config.client, 'SupabaseEpisodicMemory');
+
+    this.client = config.client;
+    this.userId = config.userId ?? null;
+    this.sessionId = config.sessionId || createId();
+    this.maxCandidates = config.maxCandidates ?? 500;
+  }
+
+  /**
+   * @param {string|Object} input - Text, or a partial MemoryItem, which may
+   *   also carry `tokensUsed` and `costUsd` for the turn
+   * @returns {Promise<MemoryItem>}
+   * @throws {Error} When the item has no `agentId`
+   */
+  async store(input) {
+    const item = this.createItem(input);
+    if (!item.agentId) {
+      throw new Error('episodic_memory rows need an agentId');
+    }
+
+    const row = await run(
+      this.client.from(TABLE).insert({
+        id: item.id,
+        user_id: item.userId ?? this.userId,
+        session_id: item.sessionId ?? this.sessionId,
+        agent_id: item.agentId,
+        task_id: item.taskId ?? null,
+        role: item.role || 'assistant',
+        content: item.content,
+        metadata: item.metadata,
+        tokens_used: input.tokensUsed ?? null,
+        cost_usd: input.costUsd ?? null,
+        created_at: item.createdAt
+      }).select().single(),
+      `insert into ${TABLE}`
+    );
+    return this.itemOf(row);
+  }
+
+  /**
+   * The `maxCandidates` most recent matching rows
+   * @param {Object} [filter]
+   * @returns {Promise<Array<MemoryItem>>} Oldest first
+   */
+  async list(filter) {
+    const rows = await run(
+      applyFilter(this.client.from(TABLE).select('*'), filter)
+        .order('created_at', { ascending: false })
+        .limit(this.maxCandidates),
+      `select from ${TABLE}`
+    );
+    return rows.reverse().map(row => this.itemOf(row));
+  }
+
+  /**
+   * @param {string|Array<string>|Object} target - An id, ids, or a filter
+   * @returns {Promise<number>}
+   */
+  async forget(target) {
+    let query = this.client.from(TABLE).delete();
+    if (typeof target === 'string' || Array.isArray(target)) {
+      query = query.in('id', [].concat(target));
+    } else {
+      query = applyFilter(query, target);
+    }
+
+    const rows = await run(query.select('id'), `delete from ${TABLE}`);
+    return rows.length;
+  }
+
+  /**
+   * Forgets this memory's session
+   */
+  async clear() {
+    await this.forget({ sessionId: this.sessionId });
+  }
+
+  /**
+   * Unknown without a query
+   */
+  get size() {
+    return undefined;
+  }
+
+  /**
+   * @private
+   */
+  itemOf(row) {
+    return {
+      id: row.id,
+      type: this.type,
+      content: row.content,
+      role: row.role,
+      agentId: row.agent_id,
+      taskId: row.task_id ?? undefined,
+      sessionId: row.session_id,
+      userId: row.user_id ?? undefined,
+      metadata: { ...row.metadata },
+      tokens: estimateTokens(row.content),
+      createdAt: row.created_at
+    };
+  }
+}
@@ -0,0 +1,76 @@
+import { SupabaseEpisodicMemory } from './SupabaseEpisodicMemory';
+import { createFakeSupabase } from '../testing/fakeSupabase';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('SupabaseEpisodicMemory', () => {
+  let client;
+  let memory;
+
+  beforeEach(() => {
+    client = createFakeSupabase();
+    memory = new SupabaseEpisodicMemory({ client, userId: 'user-1', sessionId: 'session-1' });
+  });
+
+  it('inserts a row with a uuid id and returns the stored item', async () => {
+    const item = await memory.store({
+      content: 'Customer asked for a refund',
+      agentId: 'support',
+      role: 'user',
+      tokensUsed: 12
+    });
+
+    expect(item.id).toMatch(UUID);
+    expect(item).toEqual(expect.objectContaining({
+      type: 'episodic',
+      content: 'Customer asked for a refund',
+      agentId: 'support',
+      sessionId: 'session-1',
+      userId: 'user-1',
+      role: 'user'
+    }));
+    expect(client.tables.episodic_memory[0]).toEqual(expect.objectContaining({
+      id: item.id,
+      user_id: 'user-1',
+      session_id: 'session-1',
+      agent_id: 'support',
+      tokens_used: 12,
+      cost_usd: null
+    }));
+  });
+
+  it('needs an agentId', async () => {
+    await expect(memory.store('No agent')).rejects.toThrow('agentId');
+    expect(client.tables.episodic_memory).toBeUndefined();
+  });
+
+  it('lists the most recent matching rows, oldest first', async () => {
+    memory = new SupabaseEpisodicMemory({ client, sessionId: 'session-1', maxCandidates: 2 });
+    await memory.store({ content: 'first', agentId: 'support', createdAt: '2024-05-01T10:00:00.000Z' });
+    await memory.store({ content: 'second', agentId: 'support', createdAt: '2024-05-01T10:01:00.000Z' });
+    await memory.store({ content: 'other agent', agentId: 'billing', createdAt: '2024-05-01T10:02:00.000Z' });
+    await memory.store({ content: 'third', agentId: 'support', createdAt: '2024-05-01T10:03:00.000Z' });
+
+    const items = await memory.list({ agentId: 'support' });
+
+    expect(items.map(item => item.content)).toEqual(['second', 'third']);
+  });
+
+  it('retrieves stored turns by relevance', async () => {
+    await memory.store({ content: 'Customer asked for a refund', agentId: 'support' });
+    await memory.store({ content: 'Shipping address updated', agentId: 'support' });
+
+    const results = await memory.retrieve('refund request');
+
+    expect(results[0].content).toBe('Customer asked for a refund');
+  });
+
+  it('forgets its own session on clear', async () => {
+    await memory.store({ content: 'mine', agentId: 'support' });
+    await memory.store({ content: 'theirs', agentId: 'support', sessionId: 'session-2' });
+
+    await memory.clear();
+
+    expect(client.tables.episodic_memory.map(row => row.content)).toEqual(['theirs']);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Supabase Vector Store
+ *
+ * The vector store interface (see LocalVectorStore) over the
+ * `semantic_memory` table, searched with pgvector through the
+ * `match_semantic_memory` function. Give it to SemanticMemory as
+ * `vectorStore` to keep facts in Supabase.
+ *
+ * The function returns ids, content, metadata and similarity only, so a
+ * `filter` beyond `userId` is applied to its `matchCount` results and can
+ * leave fewer.
+ *
+ * @example
+ * const semantic = new SemanticMemory({
+ *   embedder: universal,
+ *   vectorStore: new SupabaseVectorStore({ client: supabase, userId: user.id })
+ * });
+ */
+
+import { applyFilter, assertClient, run } from '../services/supabase';
+import { matchesFilter } from './relevance';
+
+const TABLE = 'semantic_memory';
+const MATCH_FUNCTION = 'match_semantic_memory';
+
+export class SupabaseVectorStore {
+  /**
+   * @param {Object} config
+   * @param {Object} config.client - Supabase client
+   * @param {string} [config.userId] - Written to records that have none
+   */
+  constructor(config = {}) {
+    assertClient(config.client, 'SupabaseVectorStore');
+
+    this.client = config.client;
+    this.userId = config.userId ?? null;
+  }
+
+  /**
+   * @param {Object} record - With `id`, `embedding` and `content`
+   * @returns {Promise<Object>} The record
+   */
+  async upsert(record) {
+    if (!record?.id || !Array.isArray(record.embedding)) {
+      throw new Error('Vector store records need an id and an embedding');
+    }
+
+    const row = await run(
+      this.client.from(TABLE).upsert({
+        id: record.id,
+        user_id: record.userId ?? this.userId,
+        content: record.content,
+        embedding: record.embedding,
+        source: record.metadata?.source ?? null,
+        metadata: record.metadata || {},
+        created_at: record.createdAt
+      }).select().single(),
+      `upsert into ${TABLE}`
+    );
+    return { ...this.recordOf(row), embedding: record.embedding };
+  }
+
+  /**
+   * @param {Array<number>} embedding
+   * @param {MatchOptions} [options] - See LocalVectorStore
+   * @returns {Promise<Array<Object>>} Records with `similarity`, best first;
+   *   without their embeddings
+   */
+  async match(embedding, options = {}) {
+    const { matchThreshold = 0.5, matchCount = 5, filterUserId = null, filter } = options;
+
+    const rows = await run(
+      this.client.rpc(MATCH_FUNCTION, {
+        query_embedding: embedding,
+        match_threshold: matchThreshold,
+        match_count: matchCount,
+        filter_user_id: filterUserId
+      }),
+      MATCH_FUNCTION
+    );
+
+    return rows
+      .map(row => ({
+        id: row.id,
+        type: 'semantic',
+        content: row.content,
+        metadata: { ...row.metadata },
+        userId: filterUserId ?? undefined,
+        similarity: row.similarity
+      }))
+      .filter(record => matchesFilter(record, filter));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const rows = await run(this.client.from(TABLE).select('*').eq('id', id).limit(1), `select from ${TABLE}`);
+    return rows.length > 0 ? this.recordOf(rows[0]) : null;
+  }
+
+  /**
+   * @param {Object} [filter] - `userId` and `metadata` only
+   * @returns {Promise<Array<Object>>} Oldest first, without their embeddings
+   */
+  async list(filter) {
+    const rows = await run(
+      applyFilter(this.client.from(TABLE).select('id, user_id, content, source, metadata, created_at'), filter)
+        .order('created_at', { ascending: true }),
+      `select from ${TABLE}`
+    );
+    return rows.map(row => this.recordOf(row));
+  }
+
+  /**
+   * @param {string|Array<string>|Object} target - An id, ids, or a filter
+   * @returns {Promise<number>}
+   */
+  async delete(target) {
+    let query = this.client.from(TABLE).delete();
+    if (typeof target === 'string' || Array.isArray(target)) {
+      query = query.in('id', [].concat(target));
+    } else {
+      query = applyFilter(query, target);
+    }
+
+    const rows = await run(query.select('id'), `delete from ${TABLE}`);
+    return rows.length;
+  }
+
+  /**
+   * Deletes this store's user's records
+   */
+  async clear() {
+    if (!this.userId) {
+      throw new Error('SupabaseVectorStore.clear() needs a userId');
+    }
+    await this.delete({ userId: this.userId });
+  }
+
+  /**
+   * @private
+   */
+  recordOf(row) {
+    return {
+      id: row.id,
+      type: 'semantic',
+      content: row.content,
+      userId: row.user_id ?? undefined,
+      metadata: { ...row.metadata },
+      createdAt: row.created_at
+    };
+  }
+}
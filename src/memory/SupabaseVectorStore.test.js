@@ -0,0 +1,60 @@
+import { SupabaseVectorStore } from './SupabaseVectorStore';
+import { SupabaseError } from '../services/supabase';
+import { createFakeSupabase } from '../testing/fakeSupabase';
+
+const matches = [
+  { id: 'fact-1', content: 'Invoices are due in 30 days', metadata: { source: 'policy' }, similarity: 0.92 },
+  { id: 'fact-2', content: 'Refunds take 5 days', metadata: { source: 'faq' }, similarity: 0.81 }
+];
+
+describe('SupabaseVectorStore', () => {
+  it('matches through match_semantic_memory', async () => {
+    const client = createFakeSupabase({ functions: { match_semantic_memory: () => matches } });
+    const rpc = jest.spyOn(client, 'rpc');
+    const store = new SupabaseVectorStore({ client });
+
+    const records = await store.match([0.1, 0.2, 0.3], { matchThreshold: 0.8, matchCount: 2, filterUserId: 'user-1' });
+
+    expect(rpc).toHaveBeenCalledWith('match_semantic_memory', {
+      query_embedding: [0.1, 0.2, 0.3],
+      match_threshold: 0.8,
+      match_count: 2,
+      filter_user_id: 'user-1'
+    });
+    expect(records).toEqual([
+      { id: 'fact-1', type: 'semantic', content: 'Invoices are due in 30 days', metadata: { source: 'policy' }, userId: 'user-1', similarity: 0.92 },
+      { id: 'fact-2', type: 'semantic', content: 'Refunds take 5 days', metadata: { source: 'faq' }, userId: 'user-1', similarity: 0.81 }
+    ]);
+  });
+
+  it('applies a metadata filter to the matches', async () => {
+    const client = createFakeSupabase({ functions: { match_semantic_memory: () => matches } });
+    const store = new SupabaseVectorStore({ client });
+
+    const records = await store.match([0.1], { filter: { metadata: { source: 'faq' } } });
+
+    expect(records.map(record => record.id)).toEqual(['fact-2']);
+  });
+
+  it('throws a SupabaseError when the function is missing', async () => {
+    const store = new SupabaseVectorStore({ client: createFakeSupabase() });
+
+    await expect(store.match([0.1])).rejects.toBeInstanceOf(SupabaseError);
+  });
+
+  it('upserts records and reads them back without their embeddings', async () => {
+    const client = createFakeSupabase();
+    const store = new SupabaseVectorStore({ client, userId: 'user-1' });
+
+    await store.upsert({ id: 'fact-1', content: 'Old wording', embedding: [0.1, 0.2], metadata: { source: 'policy' } });
+    await store.upsert({ id: 'fact-1', content: 'Invoices are due in 30 days', embedding: [0.1, 0.3], metadata: { source: 'policy' } });
+
+    expect(client.tables.semantic_memory).toHaveLength(1);
+    expect(await store.get('fact-1')).toEqual(expect.objectContaining({
+      content: 'Invoices are due in 30 days',
+      userId: 'user-1',
+      metadata: { source: 'policy' }
+    }));
+    expect(await store.get('fact-1')).not.toHaveProperty('embedding');
+  });
+});
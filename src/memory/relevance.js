@@ -0,0 +1,122 @@
+/**
+ * Relevance helpers shared by the memory implementations: keyword overlap
+ * and recency for text memories, cosine similarity for embeddings, and
+ * fitting results into a token budget.
+ */
+
+import { estimateTokens } from '../utils/tokens';
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'his', 'how', 'its', 'may', 'who', 'did', 'get', 'let', 'put', 'say', 'she',
+  'too', 'use', 'that', 'with', 'have', 'this', 'will', 'your', 'from', 'they', 'been', 'were',
+  'what', 'when', 'which', 'their', 'there', 'would', 'about', 'into', 'then', 'than', 'them',
+  'these', 'those', 'some', 'such', 'each', 'also', 'should', 'could', 'please'
+]);
+
+/**
+ * The text to search memory for: a string, a task's description, or an
+ * item's content
+ * @param {string|Object} query
+ * @returns {string}
+ */
+export function queryText(query) {
+  if (typeof query === 'string') return query;
+  return query?.description ?? query?.content ?? '';
+}
+
+/**
+ * @param {string} text
+ * @returns {Set<string>} Lowercase words of three letters or more, minus
+ *   stop words
+ */
+export function termsOf(text) {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return new Set(words.filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+}
+
+/**
+ * Share of the query's terms that appear in `text`
+ * @param {Set<string>} queryTerms - termsOf(query)
+ * @param {string} text
+ * @returns {number} 0 to 1
+ */
+export function keywordScore(queryTerms, text) {
+  if (queryTerms.size === 0) return 0;
+
+  const textTerms = termsOf(text);
+  let hits = 0;
+  for (const term of queryTerms) {
+    if (textTerms.has(term)) hits++;
+  }
+  return hits / queryTerms.size;
+}
+
+/**
+ * 1 for now, halving every `halfLife` ms
+ * @param {string} createdAt - ISO timestamp
+ * @param {number} halfLife - Milliseconds
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function recencyScore(createdAt, halfLife, now = Date.now()) {
+  const age = Math.max(0, now - new Date(createdAt).getTime());
+  return Math.pow(0.5, age / halfLife);
+}
+
+/**
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number} -1 to 1; 0 when either vector is empty or zero
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Exact match on every field the filter sets; `metadata` matches key by key
+ * @param {Object} item
+ * @param {Object} [filter] - e.g. `{ sessionId, agentId, metadata: { kind } }`
+ * @returns {boolean}
+ */
+export function matchesFilter(item, filter = {}) {
+  return Object.entries(filter).every(([key, expected]) => {
+    if (expected === undefined) return true;
+    if (key === 'metadata') {
+      return Object.entries(expected).every(([field, value]) => item.metadata?.[field] === value);
+    }
+    return item[key] === expected;
+  });
+}
+
+/**
+ * The items, best first, that fit in `maxTokens`; one too big for what's
+ * left is skipped so smaller ones after it still get in
+ * @param {Array<Object>} items - With `tokens`
+ * @param {number} [maxTokens]
+ * @returns {Array<Object>}
+ */
+export function fitToTokens(items, maxTokens) {
+  if (maxTokens === undefined) return items;
+
+  const fitted = [];
+  let used = 0;
+  for (const item of items) {
+    const tokens = item.tokens ?? estimateTokens(item.content);
+    if (used + tokens > maxTokens) continue;
+
+    fitted.push(item);
+    used += tokens;
+  }
+  return fitted;
+}
@@ -1,30 +1,70 @@
 ﻿import Anthropic from '@anthropic-ai/sdk';
 import { logger } from '../utils/logger';
+import { classifyError } from './errors';
+import { modelCatalog } from './ModelCatalog';
+
+const ERROR_KINDS = {
+  rate_limit_error: 'rate-limited',
+  overloaded_error: 'overloaded',
+  api_error: 'overloaded',
+  authentication_error: 'auth',
+  permission_error: 'auth',
+  not_found_error: 'invalid-request',
+  request_too_large: 'context-length-exceeded'
+};
 
 export class AnthropicProvider {
   constructor(config) {
+    const catalog = config.catalog || modelCatalog;
+
     this.name = 'anthropic';
     this.version = '1.0';
     this.client = new Anthropic({
-      apiKey: config.apiKey
+      apiKey: config.apiKey,
+      // UniversalProvider's retry policy owns retries
+      maxRetries: 0
     });
-    this.supportedModels = [
-      'claude-opus-4',
-      'claude-sonnet-4',
-      'claude-haiku-4'
-    ];
+    this.defaultModel = config.defaultModel || catalog.getDefaultModel('anthropic');
+    this.supportedModels = config.models || catalog.list({ provider: 'anthropic' }).map(model => model.id);
+  }
+
+  async complete(request, options = {}) {
+    const response = await this.client.messages.create(this.buildParams(request), {
+      signal: options.signal
+    });
+
+    return response;
   }
 
-  async complete(request) {
-    const response = await this.client.messages.create({
-      model: request.model || 'claude-sonnet-4',
+  async *stream(request, options = {}) {
+    const stream = await this.client.messages.create({
+      ...this.buildParams(request),
+      stream: true
+    }, { signal: options.signal });
+
+    for await (const event of stream) {
+      yield event;
+    }
+  }
+
+  buildParams(request) {
+    return {
+      model: request.model || this.defaultModel,
       max_tokens: request.maxTokens || 4096,
       system: request.system,
       messages: request.messages,
-      temperature: request.temperature
-    });
+      temperature: request.temperature,
+      tools: request.tools,
+      tool_choice: request.toolChoice
+    };
+  }
 
-    return response;
+  /**
+   * invalid_request_error covers both bad requests and an over-long prompt,
+   * so it is left to the message heuristics
+   */
+  classifyError(error) {
+    return classifyError(error, this.name, ERROR_KINDS[error.error?.error?.type]);
   }
 
   isAvailable() {
@@ -0,0 +1,282 @@
+/**
+ * Capability Router
+ *
+ * Picks the provider and model for a request from what it needs rather than
+ * from a provider name. Requirements are declared per call and topped up
+ * from the request itself (image parts need vision, tools need tool use,
+ * the prompt plus output allowance must fit the context window).
+ *
+ * Every registered provider is checked against the model catalog; the
+ * eligible ones are ranked, one model each, in provider preference order
+ * (the default provider, then the fallback order). Within a provider its
+ * default model wins if eligible, otherwise its cheapest eligible model.
+ *
+ * With a routing strategy every eligible model is scored instead (see
+ * RoutingStrategy), and providers are ranked by their best-scoring model.
+ *
+ * @example
+ * const response = await universal.complete(request, {
+ *   requirements: { vision: true, minContextWindow: 100000, maxCostPer1K: 0.01 }
+ * });
+ * response.routing.reason; // why this provider and model
+ */
+
+import { CapabilityNotSupportedError } from './errors';
+import { LATENCY_CLASSES } from './ModelCatalog';
+import { RoutingStrategy } from './RoutingStrategy';
+import { estimateRequestTokens } from '../utils/tokens';
+
+/**
+ * @typedef {Object} Requirements
+ * @property {boolean} [vision]
+ * @property {boolean} [documents]
+ * @property {boolean} [tools]
+ * @property {boolean} [jsonMode] - Native JSON mode (completeStructured works without it)
+ * @property {boolean} [streaming] - Real streaming, not simulated
+ * @property {number} [minContextWindow] - Tokens
+ * @property {number} [maxCostPer1K] - USD per 1K tokens, averaging the input
+ *   and output prices
+ * @property {'fast'|'standard'|'slow'} [latencyClass] - Slowest class acceptable
+ */
+
+// Requirement flag -> capability name used by supports()
+const CAPABILITY_FLAGS = {
+  vision: 'vision',
+  documents: 'documents',
+  tools: 'tool-use',
+  jsonMode: 'json-mode',
+  streaming: 'streaming'
+};
+
+export class CapabilityRouter {
+  /**
+   * @param {UniversalProvider} universal - Registry, catalog and capability checks
+   */
+  constructor(universal) {
+    this.universal = universal;
+  }
+
+  /**
+   * @param {Object} request - Completion request
+   * @param {Object} options - complete() options; `requirements`, `strategy`
+   *   (name, weights or RoutingStrategy), and `provider` to choose only among
+   *   that provider's models
+   * @returns {{ requirements: Requirements, strategy: string|null, candidates: Array<Object>, rejected: Array<Object> }}
+   *   Candidates are `{ provider, model, reason }` (plus `score` and `scores`
+   *   under a strategy), best first
+   * @throws {CapabilityNotSupportedError} When nothing registered qualifies
+   */
+  route(request, options = {}) {
+    const requirements = this.requirementsFor(request, options.requirements);
+    const strategy = options.strategy ? RoutingStrategy.from(options.strategy) : null;
+    const order = options.provider ? [options.provider] : this.preferenceOrder();
+    let candidates = [];
+    const rejected = [];
+    const skipped = [];
+    const scored = [];
+
+    for (const name of order) {
+      const provider = this.universal.providers.get(name);
+      if (!provider) continue;
+
+      const healthy = this.universal.isHealthy(name);
+      const eligible = [];
+
+      for (const model of this.modelsOf(provider, request.model, !!options.provider)) {
+        const unmet = this.unmetRequirements(provider, model, requirements);
+        if (!healthy) unmet.push('circuit open');
+
+        if (unmet.length === 0) {
+          eligible.push(model);
+        } else {
+          rejected.push({ provider: name, model, unmet });
+        }
+      }
+
+      if (eligible.length === 0) {
+        skipped.push(name);
+      } else if (strategy) {
+        scored.push(...eligible.map(model => this.describeCandidate(name, provider, model)));
+      } else {
+        candidates.push(this.pickModel(name, provider, eligible, this.describeRank(name, candidates, skipped)));
+      }
+    }
+
+    if (strategy) {
+      candidates = this.rankByStrategy(strategy, scored);
+    }
+
+    if (candidates.length === 0) {
+      throw new CapabilityNotSupportedError('No registered provider meets the requirements', {
+        requirements,
+        rejected
+      });
+    }
+
+    return { requirements, strategy: strategy?.name ?? null, candidates, rejected };
+  }
+
+  /**
+   * Declared requirements plus those the request implies
+   * @returns {Requirements}
+   */
+  requirementsFor(request, declared = {}) {
+    const parts = request.messages.flatMap(msg => Array.isArray(msg.content) ? msg.content : []);
+    const inferred = {};
+
+    if (parts.some(part => part.type === 'image')) inferred.vision = true;
+    if (parts.some(part => part.type === 'document')) inferred.documents = true;
+    if (request.tools?.length && request.toolChoice !== 'none') inferred.tools = true;
+
+    return {
+      ...inferred,
+      ...declared,
+      minContextWindow: Math.max(
+        declared.minContextWindow || 0,
+        estimateRequestTokens(request) + (request.maxTokens ?? 0)
+      )
+    };
+  }
+
+  /**
+   * @returns {Array<string>} Reasons `model` on `provider` doesn't qualify;
+   *   empty when it does
+   */
+  unmetRequirements(provider, model, requirements) {
+    const { catalog } = this.universal;
+    const unmet = [];
+
+    for (const [flag, capability] of Object.entries(CAPABILITY_FLAGS)) {
+      if (requirements[flag] && !this.universal.supports(provider, capability, model)) {
+        unmet.push(`no ${capability}`);
+      }
+    }
+
+    const contextWindow = catalog.getContextWindow(model) ?? this.universal.contextWindow;
+    if (contextWindow < requirements.minContextWindow) {
+      unmet.push(`context window ${contextWindow} < ${requirements.minContextWindow}`);
+    }
+
+    if (requirements.maxCostPer1K !== undefined) {
+      const price = this.pricePer1K(model);
+      if (price === null) {
+        unmet.push('no pricing');
+      } else if (price > requirements.maxCostPer1K) {
+        unmet.push(`$${price}/1K > $${requirements.maxCostPer1K}/1K`);
+      }
+    }
+
+    if (requirements.latencyClass) {
+      const latencyClass = catalog.get(model)?.latencyClass || 'standard';
+      if (LATENCY_CLASSES.indexOf(latencyClass) > LATENCY_CLASSES.indexOf(requirements.latencyClass)) {
+        unmet.push(`${latencyClass} latency`);
+      }
+    }
+
+    return unmet;
+  }
+
+  /**
+   * Why `name` is where it is in the candidate list
+   */
+  describeRank(name, candidates, skipped) {
+    if (candidates.length > 0) {
+      return `${name} is next in preference order`;
+    }
+    if (skipped.length > 0) {
+      return `${name} is the first qualifying provider (${skipped.join(', ')} did not qualify)`;
+    }
+    return `${name} is the preferred provider`;
+  }
+
+  /**
+   * The provider's default model if eligible, else its cheapest eligible one
+   */
+  pickModel(name, provider, eligible, rank) {
+    const defaultModel = this.universal.getDefaultModel(provider);
+
+    if (eligible.includes(defaultModel)) {
+      return { provider: name, model: defaultModel, reason: `${rank}; ${defaultModel} is its default model` };
+    }
+
+    const price = model => this.pricePer1K(model) ?? Infinity;
+    const cheapest = [...eligible].sort((a, b) => price(a) - price(b))[0];
+
+    return {
+      provider: name,
+      model: cheapest,
+      reason: `${rank}; ${cheapest} is its cheapest model that meets the requirements`
+    };
+  }
+
+  /**
+   * What a strategy scores a model on
+   */
+  describeCandidate(name, provider, model) {
+    const { catalog, metrics } = this.universal;
+
+    return {
+      provider: name,
+      model,
+      pricePer1K: catalog.getPricePer1K(model),
+      latencyClass: catalog.get(model)?.latencyClass || 'standard',
+      stats: metrics.getStats(provider.name, model)
+    };
+  }
+
+  /**
+   * Each provider's best-scoring model, best provider first
+   */
+  rankByStrategy(strategy, scored) {
+    const seen = new Set();
+    const candidates = [];
+
+    for (const ranked of strategy.rank(scored)) {
+      if (seen.has(ranked.provider)) continue;
+      seen.add(ranked.provider);
+
+      const place = candidates.length === 0
+        ? `scored best under ${strategy.name}`
+        : `is next best under ${strategy.name}`;
+      const measured = strategy.describe(ranked);
+
+      candidates.push({
+        provider: ranked.provider,
+        model: ranked.model,
+        score: ranked.score,
+        scores: ranked.scores,
+        reason: `${ranked.provider}/${ranked.model} ${place} (score ${ranked.score.toFixed(2)}` +
+          (measured ? `; ${measured})` : ')')
+      });
+    }
+    return candidates;
+  }
+
+  /**
+   * Default provider first, then the fallback order (or registration order)
+   */
+  preferenceOrder() {
+    const { defaultProvider, fallbackOrder, providers } = this.universal;
+    const order = [defaultProvider, ...(fallbackOrder || []), ...providers.keys()];
+
+    return [...new Set(order)].filter(name => name && providers.has(name));
+  }
+
+  /**
+   * A pinned model, or the provider's default followed by its other models.
+   * A pinned model is only offered on providers that serve it, unless the
+   * caller chose the provider too.
+   */
+  modelsOf(provider, pinnedModel, providerChosen) {
+    if (pinnedModel) {
+      return providerChosen || this.universal.serves(provider, pinnedModel) ? [pinnedModel] : [];
+    }
+
+    const defaultModel = this.universal.getDefaultModel(provider);
+    return [...new Set([defaultModel, ...(provider.supportedModels || [])])].filter(Boolean);
+  }
+
+  pricePer1K(model) {
+    return this.universal.catalog.getPricePer1K(model);
+  }
+}
@@ -0,0 +1,156 @@
+import { UniversalProvider } from './UniversalProvider';
+import { ModelCatalog } from './ModelCatalog';
+import { CapabilityNotSupportedError } from './errors';
+
+function mockProvider(name, defaultModel, supportedModels) {
+  return {
+    name,
+    protocol: 'local',
+    defaultModel,
+    supportedModels,
+    isAvailable: () => true,
+    complete: jest.fn(async request => ({
+      model: request.model,
+      message: { content: `${name} answer` },
+      done_reason: 'stop',
+      prompt_eval_count: 10,
+      eval_count: 5
+    }))
+  };
+}
+
+const hello = { messages: [{ role: 'user', content: 'Hello' }] };
+const withImage = {
+  messages: [{ role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image', data: 'aGk=', mediaType: 'image/png' }] }]
+};
+
+describe('CapabilityRouter', () => {
+  let universal;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const catalog = new ModelCatalog().extend({
+      'alpha-small': { provider: 'local', contextWindow: 8000, pricing: { input: 1, output: 1 }, latencyClass: 'fast', capabilities: ['streaming'] },
+      'alpha-vision': { provider: 'local', contextWindow: 32000, pricing: { input: 2, output: 2 }, capabilities: ['streaming', 'vision', 'tool-use'] },
+      'alpha-premium': { provider: 'local', contextWindow: 32000, pricing: { input: 8, output: 8 }, capabilities: ['streaming', 'vision', 'tool-use'] },
+      'beta-large': { provider: 'local', contextWindow: 128000, pricing: { input: 10, output: 30 }, latencyClass: 'slow', capabilities: ['streaming', 'vision', 'tool-use', 'json-mode'] }
+    });
+    universal = new UniversalProvider({ catalog, retryPolicy: { maxRetries: 0 } });
+    universal.register('alpha', mockProvider('alpha', 'alpha-small', ['alpha-small', 'alpha-premium', 'alpha-vision']));
+    universal.register('beta', mockProvider('beta', 'beta-large', ['beta-large']));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('offers each provider\'s default model in preference order', () => {
+    const { candidates, rejected } = universal.router.route(hello);
+
+    expect(candidates).toEqual([
+      { provider: 'alpha', model: 'alpha-small', reason: 'alpha is the preferred provider; alpha-small is its default model' },
+      { provider: 'beta', model: 'beta-large', reason: 'beta is next in preference order; beta-large is its default model' }
+    ]);
+    expect(rejected).toEqual([]);
+  });
+
+  it('infers requirements from the request and takes the cheapest model that meets them', () => {
+    const { requirements, candidates, rejected } = universal.router.route({ ...withImage, maxTokens: 1000 });
+
+    expect(requirements).toEqual(expect.objectContaining({ vision: true }));
+    expect(requirements.minContextWindow).toBeGreaterThan(2000);
+    expect(candidates[0]).toEqual({
+      provider: 'alpha',
+      model: 'alpha-vision',
+      reason: 'alpha is the preferred provider; alpha-vision is its cheapest model that meets the requirements'
+    });
+    expect(rejected).toEqual([{ provider: 'alpha', model: 'alpha-small', unmet: ['no vision'] }]);
+  });
+
+  it('rejects models over the context, cost or latency limits, saying why', () => {
+    const { candidates, rejected } = universal.router.route(hello, { requirements: { minContextWindow: 100000 } });
+
+    expect(candidates.map(c => `${c.provider}/${c.model}`)).toEqual(['beta/beta-large']);
+    expect(candidates[0].reason).toBe('beta is the first qualifying provider (alpha did not qualify); beta-large is its default model');
+    expect(rejected[0]).toEqual({ provider: 'alpha', model: 'alpha-small', unmet: ['context window 8000 < 100000'] });
+
+    const cheap = universal.router.route(hello, { requirements: { maxCostPer1K: 0.0015, latencyClass: 'standard' } });
+    expect(cheap.candidates.map(c => c.model)).toEqual(['alpha-small']);
+    expect(cheap.rejected).toEqual(expect.arrayContaining([
+      { provider: 'alpha', model: 'alpha-vision', unmet: ['$0.002/1K > $0.0015/1K'] },
+      { provider: 'beta', model: 'beta-large', unmet: ['$0.02/1K > $0.0015/1K', 'slow latency'] }
+    ]));
+  });
+
+  it('fails with every rejection when nothing qualifies', () => {
+    let error;
+    try {
+      universal.router.route(hello, { requirements: { jsonMode: true, maxCostPer1K: 0.01 } });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(CapabilityNotSupportedError);
+    expect(error.details.rejected).toHaveLength(4);
+    expect(error.details.rejected).toContainEqual({ provider: 'beta', model: 'beta-large', unmet: ['$0.02/1K > $0.01/1K'] });
+  });
+
+  it('skips providers whose circuit is open', () => {
+    jest.spyOn(universal, 'isHealthy').mockImplementation(name => name !== 'alpha');
+
+    const { candidates, rejected } = universal.router.route(hello);
+
+    expect(candidates.map(c => c.provider)).toEqual(['beta']);
+    expect(rejected).toContainEqual({ provider: 'alpha', model: 'alpha-small', unmet: ['circuit open'] });
+  });
+
+  it('offers a pinned model only where it is served, unless the provider is chosen too', () => {
+    jest.spyOn(universal, 'serves').mockImplementation((provider, model) => provider.supportedModels.includes(model));
+
+    expect(universal.router.route({ ...hello, model: 'beta-large' }).candidates.map(c => c.provider)).toEqual(['beta']);
+    expect(universal.router.route({ ...hello, model: 'beta-large' }, { provider: 'alpha' }).candidates)
+      .toEqual([expect.objectContaining({ provider: 'alpha', model: 'beta-large' })]);
+  });
+
+  it('ranks providers by their best model under a strategy', () => {
+    const { strategy, candidates } = universal.router.route(withImage, { strategy: 'cost-optimized' });
+
+    expect(strategy).toBe('cost-optimized');
+    expect(candidates.map(c => `${c.provider}/${c.model}`)).toEqual(['alpha/alpha-vision', 'beta/beta-large']);
+    expect(candidates[0].reason).toMatch(/^alpha\/alpha-vision scored best under cost-optimized \(score 0\.\d\d; \$0\.002\/1K/);
+    expect(candidates[1].reason).toMatch(/^beta\/beta-large is next best under cost-optimized/);
+    expect(candidates[0].score).toBeGreaterThan(candidates[1].score);
+    expect(Object.keys(candidates[0].scores)).toEqual(['cost', 'reliability', 'latency', 'quality']);
+  });
+
+  it('routes away from a model that keeps failing', () => {
+    for (let i = 0; i < 20; i++) {
+      universal.metrics.recordFailure('alpha', 'alpha-vision', { kind: 'server' });
+      universal.metrics.recordFailure('alpha', 'alpha-premium', { kind: 'server' });
+    }
+
+    const { candidates } = universal.router.route(withImage, { strategy: { reliability: 1 } });
+
+    expect(candidates[0]).toEqual(expect.objectContaining({ provider: 'beta', model: 'beta-large' }));
+    expect(candidates[1].reason).toMatch(/100% errors over 20 calls/);
+  });
+
+  it('explains the choice on a routed response', async () => {
+    const response = await universal.complete(withImage, { requirements: { tools: true } });
+
+    expect(universal.getProvider('alpha').complete).toHaveBeenCalledWith(
+      expect.objectContaining({ model: 'alpha-vision' }),
+      expect.anything()
+    );
+    expect(response.routing).toEqual(expect.objectContaining({
+      provider: 'alpha',
+      model: 'alpha-vision',
+      strategy: null,
+      requirements: expect.objectContaining({ vision: true, tools: true }),
+      rejected: [{ provider: 'alpha', model: 'alpha-small', unmet: ['no vision', 'no tool-use'] }],
+      failed: []
+    }));
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Cassette Provider
+ *
+ * Record/replay wrapper around a UniversalProvider (or anything with the same
+ * `complete(request, options)` signature) for deterministic, offline tests.
+ *
+ * Modes:
+ * - `record`: call through and save normalized request/response pairs,
+ *   replacing whatever the cassette held before
+ * - `replay`: serve recorded responses, calling through only when nothing matches
+ * - `strict`: serve recorded responses and fail on any unmatched request
+ *
+ * Each recording is served once, in order, so a pipeline that now makes a
+ * call one more time than when it was recorded is unmatched too.
+ *
+ * @example
+ * const provider = new CassetteProvider({
+ *   cassette: 'tests/fixtures/cassettes/reasoning-agent.json',
+ *   mode: process.env.RECORD_CASSETTES ? 'record' : 'strict',
+ *   inner: process.env.RECORD_CASSETTES ? initializeProviders() : null
+ * });
+ */
+
+import { logger } from '../utils/logger';
+import { stableStringify } from '../utils/stableStringify';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile';
+import { completeStructured } from './structuredOutput';
+import { DEFAULT_CONTEXT_WINDOW, modelCatalog } from './ModelCatalog';
+
+const CASSETTE_VERSION = 1;
+
+const DEFAULT_MATCH_FIELDS = ['provider', 'model', 'systemPrompt', 'messages', 'tools'];
+
+export class CassetteProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.cassette - Path of the cassette JSON file
+   * @param {'record'|'replay'|'strict'} [config.mode] - Defaults to replay
+   * @param {Object} [config.inner] - Provider to call through to (required for record)
+   * @param {Array<string>|Function} [config.match] - Request fields that must be
+   *   equal for a recording to match, or `(recorded, incoming) => boolean`
+   */
+  constructor(config) {
+    this.name = 'cassette';
+    this.cassette = config.cassette;
+    this.mode = config.mode || 'replay';
+    this.inner = config.inner || null;
+    this.match = config.match || DEFAULT_MATCH_FIELDS;
+    this.interactions = null;
+    this.used = new Set();
+
+    if (!['record', 'replay', 'strict'].includes(this.mode)) {
+      throw new Error(`Unknown cassette mode: ${this.mode}`);
+    }
+
+    if (this.mode === 'record' && !this.inner) {
+      throw new Error('Cassette record mode needs an inner provider');
+    }
+  }
+
+  async complete(request, options = {}) {
+    await this.load();
+
+    const incoming = this.toRecordedRequest(request, options);
+
+    if (this.mode === 'record') {
+      return await this.record(incoming, request, options);
+    }
+
+    const interaction = this.findInteraction(incoming);
+
+    if (interaction) {
+      logger.debug('Cassette replaying response', { cassette: this.cassette });
+      this.emitDeltas(interaction.response, options);
+      return JSON.parse(JSON.stringify(interaction.response));
+    }
+
+    if (this.mode === 'strict' || !this.inner) {
+      const replayed = this.countMatches(incoming);
+      throw new CassetteMismatchError(
+        replayed > 0
+          ? `All ${replayed} recorded responses in ${this.cassette} that match the request were already replayed`
+          : `No recorded response in ${this.cassette} matches the request`,
+        { cassette: this.cassette, request: incoming, replayed }
+      );
+    }
+
+    logger.warn('Cassette has no match, calling through', { cassette: this.cassette });
+    return await this.inner.complete(request, options);
+  }
+
+  /**
+   * Same contract as UniversalProvider.completeStructured(); every attempt,
+   * repairs included, is recorded and replayed like any other call
+   */
+  async completeStructured(request, schema, options = {}) {
+    return await completeStructured(this, request, schema, options);
+  }
+
+  /**
+   * Agents size their context from this, so it works without an inner
+   * provider too
+   */
+  getContextWindow(model) {
+    return this.inner?.getContextWindow?.(model) ??
+      modelCatalog.getContextWindow(model) ??
+      DEFAULT_CONTEXT_WINDOW;
+  }
+
+  async record(incoming, request, options) {
+    const response = await this.inner.complete(request, options);
+
+    this.interactions.push({
+      request: incoming,
+      response,
+      recordedAt: new Date().toISOString()
+    });
+    await this.save();
+
+    return response;
+  }
+
+  /**
+   * Recordings are consumed in order, so a pipeline that sends the same
+   * prompt twice gets both answers back
+   * @returns {Object|null} The first matching recording not yet replayed
+   */
+  findInteraction(incoming) {
+    for (const [index, interaction] of this.interactions.entries()) {
+      if (this.used.has(index) || !this.matches(interaction.request, incoming)) continue;
+
+      this.used.add(index);
+      return interaction;
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  countMatches(incoming) {
+    return this.interactions.filter(interaction => this.matches(interaction.request, incoming)).length;
+  }
+
+  matches(recorded, incoming) {
+    if (typeof this.match === 'function') {
+      return this.match(recorded, incoming);
+    }
+
+    return this.match.every(field =>
+      stableStringify(recorded[field]) === stableStringify(incoming[field])
+    );
+  }
+
+  toRecordedRequest(request, options) {
+    // Plain JSON only: callbacks and signals can't be recorded
+    return JSON.parse(JSON.stringify({
+      ...request,
+      provider: options.provider
+    }));
+  }
+
+  /**
+   * Replayed responses still reach streaming callers, as a single delta
+   */
+  emitDeltas(response, options) {
+    if (!options.onDelta) return;
+
+    if (response.content) {
+      options.onDelta({ type: 'text', text: response.content, provider: response.provider });
+    }
+    for (const toolCall of response.toolCalls || []) {
+      options.onDelta({ type: 'tool_call', toolCall, provider: response.provider });
+    }
+    options.onDelta({ type: 'usage', usage: response.usage, provider: response.provider });
+    options.onDelta({
+      type: 'finish',
+      provider: response.provider,
+      model: response.model,
+      finishReason: response.finishReason
+    });
+  }
+
+  async load() {
+    if (this.interactions) return;
+
+    // Recording always starts a fresh cassette rather than appending to a stale one
+    if (this.mode === 'record') {
+      this.interactions = [];
+      return;
+    }
+
+    const data = await readJsonFile(this.cassette, { version: CASSETTE_VERSION, interactions: [] });
+    this.interactions = data.interactions || [];
+  }
+
+  async save() {
+    await writeJsonFile(this.cassette, {
+      version: CASSETTE_VERSION,
+      interactions: this.interactions
+    });
+  }
+
+  /**
+   * Recorded interactions that were never replayed; useful for asserting a
+   * pipeline still makes every call it used to
+   * @returns {Array<Object>}
+   */
+  getUnusedInteractions() {
+    return (this.interactions || []).filter((_, index) => !this.used.has(index));
+  }
+
+  isAvailable() {
+    return true;
+  }
+}
+
+/**
+ * Thrown in strict mode (or replay without an inner provider) when no
+ * recording matches
+ */
+export class CassetteMismatchError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CassetteMismatchError';
+    this.details = details;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { CassetteProvider, CassetteMismatchError } from './CassetteProvider';
+
+const reply = content => ({
+  content,
+  model: 'claude-3-5-haiku-20241022',
+  provider: 'anthropic',
+  usage: { inputTokens: 10, outputTokens: 5, totalTokens: 15 },
+  finishReason: 'stop',
+  toolCalls: []
+});
+
+const ask = content => ({ messages: [{ role: 'user', content }], maxTokens: 100 });
+
+// Answers with its replies in turn
+const scripted = (...replies) => ({ complete: jest.fn(async () => reply(replies.shift())) });
+
+describe('CassetteProvider', () => {
+  let dir;
+  let cassette;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cassette-'));
+    cassette = path.join(dir, 'cassettes', 'pipeline.json');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function recordPipeline() {
+    const recorder = new CassetteProvider({ cassette, mode: 'record', inner: scripted('Paris', 'Berlin', 'Paris again') });
+    await recorder.complete(ask('Capital of France?'));
+    await recorder.complete(ask('Capital of Germany?'));
+    await recorder.complete(ask('Capital of France?'));
+  }
+
+  it('records through the inner provider, then replays the same answers offline', async () => {
+    await recordPipeline();
+
+    const saved = JSON.parse(await fs.readFile(cassette, 'utf8'));
+    expect(saved.version).toBe(1);
+    expect(saved.interactions.map(interaction => interaction.response.content)).toEqual(['Paris', 'Berlin', 'Paris again']);
+
+    const player = new CassetteProvider({ cassette, mode: 'strict' });
+    expect((await player.complete(ask('Capital of Germany?'))).content).toBe('Berlin');
+    expect((await player.complete(ask('Capital of France?'))).content).toBe('Paris');
+    expect((await player.complete(ask('Capital of France?'))).content).toBe('Paris again');
+    expect(player.getUnusedInteractions()).toEqual([]);
+  });
+
+  it('fails a call made once more than when recording in strict mode', async () => {
+    await recordPipeline();
+    const player = new CassetteProvider({ cassette, mode: 'strict' });
+    await player.complete(ask('Capital of France?'));
+    await player.complete(ask('Capital of France?'));
+
+    const error = await player.complete(ask('Capital of France?')).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(CassetteMismatchError);
+    expect(error.details.replayed).toBe(2);
+  });
+
+  it('starts a fresh cassette each time it records', async () => {
+    await recordPipeline();
+
+    const recorder = new CassetteProvider({ cassette, mode: 'record', inner: scripted('Rome') });
+    await recorder.complete(ask('Capital of Italy?'));
+
+    const saved = JSON.parse(await fs.readFile(cassette, 'utf8'));
+    expect(saved.interactions.map(interaction => interaction.response.content)).toEqual(['Rome']);
+  });
+
+  it('fails a request nothing recorded matches in strict mode', async () => {
+    await recordPipeline();
+    const player = new CassetteProvider({ cassette, mode: 'strict', inner: scripted('Madrid') });
+
+    const error = await player.complete({ ...ask('Capital of France?'), tools: [{ name: 'search' }] })
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(CassetteMismatchError);
+    expect(error.details.request.tools).toEqual([{ name: 'search' }]);
+    expect(player.inner.complete).not.toHaveBeenCalled();
+  });
+
+  it('calls through on a mismatch in replay mode', async () => {
+    await recordPipeline();
+    const inner = scripted('Madrid');
+    const player = new CassetteProvider({ cassette, mode: 'replay', inner });
+
+    expect((await player.complete(ask('Capital of Spain?'))).content).toBe('Madrid');
+    expect(inner.complete).toHaveBeenCalledTimes(1);
+    expect(player.getUnusedInteractions()).toHaveLength(3);
+  });
+
+  it('calls through once the matching recordings are used up in replay mode', async () => {
+    await recordPipeline();
+    const inner = scripted('Berlin, live');
+    const player = new CassetteProvider({ cassette, mode: 'replay', inner });
+
+    expect((await player.complete(ask('Capital of Germany?'))).content).toBe('Berlin');
+    expect((await player.complete(ask('Capital of Germany?'))).content).toBe('Berlin, live');
+    expect(inner.complete).toHaveBeenCalledTimes(1);
+  });
+
+  it('streams a replayed response to onDelta', async () => {
+    await recordPipeline();
+    const deltas = [];
+
+    await new CassetteProvider({ cassette, mode: 'strict' }).complete(ask('Capital of Germany?'), {
+      onDelta: delta => deltas.push(delta.type)
+    });
+
+    expect(deltas).toEqual(['text', 'usage', 'finish']);
+  });
+});
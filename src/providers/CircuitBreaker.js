@@ -0,0 +1,159 @@
+/**
+ * Circuit Breaker
+ *
+ * Tracks one provider's health so a provider that keeps failing stops
+ * receiving traffic for a while instead of timing out every request.
+ *
+ * - `closed`: requests flow; consecutive failures are counted
+ * - `open`: requests are refused until the cooldown has passed
+ * - `half-open`: a limited number of probe requests decide whether to close
+ *   again or reopen
+ */
+
+import { logger } from '../utils/logger';
+
+// Failures caused by the request itself say nothing about provider health
+const IGNORED_KINDS = ['invalid-request', 'context-length-exceeded', 'content-filtered'];
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Provider name, for logs
+   * @param {Object} [config]
+   * @param {number} [config.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [config.cooldown] - Milliseconds to stay open before probing
+   * @param {number} [config.halfOpenProbes] - Concurrent probes allowed while half-open
+   * @param {number} [config.successThreshold] - Probe successes needed to close
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.failureThreshold = config.failureThreshold ?? 5;
+    this.cooldown = config.cooldown ?? 30000;
+    this.halfOpenProbes = config.halfOpenProbes ?? 1;
+    this.successThreshold = config.successThreshold ?? 1;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.successes = 0;
+    this.probesInFlight = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether a request may go through now. In half-open state this reserves
+   * a probe slot, so every `true` must be followed by recordSuccess() or
+   * recordFailure().
+   * @returns {boolean}
+   */
+  tryAcquire() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.cooldown) {
+        return false;
+      }
+      this.transition('half-open');
+    }
+
+    if (this.state === 'half-open') {
+      if (this.probesInFlight >= this.halfOpenProbes) {
+        return false;
+      }
+      this.probesInFlight++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether tryAcquire() would currently succeed, without reserving anything
+   * @returns {boolean}
+   */
+  isAvailable() {
+    if (this.state === 'open') {
+      return Date.now() - this.openedAt >= this.cooldown;
+    }
+    return this.state === 'closed' || this.probesInFlight < this.halfOpenProbes;
+  }
+
+  recordSuccess() {
+    if (this.state === 'half-open') {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      this.successes++;
+
+      if (this.successes >= this.successThreshold) {
+        this.transition('closed');
+      }
+      return;
+    }
+
+    this.failures = 0;
+  }
+
+  /**
+   * The caller gave up, so the call says nothing either way; just free the
+   * probe slot it may hold
+   */
+  recordCancelled() {
+    if (this.state === 'half-open') {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+    }
+  }
+
+  recordFailure(error) {
+    if (IGNORED_KINDS.includes(error?.kind)) {
+      // The provider answered; a half-open probe still proved it's reachable
+      if (this.state === 'half-open') {
+        this.recordSuccess();
+      }
+      return;
+    }
+
+    this.lastError = error?.message || String(error);
+
+    if (this.state === 'half-open') {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      this.transition('open');
+      return;
+    }
+
+    this.failures++;
+    if (this.state === 'closed' && this.failures >= this.failureThreshold) {
+      this.transition('open');
+    }
+  }
+
+  transition(state) {
+    if (state === 'open') {
+      logger.warn(`Circuit for provider ${this.name} opened`, {
+        failures: this.failures,
+        cooldown: this.cooldown,
+        lastError: this.lastError
+      });
+    } else if (state === 'closed' && this.state !== 'closed') {
+      logger.info(`Circuit for provider ${this.name} closed`);
+    }
+
+    this.state = state;
+    this.successes = 0;
+
+    if (state === 'open') {
+      this.openedAt = Date.now();
+    } else if (state === 'closed') {
+      this.failures = 0;
+      this.probesInFlight = 0;
+      this.openedAt = null;
+    }
+  }
+
+  /**
+   * @returns {Object} `{ state, failures, openedAt, retryAt, lastError }`
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+      retryAt: this.state === 'open' ? this.openedAt + this.cooldown : null,
+      lastError: this.lastError
+    };
+  }
+}
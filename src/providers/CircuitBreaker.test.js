@@ -0,0 +1,118 @@
+import { CircuitBreaker } from './CircuitBreaker';
+
+const outage = Object.assign(new Error('Service unavailable'), { kind: 'overloaded' });
+const badRequest = Object.assign(new Error('Invalid request'), { kind: 'invalid-request' });
+
+describe('CircuitBreaker', () => {
+  let now;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function openBreaker(config = {}) {
+    const breaker = new CircuitBreaker('anthropic', { failureThreshold: 2, cooldown: 5000, ...config });
+    breaker.recordFailure(outage);
+    breaker.recordFailure(outage);
+    return breaker;
+  }
+
+  it('opens after failureThreshold consecutive failures', () => {
+    const breaker = new CircuitBreaker('anthropic', { failureThreshold: 3 });
+
+    breaker.recordFailure(outage);
+    breaker.recordFailure(outage);
+    breaker.recordSuccess();
+    breaker.recordFailure(outage);
+    breaker.recordFailure(outage);
+    expect(breaker.state).toBe('closed');
+
+    breaker.recordFailure(outage);
+    expect(breaker.state).toBe('open');
+    expect(breaker.getState()).toEqual({
+      state: 'open',
+      failures: 3,
+      openedAt: now,
+      retryAt: now + 30000,
+      lastError: 'Service unavailable'
+    });
+  });
+
+  it('refuses requests until the cooldown has passed, then lets probes through', () => {
+    const breaker = openBreaker({ halfOpenProbes: 2 });
+
+    now += 4999;
+    expect(breaker.isAvailable()).toBe(false);
+    expect(breaker.tryAcquire()).toBe(false);
+
+    now += 1;
+    expect(breaker.isAvailable()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.isAvailable()).toBe(false);
+    expect(breaker.tryAcquire()).toBe(false);
+  });
+
+  it('closes once enough probes succeed', () => {
+    const breaker = openBreaker({ successThreshold: 2 });
+    now += 5000;
+
+    breaker.tryAcquire();
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('half-open');
+
+    breaker.tryAcquire();
+    breaker.recordSuccess();
+    expect(breaker.getState()).toEqual(expect.objectContaining({ state: 'closed', failures: 0, openedAt: null }));
+  });
+
+  it('reopens for another cooldown when a probe fails', () => {
+    const breaker = openBreaker();
+    now += 5000;
+
+    breaker.tryAcquire();
+    breaker.recordFailure(outage);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.getState().retryAt).toBe(now + 5000);
+    expect(breaker.tryAcquire()).toBe(false);
+  });
+
+  it('ignores failures the request itself caused', () => {
+    const breaker = new CircuitBreaker('anthropic', { failureThreshold: 1 });
+
+    breaker.recordFailure(badRequest);
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+  });
+
+  it('counts an answered probe as a success, even when the request was bad', () => {
+    const breaker = openBreaker();
+    now += 5000;
+
+    breaker.tryAcquire();
+    breaker.recordFailure(badRequest);
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('frees the probe slot of a cancelled call without deciding anything', () => {
+    const breaker = openBreaker();
+    now += 5000;
+
+    expect(breaker.tryAcquire()).toBe(true);
+    breaker.recordCancelled();
+
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+});
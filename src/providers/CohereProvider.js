@@ -0,0 +1,84 @@
+import { CohereClient } from 'cohere-ai';
+import { classifyError } from './errors';
+import { modelCatalog } from './ModelCatalog';
+
+export class CohereProvider {
+  constructor(config) {
+    const catalog = config.catalog || modelCatalog;
+
+    this.name = 'cohere';
+    this.version = '1.0';
+    this.apiKey = config.apiKey;
+    this.client = new CohereClient({
+      token: config.apiKey,
+      // UniversalProvider's retry policy owns retries
+      maxRetries: 0
+    });
+    this.defaultModel = config.defaultModel || catalog.getDefaultModel('cohere');
+    this.supportedModels = config.models || catalog.list({ provider: 'cohere' }).map(model => model.id);
+    this.capabilities = new Set(['streaming', 'tool-use']);
+  }
+
+  async complete(request, options = {}) {
+    const response = await this.client.chat(this.buildParams(request), {
+      abortSignal: options.signal
+    });
+
+    return response;
+  }
+
+  async *stream(request, options = {}) {
+    const stream = await this.client.chatStream(this.buildParams(request), {
+      abortSignal: options.signal
+    });
+
+    for await (const event of stream) {
+      yield event;
+    }
+  }
+
+  // Cohere takes the latest message separately from the history, and the
+  // system prompt as a preamble. When the latest message holds tool
+  // results, they go in toolResults and the message is left empty.
+  buildParams(request) {
+    const history = request.messages.slice(0, -1);
+    const lastMessage = request.messages[request.messages.length - 1];
+    const toolResults = lastMessage.toolResults;
+
+    return {
+      model: request.model || this.defaultModel,
+      maxTokens: request.maxTokens || 4096,
+      message: toolResults ? '' : this.textOf(lastMessage.content),
+      chatHistory: history.map(msg => (msg.toolResults
+        ? { role: msg.role, toolResults: msg.toolResults }
+        : { role: msg.role, message: this.textOf(msg.content), toolCalls: msg.toolCalls })),
+      preamble: request.system,
+      temperature: request.temperature,
+      tools: request.tools,
+      toolResults
+    };
+  }
+
+  // Cohere messages are text only
+  textOf(content) {
+    if (!Array.isArray(content)) return content ?? '';
+
+    return content
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+
+  hasCapability(capability) {
+    return this.capabilities.has(capability);
+  }
+
+  classifyError(error) {
+    const kind = error.name === 'CohereTimeoutError' ? 'network' : undefined;
+    return classifyError(error, this.name, kind);
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * @jest-environment node
+ */
+import { CohereProvider } from './CohereProvider';
+import { UniversalProvider } from './UniversalProvider';
+
+const weatherTool = {
+  name: 'get_weather',
+  description: 'Current weather for a city',
+  parameters: {
+    type: 'object',
+    properties: {
+      city: { type: 'string', description: 'City name' },
+      days: { type: 'integer' },
+      units: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['city']
+  }
+};
+
+function chatResponse(fields) {
+  return { finishReason: 'COMPLETE', meta: { billedUnits: { inputTokens: 12, outputTokens: 4 } }, ...fields };
+}
+
+describe('CohereProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    provider = new CohereProvider({ apiKey: 'test-key', defaultModel: 'command-r' });
+    provider.client.chat = jest.fn();
+    provider.client.chatStream = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends the text parts of the latest message', async () => {
+    provider.client.chat.mockResolvedValue(chatResponse({ text: 'Hi' }));
+
+    await provider.complete({
+      messages: [
+        { role: 'USER', content: 'Hello' },
+        { role: 'CHATBOT', content: 'Hi, how can I help?' },
+        { role: 'USER', content: [{ type: 'text', text: 'Describe' }, { type: 'text', text: 'this' }] }
+      ],
+      system: 'Be brief'
+    });
+
+    expect(provider.client.chat).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'command-r',
+      message: 'Describe\nthis',
+      chatHistory: [
+        { role: 'USER', message: 'Hello', toolCalls: undefined },
+        { role: 'CHATBOT', message: 'Hi, how can I help?', toolCalls: undefined }
+      ],
+      preamble: 'Be brief'
+    }), expect.anything());
+  });
+
+  describe('through UniversalProvider', () => {
+    function createUniversal() {
+      const universal = new UniversalProvider({ retryPolicy: { maxRetries: 0 } });
+      universal.register('cohere', provider);
+      return universal;
+    }
+
+    it('offers tools as parameter definitions and returns the calls', async () => {
+      provider.client.chat.mockResolvedValue(chatResponse({
+        text: '',
+        toolCalls: [{ name: 'get_weather', parameters: { city: 'Oslo' } }]
+      }));
+
+      const response = await createUniversal().complete({
+        messages: [{ role: 'user', content: 'Weather in Oslo?' }],
+        tools: [weatherTool]
+      });
+
+      const params = provider.client.chat.mock.calls[0][0];
+      expect(params.tools).toEqual([{
+        name: 'get_weather',
+        description: 'Current weather for a city',
+        parameterDefinitions: {
+          city: { description: 'City name', type: 'str', required: true },
+          days: { description: undefined, type: 'int', required: false },
+          units: { description: undefined, type: 'List[str]', required: false }
+        }
+      }]);
+      expect(response.toolCalls).toEqual([{ id: 'call_0', name: 'get_weather', arguments: { city: 'Oslo' } }]);
+    });
+
+    it('sends tool results for the calls they answer, with an empty message', async () => {
+      provider.client.chat.mockResolvedValue(chatResponse({ text: 'Oslo: 4°C, rain; Bergen: 7°C' }));
+
+      const response = await createUniversal().complete({
+        messages: [
+          { role: 'user', content: 'Weather in Oslo and Bergen?' },
+          {
+            role: 'assistant',
+            content: 'Looking both up.',
+            toolCalls: [
+              { id: 'call_0', name: 'get_weather', arguments: { city: 'Oslo' } },
+              { id: 'call_1', name: 'get_weather', arguments: { city: 'Bergen' } }
+            ]
+          },
+          { role: 'tool', toolCallId: 'call_0', name: 'get_weather', content: { temperature: 4, sky: 'rain' } },
+          { role: 'tool', toolCallId: 'call_1', name: 'get_weather', content: '7°C' }
+        ],
+        tools: [weatherTool]
+      });
+
+      const params = provider.client.chat.mock.calls[0][0];
+      expect(params.message).toBe('');
+      expect(params.chatHistory).toEqual([
+        { role: 'USER', message: 'Weather in Oslo and Bergen?', toolCalls: undefined },
+        {
+          role: 'CHATBOT',
+          message: 'Looking both up.',
+          toolCalls: [
+            { name: 'get_weather', parameters: { city: 'Oslo' } },
+            { name: 'get_weather', parameters: { city: 'Bergen' } }
+          ]
+        }
+      ]);
+      expect(params.toolResults).toEqual([
+        { call: { name: 'get_weather', parameters: { city: 'Oslo' } }, outputs: [{ temperature: 4, sky: 'rain' }] },
+        { call: { name: 'get_weather', parameters: { city: 'Bergen' } }, outputs: [{ result: '7°C' }] }
+      ]);
+      expect(response.content).toBe('Oslo: 4°C, rain; Bergen: 7°C');
+    });
+
+    it('keeps earlier tool results in the history', async () => {
+      provider.client.chat.mockResolvedValue(chatResponse({ text: 'It is raining.' }));
+
+      await createUniversal().complete({
+        messages: [
+          { role: 'user', content: 'Weather in Oslo?' },
+          { role: 'assistant', content: '', toolCalls: [{ id: 'call_0', name: 'get_weather', arguments: { city: 'Oslo' } }] },
+          { role: 'tool', toolCallId: 'call_0', name: 'get_weather', content: 'rain' },
+          { role: 'user', content: 'Answer now.' }
+        ],
+        tools: [weatherTool]
+      });
+
+      const params = provider.client.chat.mock.calls[0][0];
+      expect(params.message).toBe('Answer now.');
+      expect(params.toolResults).toBeUndefined();
+      expect(params.chatHistory[2]).toEqual({
+        role: 'TOOL',
+        toolResults: [{ call: { name: 'get_weather', parameters: { city: 'Oslo' } }, outputs: [{ result: 'rain' }] }]
+      });
+    });
+
+    it('streams tool calls once they are generated', async () => {
+      provider.client.chatStream.mockResolvedValue((async function* events() {
+        yield { eventType: 'stream-start', generationId: 'gen-1' };
+        yield { eventType: 'tool-calls-chunk', toolCallDelta: { index: 0, name: 'get_weather' } };
+        yield { eventType: 'tool-calls-generation', toolCalls: [{ name: 'get_weather', parameters: { city: 'Oslo' } }] };
+        yield { eventType: 'stream-end', finishReason: 'COMPLETE', response: chatResponse({ text: '' }) };
+      })());
+
+      const events = [];
+      for await (const event of createUniversal().stream({
+        messages: [{ role: 'user', content: 'Weather in Oslo?' }],
+        tools: [weatherTool]
+      })) {
+        events.push(event);
+      }
+
+      expect(events.filter(event => event.type === 'tool_call').map(event => event.toolCall)).toEqual([
+        { id: 'call_0', name: 'get_weather', arguments: { city: 'Oslo' } }
+      ]);
+      expect(events.find(event => event.type === 'usage').usage).toEqual(expect.objectContaining({
+        inputTokens: 12,
+        outputTokens: 4
+      }));
+    });
+  });
+});
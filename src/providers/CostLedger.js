@@ -0,0 +1,325 @@
+/**
+ * Cost Ledger
+ *
+ * Records every vendor call with the model that actually ran, its token use
+ * and its cost, priced from the model catalog, and enforces spending budgets.
+ *
+ * Budgets are in USD and apply per scope:
+ * - `session`: everything one `sessionId` spends
+ * - `agent`: what one `agentId` spends in a UTC day
+ * - `daily`: everything spent in a UTC day
+ *
+ * Crossing a `soft` limit logs a warning (and calls `onWarning`). A call that
+ * could take a scope past its `hard` limit, judged by its worst-case cost
+ * (estimated input plus the full output allowance), is refused with a
+ * BudgetExceededError before it reaches the vendor. A call that passes
+ * holds that worst case against its scopes until record() books its real
+ * cost or release() gives it back, so calls in flight at the same time
+ * can't all spend the same headroom.
+ *
+ * Hard limits only hold if every call can be priced, so by default a call to
+ * a model the catalog has no pricing for is refused while any hard limit
+ * applies to it. Price such models through `ai.models` (local models at 0),
+ * or set `unpricedPolicy: 'allow'` to let them through at $0.
+ *
+ * @example
+ * const ledger = new CostLedger({
+ *   budgets: {
+ *     session: { soft: 0.5, hard: 2 },
+ *     daily: { soft: 10, hard: 25 }
+ *   }
+ * });
+ * const provider = new UniversalProvider({ ledger });
+ * await provider.complete(request, { agentId: 'reasoner-1', sessionId });
+ */
+
+import { logger } from '../utils/logger';
+import { BudgetExceededError } from './errors';
+import { modelCatalog } from './ModelCatalog';
+
+const SCOPES = ['session', 'agent', 'daily'];
+
+/**
+ * @typedef {Object} CostEntry
+ * @property {string} provider
+ * @property {string} model - As reported by the vendor
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} totalTokens
+ * @property {number} costUsd - 0 when the catalog has no pricing for the model
+ * @property {string} [agentId]
+ * @property {string} [taskId]
+ * @property {string} [sessionId]
+ * @property {boolean} [estimated] - Usage was estimated, not reported (a
+ *   hedged call cancelled in flight)
+ * @property {string} createdAt - ISO timestamp
+ */
+
+export class CostLedger {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.budgets] - `{ session, agent, daily }`, each `{ soft, hard }` in USD
+   * @param {ModelCatalog} [config.catalog] - Defaults to the shared modelCatalog
+   * @param {Object} [config.store] - Persists entries: async `append(entry)`
+   * @param {Function} [config.onWarning] - Called with each soft or hard limit crossed
+   * @param {'refuse'|'allow'} [config.unpricedPolicy] - Calls to unpriced models
+   *   while a hard limit applies: refused (default) or let through at $0
+   * @param {number} [config.maxEntries] - Entries kept in memory for getEntries()
+   *   (default 10000); budget totals are kept separately and stay exact
+   */
+  constructor(config = {}) {
+    this.budgets = config.budgets || {};
+    this.catalog = config.catalog || modelCatalog;
+    this.store = config.store || null;
+    this.onWarning = config.onWarning || null;
+    this.unpricedPolicy = config.unpricedPolicy || 'refuse';
+    this.maxEntries = config.maxEntries ?? 10000;
+
+    this.entries = [];
+    // Spend per budget key, e.g. 'session:abc' or 'daily:2024-05-01'
+    this.spent = new Map();
+    // Worst-case cost of the calls in flight, per budget key
+    this.reserved = new Map();
+    this.unpriced = new Set();
+  }
+
+  /**
+   * Refuse a call that could push any scope past its hard limit, counting
+   * the calls still in flight, or whose cost can't be known while one
+   * applies; otherwise reserve its worst-case cost
+   * @param {Object} call - `model`, `agentId`, `sessionId`
+   * @param {{ inputTokens: number, outputTokens: number }} estimate - Worst-case token use
+   * @returns {Object} The reservation, for record() or release()
+   * @throws {BudgetExceededError}
+   */
+  assertWithinBudget(call, estimate) {
+    const estimated = this.catalog.calculateCost(call.model, estimate);
+    const keys = this.budgetKeys(call);
+
+    for (const { scope, key } of keys) {
+      const limit = this.budgets[scope]?.hard;
+      if (limit === undefined || limit === null) continue;
+
+      const spent = this.spent.get(key) || 0;
+      const reserved = this.reserved.get(key) || 0;
+      if (estimated === null) {
+        if (this.unpricedPolicy === 'allow') continue;
+        throw new BudgetExceededError(
+          `No pricing for model ${call.model}, so the ${scope} budget of $${limit} can't be enforced; ` +
+            'add its pricing under ai.models',
+          { scope, key, limit, spent, model: call.model, unpriced: true }
+        );
+      }
+      if (spent + reserved + estimated > limit) {
+        throw new BudgetExceededError(
+          `${scope} budget of $${limit} would be exceeded`,
+          { scope, key, limit, spent, reserved, estimated }
+        );
+      }
+    }
+
+    const reservation = { keys: keys.map(({ key }) => key), amount: estimated ?? 0, released: false };
+    for (const key of reservation.keys) {
+      this.reserved.set(key, (this.reserved.get(key) || 0) + reservation.amount);
+    }
+    return reservation;
+  }
+
+  /**
+   * Give back what a call reserved, when it failed or its cost was booked;
+   * releasing twice is harmless
+   * @param {Object} [reservation] - From assertWithinBudget()
+   */
+  release(reservation) {
+    if (!reservation || reservation.released) return;
+
+    reservation.released = true;
+    for (const key of reservation.keys) {
+      const left = (this.reserved.get(key) || 0) - reservation.amount;
+      if (left > 1e-12) {
+        this.reserved.set(key, left);
+      } else {
+        this.reserved.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Record a completed call
+   * @param {Object} call - `provider`, `model`, `agentId`, `taskId`, `sessionId`
+   * @param {Object} usage - Normalized usage: inputTokens, outputTokens,
+   *   totalTokens, and `estimated` when the vendor never reported it
+   * @param {Object} [reservation] - The call's, from assertWithinBudget();
+   *   replaced by the real cost
+   * @returns {CostEntry}
+   */
+  record(call, usage = {}, reservation) {
+    this.release(reservation);
+    const cost = this.catalog.calculateCost(call.model, usage);
+
+    if (cost === null && !this.unpriced.has(call.model)) {
+      this.unpriced.add(call.model);
+      logger.warn(`No pricing for model ${call.model}; its calls are recorded at $0`, {
+        provider: call.provider
+      });
+    }
+
+    const entry = {
+      provider: call.provider,
+      model: call.model,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      totalTokens: usage.totalTokens || 0,
+      costUsd: cost ?? 0,
+      agentId: call.agentId,
+      taskId: call.taskId,
+      sessionId: call.sessionId,
+      ...(usage.estimated && { estimated: true }),
+      createdAt: new Date().toISOString()
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    for (const { scope, key } of this.budgetKeys(call)) {
+      const before = this.spent.get(key) || 0;
+      const after = before + entry.costUsd;
+      this.spent.set(key, after);
+      this.checkLimits(scope, key, before, after);
+    }
+
+    this.persist(entry);
+    return entry;
+  }
+
+  /**
+   * Warn once per limit, when a call crosses it
+   */
+  checkLimits(scope, key, before, after) {
+    for (const level of ['soft', 'hard']) {
+      const limit = this.budgets[scope]?.[level];
+      if (limit === undefined || limit === null || before >= limit || after < limit) continue;
+
+      const warning = { scope, key, level, limit, spent: after };
+      logger.warn(`Spending reached the ${level} ${scope} budget of $${limit}`, warning);
+      this.onWarning?.(warning);
+    }
+  }
+
+  /**
+   * The store is for reporting; a failed write must never fail the call
+   */
+  async persist(entry) {
+    if (!this.store) return;
+
+    try {
+      await this.store.append(entry);
+    } catch (error) {
+      logger.warn('Cost ledger store write failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Budget keys a call counts against; calls without a session or agent id
+   * only count against the daily budget
+   */
+  budgetKeys(call) {
+    const day = new Date().toISOString().slice(0, 10);
+    const keys = [];
+
+    if (call.sessionId) keys.push({ scope: 'session', key: `session:${call.sessionId}` });
+    if (call.agentId) keys.push({ scope: 'agent', key: `agent:${call.agentId}:${day}` });
+    keys.push({ scope: 'daily', key: `daily:${day}` });
+
+    return keys;
+  }
+
+  /**
+   * USD spent so far in one scope
+   * @param {'session'|'agent'|'daily'} scope
+   * @param {string} [id] - Session or agent id (not needed for daily)
+   * @returns {number}
+   */
+  getSpent(scope, id) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown budget scope: ${scope}`);
+    }
+
+    const day = new Date().toISOString().slice(0, 10);
+    const key = {
+      session: `session:${id}`,
+      agent: `agent:${id}:${day}`,
+      daily: `daily:${day}`
+    }[scope];
+
+    return this.spent.get(key) || 0;
+  }
+
+  /**
+   * @param {Object} [filter] - Any of provider, model, agentId, taskId, sessionId
+   * @returns {Array<CostEntry>} Recorded entries, oldest first
+   */
+  getEntries(filter = {}) {
+    return this.entries
+      .filter(entry => Object.entries(filter).every(([field, value]) => entry[field] === value))
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * @returns {Object} Total cost and tokens, broken down by provider, model,
+   *   agent and session, over the entries still in memory
+   */
+  getSummary() {
+    const summary = {
+      totalCost: 0,
+      totalTokens: 0,
+      requests: this.entries.length,
+      byProvider: {},
+      byModel: {},
+      byAgent: {},
+      bySession: {}
+    };
+    const add = (group, name, entry) => {
+      if (!name) return;
+      const totals = group[name] || (group[name] = { requests: 0, totalTokens: 0, cost: 0 });
+      totals.requests++;
+      totals.totalTokens += entry.totalTokens;
+      totals.cost += entry.costUsd;
+    };
+
+    for (const entry of this.entries) {
+      summary.totalCost += entry.costUsd;
+      summary.totalTokens += entry.totalTokens;
+      add(summary.byProvider, entry.provider, entry);
+      add(summary.byModel, entry.model, entry);
+      add(summary.byAgent, entry.agentId, entry);
+      add(summary.bySession, entry.sessionId, entry);
+    }
+
+    return summary;
+  }
+}
+
+/**
+ * A ledger entry as a `cost_tracking` row (see SupabaseDatabaseSchema.sql)
+ * @param {CostEntry} entry
+ * @param {string} [userId]
+ * @returns {Object}
+ */
+export function toCostTrackingRow(entry, userId) {
+  return {
+    user_id: userId,
+    provider: entry.provider,
+    model: entry.model,
+    tokens_input: entry.inputTokens,
+    tokens_output: entry.outputTokens,
+    tokens_total: entry.totalTokens,
+    cost_usd: entry.costUsd,
+    agent_id: entry.agentId ?? null,
+    task_id: entry.taskId ?? null,
+    session_id: entry.sessionId ?? null,
+    created_at: entry.createdAt
+  };
+}
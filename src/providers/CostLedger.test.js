@@ -0,0 +1,146 @@
+import { CostLedger } from './CostLedger';
+import { BudgetExceededError } from './errors';
+
+// claude-sonnet-4 is $3 in / $15 out per million tokens
+const MODEL = 'claude-sonnet-4';
+const call = (fields = {}) => ({ provider: 'anthropic', model: MODEL, sessionId: 's1', agentId: 'a1', ...fields });
+const usage = (inputTokens, outputTokens) => ({ inputTokens, outputTokens, totalTokens: inputTokens + outputTokens });
+
+describe('CostLedger', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('record', () => {
+    it('prices calls from the catalog and totals them per scope', () => {
+      const ledger = new CostLedger();
+
+      const entry = ledger.record(call(), usage(1000000, 100000));
+      ledger.record(call({ sessionId: 's2' }), usage(1000000, 0));
+
+      expect(entry.costUsd).toBeCloseTo(4.5);
+      expect(ledger.getSpent('session', 's1')).toBeCloseTo(4.5);
+      expect(ledger.getSpent('session', 's2')).toBeCloseTo(3);
+      expect(ledger.getSpent('agent', 'a1')).toBeCloseTo(7.5);
+      expect(ledger.getSpent('daily')).toBeCloseTo(7.5);
+    });
+
+    it('records unpriced models at $0', () => {
+      const ledger = new CostLedger();
+
+      const entry = ledger.record(call({ model: 'no-such-model' }), usage(1000, 1000));
+
+      expect(entry.costUsd).toBe(0);
+      expect(entry.model).toBe('no-such-model');
+    });
+
+    it('warns once when a call crosses a soft or hard limit', () => {
+      const onWarning = jest.fn();
+      const ledger = new CostLedger({ budgets: { session: { soft: 1, hard: 5 } }, onWarning });
+
+      ledger.record(call(), usage(200000, 0)); // $0.60
+      ledger.record(call(), usage(200000, 0)); // $1.20
+      ledger.record(call(), usage(200000, 0)); // $1.80
+
+      expect(onWarning).toHaveBeenCalledTimes(1);
+      expect(onWarning).toHaveBeenCalledWith(expect.objectContaining({ scope: 'session', level: 'soft', limit: 1 }));
+    });
+
+    it('hands entries to the store and survives a failed write', async () => {
+      const store = { append: jest.fn().mockRejectedValue(new Error('offline')) };
+      const ledger = new CostLedger({ store });
+
+      const entry = ledger.record(call(), usage(10, 10));
+      await Promise.resolve();
+
+      expect(store.append).toHaveBeenCalledWith(entry);
+      expect(ledger.getEntries({ sessionId: 's1' })).toHaveLength(1);
+    });
+  });
+
+  describe('assertWithinBudget', () => {
+    it('refuses a call whose worst case could exceed a hard limit', () => {
+      const ledger = new CostLedger({ budgets: { session: { hard: 1 } } });
+      ledger.record(call(), usage(300000, 0)); // $0.90
+
+      expect(() => ledger.assertWithinBudget(call(), { inputTokens: 1000, outputTokens: 1000 }))
+        .not.toThrow();
+      expect(() => ledger.assertWithinBudget(call(), { inputTokens: 1000, outputTokens: 10000 }))
+        .toThrow(BudgetExceededError);
+    });
+
+    it('only applies a scope to calls that belong to it', () => {
+      const ledger = new CostLedger({ budgets: { session: { hard: 1 } } });
+      ledger.record(call(), usage(400000, 0)); // $1.20 in session s1
+
+      expect(() => ledger.assertWithinBudget(call({ sessionId: 's2' }), usage(1000, 1000))).not.toThrow();
+      expect(() => ledger.assertWithinBudget(call({ sessionId: undefined }), usage(1000, 1000))).not.toThrow();
+    });
+
+    it('refuses unpriced models while a hard limit applies', () => {
+      const ledger = new CostLedger({ budgets: { daily: { hard: 100 } } });
+
+      let error;
+      try {
+        ledger.assertWithinBudget(call({ model: 'no-such-model' }), usage(10, 10));
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(BudgetExceededError);
+      expect(error.details).toEqual(expect.objectContaining({ scope: 'daily', unpriced: true, model: 'no-such-model' }));
+    });
+
+    it('holds each passing call\'s worst case until it is recorded or released', () => {
+      const ledger = new CostLedger({ budgets: { session: { hard: 1 } } });
+      const worstCase = usage(100000, 30000); // $0.75
+
+      const first = ledger.assertWithinBudget(call(), worstCase);
+      let error;
+      try {
+        ledger.assertWithinBudget(call(), worstCase);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.details).toEqual(expect.objectContaining({ spent: 0, reserved: 0.75 }));
+
+      // The real cost replaces the reservation
+      ledger.record(call(), usage(100000, 0), first); // $0.30
+      const second = ledger.assertWithinBudget(call(), usage(100000, 20000)); // $0.60
+      expect(() => ledger.assertWithinBudget(call(), usage(50000, 0))).toThrow(BudgetExceededError);
+
+      ledger.release(second);
+      ledger.release(second);
+      expect(() => ledger.assertWithinBudget(call(), usage(100000, 20000))).not.toThrow();
+      expect(ledger.getSpent('session', 's1')).toBeCloseTo(0.3);
+    });
+
+    it('lets unpriced models through without hard limits, or when allowed', () => {
+      const softOnly = new CostLedger({ budgets: { daily: { soft: 1 } } });
+      const allowing = new CostLedger({ budgets: { daily: { hard: 100 } }, unpricedPolicy: 'allow' });
+
+      expect(() => softOnly.assertWithinBudget(call({ model: 'no-such-model' }), usage(10, 10))).not.toThrow();
+      expect(() => allowing.assertWithinBudget(call({ model: 'no-such-model' }), usage(10, 10))).not.toThrow();
+    });
+  });
+
+  describe('getSummary', () => {
+    it('breaks spending down by provider, model, agent and session', () => {
+      const ledger = new CostLedger();
+      ledger.record(call(), usage(1000000, 0));
+      ledger.record(call({ agentId: 'a2', sessionId: 's2' }), usage(1000000, 0));
+
+      const summary = ledger.getSummary();
+
+      expect(summary.requests).toBe(2);
+      expect(summary.totalCost).toBeCloseTo(6);
+      expect(summary.byModel[MODEL].requests).toBe(2);
+      expect(summary.byAgent.a2.cost).toBeCloseTo(3);
+      expect(Object.keys(summary.bySession)).toEqual(['s1', 's2']);
+    });
+  });
+});
@@ -1,45 +1,154 @@
-﻿import { GoogleGenerativeAI } from '@google/generative-ai';
-import { logger } from '../utils/logger';
+﻿import { classifyError } from './errors';
+import { modelCatalog } from './ModelCatalog';
 
+const ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Error bodies name the failure's status, which says more than the HTTP code
+const ERROR_KINDS = {
+  RESOURCE_EXHAUSTED: 'rate-limited',
+  UNAVAILABLE: 'overloaded',
+  API_KEY_INVALID: 'auth',
+  PERMISSION_DENIED: 'auth',
+  SAFETY: 'content-filtered',
+  RECITATION: 'content-filtered'
+};
+
+/**
+ * Gemini provider over the Generative Language HTTP API
+ *
+ * Calls the API with fetch rather than @google/generative-ai: the pinned
+ * client takes no AbortSignal, so a cancelled call kept running (and
+ * billing), and it only talks to the v1 API, while function calling and
+ * JSON mode are on v1beta. Responses are the API's JSON as is, the same
+ * shape the client returned.
+ */
 export class GoogleProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.apiKey
+   * @param {string} [config.endpoint] - Defaults to the v1beta API
+   * @param {string} [config.defaultModel]
+   * @param {string} [config.embeddingModel]
+   * @param {Array<string>} [config.models]
+   * @param {ModelCatalog} [config.catalog] - Defaults to the shared modelCatalog
+   */
   constructor(config) {
+    const catalog = config.catalog || modelCatalog;
+
     this.name = 'google';
     this.version = '1.0';
-    this.client = new GoogleGenerativeAI(config.apiKey);
-    this.supportedModels = [
-      'gemini-pro',
-      'gemini-ultra'
-    ];
+    this.apiKey = config.apiKey;
+    this.endpoint = (config.endpoint || ENDPOINT).replace(/\/+$/, '');
+    this.defaultModel = config.defaultModel || catalog.getDefaultModel('google');
+    this.defaultEmbeddingModel = config.embeddingModel || catalog.getDefaultModel('google', 'embedding');
+    this.embeddingBatchSize = 100;
+    this.supportedModels = config.models || catalog.list({ provider: 'google' }).map(model => model.id);
   }
 
-  async complete(request) {
-    const model = this.client.getGenerativeModel({
-      model: request.model || 'gemini-pro'
-    });
+  async complete(request, options = {}) {
+    const response = await this.send(this.modelOf(request), 'generateContent', this.buildParams(request), options.signal);
+    return await response.json();
+  }
+
+  async *stream(request, options = {}) {
+    const response = await this.send(this.modelOf(request), 'streamGenerateContent?alt=sse', this.buildParams(request), options.signal);
+
+    // Server-sent events: one `data: {...}` line per chunk
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
 
-    const chat = model.startChat({
-      history: this.convertMessages(request.messages.slice(0, -1)),
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.startsWith('data:')) {
+          yield JSON.parse(line.slice(5));
+        }
+      }
+    }
+
+    if (buffer.startsWith('data:')) {
+      yield JSON.parse(buffer.slice(5));
+    }
+  }
+
+  async embed(request, options = {}) {
+    const model = request.model || this.defaultEmbeddingModel;
+    const response = await this.send(model, 'batchEmbedContents', {
+      requests: request.texts.map(text => ({
+        model: `models/${model}`,
+        content: { role: 'user', parts: [{ text }] }
+      }))
+    }, options.signal);
+
+    return await response.json();
+  }
+
+  modelOf(request) {
+    return request.model || this.defaultModel;
+  }
+
+  // generateContent rather than a chat session, since a session doesn't
+  // carry tools or function-call turns
+  buildParams(request) {
+    return {
+      contents: this.convertMessages(request.messages),
+      tools: request.tools,
+      toolConfig: request.toolChoice,
       generationConfig: {
         maxOutputTokens: request.maxTokens || 4096,
-        temperature: request.temperature
+        temperature: request.temperature,
+        ...request.responseFormat
       }
+    };
+  }
+
+  convertMessages(messages) {
+    const roles = { assistant: 'model', model: 'model', function: 'function' };
+
+    return messages.map(msg => ({
+      role: roles[msg.role] || 'user',
+      parts: msg.parts || [{ text: msg.content }]
+    }));
+  }
+
+  /**
+   * @throws {Error} With the response's `status` and `headers` when the API
+   *   refuses the request
+   */
+  async send(model, method, body, signal) {
+    const response = await fetch(`${this.endpoint}/models/${model}:${method}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': this.apiKey
+      },
+      body: JSON.stringify(body),
+      signal
     });
 
-    const lastMessage = request.messages[request.messages.length - 1];
-    const result = await chat.sendMessage(lastMessage.content);
-    const response = await result.response;
+    if (!response.ok) {
+      const error = new Error(`Google request failed: ${response.status} ${await response.text()}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
 
     return response;
   }
 
-  convertMessages(messages) {
-    return messages.map(msg => ({
-      role: msg.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: msg.content }]
-    }));
+  classifyError(error) {
+    const status = Object.keys(ERROR_KINDS).find(name => error.message?.includes(name));
+    return classifyError(error, this.name, ERROR_KINDS[status]);
   }
 
   isAvailable() {
-    return !!this.client;
+    return !!this.apiKey;
   }
 }
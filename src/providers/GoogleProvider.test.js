@@ -0,0 +1,115 @@
+/**
+ * @jest-environment node
+ */
+import { GoogleProvider } from './GoogleProvider';
+import { UniversalProvider } from './UniversalProvider';
+import { RequestCancelledError } from '../utils/abort';
+import { fakeResponse, jsonResponse } from '../testing/fakeFetch';
+
+const generated = {
+  candidates: [{ content: { role: 'model', parts: [{ text: 'Hallo' }] }, finishReason: 'STOP' }],
+  usageMetadata: { promptTokenCount: 6, candidatesTokenCount: 2, totalTokenCount: 8 }
+};
+
+describe('GoogleProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn();
+    provider = new GoogleProvider({ apiKey: 'test-key', defaultModel: 'gemini-1.5-flash' });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it('calls generateContent for the model, with the caller\'s signal', async () => {
+    fetch.mockResolvedValue(jsonResponse(generated));
+    const controller = new AbortController();
+
+    const response = await provider.complete({
+      messages: [{ role: 'user', content: 'Hello' }],
+      maxTokens: 50
+    }, { signal: controller.signal });
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent');
+    expect(init.signal).toBe(controller.signal);
+    expect(init.headers['x-goog-api-key']).toBe('test-key');
+    expect(JSON.parse(init.body)).toEqual({
+      contents: [{ role: 'user', parts: [{ text: 'Hello' }] }],
+      generationConfig: { maxOutputTokens: 50 }
+    });
+    expect(response).toEqual(generated);
+  });
+
+  it('streams server-sent event chunks', async () => {
+    const chunk = text => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\r\n\r\n`;
+    const events = chunk('Hal') + chunk('lo');
+    fetch.mockResolvedValue(fakeResponse({ body: [events.slice(0, 30), events.slice(30)] }));
+
+    const texts = [];
+    for await (const event of provider.stream({ messages: [{ role: 'user', content: 'Hello' }] })) {
+      texts.push(event.candidates[0].content.parts[0].text);
+    }
+
+    expect(texts).toEqual(['Hal', 'lo']);
+    expect(fetch.mock.calls[0][0]).toMatch(/:streamGenerateContent\?alt=sse$/);
+  });
+
+  it('embeds a batch with the embedding model', async () => {
+    fetch.mockResolvedValue(jsonResponse({ embeddings: [{ values: [0.1, 0.2] }, { values: [0.3, 0.4] }] }));
+
+    const response = await provider.embed({ texts: ['a', 'b'] });
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toMatch(/models\/embedding-001:batchEmbedContents$/);
+    expect(JSON.parse(init.body).requests[1]).toEqual({
+      model: 'models/embedding-001',
+      content: { role: 'user', parts: [{ text: 'b' }] }
+    });
+    expect(response.embeddings).toHaveLength(2);
+  });
+
+  describe('through UniversalProvider', () => {
+    function createUniversal() {
+      const universal = new UniversalProvider({ retryPolicy: { maxRetries: 0 } });
+      universal.register('google', provider);
+      return universal;
+    }
+
+    it('classifies an exhausted quota as rate-limited', async () => {
+      fetch.mockResolvedValue(jsonResponse(
+        { error: { code: 429, message: 'Quota exceeded', status: 'RESOURCE_EXHAUSTED' } },
+        { status: 429 }
+      ));
+
+      const error = await createUniversal()
+        .complete({ messages: [{ role: 'user', content: 'Hello' }] }, { enableFallback: false })
+        .catch(caught => caught);
+
+      expect(error.kind).toBe('rate-limited');
+      expect(error.details.status).toBe(429);
+    });
+
+    it('stops the vendor request when the caller cancels', async () => {
+      fetch.mockImplementation((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      }));
+      const controller = new AbortController();
+
+      const pending = createUniversal().complete(
+        { messages: [{ role: 'user', content: 'Hello' }] },
+        { signal: controller.signal }
+      );
+      controller.abort();
+
+      await expect(pending).rejects.toBeInstanceOf(RequestCancelledError);
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { logger } from '../utils/logger';
+import { modelCatalog } from './ModelCatalog';
+
+/**
+ * Local model provider for Ollama-compatible HTTP endpoints
+ *
+ * Talks to `/api/chat`, `/api/generate`, `/api/embed` and `/api/tags`, so it
+ * works against a local Ollama install or any stub server speaking the same
+ * protocol (handy for offline development and CI).
+ */
+export class LocalProvider {
+  constructor(config = {}) {
+    const catalog = config.catalog || modelCatalog;
+
+    this.name = 'local';
+    this.version = '1.0';
+    this.endpoint = (config.endpoint || 'http://localhost:11434').replace(/\/+$/, '');
+    this.defaultModel = config.defaultModel || catalog.getDefaultModel('local');
+    this.defaultEmbeddingModel = config.embeddingModel || this.defaultModel;
+    this.timeout = config.timeout || 120000;
+    this.supportedModels = config.models || [this.defaultModel];
+  }
+
+  async complete(request, options = {}) {
+    return await this.post('/api/chat', this.buildParams(request, false), options.signal);
+  }
+
+  async *stream(request, options = {}) {
+    const response = await this.send('/api/chat', this.buildParams(request, true), 'POST', options.signal);
+
+    // Ollama streams newline-delimited JSON objects
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) {
+          yield JSON.parse(line);
+        }
+      }
+    }
+
+    if (buffer.trim()) {
+      yield JSON.parse(buffer);
+    }
+  }
+
+  /**
+   * Single-prompt completion via /api/generate
+   * @param {string} prompt
+   * @param {Object} [options] - model, system, temperature, maxTokens
+   * @returns {Promise<Object>} Raw Ollama generate response
+   */
+  async generate(prompt, options = {}) {
+    return await this.post('/api/generate', {
+      model: options.model || this.defaultModel,
+      prompt,
+      system: options.system,
+      stream: false,
+      options: {
+        temperature: options.temperature,
+        num_predict: options.maxTokens
+      }
+    });
+  }
+
+  /**
+   * Raw /api/embed call used by UniversalProvider.embed()
+   * @param {Object} request - texts, model
+   * @param {Object} [options] - signal
+   */
+  async embed(request, options = {}) {
+    return await this.post('/api/embed', {
+      model: request.model || this.defaultEmbeddingModel,
+      input: request.texts
+    }, options.signal);
+  }
+
+  /**
+   * @param {string|Array<string>} input - Text(s) to embed
+   * @param {Object} [options] - model
+   * @returns {Promise<Array<Array<number>>>} One vector per input
+   */
+  async embeddings(input, options = {}) {
+    const response = await this.embed({
+      texts: Array.isArray(input) ? input : [input],
+      model: options.model
+    });
+
+    return response.embeddings;
+  }
+
+  /**
+   * Models installed on the local server
+   * @returns {Promise<Array<string>>}
+   */
+  async listModels() {
+    const response = await this.send('/api/tags', null, 'GET');
+    const body = await response.json();
+
+    return (body.models || []).map(model => model.name);
+  }
+
+  buildParams(request, stream) {
+    return {
+      model: request.model || this.defaultModel,
+      messages: request.messages,
+      tools: request.tools,
+      format: request.responseFormat,
+      stream,
+      options: {
+        temperature: request.temperature,
+        num_predict: request.maxTokens
+      }
+    };
+  }
+
+  async post(path, body, signal) {
+    const response = await this.send(path, body, 'POST', signal);
+    return await response.json();
+  }
+
+  async send(path, body, method = 'POST', signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    // Left attached after send() returns so aborting also stops a stream
+    // body that is still being read
+    if (signal?.aborted) {
+      controller.abort();
+    } else {
+      signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    try {
+      const response = await fetch(`${this.endpoint}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Local provider request to ${path} failed: ${response.status} ${await response.text()}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return response;
+    } catch (error) {
+      logger.debug(`Local provider request failed`, { path, error: error.message });
+      throw error;
+    } finally {
+      // Streaming bodies are still being read after send() returns, so the
+      // timeout only covers the time to first byte
+      clearTimeout(timer);
+    }
+  }
+
+  hasModel(model) {
+    return this.supportedModels.includes(model);
+  }
+
+  isAvailable() {
+    return !!this.endpoint;
+  }
+}
@@ -0,0 +1,107 @@
+import { modelCatalog } from './ModelCatalog';
+
+const ENDPOINT = 'https://api.mistral.ai';
+
+/**
+ * Mistral provider over the chat completions HTTP API
+ *
+ * Calls the API with fetch rather than @mistralai/mistralai: that client
+ * retries 429 and 5xx responses itself (sleeping and logging to the console
+ * each time, then failing with a bare "Max retries reached") and takes no
+ * AbortSignal. Failing straight away with the status and headers lets
+ * UniversalProvider's retry policy tell rate limits from outages and honor
+ * Retry-After, and aborting the signal stops the request.
+ */
+export class MistralProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.apiKey
+   * @param {string} [config.endpoint] - Defaults to https://api.mistral.ai
+   * @param {string} [config.defaultModel]
+   * @param {Array<string>} [config.models]
+   * @param {ModelCatalog} [config.catalog] - Defaults to the shared modelCatalog
+   */
+  constructor(config) {
+    const catalog = config.catalog || modelCatalog;
+
+    this.name = 'mistral';
+    this.version = '1.0';
+    this.apiKey = config.apiKey;
+    this.endpoint = (config.endpoint || ENDPOINT).replace(/\/+$/, '');
+    this.defaultModel = config.defaultModel || catalog.getDefaultModel('mistral');
+    this.supportedModels = config.models || catalog.list({ provider: 'mistral' }).map(model => model.id);
+  }
+
+  async complete(request, options = {}) {
+    const response = await this.send(this.buildParams(request, false), options.signal);
+    return await response.json();
+  }
+
+  async *stream(request, options = {}) {
+    const response = await this.send(this.buildParams(request, true), options.signal);
+
+    // Server-sent events: one `data: {...}` line per chunk, then `data: [DONE]`
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+        if (data && data !== '[DONE]') {
+          yield JSON.parse(data);
+        }
+      }
+    }
+  }
+
+  buildParams(request, stream) {
+    return {
+      model: request.model || this.defaultModel,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens || 4096,
+      tools: request.tools,
+      tool_choice: request.toolChoice,
+      response_format: request.responseFormat,
+      stream
+    };
+  }
+
+  /**
+   * @throws {Error} With the response's `status` and `headers` when the API
+   *   refuses the request, for classifyError
+   */
+  async send(body, signal) {
+    const response = await fetch(`${this.endpoint}/v1/chat/completions`, {
+      method: 'POST',
+      headers: {
+        Accept: body.stream ? 'text/event-stream' : 'application/json',
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Mistral request failed: ${response.status} ${await response.text()}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+
+    return response;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+}
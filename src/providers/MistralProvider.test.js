@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+import { MistralProvider } from './MistralProvider';
+import { UniversalProvider } from './UniversalProvider';
+import { RequestCancelledError } from '../utils/abort';
+import { fakeResponse, jsonResponse } from '../testing/fakeFetch';
+
+const completion = {
+  id: 'cmpl-1',
+  model: 'mistral-small-latest',
+  choices: [{ index: 0, message: { role: 'assistant', content: 'Bonjour' }, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 7, completion_tokens: 2, total_tokens: 9 }
+};
+
+describe('MistralProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn();
+    provider = new MistralProvider({ apiKey: 'test-key', defaultModel: 'mistral-small-latest' });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it('posts the request in the API\'s own field names, with the caller\'s signal', async () => {
+    fetch.mockResolvedValue(jsonResponse(completion));
+    const controller = new AbortController();
+
+    const response = await provider.complete({
+      messages: [{ role: 'user', content: 'Hello' }],
+      maxTokens: 100,
+      temperature: 0.2,
+      toolChoice: 'auto'
+    }, { signal: controller.signal });
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.mistral.ai/v1/chat/completions');
+    expect(init.signal).toBe(controller.signal);
+    expect(init.headers.Authorization).toBe('Bearer test-key');
+    expect(JSON.parse(init.body)).toEqual({
+      model: 'mistral-small-latest',
+      messages: [{ role: 'user', content: 'Hello' }],
+      temperature: 0.2,
+      max_tokens: 100,
+      tool_choice: 'auto',
+      stream: false
+    });
+    expect(response).toEqual(completion);
+  });
+
+  it('reads server-sent event chunks split across reads', async () => {
+    const events = 'data: {"choices":[{"delta":{"content":"Bon"}}]}\n\ndata: {"choices":[{"del' +
+      'ta":{"content":"jour"}}]}\n\ndata: [DONE]\n\n';
+    fetch.mockResolvedValue(fakeResponse({ body: [events.slice(0, 60), events.slice(60)] }));
+
+    const chunks = [];
+    for await (const chunk of provider.stream({ messages: [{ role: 'user', content: 'Hello' }] })) {
+      chunks.push(chunk.choices[0].delta.content);
+    }
+
+    expect(chunks).toEqual(['Bon', 'jour']);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).stream).toBe(true);
+  });
+
+  describe('through UniversalProvider', () => {
+    function createUniversal() {
+      const universal = new UniversalProvider({ retryPolicy: { maxRetries: 1, baseDelay: 1 } });
+      universal.register('mistral', provider);
+      return universal;
+    }
+
+    it('reports a 429 as rate-limited with its Retry-After', async () => {
+      fetch.mockImplementation(async () => jsonResponse({ message: 'Requests rate limit exceeded' }, {
+        status: 429,
+        headers: { 'retry-after': '60' }
+      }));
+
+      const error = await createUniversal()
+        .complete({ messages: [{ role: 'user', content: 'Hello' }] }, { enableFallback: false })
+        .catch(caught => caught);
+
+      expect(error.kind).toBe('rate-limited');
+      expect(error.details).toEqual(expect.objectContaining({ status: 429, retryAfter: 60000 }));
+      // Longer than the policy's maxDelay, so no retry
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries a 5xx once and returns the normalized response', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({ message: 'Service unavailable' }, { status: 503 }))
+        .mockResolvedValueOnce(jsonResponse(completion));
+
+      const response = await createUniversal().complete({ messages: [{ role: 'user', content: 'Hello' }] });
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(response).toEqual(expect.objectContaining({ content: 'Bonjour', model: 'mistral-small-latest' }));
+      expect(response.usage.totalTokens).toBe(9);
+    });
+
+    it('aborts the request when the caller cancels', async () => {
+      fetch.mockImplementation((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      }));
+      const controller = new AbortController();
+
+      const pending = createUniversal().complete(
+        { messages: [{ role: 'user', content: 'Hello' }] },
+        { signal: controller.signal }
+      );
+      controller.abort();
+
+      await expect(pending).rejects.toBeInstanceOf(RequestCancelledError);
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,418 @@
+/**
+ * Model Catalog
+ *
+ * One place for what we know about each model: its provider, context window,
+ * output limit, pricing and capabilities. Adapters take their defaults from
+ * it, UniversalProvider checks capabilities against it, and cost tracking
+ * prices calls with it.
+ *
+ * Pricing is USD per million tokens, as vendors publish it. Prices change, so
+ * check the vendor's pricing page and override entries from config
+ * (`ai.models` in antigravity.config.json) rather than editing this file.
+ *
+ * @example
+ * modelCatalog.extend({
+ *   'claude-sonnet-4': { pricing: { input: 3, output: 15 } },
+ *   'llama3:70b': { provider: 'local', contextWindow: 8192, capabilities: ['streaming'] }
+ * });
+ * modelCatalog.getContextWindow('gpt-4-turbo'); // 128000
+ */
+
+/**
+ * @typedef {Object} ModelInfo
+ * @property {string} id - Model name as sent to the vendor
+ * @property {string} provider - Protocol it is served over (anthropic, openai, ...)
+ * @property {'chat'|'embedding'} [type] - Defaults to chat
+ * @property {number} contextWindow - Input plus output tokens
+ * @property {number} [maxOutput] - Most tokens one response can have
+ * @property {number} [dimensions] - Vector size, for embedding models
+ * @property {{ input: number, output: number }} [pricing] - USD per million tokens
+ * @property {Array<string>} capabilities - Any of MODEL_CAPABILITIES
+ * @property {'fast'|'standard'|'slow'} [latencyClass] - Rough speed relative
+ *   to other models; unclassified models count as standard
+ * @property {boolean} [default] - The provider's default model of its type
+ */
+
+/**
+ * Capabilities that vary by model. Anything else (embeddings, stream-usage)
+ * is a property of the provider and left to its `hasCapability()`.
+ */
+export const MODEL_CAPABILITIES = ['streaming', 'tool-use', 'vision', 'documents', 'json-mode'];
+
+/**
+ * Fastest first
+ */
+export const LATENCY_CLASSES = ['fast', 'standard', 'slow'];
+
+/**
+ * Assumed for models the catalog doesn't know, small enough to be safe
+ */
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// `-0613`, `-20250514`, `-2024-04-09` or `-001`
+const SNAPSHOT_SUFFIX = /-\d{4}(-?\d{2}){0,2}$|-\d{3}$/;
+
+const BUILT_IN_MODELS = [
+  // Anthropic
+  {
+    id: 'claude-opus-4',
+    provider: 'anthropic',
+    contextWindow: 200000,
+    maxOutput: 32000,
+    pricing: { input: 15, output: 75 },
+    latencyClass: 'slow',
+    capabilities: ['streaming', 'tool-use', 'vision', 'documents']
+  },
+  {
+    id: 'claude-sonnet-4',
+    provider: 'anthropic',
+    contextWindow: 200000,
+    maxOutput: 64000,
+    pricing: { input: 3, output: 15 },
+    latencyClass: 'standard',
+    capabilities: ['streaming', 'tool-use', 'vision', 'documents'],
+    default: true
+  },
+  {
+    id: 'claude-haiku-4',
+    provider: 'anthropic',
+    contextWindow: 200000,
+    maxOutput: 8192,
+    pricing: { input: 1, output: 5 },
+    latencyClass: 'fast',
+    capabilities: ['streaming', 'tool-use', 'vision', 'documents']
+  },
+
+  // OpenAI
+  {
+    id: 'gpt-4-turbo',
+    provider: 'openai',
+    contextWindow: 128000,
+    maxOutput: 4096,
+    pricing: { input: 10, output: 30 },
+    latencyClass: 'standard',
+    capabilities: ['streaming', 'tool-use', 'vision', 'json-mode']
+  },
+  {
+    id: 'gpt-4',
+    provider: 'openai',
+    contextWindow: 8192,
+    maxOutput: 8192,
+    pricing: { input: 30, output: 60 },
+    latencyClass: 'slow',
+    capabilities: ['streaming', 'tool-use'],
+    default: true
+  },
+  {
+    id: 'gpt-3.5-turbo',
+    provider: 'openai',
+    contextWindow: 16385,
+    maxOutput: 4096,
+    pricing: { input: 0.5, output: 1.5 },
+    latencyClass: 'fast',
+    capabilities: ['streaming', 'tool-use', 'json-mode']
+  },
+  {
+    id: 'text-embedding-ada-002',
+    provider: 'openai',
+    type: 'embedding',
+    contextWindow: 8191,
+    dimensions: 1536,
+    pricing: { input: 0.1, output: 0 },
+    capabilities: [],
+    default: true
+  },
+
+  // Google
+  {
+    id: 'gemini-pro',
+    provider: 'google',
+    contextWindow: 32760,
+    maxOutput: 8192,
+    pricing: { input: 0.5, output: 1.5 },
+    latencyClass: 'standard',
+    capabilities: ['streaming', 'tool-use'],
+    default: true
+  },
+  {
+    id: 'gemini-1.5-pro',
+    provider: 'google',
+    contextWindow: 1048576,
+    maxOutput: 8192,
+    pricing: { input: 3.5, output: 10.5 },
+    latencyClass: 'standard',
+    capabilities: ['streaming', 'tool-use', 'vision', 'documents', 'json-mode']
+  },
+  {
+    id: 'gemini-1.5-flash',
+    provider: 'google',
+    contextWindow: 1048576,
+    maxOutput: 8192,
+    pricing: { input: 0.35, output: 1.05 },
+    latencyClass: 'fast',
+    capabilities: ['streaming', 'tool-use', 'vision', 'documents', 'json-mode']
+  },
+  {
+    id: 'embedding-001',
+    provider: 'google',
+    type: 'embedding',
+    contextWindow: 2048,
+    dimensions: 768,
+    pricing: { input: 0, output: 0 },
+    capabilities: [],
+    default: true
+  },
+
+  // Mistral
+  {
+    id: 'mistral-large-latest',
+    provider: 'mistral',
+    contextWindow: 128000,
+    maxOutput: 4096,
+    pricing: { input: 2, output: 6 },
+    latencyClass: 'standard',
+    capabilities: ['streaming', 'tool-use', 'json-mode']
+  },
+  {
+    id: 'mistral-small-latest',
+    provider: 'mistral',
+    contextWindow: 32000,
+    maxOutput: 4096,
+    pricing: { input: 0.2, output: 0.6 },
+    latencyClass: 'fast',
+    capabilities: ['streaming', 'tool-use', 'json-mode'],
+    default: true
+  },
+  {
+    id: 'open-mistral-7b',
+    provider: 'mistral',
+    contextWindow: 32000,
+    maxOutput: 4096,
+    pricing: { input: 0.25, output: 0.25 },
+    latencyClass: 'fast',
+    capabilities: ['streaming', 'json-mode']
+  },
+  {
+    id: 'mistral-embed',
+    provider: 'mistral',
+    type: 'embedding',
+    contextWindow: 8192,
+    dimensions: 1024,
+    pricing: { input: 0.1, output: 0 },
+    capabilities: [],
+    default: true
+  },
+
+  // Cohere
+  {
+    id: 'command-r-plus',
+    provider: 'cohere',
+    contextWindow: 128000,
+    maxOutput: 4000,
+    pricing: { input: 3, output: 15 },
+    latencyClass: 'standard',
+    capabilities: ['streaming', 'tool-use']
+  },
+  {
+    id: 'command-r',
+    provider: 'cohere',
+    contextWindow: 128000,
+    maxOutput: 4000,
+    pricing: { input: 0.5, output: 1.5 },
+    latencyClass: 'fast',
+    capabilities: ['streaming', 'tool-use'],
+    default: true
+  },
+  {
+    id: 'command',
+    provider: 'cohere',
+    contextWindow: 4096,
+    maxOutput: 4000,
+    pricing: { input: 1, output: 2 },
+    latencyClass: 'standard',
+    capabilities: ['streaming']
+  },
+
+  // Local (Ollama)
+  {
+    id: 'llama2',
+    provider: 'local',
+    contextWindow: 4096,
+    maxOutput: 4096,
+    pricing: { input: 0, output: 0 },
+    latencyClass: 'standard',
+    capabilities: ['streaming', 'json-mode'],
+    default: true
+  }
+];
+
+export class ModelCatalog {
+  /**
+   * @param {Array<ModelInfo>|Object<string, ModelInfo>} [models] - Added to
+   *   (or merged over) the built-in entries
+   */
+  constructor(models) {
+    this.models = new Map();
+    this.extend(BUILT_IN_MODELS);
+    this.extend(models);
+  }
+
+  /**
+   * Add models or override fields of known ones; a partial entry for a known
+   * model only replaces the fields it sets
+   * @param {Array<ModelInfo>|Object<string, ModelInfo>} [models] - A list, or
+   *   an object keyed by model id as in antigravity.config.json
+   * @returns {ModelCatalog} this
+   */
+  extend(models) {
+    if (!models) return this;
+
+    const entries = Array.isArray(models)
+      ? models
+      : Object.entries(models).map(([id, entry]) => ({ ...entry, id }));
+
+    for (const entry of entries) {
+      this.register(entry);
+    }
+    return this;
+  }
+
+  /**
+   * @param {ModelInfo} entry
+   */
+  register(entry) {
+    const existing = this.models.get(entry.id);
+    const model = {
+      type: 'chat',
+      capabilities: [],
+      ...existing,
+      ...entry,
+      pricing: entry.pricing ? { ...existing?.pricing, ...entry.pricing } : existing?.pricing
+    };
+
+    if (!model.id || !model.provider) {
+      throw new Error(`Model catalog entries need an id and a provider: ${JSON.stringify(entry)}`);
+    }
+
+    // Only one default per provider and type
+    if (entry.default) {
+      for (const other of this.models.values()) {
+        if (other.provider === model.provider && other.type === model.type) {
+          other.default = false;
+        }
+      }
+    }
+
+    this.models.set(model.id, model);
+  }
+
+  /**
+   * Vendors answer with dated or versioned snapshots (`gpt-4-0613`,
+   * `claude-sonnet-4-20250514`, `gemini-1.5-pro-001`), so an unknown id
+   * falls back to the id without that suffix. Other suffixes name different
+   * models (`gpt-4-32k`, `gemini-1.5-flash-8b`) and stay unknown.
+   * @returns {ModelInfo|undefined} The stored entry, not a copy
+   */
+  resolve(modelId) {
+    if (!modelId) return undefined;
+
+    const exact = this.models.get(modelId);
+    if (exact) return exact;
+
+    const base = modelId.replace(SNAPSHOT_SUFFIX, '');
+    return base !== modelId ? this.models.get(base) : undefined;
+  }
+
+  /**
+   * @param {string} modelId
+   * @returns {ModelInfo|null}
+   */
+  get(modelId) {
+    const model = this.resolve(modelId);
+    return model ? { ...model, capabilities: [...model.capabilities] } : null;
+  }
+
+  has(modelId) {
+    return !!this.resolve(modelId);
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {string} [filter.provider]
+   * @param {'chat'|'embedding'} [filter.type] - Defaults to chat
+   * @param {string} [filter.capability]
+   * @returns {Array<ModelInfo>} In registration order
+   */
+  list(filter = {}) {
+    const type = filter.type || 'chat';
+
+    return Array.from(this.models.keys())
+      .map(id => this.get(id))
+      .filter(model => model.type === type &&
+        (!filter.provider || model.provider === filter.provider) &&
+        (!filter.capability || model.capabilities.includes(filter.capability)));
+  }
+
+  /**
+   * @param {string} provider
+   * @param {'chat'|'embedding'} [type]
+   * @returns {string|undefined} The entry marked default, else the first listed
+   */
+  getDefaultModel(provider, type = 'chat') {
+    const models = this.list({ provider, type });
+    return (models.find(model => model.default) || models[0])?.id;
+  }
+
+  /**
+   * @returns {number|null} Null for models the catalog doesn't know
+   */
+  getContextWindow(modelId) {
+    return this.resolve(modelId)?.contextWindow ?? null;
+  }
+
+  /**
+   * @returns {number|null}
+   */
+  getMaxOutput(modelId) {
+    return this.resolve(modelId)?.maxOutput ?? null;
+  }
+
+  /**
+   * @returns {boolean|null} Null when the model is unknown or the capability
+   *   isn't one the catalog tracks, so the caller decides
+   */
+  hasCapability(modelId, capability) {
+    const model = this.resolve(modelId);
+    if (!model || !MODEL_CAPABILITIES.includes(capability)) return null;
+
+    return model.capabilities.includes(capability);
+  }
+
+  /**
+   * One number to compare models by: the average of the input and output
+   * prices, in USD per 1K tokens
+   * @returns {number|null} Null when the model has no pricing
+   */
+  getPricePer1K(modelId) {
+    const pricing = this.resolve(modelId)?.pricing;
+    return pricing ? (pricing.input + pricing.output) / 2 / 1000 : null;
+  }
+
+  /**
+   * @param {string} modelId
+   * @param {{ inputTokens: number, outputTokens: number }} usage
+   * @returns {number|null} USD, or null when the model has no pricing
+   */
+  calculateCost(modelId, usage) {
+    const pricing = this.resolve(modelId)?.pricing;
+    if (!pricing) return null;
+
+    return ((usage.inputTokens || 0) * pricing.input +
+      (usage.outputTokens || 0) * pricing.output) / 1000000;
+  }
+}
+
+/**
+ * Shared catalog used by adapters and UniversalProvider unless given another
+ */
+export const modelCatalog = new ModelCatalog();
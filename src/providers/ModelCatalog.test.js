@@ -0,0 +1,50 @@
+import { ModelCatalog } from './ModelCatalog';
+import starterConfig from '../../starters/antigravity.config.json';
+
+describe('ModelCatalog', () => {
+  describe('resolve', () => {
+    const catalog = new ModelCatalog();
+
+    it.each([
+      ['gpt-4-0613', 'gpt-4'],
+      ['claude-sonnet-4-20250514', 'claude-sonnet-4'],
+      ['gpt-4-turbo-2024-04-09', 'gpt-4-turbo'],
+      ['gemini-1.5-pro-001', 'gemini-1.5-pro']
+    ])('resolves the snapshot %s to %s', (snapshot, id) => {
+      expect(catalog.resolve(snapshot)?.id).toBe(id);
+    });
+
+    it.each(['gpt-4-32k', 'command-r7b', 'command-light', 'gemini-1.5-flash-8b'])(
+      'leaves %s unknown rather than borrowing another model\'s entry',
+      modelId => {
+        expect(catalog.resolve(modelId)).toBeUndefined();
+        expect(catalog.calculateCost(modelId, { inputTokens: 1000, outputTokens: 1000 })).toBeNull();
+      }
+    );
+  });
+
+  describe('extend', () => {
+    it('merges partial entries over known models without touching other catalogs', () => {
+      const catalog = new ModelCatalog().extend({ 'gpt-4': { pricing: { input: 1 } } });
+
+      expect(catalog.get('gpt-4').pricing).toEqual({ input: 1, output: 60 });
+      expect(new ModelCatalog().get('gpt-4').pricing).toEqual({ input: 30, output: 60 });
+    });
+  });
+
+  describe('built-in models', () => {
+    it('knows every model the starter config offers', () => {
+      const catalog = new ModelCatalog().extend(starterConfig.ai.models);
+      const offered = Object.values(starterConfig.ai.providers).flatMap(provider => provider.models || []);
+
+      expect(offered.filter(modelId => !catalog.has(modelId))).toEqual([]);
+    });
+
+    it('prices in USD per million tokens', () => {
+      const catalog = new ModelCatalog();
+
+      expect(catalog.calculateCost('claude-haiku-4', { inputTokens: 1000000, outputTokens: 1000000 })).toBe(6);
+      expect(catalog.calculateCost('gpt-4', { inputTokens: 1000, outputTokens: 1000 })).toBeCloseTo(0.09);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { OpenAIProvider } from './OpenAIProvider';
+
+/**
+ * Provider for self-hosted servers that speak the OpenAI chat-completions
+ * protocol (vLLM, LM Studio, llama.cpp server, internal gateways)
+ *
+ * Each instance has its own name, so several can be registered side by side:
+ *
+ * @example
+ * universal.register('vllm', new OpenAICompatibleProvider({
+ *   name: 'vllm',
+ *   baseURL: 'http://gpu-box:8000/v1',
+ *   models: ['meta-llama/Llama-3-8B-Instruct'],
+ *   capabilities: ['streaming']
+ * }));
+ */
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.name - Name the instance is registered under
+   * @param {string} config.baseURL - Server base URL, usually ending in /v1
+   * @param {string} [config.apiKey] - Most local servers ignore it
+   * @param {Object} [config.headers] - Extra headers sent with every request
+   * @param {Array<string>} [config.models] - Models the server exposes
+   * @param {string} [config.defaultModel] - Defaults to the first model
+   * @param {Array<string>} [config.capabilities] - e.g. streaming, tool-use, stream-usage, vision, json-mode
+   */
+  constructor(config) {
+    if (!config.baseURL) {
+      throw new Error(`OpenAI-compatible provider ${config.name} needs a baseURL`);
+    }
+
+    super({
+      ...config,
+      // The SDK refuses to start without a key, even for servers that never check it
+      apiKey: config.apiKey || 'not-needed'
+    });
+
+    this.name = config.name || 'openai-compatible';
+    this.protocol = 'openai';
+    this.baseURL = config.baseURL;
+    this.supportedModels = config.models || [];
+    this.defaultModel = config.defaultModel || this.supportedModels[0];
+    this.capabilities = new Set(config.capabilities || ['streaming', 'tool-use']);
+
+    // Older servers reject stream_options, so only ask for usage when declared
+    this.streamUsage = this.capabilities.has('stream-usage');
+  }
+
+  hasCapability(capability) {
+    return this.capabilities.has(capability);
+  }
+
+  hasModel(model) {
+    return this.supportedModels.includes(model);
+  }
+
+  isAvailable() {
+    return !!this.baseURL;
+  }
+}
@@ -1,31 +1,84 @@
 ﻿import OpenAI from 'openai';
 import { logger } from '../utils/logger';
+import { classifyError } from './errors';
+import { modelCatalog } from './ModelCatalog';
+
+const ERROR_KINDS = {
+  rate_limit_exceeded: 'rate-limited',
+  // A billing problem: retrying won't help, another provider might
+  insufficient_quota: 'auth',
+  invalid_api_key: 'auth',
+  context_length_exceeded: 'context-length-exceeded',
+  content_filter: 'content-filtered',
+  content_policy_violation: 'content-filtered'
+};
 
 export class OpenAIProvider {
   constructor(config) {
+    const catalog = config.catalog || modelCatalog;
+
     this.name = 'openai';
     this.version = '1.0';
     this.client = new OpenAI({
-      apiKey: config.apiKey
+      apiKey: config.apiKey,
+      baseURL: config.baseURL,
+      defaultHeaders: config.headers,
+      // UniversalProvider's retry policy owns retries
+      maxRetries: 0
     });
-    this.supportedModels = [
-      'gpt-4-turbo',
-      'gpt-4',
-      'gpt-3.5-turbo'
-    ];
+    this.defaultModel = config.defaultModel || catalog.getDefaultModel('openai');
+    this.defaultEmbeddingModel = config.embeddingModel || catalog.getDefaultModel('openai', 'embedding');
+    this.embeddingBatchSize = 2048;
+    this.streamUsage = true;
+    this.supportedModels = config.models || catalog.list({ provider: 'openai' }).map(model => model.id);
   }
 
-  async complete(request) {
-    const response = await this.client.chat.completions.create({
-      model: request.model || 'gpt-4',
-      max_tokens: request.maxTokens || 4096,
-      messages: request.messages,
-      temperature: request.temperature
+  async complete(request, options = {}) {
+    const response = await this.client.chat.completions.create(this.buildParams(request), {
+      signal: options.signal
     });
 
     return response;
   }
 
+  async *stream(request, options = {}) {
+    const stream = await this.client.chat.completions.create({
+      ...this.buildParams(request),
+      stream: true,
+      ...(this.streamUsage ? { stream_options: { include_usage: true } } : {})
+    }, { signal: options.signal });
+
+    for await (const chunk of stream) {
+      yield chunk;
+    }
+  }
+
+  async embed(request, options = {}) {
+    const response = await this.client.embeddings.create({
+      model: request.model || this.defaultEmbeddingModel,
+      input: request.texts,
+      dimensions: request.dimensions
+    }, { signal: options.signal });
+
+    return response;
+  }
+
+  buildParams(request) {
+    return {
+      model: request.model || this.defaultModel,
+      max_tokens: request.maxTokens || 4096,
+      messages: request.messages,
+      temperature: request.temperature,
+      tools: request.tools,
+      tool_choice: request.toolChoice,
+      response_format: request.responseFormat
+    };
+  }
+
+  classifyError(error) {
+    return classifyError(error, this.name, ERROR_KINDS[error.code]);
+  }
+
   isAvailable() {
     return !!this.client.apiKey;
   }
@@ -0,0 +1,235 @@
+/**
+ * Provider Metrics
+ *
+ * Live measurements per provider and model, for routing strategies: latency
+ * (p50/p95), time to first token on streams, error rate, and quality scores
+ * fed back by agents. Each series keeps the last `windowSize` samples, so
+ * old behaviour ages out as new calls come in.
+ *
+ * Failures that are the caller's fault (invalid or filtered requests, an
+ * oversized prompt) say nothing about the provider and aren't counted.
+ *
+ * With a `store` the measurements are saved periodically and loaded again on
+ * start, so routing keeps what it learned across restarts. Any cache store
+ * works (MemoryCacheStore, FileCacheStore, LocalStorageCacheStore).
+ *
+ * @example
+ * const metrics = new ProviderMetrics({
+ *   store: new FileCacheStore({ directory: '.cache/metrics' })
+ * });
+ * metrics.recordSuccess('anthropic', 'claude-sonnet-4', { latencyMs: 1840, ttftMs: 420 });
+ * metrics.getStats('anthropic', 'claude-sonnet-4'); // { p50: 1840, errorRate: 0, ... }
+ */
+
+import { logger } from '../utils/logger';
+import { modelCatalog } from './ModelCatalog';
+
+const CALLER_ERROR_KINDS = ['invalid-request', 'context-length-exceeded', 'content-filtered'];
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * @typedef {Object} ModelStats
+ * @property {number} samples - Calls in the window, successful or not
+ * @property {number|null} p50 - Latency in ms
+ * @property {number|null} p95
+ * @property {number|null} ttftP50 - Time to first token in ms (streams only)
+ * @property {number|null} ttftP95
+ * @property {number} errorRate - 0 to 1
+ * @property {number|null} quality - Mean quality score, 0 to 1
+ * @property {number} qualitySamples
+ */
+
+export class ProviderMetrics {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.windowSize] - Samples kept per series (default 200)
+   * @param {Object} [config.store] - Cache store with async get/set
+   * @param {string} [config.key] - Store key (default 'provider-metrics')
+   * @param {number} [config.saveInterval] - Ms between saves after a change
+   *   (default 30000)
+   * @param {ModelCatalog} [config.catalog] - Maps dated model ids onto
+   *   catalog ids, so snapshots share one series
+   */
+  constructor(config = {}) {
+    this.windowSize = config.windowSize ?? 200;
+    this.store = config.store || null;
+    this.key = config.key || 'provider-metrics';
+    this.saveInterval = config.saveInterval ?? 30000;
+    this.catalog = config.catalog || modelCatalog;
+
+    // 'provider/model' -> { latency, ttft, outcomes, quality }
+    this.series = new Map();
+    this.saveTimer = null;
+    this.loaded = this.store ? this.load() : Promise.resolve();
+  }
+
+  /**
+   * A call that returned. `latencyMs` is left out when the caller stopped
+   * reading a stream early.
+   * @param {string} provider
+   * @param {string} model
+   * @param {{ latencyMs?: number, ttftMs?: number }} [timing]
+   */
+  recordSuccess(provider, model, timing = {}) {
+    const series = this.seriesFor(provider, model);
+
+    this.push(series.outcomes, 1);
+    if (timing.latencyMs !== undefined) this.push(series.latency, timing.latencyMs);
+    if (timing.ttftMs !== undefined) this.push(series.ttft, timing.ttftMs);
+    this.changed();
+  }
+
+  /**
+   * @param {string} provider
+   * @param {string} model
+   * @param {Object} [error] - Classified error; caller-side kinds are ignored
+   */
+  recordFailure(provider, model, error) {
+    if (CALLER_ERROR_KINDS.includes(error?.kind)) return;
+
+    this.push(this.seriesFor(provider, model).outcomes, 0);
+    this.changed();
+  }
+
+  /**
+   * @param {string} provider
+   * @param {string} model
+   * @param {number} score - 0 (useless) to 1 (perfect)
+   */
+  recordQuality(provider, model, score) {
+    if (typeof score !== 'number' || Number.isNaN(score)) return;
+
+    this.push(this.seriesFor(provider, model).quality, Math.min(1, Math.max(0, score)));
+    this.changed();
+  }
+
+  /**
+   * @param {string} provider
+   * @param {string} model
+   * @returns {ModelStats}
+   */
+  getStats(provider, model) {
+    const series = this.series.get(this.keyOf(provider, model));
+    const { latency = [], ttft = [], outcomes = [], quality = [] } = series || {};
+    const failures = outcomes.filter(outcome => outcome === 0).length;
+
+    return {
+      samples: outcomes.length,
+      p50: percentile(latency, 0.5),
+      p95: percentile(latency, 0.95),
+      ttftP50: percentile(ttft, 0.5),
+      ttftP95: percentile(ttft, 0.95),
+      errorRate: outcomes.length > 0 ? failures / outcomes.length : 0,
+      quality: quality.length > 0 ? quality.reduce((sum, score) => sum + score, 0) / quality.length : null,
+      qualitySamples: quality.length
+    };
+  }
+
+  /**
+   * @returns {Object<string, ModelStats>} Keyed by 'provider/model'
+   */
+  getAllStats() {
+    return Object.fromEntries(Array.from(this.series.keys()).map(key => {
+      const [provider, ...model] = key.split('/');
+      return [key, this.getStats(provider, model.join('/'))];
+    }));
+  }
+
+  keyOf(provider, model) {
+    return `${provider}/${this.catalog.resolve(model)?.id || model}`;
+  }
+
+  seriesFor(provider, model) {
+    const key = this.keyOf(provider, model);
+    let series = this.series.get(key);
+
+    if (!series) {
+      series = { latency: [], ttft: [], outcomes: [], quality: [] };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  push(samples, value) {
+    samples.push(value);
+    if (samples.length > this.windowSize) {
+      samples.splice(0, samples.length - this.windowSize);
+    }
+  }
+
+  /**
+   * @returns {Object} Plain data for the store
+   */
+  toJSON() {
+    return {
+      version: SNAPSHOT_VERSION,
+      series: Object.fromEntries(this.series)
+    };
+  }
+
+  /**
+   * Restore saved measurements. Samples recorded since start-up are newer,
+   * so they go after the saved ones.
+   */
+  async load() {
+    try {
+      const entry = await this.store.get(this.key);
+      const snapshot = entry?.value;
+      if (snapshot?.version !== SNAPSHOT_VERSION) return;
+
+      for (const [key, saved] of Object.entries(snapshot.series || {})) {
+        const current = this.series.get(key);
+        const merged = {};
+
+        for (const name of ['latency', 'ttft', 'outcomes', 'quality']) {
+          merged[name] = [...(saved[name] || []), ...(current?.[name] || [])].slice(-this.windowSize);
+        }
+        this.series.set(key, merged);
+      }
+      logger.debug(`Loaded provider metrics for ${this.series.size} models`);
+    } catch (error) {
+      logger.warn('Provider metrics could not be loaded', { error: error.message });
+    }
+  }
+
+  /**
+   * Save now. Never throws: losing a snapshot only costs some history.
+   */
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.store) return;
+
+    try {
+      await this.loaded;
+      await this.store.set(this.key, { value: this.toJSON() });
+    } catch (error) {
+      logger.warn('Provider metrics could not be saved', { error: error.message });
+    }
+  }
+
+  changed() {
+    if (!this.store || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.save(), this.saveInterval);
+    // Don't hold a Node process open just to save metrics
+    this.saveTimer.unref?.();
+  }
+
+  reset() {
+    this.series.clear();
+    this.changed();
+  }
+}
+
+/**
+ * Nearest-rank percentile
+ * @returns {number|null}
+ */
+function percentile(samples, p) {
+  if (samples.length === 0) return null;
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
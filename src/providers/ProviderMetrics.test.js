@@ -0,0 +1,142 @@
+import { ProviderMetrics } from './ProviderMetrics';
+import { MemoryCacheStore } from '../cache/MemoryCacheStore';
+
+describe('ProviderMetrics', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('reports nearest-rank latency percentiles', () => {
+    const metrics = new ProviderMetrics();
+    for (const latencyMs of [10, 1, 9, 2, 8, 3, 7, 4, 6, 5]) {
+      metrics.recordSuccess('openai', 'gpt-4o', { latencyMs, ttftMs: latencyMs * 10 });
+    }
+
+    expect(metrics.getStats('openai', 'gpt-4o')).toEqual(expect.objectContaining({
+      samples: 10,
+      p50: 5,
+      p95: 10,
+      ttftP50: 50,
+      ttftP95: 100
+    }));
+  });
+
+  it('has no latency until measured', () => {
+    const metrics = new ProviderMetrics();
+    metrics.recordSuccess('openai', 'gpt-4o');
+
+    expect(metrics.getStats('openai', 'gpt-4o')).toEqual({
+      samples: 1, p50: null, p95: null, ttftP50: null, ttftP95: null, errorRate: 0, quality: null, qualitySamples: 0
+    });
+    expect(metrics.getStats('openai', 'unknown').samples).toBe(0);
+  });
+
+  it('counts provider failures in the error rate, but not the caller\'s', () => {
+    const metrics = new ProviderMetrics();
+    metrics.recordSuccess('openai', 'gpt-4o', { latencyMs: 100 });
+    metrics.recordFailure('openai', 'gpt-4o', { kind: 'server' });
+    metrics.recordFailure('openai', 'gpt-4o', { kind: 'rate-limited' });
+    metrics.recordSuccess('openai', 'gpt-4o', { latencyMs: 100 });
+    for (const kind of ['invalid-request', 'context-length-exceeded', 'content-filtered']) {
+      metrics.recordFailure('openai', 'gpt-4o', { kind });
+    }
+
+    expect(metrics.getStats('openai', 'gpt-4o')).toEqual(expect.objectContaining({ samples: 4, errorRate: 0.5 }));
+  });
+
+  it('keeps only the last windowSize samples', () => {
+    const metrics = new ProviderMetrics({ windowSize: 3 });
+    metrics.recordFailure('openai', 'gpt-4o', { kind: 'server' });
+    for (const latencyMs of [1000, 10, 20, 30]) {
+      metrics.recordSuccess('openai', 'gpt-4o', { latencyMs });
+    }
+
+    expect(metrics.getStats('openai', 'gpt-4o')).toEqual(expect.objectContaining({ samples: 3, errorRate: 0, p95: 30 }));
+  });
+
+  it('averages quality scores, clamped to 0..1', () => {
+    const metrics = new ProviderMetrics();
+    metrics.recordQuality('openai', 'gpt-4o', 0.5);
+    metrics.recordQuality('openai', 'gpt-4o', 2);
+    metrics.recordQuality('openai', 'gpt-4o', NaN);
+
+    expect(metrics.getStats('openai', 'gpt-4o')).toEqual(expect.objectContaining({ quality: 0.75, qualitySamples: 2 }));
+  });
+
+  it('files dated snapshots under the catalog model', () => {
+    const metrics = new ProviderMetrics();
+    metrics.recordSuccess('anthropic', 'claude-sonnet-4-20250514', { latencyMs: 100 });
+    metrics.recordSuccess('anthropic', 'claude-sonnet-4', { latencyMs: 300 });
+
+    expect(Object.keys(metrics.getAllStats())).toEqual(['anthropic/claude-sonnet-4']);
+    expect(metrics.getStats('anthropic', 'claude-sonnet-4').samples).toBe(2);
+  });
+
+  describe('persistence', () => {
+    it('saves measurements and loads them on start', async () => {
+      const store = new MemoryCacheStore();
+      const first = new ProviderMetrics({ store });
+      first.recordSuccess('openai', 'gpt-4o', { latencyMs: 100 });
+      first.recordFailure('openai', 'gpt-4o', { kind: 'server' });
+      first.recordQuality('openai', 'gpt-4o', 0.9);
+      await first.save();
+
+      const second = new ProviderMetrics({ store });
+      await second.loaded;
+
+      expect(second.getAllStats()).toEqual(first.getAllStats());
+    });
+
+    it('puts samples recorded while loading after the saved ones', async () => {
+      const store = new MemoryCacheStore();
+      const first = new ProviderMetrics({ store, windowSize: 3 });
+      for (const latencyMs of [1, 2, 3]) {
+        first.recordSuccess('openai', 'gpt-4o', { latencyMs });
+      }
+      await first.save();
+
+      const second = new ProviderMetrics({ store, windowSize: 3 });
+      second.recordSuccess('openai', 'gpt-4o', { latencyMs: 4 });
+      await second.loaded;
+
+      expect(second.series.get('openai/gpt-4o').latency).toEqual([2, 3, 4]);
+    });
+
+    it('saves a while after a change, once', async () => {
+      jest.useFakeTimers();
+      const store = { get: jest.fn().mockResolvedValue(null), set: jest.fn().mockResolvedValue() };
+      const metrics = new ProviderMetrics({ store, saveInterval: 1000 });
+
+      metrics.recordSuccess('openai', 'gpt-4o', { latencyMs: 100 });
+      metrics.recordSuccess('openai', 'gpt-4o', { latencyMs: 200 });
+      jest.advanceTimersByTime(999);
+      expect(store.set).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      await metrics.loaded;
+      await Promise.resolve();
+      expect(store.set).toHaveBeenCalledTimes(1);
+      expect(store.set.mock.calls[0][1].value.series['openai/gpt-4o'].latency).toEqual([100, 200]);
+    });
+
+    it('ignores snapshots from another version and stores that fail', async () => {
+      const stale = new MemoryCacheStore();
+      await stale.set('provider-metrics', { value: { version: 0, series: { 'openai/gpt-4o': { outcomes: [0] } } } });
+      const fromStale = new ProviderMetrics({ store: stale });
+      await fromStale.loaded;
+      expect(fromStale.getAllStats()).toEqual({});
+
+      const broken = { get: jest.fn().mockRejectedValue(new Error('EACCES')), set: jest.fn().mockRejectedValue(new Error('EACCES')) };
+      const metrics = new ProviderMetrics({ store: broken });
+      await expect(metrics.loaded).resolves.toBeUndefined();
+      metrics.recordSuccess('openai', 'gpt-4o');
+      await expect(metrics.save()).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Rate Limiter
+ *
+ * Client-side scheduling in front of one provider: caps concurrent requests,
+ * requests per minute and tokens per minute, and queues everything else.
+ *
+ * Token use is estimated when a request is admitted and corrected from the
+ * response's `usage` once it finishes. The queue is ordered by priority
+ * (high, medium, low), first-come first-served within a priority, and
+ * waiting requests age upwards so low priority work can't starve.
+ *
+ * @example
+ * const permit = await limiter.acquire({ tokens: 1200, priority: 'high' });
+ * try {
+ *   const response = await provider.complete(request);
+ *   permit.release(response.usage.totalTokens);
+ * } catch (error) {
+ *   permit.release(0);
+ *   throw error;
+ * }
+ */
+
+import { cancelledError } from '../utils/abort';
+
+const WINDOW = 60000;
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+export class RateLimiter {
+  /**
+   * @param {string} name - Provider name, for stats
+   * @param {Object} [config]
+   * @param {number} [config.maxConcurrent] - Requests in flight at once
+   * @param {number} [config.requestsPerMinute]
+   * @param {number} [config.tokensPerMinute]
+   * @param {number} [config.agingInterval] - Ms of waiting that raises a
+   *   queued request by one priority level (default 10000)
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.maxConcurrent = config.maxConcurrent ?? Infinity;
+    this.requestsPerMinute = config.requestsPerMinute ?? Infinity;
+    this.tokensPerMinute = config.tokensPerMinute ?? Infinity;
+    this.agingInterval = config.agingInterval ?? 10000;
+
+    this.queue = [];
+    this.active = 0;
+    // One entry per admitted request in the last minute: { at, tokens }
+    this.window = [];
+    this.timer = null;
+    this.sequence = 0;
+    this.stats = { admitted: 0, totalWait: 0, maxWait: 0 };
+  }
+
+  /**
+   * Wait for a slot
+   * @param {Object} [options]
+   * @param {number} [options.tokens] - Estimated tokens for the request
+   * @param {string} [options.priority] - high, medium (default) or low
+   * @param {AbortSignal} [options.signal] - Leaves the queue on abort
+   * @returns {Promise<{ release: Function }>} Call `release(actualTokens)`
+   *   exactly once when the request finishes
+   * @throws {RequestCancelledError} If the signal aborts while queued
+   */
+  acquire(options = {}) {
+    const { signal } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(cancelledError(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        tokens: options.tokens || 0,
+        rank: PRIORITY_RANK[options.priority] ?? PRIORITY_RANK.medium,
+        priority: options.priority in PRIORITY_RANK ? options.priority : 'medium',
+        enqueuedAt: Date.now(),
+        sequence: this.sequence++,
+        resolve: permit => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(permit);
+        }
+      };
+      const onAbort = () => {
+        const index = this.queue.indexOf(entry);
+        if (index === -1) return;
+
+        this.queue.splice(index, 1);
+        reject(cancelledError(signal));
+        this.drain();
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(entry);
+      this.drain();
+    });
+  }
+
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.queue.length > 0) {
+      const now = Date.now();
+      this.prune(now);
+
+      const next = this.peek(now);
+      const waitFor = this.timeUntilAdmissible(next, now);
+
+      if (waitFor === Infinity) return; // Waiting on a release()
+      if (waitFor > 0) {
+        this.timer = setTimeout(() => this.drain(), waitFor);
+        return;
+      }
+
+      this.queue.splice(this.queue.indexOf(next), 1);
+      this.admit(next, now);
+    }
+  }
+
+  /**
+   * Highest effective priority, oldest first
+   */
+  peek(now) {
+    const effectiveRank = entry => entry.rank - Math.floor((now - entry.enqueuedAt) / this.agingInterval);
+
+    return this.queue.reduce((best, entry) => {
+      const difference = effectiveRank(entry) - effectiveRank(best);
+      return difference < 0 || (difference === 0 && entry.sequence < best.sequence) ? entry : best;
+    });
+  }
+
+  /**
+   * 0 when the entry can go now, Infinity when only a release can make room,
+   * otherwise milliseconds until enough of the window expires
+   */
+  timeUntilAdmissible(entry, now) {
+    if (this.active >= this.maxConcurrent) return Infinity;
+
+    let waitFor = 0;
+
+    if (this.window.length >= this.requestsPerMinute) {
+      waitFor = this.window[this.window.length - this.requestsPerMinute].at + WINDOW - now;
+    }
+
+    // A request bigger than the whole budget still runs once the window is empty
+    let tokens = this.tokensInWindow();
+    for (const admitted of this.window) {
+      if (tokens + entry.tokens <= this.tokensPerMinute || tokens === 0) break;
+      tokens -= admitted.tokens;
+      waitFor = Math.max(waitFor, admitted.at + WINDOW - now);
+    }
+
+    return Math.max(0, waitFor);
+  }
+
+  admit(entry, now) {
+    const record = { at: now, tokens: entry.tokens };
+    const wait = now - entry.enqueuedAt;
+    let released = false;
+
+    this.window.push(record);
+    this.active++;
+    this.stats.admitted++;
+    this.stats.totalWait += wait;
+    this.stats.maxWait = Math.max(this.stats.maxWait, wait);
+
+    entry.resolve({
+      wait,
+      release: actualTokens => {
+        if (released) return;
+        released = true;
+
+        // Correct the estimate now that the real usage is known
+        if (typeof actualTokens === 'number') {
+          record.tokens = actualTokens;
+        }
+        this.active--;
+        this.drain();
+      }
+    });
+  }
+
+  prune(now) {
+    while (this.window.length > 0 && this.window[0].at + WINDOW <= now) {
+      this.window.shift();
+    }
+  }
+
+  tokensInWindow() {
+    return this.window.reduce((sum, admitted) => sum + admitted.tokens, 0);
+  }
+
+  /**
+   * @returns {Object} Queue depth (total and per priority), requests in
+   *   flight, the current minute's usage and wait times in ms
+   */
+  getStats() {
+    const now = Date.now();
+    this.prune(now);
+
+    const queuedByPriority = { high: 0, medium: 0, low: 0 };
+    for (const entry of this.queue) {
+      queuedByPriority[entry.priority]++;
+    }
+
+    return {
+      queued: this.queue.length,
+      queuedByPriority,
+      active: this.active,
+      requestsLastMinute: this.window.length,
+      tokensLastMinute: this.tokensInWindow(),
+      oldestWait: this.queue.length > 0 ? now - Math.min(...this.queue.map(entry => entry.enqueuedAt)) : 0,
+      averageWait: this.stats.admitted > 0 ? Math.round(this.stats.totalWait / this.stats.admitted) : 0,
+      maxWait: this.stats.maxWait,
+      admitted: this.stats.admitted
+    };
+  }
+}
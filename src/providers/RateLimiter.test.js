@@ -0,0 +1,155 @@
+/**
+ * @jest-environment node
+ */
+import { RateLimiter } from './RateLimiter';
+import { RequestCancelledError } from '../utils/abort';
+
+// Lets permits that were just granted reach their awaiting code
+async function settle() {
+  for (let i = 0; i < 5; i++) {
+    await Promise.resolve();
+  }
+}
+
+/**
+ * acquire(), noting the order in which permits are granted
+ */
+function track(limiter, granted, label, options) {
+  const pending = limiter.acquire(options);
+  pending.then(permit => granted.push({ label, permit }), () => {});
+  return pending;
+}
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('admits queued requests by priority, first come first served within one', async () => {
+    const limiter = new RateLimiter('test', { maxConcurrent: 1 });
+    const granted = [];
+    track(limiter, granted, 'running');
+    track(limiter, granted, 'low', { priority: 'low' });
+    track(limiter, granted, 'medium');
+    track(limiter, granted, 'high-1', { priority: 'high' });
+    track(limiter, granted, 'high-2', { priority: 'high' });
+    await settle();
+
+    expect(limiter.getStats().queuedByPriority).toEqual({ high: 2, medium: 1, low: 1 });
+    for (let i = 0; i < 4; i++) {
+      granted[i].permit.release();
+      await settle();
+    }
+
+    expect(granted.map(({ label }) => label)).toEqual(['running', 'high-1', 'high-2', 'medium', 'low']);
+  });
+
+  it('raises a waiting request one priority level per aging interval', async () => {
+    const limiter = new RateLimiter('test', { maxConcurrent: 1, agingInterval: 1000 });
+    const granted = [];
+    track(limiter, granted, 'running');
+    track(limiter, granted, 'low', { priority: 'low' });
+    jest.advanceTimersByTime(2500);
+    track(limiter, granted, 'high', { priority: 'high' });
+    await settle();
+
+    granted[0].permit.release();
+    await settle();
+
+    // Two intervals lift low to high, and it was there first
+    expect(granted.map(({ label }) => label)).toEqual(['running', 'low']);
+  });
+
+  it('holds requests over the per-minute limit until the oldest leaves the window', async () => {
+    const limiter = new RateLimiter('test', { requestsPerMinute: 2 });
+    const granted = [];
+    track(limiter, granted, 'first');
+    jest.advanceTimersByTime(1000);
+    track(limiter, granted, 'second');
+    track(limiter, granted, 'third');
+    await settle();
+
+    expect(granted.map(({ label }) => label)).toEqual(['first', 'second']);
+
+    jest.advanceTimersByTime(58999);
+    await settle();
+    expect(granted).toHaveLength(2);
+
+    jest.advanceTimersByTime(1);
+    await settle();
+    expect(granted.map(({ label }) => label)).toEqual(['first', 'second', 'third']);
+    expect(granted[2].permit.wait).toBe(59000);
+  });
+
+  it('holds requests whose tokens would exceed the per-minute budget', async () => {
+    const limiter = new RateLimiter('test', { tokensPerMinute: 1000 });
+    const granted = [];
+    track(limiter, granted, 'big', { tokens: 800 });
+    track(limiter, granted, 'small', { tokens: 300 });
+    await settle();
+
+    expect(granted.map(({ label }) => label)).toEqual(['big']);
+    expect(limiter.getStats().tokensLastMinute).toBe(800);
+
+    jest.advanceTimersByTime(60000);
+    await settle();
+    expect(granted.map(({ label }) => label)).toEqual(['big', 'small']);
+  });
+
+  it('corrects the estimate with the tokens a request actually used', async () => {
+    const limiter = new RateLimiter('test', { tokensPerMinute: 1000 });
+    const granted = [];
+    track(limiter, granted, 'overestimated', { tokens: 800 });
+    track(limiter, granted, 'next', { tokens: 300 });
+    await settle();
+
+    granted[0].permit.release(100);
+    await settle();
+
+    expect(granted.map(({ label }) => label)).toEqual(['overestimated', 'next']);
+    expect(limiter.getStats().tokensLastMinute).toBe(400);
+  });
+
+  it('keeps the estimate when release is not given a count, and ignores a second release', async () => {
+    const limiter = new RateLimiter('test', { maxConcurrent: 1 });
+    const permit = await limiter.acquire({ tokens: 500 });
+
+    permit.release();
+    permit.release(10);
+
+    expect(limiter.getStats()).toEqual(expect.objectContaining({ active: 0, tokensLastMinute: 500 }));
+  });
+
+  it('runs a request bigger than the whole budget once the window is empty', async () => {
+    const limiter = new RateLimiter('test', { tokensPerMinute: 1000 });
+    const granted = [];
+    track(limiter, granted, 'small', { tokens: 100 });
+    track(limiter, granted, 'huge', { tokens: 5000 });
+    await settle();
+
+    expect(granted).toHaveLength(1);
+
+    jest.advanceTimersByTime(60000);
+    await settle();
+    expect(granted.map(({ label }) => label)).toEqual(['small', 'huge']);
+  });
+
+  it('takes a request out of the queue when its signal aborts', async () => {
+    const limiter = new RateLimiter('test', { maxConcurrent: 1 });
+    const controller = new AbortController();
+    const running = await limiter.acquire();
+    const queued = limiter.acquire({ signal: controller.signal });
+
+    controller.abort();
+
+    await expect(queued).rejects.toBeInstanceOf(RequestCancelledError);
+    expect(limiter.getStats().queued).toBe(0);
+    running.release();
+    await expect(limiter.acquire({ signal: controller.signal })).rejects.toBeInstanceOf(RequestCancelledError);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Retry Policy
+ *
+ * Decides, per error kind (see ./errors), whether a failed provider call is
+ * retried, how long to wait first, and whether the request may move on to
+ * a fallback provider once retries run out.
+ *
+ * @example
+ * new RetryPolicy({
+ *   maxRetries: 3,
+ *   errors: { 'rate-limited': { maxRetries: 5, baseDelay: 2000 } }
+ * });
+ */
+
+import { sleep } from '../utils/abort';
+
+const DEFAULTS = {
+  maxRetries: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  multiplier: 2,
+  jitter: true,
+  fallback: true
+};
+
+// Transient kinds retry up to the global maxRetries; the rest fail fast.
+// Invalid and filtered requests would be rejected by the next vendor too.
+const KIND_DEFAULTS = {
+  'rate-limited': {},
+  overloaded: {},
+  network: {},
+  auth: { maxRetries: 0 },
+  'invalid-request': { maxRetries: 0, fallback: false },
+  'context-length-exceeded': { maxRetries: 0 },
+  'content-filtered': { maxRetries: 0, fallback: false },
+  'circuit-open': { maxRetries: 0 },
+  cancelled: { maxRetries: 0, fallback: false },
+  'budget-exceeded': { maxRetries: 0, fallback: false },
+  unknown: { maxRetries: 0 }
+};
+
+export class RetryPolicy {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.maxRetries] - Retries for transient errors (ai.maxRetries)
+   * @param {number} [config.baseDelay] - First backoff in ms
+   * @param {number} [config.maxDelay] - Backoff cap in ms; a longer retry-after skips to fallback
+   * @param {number} [config.multiplier] - Backoff growth per attempt
+   * @param {boolean} [config.jitter] - Randomize each delay between half and all of it
+   * @param {Object} [config.errors] - Per-kind overrides of any of the above plus `fallback`
+   */
+  constructor(config = {}) {
+    const { errors = {}, ...settings } = config;
+    // Unset config values (say, no ai.maxRetries) keep the defaults
+    const global = Object.fromEntries(
+      Object.entries(settings).filter(([, value]) => value !== undefined)
+    );
+
+    this.policies = {};
+    for (const kind of new Set([...Object.keys(KIND_DEFAULTS), ...Object.keys(errors)])) {
+      this.policies[kind] = { ...DEFAULTS, ...global, ...KIND_DEFAULTS[kind], ...errors[kind] };
+    }
+  }
+
+  /**
+   * Policy for an error; errors without a kind (not from a provider) get no
+   * retries but may still fall back
+   */
+  policyFor(error) {
+    return this.policies[error?.kind] || { ...DEFAULTS, maxRetries: 0 };
+  }
+
+  /**
+   * Milliseconds to wait before retry number `attempt + 1`, or null when the
+   * error shouldn't be retried (again)
+   * @param {Error} error - Classified error
+   * @param {number} attempt - Retries already made
+   * @returns {number|null}
+   */
+  getDelay(error, attempt) {
+    const policy = this.policyFor(error);
+
+    if (attempt >= policy.maxRetries) {
+      return null;
+    }
+
+    // Waiting longer than maxDelay is worse than trying another provider
+    if (error.retryAfter) {
+      return error.retryAfter <= policy.maxDelay ? error.retryAfter : null;
+    }
+
+    const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.multiplier, attempt));
+
+    return policy.jitter ? backoff / 2 + Math.random() * (backoff / 2) : backoff;
+  }
+
+  shouldFallback(error) {
+    return this.policyFor(error).fallback !== false;
+  }
+
+  /**
+   * @param {number} ms
+   * @param {AbortSignal} [signal] - Cuts the wait short with a RequestCancelledError
+   */
+  wait(ms, signal) {
+    return sleep(ms, signal);
+  }
+}
@@ -0,0 +1,70 @@
+import { RetryPolicy } from './RetryPolicy';
+import { classifyError } from './errors';
+import { RequestCancelledError } from '../utils/abort';
+
+const failure = (status, extra = {}) => classifyError(Object.assign(new Error(`status ${status}`), { status, ...extra }), 'test');
+
+describe('RetryPolicy', () => {
+  it('backs off exponentially for transient errors, up to maxRetries', () => {
+    const policy = new RetryPolicy({ maxRetries: 3, baseDelay: 100, jitter: false });
+    const overloaded = failure(503);
+
+    expect([0, 1, 2, 3].map(attempt => policy.getDelay(overloaded, attempt))).toEqual([100, 200, 400, null]);
+  });
+
+  it('caps backoff at maxDelay and jitters between half and all of it', () => {
+    const capped = new RetryPolicy({ baseDelay: 1000, maxDelay: 1500, jitter: false, maxRetries: 5 });
+    const jittered = new RetryPolicy({ baseDelay: 1000 });
+
+    expect(capped.getDelay(failure(503), 4)).toBe(1500);
+    for (let i = 0; i < 20; i++) {
+      const delay = jittered.getDelay(failure(503), 0);
+      expect(delay).toBeGreaterThanOrEqual(500);
+      expect(delay).toBeLessThanOrEqual(1000);
+    }
+  });
+
+  it('waits as long as Retry-After says, unless that is longer than maxDelay', () => {
+    const policy = new RetryPolicy({ maxDelay: 5000 });
+
+    expect(policy.getDelay(failure(429, { headers: { 'retry-after': '2' } }), 0)).toBe(2000);
+    expect(policy.getDelay(failure(429, { headers: { 'retry-after': '60' } }), 0)).toBeNull();
+  });
+
+  it('fails fast on errors retrying cannot fix, and keeps bad requests off fallbacks', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.getDelay(failure(401), 0)).toBeNull();
+    expect(policy.shouldFallback(failure(401))).toBe(true);
+    expect(policy.getDelay(failure(400), 0)).toBeNull();
+    expect(policy.shouldFallback(failure(400))).toBe(false);
+  });
+
+  it('takes per-kind overrides', () => {
+    const policy = new RetryPolicy({
+      maxRetries: 1,
+      jitter: false,
+      errors: { 'rate-limited': { maxRetries: 4, baseDelay: 10 }, overloaded: { fallback: false } }
+    });
+
+    expect(policy.getDelay(failure(429), 3)).toBe(80);
+    expect(policy.getDelay(failure(503), 1)).toBeNull();
+    expect(policy.shouldFallback(failure(503))).toBe(false);
+  });
+
+  it('gives errors without a kind no retries but lets them fall back', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.getDelay(new Error('plain'), 0)).toBeNull();
+    expect(policy.shouldFallback(new Error('plain'))).toBe(true);
+  });
+
+  it('cuts a wait short when the signal aborts', async () => {
+    const controller = new AbortController();
+    const waiting = new RetryPolicy().wait(60000, controller.signal);
+
+    controller.abort();
+
+    await expect(waiting).rejects.toBeInstanceOf(RequestCancelledError);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Routing Strategy
+ *
+ * Ranks provider/model candidates by a weighted sum of criteria scores. Each
+ * criterion scores a candidate from 0 (worst) to 1 (best) using live
+ * ProviderMetrics where there are any and catalog-based priors where there
+ * aren't, so a fresh install routes sensibly and improves as calls come in.
+ *
+ * Criteria:
+ * - `cost`: catalog price, relative to the cheapest candidate
+ * - `latency` / `tailLatency`: measured p50 / p95, relative to the fastest;
+ *   the catalog latency class until measured
+ * - `ttft`: measured time to first token, likewise
+ * - `reliability`: success rate, smoothed towards 95% while samples are few
+ * - `quality`: mean quality feedback, smoothed towards a price-based prior
+ *   (pricier models are assumed better until scores say otherwise)
+ *
+ * A strategy is a built-in name, a weights object, or `{ name, weights,
+ * criteria }` with extra criterion functions `(candidate, candidates) => score`.
+ *
+ * @example
+ * new RoutingStrategy('latency-optimized');
+ * new RoutingStrategy({ name: 'cheap-but-good', weights: { cost: 2, quality: 1 } });
+ */
+
+export const ROUTING_STRATEGIES = {
+  'cost-optimized': { cost: 0.6, reliability: 0.2, latency: 0.1, quality: 0.1 },
+  'latency-optimized': { latency: 0.35, tailLatency: 0.15, ttft: 0.2, reliability: 0.2, cost: 0.1 },
+  'quality-optimized': { quality: 0.6, reliability: 0.25, latency: 0.1, cost: 0.05 },
+  balanced: { cost: 0.2, latency: 0.2, ttft: 0.1, reliability: 0.2, quality: 0.3 }
+};
+
+// Rough figures for unmeasured models, per catalog latency class (ms)
+const LATENCY_PRIORS = { fast: 1500, standard: 4000, slow: 10000 };
+const TTFT_PRIORS = { fast: 400, standard: 800, slow: 1500 };
+
+// How many samples the priors count as
+const PRIOR_WEIGHT = 5;
+const RELIABILITY_PRIOR = 0.95;
+
+// Keeps free models from zeroing everyone else's cost score ($ per 1K tokens)
+const COST_FLOOR = 0.0001;
+
+/**
+ * `best / value` for lower-is-better measures: the best candidate scores 1,
+ * one twice as slow (or expensive) scores 0.5
+ */
+function relativeToBest(value, values) {
+  const best = Math.min(...values);
+  return value > 0 ? Math.min(1, best / value) : 1;
+}
+
+export const CRITERIA = {
+  cost: (candidate, candidates) => {
+    // Unpriced models are assumed to cost as much as the priciest known one
+    const known = candidates.map(c => c.pricePer1K).filter(price => price !== null && price !== undefined);
+    const price = c => (c.pricePer1K ?? Math.max(0, ...known)) + COST_FLOOR;
+    return relativeToBest(price(candidate), candidates.map(price));
+  },
+
+  latency: (candidate, candidates) => {
+    const latency = c => c.stats.p50 ?? LATENCY_PRIORS[c.latencyClass] ?? LATENCY_PRIORS.standard;
+    return relativeToBest(latency(candidate), candidates.map(latency));
+  },
+
+  tailLatency: (candidate, candidates) => {
+    const latency = c => c.stats.p95 ?? 2 * (LATENCY_PRIORS[c.latencyClass] ?? LATENCY_PRIORS.standard);
+    return relativeToBest(latency(candidate), candidates.map(latency));
+  },
+
+  ttft: (candidate, candidates) => {
+    const ttft = c => c.stats.ttftP50 ?? TTFT_PRIORS[c.latencyClass] ?? TTFT_PRIORS.standard;
+    return relativeToBest(ttft(candidate), candidates.map(ttft));
+  },
+
+  reliability: candidate => {
+    const { samples, errorRate } = candidate.stats;
+    const successes = samples * (1 - errorRate);
+    return (RELIABILITY_PRIOR * PRIOR_WEIGHT + successes) / (PRIOR_WEIGHT + samples);
+  },
+
+  quality: (candidate, candidates) => {
+    // Prior from 0.4 (cheapest) to 0.8 (priciest)
+    const prices = [...new Set(candidates.map(c => c.pricePer1K ?? 0))].sort((a, b) => a - b);
+    const rank = prices.length > 1 ? prices.indexOf(candidate.pricePer1K ?? 0) / (prices.length - 1) : 0.5;
+    const prior = 0.4 + 0.4 * rank;
+
+    const { quality, qualitySamples } = candidate.stats;
+    return (prior * PRIOR_WEIGHT + (quality ?? 0) * qualitySamples) / (PRIOR_WEIGHT + qualitySamples);
+  }
+};
+
+const custom = new Map();
+
+/**
+ * Make a strategy available by name, e.g. for `routing.strategy` in config
+ * @param {string} name
+ * @param {Object} spec - Weights, or `{ weights, criteria }`
+ */
+export function registerRoutingStrategy(name, spec) {
+  custom.set(name, spec);
+}
+
+export class RoutingStrategy {
+  /**
+   * @param {string|Object} spec - Strategy name, weights, or
+   *   `{ name, weights, criteria }`
+   */
+  constructor(spec) {
+    const resolved = typeof spec === 'string' ? custom.get(spec) || ROUTING_STRATEGIES[spec] : spec;
+    if (!resolved) {
+      throw new Error(`Unknown routing strategy: ${spec}`);
+    }
+
+    const weights = resolved.weights || resolved;
+    this.name = typeof spec === 'string' ? spec : resolved.name || 'custom';
+    this.criteria = { ...CRITERIA, ...resolved.criteria };
+
+    for (const criterion of Object.keys(weights)) {
+      if (!this.criteria[criterion]) {
+        throw new Error(`Routing strategy ${this.name} weights unknown criterion: ${criterion}`);
+      }
+    }
+
+    // Normalized, so scores stay between 0 and 1 whatever the weights add up to
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    this.weights = Object.fromEntries(
+      Object.entries(weights)
+        .filter(([, weight]) => weight > 0)
+        .map(([criterion, weight]) => [criterion, weight / total])
+    );
+  }
+
+  /**
+   * @param {Object} spec - A RoutingStrategy, or anything its constructor takes
+   * @returns {RoutingStrategy}
+   */
+  static from(spec) {
+    return spec instanceof RoutingStrategy ? spec : new RoutingStrategy(spec);
+  }
+
+  /**
+   * @param {Array<Object>} candidates - `{ provider, model, pricePer1K,
+   *   latencyClass, stats }`, stats being ProviderMetrics.getStats()
+   * @returns {Array<Object>} The candidates with `score` and per-criterion
+   *   `scores`, best first; ties keep their given order
+   */
+  rank(candidates) {
+    return candidates
+      .map(candidate => {
+        const scores = {};
+        let score = 0;
+
+        for (const [criterion, weight] of Object.entries(this.weights)) {
+          scores[criterion] = this.criteria[criterion](candidate, candidates);
+          score += weight * scores[criterion];
+        }
+        return { ...candidate, score, scores };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * The measurements behind a candidate's score, for routing reasons
+   * @returns {string}
+   */
+  describe(candidate) {
+    const { stats } = candidate;
+    const parts = [];
+
+    if (this.weights.cost && candidate.pricePer1K !== null) {
+      parts.push(`$${+candidate.pricePer1K.toFixed(5)}/1K`);
+    }
+    if (this.weights.latency || this.weights.tailLatency) {
+      parts.push(stats.p50 !== null ? `p50 ${stats.p50}ms, p95 ${stats.p95}ms` : `${candidate.latencyClass} latency class`);
+    }
+    if (this.weights.ttft && stats.ttftP50 !== null) {
+      parts.push(`first token ${stats.ttftP50}ms`);
+    }
+    if (this.weights.reliability && stats.samples > 0) {
+      parts.push(`${Math.round(stats.errorRate * 100)}% errors over ${stats.samples} calls`);
+    }
+    if (this.weights.quality && stats.qualitySamples > 0) {
+      parts.push(`quality ${stats.quality.toFixed(2)} from ${stats.qualitySamples} ratings`);
+    }
+
+    return parts.join(', ');
+  }
+}
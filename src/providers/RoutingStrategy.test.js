@@ -0,0 +1,117 @@
+import { RoutingStrategy, CRITERIA, registerRoutingStrategy } from './RoutingStrategy';
+
+const noStats = { samples: 0, p50: null, p95: null, ttftP50: null, ttftP95: null, errorRate: 0, quality: null, qualitySamples: 0 };
+
+function candidate(model, fields = {}, stats = {}) {
+  return { provider: 'test', model, pricePer1K: 0.001, latencyClass: 'standard', ...fields, stats: { ...noStats, ...stats } };
+}
+
+describe('RoutingStrategy', () => {
+  describe('criteria', () => {
+    it('scores cost relative to the cheapest, pricing unknown models as the priciest', () => {
+      const cheap = candidate('cheap', { pricePer1K: 0.001 });
+      const double = candidate('double', { pricePer1K: 0.0021 });
+      const unpriced = candidate('unpriced', { pricePer1K: null });
+      const all = [cheap, double, unpriced];
+
+      expect(CRITERIA.cost(cheap, all)).toBe(1);
+      expect(CRITERIA.cost(double, all)).toBeCloseTo(0.5);
+      expect(CRITERIA.cost(unpriced, all)).toBeCloseTo(0.5);
+    });
+
+    it('does not let a free model zero everyone else\'s cost score', () => {
+      const free = candidate('free', { pricePer1K: 0 });
+      const paid = candidate('paid', { pricePer1K: 0.0001 });
+
+      expect(CRITERIA.cost(paid, [free, paid])).toBeCloseTo(0.5);
+    });
+
+    it('scores latency from measurements, or the latency class until measured', () => {
+      const measured = candidate('measured', {}, { p50: 1000, p95: 3000, ttftP50: 200 });
+      const fast = candidate('fast', { latencyClass: 'fast' });
+      const slow = candidate('slow', { latencyClass: 'slow' });
+      const all = [measured, fast, slow];
+
+      expect(CRITERIA.latency(measured, all)).toBe(1);
+      expect(CRITERIA.latency(fast, all)).toBeCloseTo(1000 / 1500);
+      expect(CRITERIA.latency(slow, all)).toBeCloseTo(1000 / 10000);
+      expect(CRITERIA.tailLatency(fast, all)).toBe(1);
+      expect(CRITERIA.tailLatency(measured, all)).toBe(1);
+      expect(CRITERIA.ttft(measured, all)).toBe(1);
+      expect(CRITERIA.ttft(slow, all)).toBeCloseTo(200 / 1500);
+    });
+
+    it('smooths the success rate towards 95% while samples are few', () => {
+      expect(CRITERIA.reliability(candidate('new'))).toBeCloseTo(0.95);
+      expect(CRITERIA.reliability(candidate('clean', {}, { samples: 5, errorRate: 0 }))).toBeCloseTo(0.975);
+      expect(CRITERIA.reliability(candidate('flaky', {}, { samples: 95, errorRate: 0.5 }))).toBeCloseTo((4.75 + 47.5) / 100);
+    });
+
+    it('smooths quality feedback towards a price-based prior', () => {
+      const cheap = candidate('cheap', { pricePer1K: 0.001 });
+      const middle = candidate('middle', { pricePer1K: 0.002 });
+      const pricey = candidate('pricey', { pricePer1K: 0.01 }, { quality: 0.2, qualitySamples: 15 });
+      const all = [cheap, middle, pricey];
+
+      expect(CRITERIA.quality(cheap, all)).toBeCloseTo(0.4);
+      expect(CRITERIA.quality(middle, all)).toBeCloseTo(0.6);
+      expect(CRITERIA.quality(pricey, all)).toBeCloseTo((0.8 * 5 + 0.2 * 15) / 20);
+      expect(CRITERIA.quality(cheap, [cheap])).toBeCloseTo(0.6);
+    });
+  });
+
+  it('weighs the built-in strategies as documented', () => {
+    const cheapSlow = candidate('cheap-slow', { pricePer1K: 0.0005, latencyClass: 'slow' });
+    const priceyFast = candidate('pricey-fast', { pricePer1K: 0.01, latencyClass: 'fast' });
+
+    const byCost = new RoutingStrategy('cost-optimized').rank([priceyFast, cheapSlow]);
+    const byLatency = new RoutingStrategy('latency-optimized').rank([cheapSlow, priceyFast]);
+    const byQuality = new RoutingStrategy('quality-optimized').rank([cheapSlow, priceyFast]);
+
+    expect(byCost.map(c => c.model)).toEqual(['cheap-slow', 'pricey-fast']);
+    expect(byLatency.map(c => c.model)).toEqual(['pricey-fast', 'cheap-slow']);
+    expect(byQuality.map(c => c.model)).toEqual(['pricey-fast', 'cheap-slow']);
+    expect(Object.keys(byCost[0].scores)).toEqual(['cost', 'reliability', 'latency', 'quality']);
+    expect(byCost[0].score).toBeCloseTo(
+      0.6 * byCost[0].scores.cost + 0.2 * byCost[0].scores.reliability +
+      0.1 * byCost[0].scores.latency + 0.1 * byCost[0].scores.quality
+    );
+  });
+
+  it('normalizes weights and keeps the given order on ties', () => {
+    const strategy = new RoutingStrategy({ name: 'even', weights: { cost: 2, reliability: 2, latency: 0 } });
+
+    expect(strategy.name).toBe('even');
+    expect(strategy.weights).toEqual({ cost: 0.5, reliability: 0.5 });
+    expect(strategy.rank([candidate('a'), candidate('b')]).map(c => c.model)).toEqual(['a', 'b']);
+    expect(new RoutingStrategy({ cost: 1 }).name).toBe('custom');
+  });
+
+  it('takes custom criteria and registered names', () => {
+    registerRoutingStrategy('prefers-b', {
+      weights: { isB: 1 },
+      criteria: { isB: c => (c.model === 'b' ? 1 : 0) }
+    });
+    const strategy = RoutingStrategy.from('prefers-b');
+
+    expect(strategy.rank([candidate('a'), candidate('b')])[0]).toEqual(expect.objectContaining({ model: 'b', score: 1 }));
+    expect(RoutingStrategy.from(strategy)).toBe(strategy);
+  });
+
+  it('refuses unknown strategies and criteria', () => {
+    expect(() => new RoutingStrategy('fastest')).toThrow('Unknown routing strategy: fastest');
+    expect(() => new RoutingStrategy({ speed: 1 })).toThrow('Routing strategy custom weights unknown criterion: speed');
+  });
+
+  it('describes the measurements behind a score', () => {
+    const strategy = new RoutingStrategy('balanced');
+    const [measured] = strategy.rank([candidate('m', { pricePer1K: 0.003 }, {
+      samples: 40, p50: 900, p95: 2100, ttftP50: 300, errorRate: 0.05, quality: 0.81, qualitySamples: 12
+    })]);
+
+    expect(strategy.describe(measured)).toBe(
+      '$0.003/1K, p50 900ms, p95 2100ms, first token 300ms, 5% errors over 40 calls, quality 0.81 from 12 ratings'
+    );
+    expect(strategy.describe(candidate('new'))).toBe('$0.001/1K, standard latency class');
+  });
+});
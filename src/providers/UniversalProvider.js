@@ -5,16 +5,91 @@
  */
 
 import { logger } from '../utils/logger';
+import { BudgetExceededError, CapabilityNotSupportedError, CircuitOpenError, classifyError } from './errors';
+import { completeStructured } from './structuredOutput';
+import { RetryPolicy } from './RetryPolicy';
+import { CircuitBreaker } from './CircuitBreaker';
+import { RateLimiter } from './RateLimiter';
+import { estimateRequestTokens, estimateTokens } from '../utils/tokens';
+import { ResponseCache } from '../cache/ResponseCache';
+import { DEFAULT_CONTEXT_WINDOW, modelCatalog } from './ModelCatalog';
+import { CostLedger } from './CostLedger';
+import { CapabilityRouter } from './CapabilityRouter';
+import { ProviderMetrics } from './ProviderMetrics';
+import { completeHedged, streamHedged } from './hedging';
+import { RequestCancelledError, abortable, abortableIterable, cancelledError, throwIfAborted } from '../utils/abort';
+
+// What image and document content parts need (see assertContentSupported)
+const CONTENT_CAPABILITIES = ['vision', 'documents'];
 
 export class UniversalProvider {
-  constructor() {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.retryPolicy] - RetryPolicy config; `maxRetries`
+   *   is the `ai.maxRetries` setting
+   * @param {Object} [config.circuitBreaker] - CircuitBreaker config, shared by all providers
+   * @param {Array<string>} [config.fallbackOrder] - Providers to fall back to, in
+   *   order (`routing.fallback.order`); defaults to registration order
+   * @param {boolean} [config.enableFallback] - Default for the per-call option
+   * @param {Object} [config.rateLimits] - RateLimiter config per provider name,
+   *   with `default` applying to providers not listed
+   * @param {ResponseCache|Object} [config.cache] - A ResponseCache, or its config
+   *   for an in-memory one (`enabled: false` turns it off)
+   * @param {ModelCatalog} [config.catalog] - Defaults to the shared modelCatalog
+   * @param {number} [config.contextWindow] - Assumed for models the catalog
+   *   doesn't know (`ai.contextWindow`)
+   * @param {CostLedger} [config.ledger] - Where calls are recorded and budgets
+   *   enforced; defaults to an in-memory ledger with `config.budgets`
+   * @param {Object} [config.budgets] - CostLedger budgets (`ai.budgets`)
+   * @param {ProviderMetrics|Object} [config.metrics] - Latency, error and
+   *   quality measurements, or ProviderMetrics config for new ones
+   * @param {string|Object} [config.strategy] - Routing strategy for calls
+   *   that pin neither provider nor model (`routing.strategy`); unset keeps
+   *   the default provider
+   * @param {number} [config.hedgeDelay] - Default ms before a hedged call
+   *   starts its next contender (default 0: race them)
+   * @param {Object} [config.rules] - `routing.rules`: 'provider/model' or
+   *   'model' for `simple-queries`, `complex-reasoning`, `general` and
+   *   `embeddings` (see ruleFor)
+   * @param {Object} [config.monitoring] - `trackCosts` (cost ledger),
+   *   `trackLatency` (latency samples for routing) and `logAllRequests`;
+   *   all but the last default to on
+   */
+  constructor(config = {}) {
     this.providers = new Map();
+    this.breakers = new Map();
+    this.limiters = new Map();
     this.defaultProvider = null;
+    this.retryPolicy = new RetryPolicy(config.retryPolicy);
+    this.circuitBreakerConfig = config.circuitBreaker || {};
+    this.fallbackOrder = config.fallbackOrder || null;
+    this.enableFallback = config.enableFallback ?? true;
+    this.rateLimits = config.rateLimits || {};
+    this.cache = this.createCache(config.cache);
+    this.usage = new Map();
+    this.catalog = config.catalog || modelCatalog;
+    this.contextWindow = config.contextWindow ?? DEFAULT_CONTEXT_WINDOW;
+    this.ledger = config.ledger || new CostLedger({ budgets: config.budgets, catalog: this.catalog });
+    this.metrics = config.metrics instanceof ProviderMetrics
+      ? config.metrics
+      : new ProviderMetrics({ ...config.metrics, catalog: this.catalog });
+    this.strategy = config.strategy || null;
+    this.hedgeDelay = config.hedgeDelay ?? 0;
+    this.rules = config.rules || {};
+    this.monitoring = { trackCosts: true, trackLatency: true, logAllRequests: false, ...config.monitoring };
+    this.router = new CapabilityRouter(this);
+  }
+
+  createCache(cacheConfig) {
+    if (!cacheConfig || cacheConfig.enabled === false) return null;
+    return cacheConfig instanceof ResponseCache ? cacheConfig : new ResponseCache(cacheConfig);
   }
 
   register(name, provider) {
     this.providers.set(name, provider);
-    logger.info(Provider registered: );
+    this.breakers.set(provider, new CircuitBreaker(name, this.circuitBreakerConfig));
+    this.limiters.set(provider, new RateLimiter(name, this.rateLimits[name] || this.rateLimits.default));
+    logger.info(`Provider registered: ${name}`);
     
     if (!this.defaultProvider) {
       this.defaultProvider = name;
@@ -24,23 +99,106 @@ export class UniversalProvider {
   getProvider(name) {
     const provider = this.providers.get(name);
     if (!provider) {
-      throw new Error(Provider  not found);
+      throw new Error(`Provider ${name} not found`);
     }
     return provider;
   }
 
+  /**
+   * Complete a request on the chosen provider, falling back on failure
+   *
+   * Deterministic requests are served from the response cache when one is
+   * configured; the per-call `cache` option can bypass or refresh it (see
+   * ResponseCache.modeFor). Streaming calls always go to the provider.
+   *
+   * Aborting `options.signal` stops the call wherever it is (rate limiter
+   * queue, retry backoff or the vendor request) and neither retries nor
+   * falls back.
+   *
+   * Every vendor call is recorded in the cost ledger against `agentId`,
+   * `taskId` and `sessionId`; one that could break a hard budget is refused.
+   *
+   * With `options.requirements` or a routing strategy the provider and model
+   * are chosen by CapabilityRouter, fallback only considers providers that
+   * also qualify, and the response's `routing` explains the choice.
+   *
+   * With `options.hedge` the request goes to several providers and the
+   * first answer wins (see ./hedging); the response's `hedge` names the winner.
+   *
+   * Calls that pin neither provider nor model follow the matching routing
+   * rule, if one is configured.
+   *
+   * @param {Object} request - Completion request
+   * @param {Object} [options] - provider, enableFallback, onDelta, priority,
+   *   cache, cacheTtl, signal, agentId, taskId, sessionId, requirements,
+   *   strategy, hedge (`true` or HedgeOptions)
+   * @returns {Promise<Object>} Normalized response; `cached: true` on a cache hit
+   * @throws {RequestCancelledError} When `options.signal` aborts
+   * @throws {BudgetExceededError} When the call could break a hard budget
+   */
   async complete(request, options = {}) {
+    throwIfAborted(options.signal);
+
+    const rule = this.ruleFor(request, options);
+    if (rule) {
+      return await this.complete({ ...request, model: rule.model }, { ...options, provider: rule.provider });
+    }
+
+    // Streaming callers still get one normalized response back
+    if (request.stream || options.onDelta) {
+      return await this.collectStream(request, options);
+    }
+
+    if (options.hedge) {
+      return await completeHedged(this, request, options);
+    }
+
+    if (options.requirements || this.strategyFor(request, options)) {
+      return await this.completeRouted(request, options);
+    }
+
     const providerName = options.provider || this.defaultProvider;
     const provider = this.getProvider(providerName);
+    let reservation = null;
 
     try {
       const normalizedRequest = this.normalizeRequest(request, provider);
-      const response = await provider.complete(normalizedRequest);
-      return this.normalizeResponse(response, provider);
+      const cacheMode = this.cacheModeFor(providerName, normalizedRequest, options);
+
+      if (cacheMode.read) {
+        const cached = await this.readCache(cacheMode.key);
+        if (cached) {
+          logger.debug(`Cache hit for provider ${providerName}`);
+          return { ...cached, cached: true };
+        }
+      }
+
+      reservation = this.ledger.assertWithinBudget(
+        { model: normalizedRequest.model, ...this.attributionOf(options) },
+        { inputTokens: estimateRequestTokens(request), outputTokens: normalizedRequest.maxTokens }
+      );
+
+      const response = await this.callWithRetry(
+        provider,
+        () => abortable(provider.complete(normalizedRequest, { signal: options.signal }), options.signal),
+        this.scheduleFor(request, normalizedRequest, provider, options)
+      );
+      const normalized = this.normalizeResponse(response, provider, normalizedRequest.model);
+      this.trackUsage(providerName, normalized.usage, normalized.model, options, reservation);
+
+      if (cacheMode.write) {
+        await this.writeCache(cacheMode.key, normalized, options.cacheTtl);
+      }
+      return normalized;
     } catch (error) {
-      logger.error(Provider  failed, { error });
+      this.ledger.release(reservation);
+      if (error instanceof RequestCancelledError) {
+        throw error;
+      }
+
+      logger.error(`Provider ${providerName} failed`, { error });
       
-      if (options.enableFallback !== false) {
+      if (this.canFallback(error, options)) {
         return await this.tryFallback(request, providerName, options);
       }
       
@@ -48,96 +206,1453 @@ export class UniversalProvider {
     }
   }
 
+  /**
+   * Try each provider the router found eligible, best first
+   */
+  async completeRouted(request, options) {
+    const decision = this.router.route(request, { ...options, strategy: this.strategyFor(request, options) });
+    const failed = [];
+
+    for (const candidate of decision.candidates) {
+      try {
+        const response = await this.complete({ ...request, model: candidate.model }, {
+          ...options,
+          requirements: undefined,
+          strategy: undefined,
+          provider: candidate.provider,
+          enableFallback: false
+        });
+        return { ...response, routing: this.routingInfo(decision, candidate, failed) };
+      } catch (error) {
+        if (!this.canFallback(error, options) || error instanceof RequestCancelledError) {
+          throw error;
+        }
+        logger.warn(`Routed provider ${candidate.provider} failed`, { error });
+        failed.push({ provider: candidate.provider, model: candidate.model, kind: error.kind, error: error.message });
+      }
+    }
+
+    throw new Error('All providers failed');
+  }
+
+  async *streamRouted(request, options) {
+    const decision = this.router.route(request, { ...options, strategy: this.strategyFor(request, options) });
+    const failed = [];
+
+    for (const candidate of decision.candidates) {
+      let started = false;
+
+      try {
+        const stream = this.stream({ ...request, model: candidate.model }, {
+          ...options,
+          requirements: undefined,
+          strategy: undefined,
+          provider: candidate.provider,
+          enableFallback: false
+        });
+        for await (const event of stream) {
+          started = true;
+          yield event.type === 'finish'
+            ? { ...event, routing: this.routingInfo(decision, candidate, failed) }
+            : event;
+        }
+        return;
+      } catch (error) {
+        if (started || !this.canFallback(error, options) || error instanceof RequestCancelledError) {
+          throw error;
+        }
+        logger.warn(`Routed provider ${candidate.provider} failed`, { error });
+        failed.push({ provider: candidate.provider, model: candidate.model, kind: error.kind, error: error.message });
+      }
+    }
+
+    throw new Error('All providers failed');
+  }
+
+  /**
+   * The per-call strategy, else the configured one for calls that leave
+   * both provider and model open
+   */
+  strategyFor(request, options) {
+    if (options.strategy) return options.strategy;
+    return options.provider || request.model ? null : this.strategy;
+  }
+
+  /**
+   * The routing rule for a call that pins neither provider nor model and
+   * declares no requirements: `simple-queries` or `complex-reasoning` by
+   * `metadata.complexity`, else `general` unless a strategy decides. An
+   * explicit per-call strategy overrides the rules.
+   * @returns {{ provider: string, model: string }|null}
+   */
+  ruleFor(request, options) {
+    if (options.provider || request.model || options.requirements || options.strategy) return null;
+
+    const complexity = request.metadata?.complexity;
+    const rule = complexity === 'simple' ? 'simple-queries'
+      : complexity === 'complex' ? 'complex-reasoning'
+        : this.strategy ? null : 'general';
+
+    return rule ? this.resolveRule(rule) : null;
+  }
+
+  /**
+   * A rule's 'provider/model', or 'model' on the first provider (in
+   * preference order) that serves it
+   * @returns {{ provider: string, model: string }|null} Null when the rule
+   *   isn't set or nothing registered can serve it
+   */
+  resolveRule(rule) {
+    const target = this.rules[rule];
+    if (!target) return null;
+
+    const slash = target.indexOf('/');
+    if (slash > 0 && this.providers.has(target.slice(0, slash))) {
+      return { provider: target.slice(0, slash), model: target.slice(slash + 1) };
+    }
+
+    const provider = this.router.preferenceOrder().find(name => this.serves(this.providers.get(name), target));
+    if (!provider) {
+      logger.debug(`No registered provider serves ${target}; ignoring routing rule ${rule}`);
+      return null;
+    }
+    return { provider, model: target };
+  }
+
+  /**
+   * Whether `model` belongs on `provider`: listed in its models, or a
+   * catalog model of its protocol
+   */
+  serves(provider, model) {
+    return (provider.supportedModels || []).includes(model) ||
+      this.catalog.get(model)?.provider === this.protocolOf(provider);
+  }
+
+  /**
+   * The `routing` metadata on a routed response
+   */
+  routingInfo(decision, candidate, failed) {
+    const after = failed.length > 0
+      ? ` (after ${failed.map(attempt => attempt.provider).join(', ')} failed)`
+      : '';
+
+    return {
+      provider: candidate.provider,
+      model: candidate.model,
+      reason: candidate.reason + after,
+      strategy: decision.strategy,
+      score: candidate.score,
+      requirements: decision.requirements,
+      rejected: decision.rejected,
+      failed: [...failed]
+    };
+  }
+
+  cacheModeFor(providerName, normalizedRequest, options) {
+    if (!this.cache) return { read: false, write: false };
+
+    const mode = this.cache.modeFor(normalizedRequest, options.cache);
+    if (!mode.read && !mode.write) {
+      this.cache.recordBypass();
+      return mode;
+    }
+
+    return { ...mode, key: this.cache.keyFor(providerName, normalizedRequest) };
+  }
+
+  /**
+   * A broken cache (say, an unwritable directory) must never fail the
+   * request, so cache errors are logged and treated as misses
+   */
+  async readCache(key) {
+    try {
+      return await this.cache.get(key);
+    } catch (error) {
+      logger.warn('Response cache read failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async writeCache(key, response, ttl) {
+    try {
+      await this.cache.set(key, response, ttl);
+    } catch (error) {
+      logger.warn('Response cache write failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Run one provider call, retrying transient failures per the retry policy.
+   * Every attempt waits its turn in the provider's rate limiter queue.
+   *
+   * @param {Object} provider
+   * @param {Function} operation - Makes the raw provider call
+   * @param {Object} [schedule] - Rate limiter admission: `tokens` (estimate),
+   *   `priority`, `signal`, and `usage(result)` returning the actual token count;
+   *   `model` for the latency and error metrics
+   * @returns {Promise<*>} The raw provider result
+   * @throws {ProviderError} The classified error once retries are exhausted
+   * @throws {RequestCancelledError} When `schedule.signal` aborts
+   */
+  async callWithRetry(provider, operation, schedule = {}) {
+    const breaker = this.breakers.get(provider);
+
+    for (let attempt = 0; ; attempt++) {
+      this.acquireCircuit(provider);
+      const permit = await this.acquireSlot(provider, schedule);
+      // Timed from admission: time spent queued is our throttling, not theirs
+      const startedAt = Date.now();
+
+      try {
+        const result = await operation();
+        breaker?.recordSuccess();
+        this.metrics.recordSuccess(provider.name, schedule.model, this.timingOf({ latencyMs: Date.now() - startedAt }));
+        permit.release(schedule.usage?.(result) ?? schedule.tokens);
+        return result;
+      } catch (rawError) {
+        permit.release(0);
+
+        // Whatever the vendor did with an abandoned call says nothing about its health
+        if (schedule.signal?.aborted) {
+          breaker?.recordCancelled();
+          throw cancelledError(schedule.signal);
+        }
+
+        const error = this.classifyError(rawError, provider);
+        breaker?.recordFailure(error);
+        this.metrics.recordFailure(provider.name, schedule.model, error);
+
+        const delay = this.retryPolicy.getDelay(error, attempt);
+
+        if (delay === null) {
+          throw error;
+        }
+
+        logger.warn(`Provider ${provider.name} call failed, retrying`, {
+          kind: error.kind,
+          attempt: attempt + 1,
+          delay: Math.round(delay)
+        });
+        await this.retryPolicy.wait(delay, schedule.signal);
+      }
+    }
+  }
+
+  /**
+   * @throws {CircuitOpenError} When the provider's breaker refuses the call
+   */
+  acquireCircuit(provider) {
+    const breaker = this.breakers.get(provider);
+
+    if (breaker && !breaker.tryAcquire()) {
+      const { retryAt } = breaker.getState();
+      throw new CircuitOpenError(`Circuit for provider ${provider.name} is open`, {
+        provider: provider.name,
+        retryAt
+      });
+    }
+  }
+
+  /**
+   * Wait for a rate limiter slot; providers used without register() have none.
+   * Cancelled while queued, the call gives back the circuit probe it holds.
+   */
+  async acquireSlot(provider, schedule) {
+    const limiter = this.limiters.get(provider);
+    if (!limiter) return { release() {} };
+
+    try {
+      return await limiter.acquire(schedule);
+    } catch (error) {
+      this.breakers.get(provider)?.recordCancelled();
+      throw error;
+    }
+  }
+
+  /**
+   * Estimated tokens count the full output allowance, since that is what
+   * vendors reserve against tokens-per-minute limits
+   */
+  scheduleFor(request, normalizedRequest, provider, options) {
+    return {
+      tokens: estimateRequestTokens(request) + (normalizedRequest.maxTokens || 0),
+      priority: options.priority,
+      signal: options.signal,
+      model: normalizedRequest.model,
+      usage: response => this.extractTotalTokens(response, provider)
+    };
+  }
+
+  /**
+   * Run a stream through the provider's breaker and rate limiter. A caller
+   * that stops reading early still got an answer, so that counts as a success
+   * (with time to first token, but no latency). `call` carries the model and
+   * attribution for the cost ledger.
+   */
+  async *guardStream(provider, events, schedule, call) {
+    const breaker = this.breakers.get(provider);
+    let failed = false;
+    let finished = false;
+    let usedTokens = schedule.tokens;
+    let usage = null;
+    let model = call.model;
+    let ttftMs;
+
+    this.acquireCircuit(provider);
+    const permit = await this.acquireSlot(provider, schedule);
+    const startedAt = Date.now();
+
+    try {
+      for await (const event of events) {
+        if (ttftMs === undefined && (event.type === 'text' || event.type === 'tool_call')) {
+          ttftMs = Date.now() - startedAt;
+        }
+        if (event.type === 'usage') {
+          usage = event.usage;
+          usedTokens = usage.totalTokens;
+        } else if (event.type === 'finish' && event.model) {
+          model = event.model;
+        }
+        yield event;
+      }
+      finished = true;
+    } catch (rawError) {
+      failed = true;
+
+      if (schedule.signal?.aborted) {
+        breaker?.recordCancelled();
+        throw cancelledError(schedule.signal);
+      }
+
+      const error = this.classifyError(rawError, provider);
+      breaker?.recordFailure(error);
+      this.metrics.recordFailure(provider.name, model, error);
+      throw error;
+    } finally {
+      if (!failed) {
+        breaker?.recordSuccess();
+        this.metrics.recordSuccess(provider.name, model, this.timingOf({
+          latencyMs: finished ? Date.now() - startedAt : undefined,
+          ttftMs
+        }));
+      }
+      permit.release(failed ? 0 : usedTokens);
+      if (!failed && usage) this.trackUsage(provider.name, usage, model, call, call.reservation);
+      this.ledger.release(call.reservation);
+    }
+  }
+
+  /**
+   * Latency samples for the metrics; none with `monitoring.trackLatency` off,
+   * leaving latency strategies on catalog priors
+   */
+  timingOf(timing) {
+    return this.monitoring.trackLatency ? timing : {};
+  }
+
+  canFallback(error, options) {
+    return (options.enableFallback ?? this.enableFallback) && this.retryPolicy.shouldFallback(error);
+  }
+
+  /**
+   * Adapters know their vendor's error codes; anything else goes through
+   * the generic status and message heuristics
+   */
+  classifyError(error, provider) {
+    if (error instanceof CapabilityNotSupportedError || error instanceof RequestCancelledError ||
+        error instanceof BudgetExceededError) {
+      return error;
+    }
+
+    return typeof provider.classifyError === 'function'
+      ? provider.classifyError(error)
+      : classifyError(error, provider.name);
+  }
+
+  /**
+   * Complete and return JSON data validated against `schema`
+   *
+   * Uses the vendor's native JSON mode where there is one, pulls JSON out of
+   * fenced or chatty output, and re-prompts with the validation errors.
+   *
+   * @param {Object} request - Completion request
+   * @param {Object} schema - JSON schema for the result
+   * @param {Object} [options] - complete() options plus maxRepairs and jsonMode
+   * @returns {Promise<Object>} `{ data, response, attempts }`
+   * @throws {StructuredOutputError} When no attempt produced valid data
+   */
+  async completeStructured(request, schema, options = {}) {
+    return await completeStructured(this, request, schema, options);
+  }
+
+  /**
+   * Stream a completion as normalized delta events
+   *
+   * Yields `{ type: 'text', text }` for every content delta, then one
+   * `{ type: 'tool_call', toolCall }` per completed tool call, followed by a
+   * single `{ type: 'usage', usage }` and `{ type: 'finish', finishReason }`.
+   * Providers without a `stream()` method get simulated chunking of their
+   * complete response, so callers never need to branch on the vendor.
+   *
+   * @param {Object} request - Completion request
+   * @param {Object} [options] - Same options as complete(), plus `chunkSize`;
+   *   when routed the finish event carries `routing`, when hedged `hedge`
+   * @returns {AsyncGenerator<Object>} Normalized stream events
+   */
+  async *stream(request, options = {}) {
+    throwIfAborted(options.signal);
+
+    const rule = this.ruleFor(request, options);
+    if (rule) {
+      yield* this.stream({ ...request, model: rule.model }, { ...options, provider: rule.provider });
+      return;
+    }
+
+    if (options.hedge) {
+      yield* streamHedged(this, request, options);
+      return;
+    }
+
+    if (options.requirements || this.strategyFor(request, options)) {
+      yield* this.streamRouted(request, options);
+      return;
+    }
+
+    const providerName = options.provider || this.defaultProvider;
+    const provider = this.getProvider(providerName);
+    const call = { model: request.model || this.getDefaultModel(provider), ...this.attributionOf(options) };
+    let started = false;
+
+    for (let attempt = 0; ; attempt++) {
+      let reservation = null;
+
+      try {
+        reservation = this.ledger.assertWithinBudget(call, {
+          inputTokens: estimateRequestTokens(request),
+          outputTokens: request.maxTokens ?? 4096
+        });
+
+        const schedule = {
+          tokens: estimateRequestTokens(request) + (request.maxTokens ?? 4096),
+          priority: options.priority,
+          signal: options.signal
+        };
+        const events = this.guardStream(provider, this.streamFrom(provider, request, options), schedule, { ...call, reservation });
+
+        for await (const event of events) {
+          started = true;
+          yield event;
+        }
+        return;
+      } catch (rawError) {
+        const error = this.classifyError(rawError, provider);
+        this.ledger.release(reservation);
+
+        // Once text has reached the caller we can neither retry nor switch
+        // providers mid-answer
+        if (started || error instanceof RequestCancelledError) {
+          throw error;
+        }
+
+        const delay = this.retryPolicy.getDelay(error, attempt);
+        if (delay !== null) {
+          logger.warn(`Provider ${providerName} stream failed, retrying`, {
+            kind: error.kind,
+            attempt: attempt + 1,
+            delay: Math.round(delay)
+          });
+          await this.retryPolicy.wait(delay, options.signal);
+          continue;
+        }
+
+        logger.error(`Provider ${providerName} stream failed`, { error });
+
+        if (!this.canFallback(error, options)) {
+          throw error;
+        }
+
+        yield* this.tryStreamFallback(request, providerName, options);
+        return;
+      }
+    }
+  }
+
+  async *streamFrom(provider, request, options) {
+    const normalizedRequest = this.normalizeRequest({ ...request, stream: true }, provider);
+
+    if (typeof provider.stream !== 'function' || !this.supports(provider, 'streaming', normalizedRequest.model)) {
+      const response = await abortable(provider.complete(normalizedRequest, { signal: options.signal }), options.signal);
+      yield* this.simulateStream(this.normalizeResponse(response, provider, normalizedRequest.model), options);
+      return;
+    }
+
+    const state = { model: null, inputTokens: 0, outputTokens: 0, finishReason: null, toolCalls: [] };
+
+    const chunks = abortableIterable(provider.stream(normalizedRequest, { signal: options.signal }), options.signal);
+
+    for await (const chunk of chunks) {
+      const delta = this.extractStreamDelta(chunk, provider);
+
+      // Vendors report cumulative counts, so the latest value wins
+      if (delta.inputTokens !== undefined) state.inputTokens = delta.inputTokens;
+      if (delta.outputTokens !== undefined) state.outputTokens = delta.outputTokens;
+      if (delta.finishReason) state.finishReason = delta.finishReason;
+      if (delta.model) state.model = delta.model;
+
+      // Tool calls arrive in fragments keyed by index; arguments are
+      // either JSON string pieces or (Gemini) an already-complete object
+      for (const fragment of delta.toolCalls || []) {
+        const index = fragment.index ?? state.toolCalls.length;
+        const call = state.toolCalls[index] ||
+          (state.toolCalls[index] = { id: null, name: '', arguments: '' });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.name) call.name = fragment.name;
+        if (typeof fragment.arguments === 'object') {
+          call.arguments = fragment.arguments;
+        } else if (fragment.arguments) {
+          call.arguments += fragment.arguments;
+        }
+      }
+
+      if (delta.text) {
+        yield { type: 'text', text: delta.text, provider: provider.name };
+      }
+    }
+
+    for (const [i, call] of state.toolCalls.entries()) {
+      if (!call) continue;
+      yield {
+        type: 'tool_call',
+        provider: provider.name,
+        toolCall: {
+          id: call.id || `call_${i}`,
+          name: call.name,
+          arguments: this.parseToolArguments(call.arguments)
+        }
+      };
+    }
+
+    yield {
+      type: 'usage',
+      provider: provider.name,
+      usage: {
+        inputTokens: state.inputTokens,
+        outputTokens: state.outputTokens,
+        totalTokens: state.inputTokens + state.outputTokens
+      }
+    };
+    yield {
+      type: 'finish',
+      provider: provider.name,
+      model: state.model || normalizedRequest.model,
+      finishReason: state.finishReason || 'unknown'
+    };
+  }
+
+  async *simulateStream(response, options = {}) {
+    const chunkSize = options.chunkSize || 20;
+    const words = response.content.match(/\S+\s*|\s+/g) || [];
+    let buffer = '';
+
+    for (const word of words) {
+      buffer += word;
+      if (buffer.length >= chunkSize) {
+        yield { type: 'text', text: buffer, provider: response.provider };
+        buffer = '';
+      }
+    }
+
+    if (buffer) {
+      yield { type: 'text', text: buffer, provider: response.provider };
+    }
+
+    for (const toolCall of response.toolCalls || []) {
+      yield { type: 'tool_call', toolCall, provider: response.provider };
+    }
+
+    yield { type: 'usage', provider: response.provider, usage: response.usage };
+    yield {
+      type: 'finish',
+      provider: response.provider,
+      model: response.model,
+      finishReason: response.finishReason
+    };
+  }
+
+  /**
+   * Consume stream() into a normalized response, forwarding each event
+   * to `options.onDelta` as it arrives
+   */
+  async collectStream(request, options = {}) {
+    const response = {
+      content: '',
+      model: request.model,
+      provider: null,
+      usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+      finishReason: 'unknown',
+      toolCalls: []
+    };
+
+    for await (const event of this.stream(request, options)) {
+      response.provider = event.provider;
+
+      if (event.type === 'text') {
+        response.content += event.text;
+      } else if (event.type === 'tool_call') {
+        response.toolCalls.push(event.toolCall);
+      } else if (event.type === 'usage') {
+        response.usage = event.usage;
+      } else if (event.type === 'finish') {
+        response.model = event.model || response.model;
+        response.finishReason = event.finishReason;
+        if (event.routing) response.routing = event.routing;
+        if (event.hedge) response.hedge = event.hedge;
+      }
+
+      if (options.onDelta) {
+        options.onDelta(event);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Embed one or more texts, with the same routing and fallback as complete()
+   *
+   * Large inputs are split into batches the provider accepts. A failed batch
+   * re-runs the whole call on the fallback provider, so every vector in one
+   * result always comes from the same model. Vectors of different sizes
+   * can't be compared, so only fallbacks whose embedding model gives vectors
+   * of the same size (as the catalog lists them) are tried, unless
+   * `allowDimensionChange` is set.
+   *
+   * Without `provider` and `model` the `embeddings` routing rule applies, if set.
+   *
+   * @param {string|Array<string>} texts - Text(s) to embed
+   * @param {Object} [options] - provider, model, dimensions, batchSize,
+   *   enableFallback, allowDimensionChange, signal
+   * @returns {Promise<Object>} `{ embeddings, dimensions, model, provider, usage }`
+   */
+  async embed(texts, options = {}) {
+    throwIfAborted(options.signal);
+
+    const rule = options.provider || options.model ? null : this.resolveRule('embeddings');
+    if (rule) {
+      return await this.embed(texts, { ...options, ...rule });
+    }
+
+    const input = Array.isArray(texts) ? texts : [texts];
+    const providerName = options.provider || this.getEmbeddingProvider();
+    const provider = this.getProvider(providerName);
+
+    if (!this.canEmbed(provider)) {
+      throw new CapabilityNotSupportedError(
+        `Provider ${providerName} does not support embeddings`,
+        { provider: providerName, capability: 'embeddings' }
+      );
+    }
+
+    let reservation = null;
+
+    try {
+      reservation = this.ledger.assertWithinBudget(
+        { model: options.model || provider.defaultEmbeddingModel, ...this.attributionOf(options) },
+        { inputTokens: estimateTokens(input), outputTokens: 0 }
+      );
+      return await this.embedWith(provider, input, options, reservation);
+    } catch (error) {
+      this.ledger.release(reservation);
+      if (error instanceof RequestCancelledError) {
+        throw error;
+      }
+
+      logger.error(`Provider ${providerName} embedding failed`, { error });
+
+      if (this.canFallback(error, options)) {
+        return await this.tryEmbedFallback(input, providerName, options, error);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} [reservation] - The budget the call holds (see
+   *   CostLedger.assertWithinBudget), replaced by its real cost
+   */
+  async embedWith(provider, texts, options, reservation) {
+    const batchSize = options.batchSize || provider.embeddingBatchSize || 100;
+    const model = options.model || provider.defaultEmbeddingModel;
+    const result = {
+      embeddings: [],
+      dimensions: 0,
+      model,
+      provider: provider.name,
+      usage: { inputTokens: 0, totalTokens: 0 }
+    };
+
+    for (let i = 0; i < texts.length; i += batchSize) {
+      const batch = texts.slice(i, i + batchSize);
+      const response = await this.callWithRetry(provider, () => abortable(provider.embed({
+        texts: batch,
+        model,
+        dimensions: options.dimensions
+      }, { signal: options.signal }), options.signal), {
+        tokens: estimateTokens(batch),
+        priority: options.priority,
+        signal: options.signal,
+        model,
+        usage: raw => this.extractEmbeddingTokens(raw, provider)
+      });
+      const tokens = this.extractEmbeddingTokens(response, provider);
+
+      result.embeddings.push(...this.extractEmbeddings(response, provider));
+      result.usage.inputTokens += tokens;
+      result.usage.totalTokens += tokens;
+    }
+
+    result.dimensions = result.embeddings[0]?.length || 0;
+    this.trackUsage(provider.name, result.usage, result.model, options, reservation);
+    return result;
+  }
+
+  /**
+   * The default provider if it can embed, otherwise the first one in
+   * fallback order that can
+   */
+  getEmbeddingProvider() {
+    const candidates = [this.defaultProvider, ...this.getFallbackOrder(this.defaultProvider)];
+    const providerName = candidates.find(name => name && this.canEmbed(this.getProvider(name)));
+
+    if (!providerName) {
+      throw new Error('No registered provider supports embeddings');
+    }
+    return providerName;
+  }
+
+  canEmbed(provider) {
+    return typeof provider.embed === 'function' && this.supports(provider, 'embeddings');
+  }
+
+  /**
+   * Wire protocol a provider speaks. Vendor adapters use their name; generic
+   * adapters (several OpenAI-compatible servers, say) set `protocol` so they
+   * can be registered under any name.
+   */
+  protocolOf(provider) {
+    return provider.protocol || provider.name;
+  }
+
+  /**
+   * Providers that don't declare capabilities are assumed to support
+   * everything their protocol does. With a model, the catalog has the final
+   * say; models it doesn't know get the benefit of the doubt, except for
+   * reading images and documents, which many models can't. Those need the
+   * provider (`hasCapability`) or the catalog (`ai.models`) to declare them.
+   */
+  supports(provider, capability, model) {
+    const declares = typeof provider.hasCapability === 'function';
+    if (declares && !provider.hasCapability(capability)) {
+      return false;
+    }
+    return this.catalog.hasCapability(model, capability) ??
+      (declares || !CONTENT_CAPABILITIES.includes(capability));
+  }
+
+  /**
+   * The adapter's configured default, else the catalog's for its protocol
+   */
+  getDefaultModel(provider) {
+    return provider.defaultModel || this.catalog.getDefaultModel(this.protocolOf(provider));
+  }
+
+  /**
+   * Context window of `model`, or of the provider's default model. With
+   * neither, the smallest among the models a call that pins neither may run
+   * on, so that a prompt sized for it still fits after a fallback or a
+   * routing rule sends the call elsewhere.
+   * @param {string} [model]
+   * @param {string} [providerName]
+   * @returns {number} Tokens; `config.contextWindow` for unknown models
+   */
+  getContextWindow(model, providerName) {
+    if (!model && !providerName) {
+      const windows = this.unpinnedModels().map(candidate => this.getContextWindow(candidate));
+      return windows.length > 0 ? Math.min(...windows) : this.contextWindow;
+    }
+
+    const provider = this.providers.get(providerName);
+    const resolved = model || (provider && this.getDefaultModel(provider));
+
+    return this.catalog.getContextWindow(resolved) ?? this.contextWindow;
+  }
+
+  /**
+   * The routing rules' models, the default provider's default model and,
+   * when calls may fall back, every other provider's
+   */
+  unpinnedModels() {
+    const providerNames = this.enableFallback
+      ? [this.defaultProvider, ...(this.fallbackOrder || this.providers.keys())]
+      : [this.defaultProvider];
+    const defaults = providerNames
+      .filter(name => this.providers.has(name))
+      .map(name => this.getDefaultModel(this.providers.get(name)));
+    const ruled = ['general', 'simple-queries', 'complex-reasoning'].map(rule => this.resolveRule(rule)?.model);
+
+    return [...new Set([...defaults, ...ruled])].filter(Boolean);
+  }
+
   normalizeRequest(request, provider) {
+    const model = request.model || this.getDefaultModel(provider);
     const normalized = {
-      messages: this.normalizeMessages(request.messages, provider),
+      model,
+      messages: this.normalizeMessages(request.messages, provider, model),
       temperature: request.temperature ?? 0.7,
-      maxTokens: request.maxTokens ?? 4096,
+      maxTokens: request.maxTokens ?? Math.min(4096, this.catalog.getMaxOutput(model) ?? 4096),
       stream: request.stream ?? false
     };
 
-    if (provider.name === 'anthropic') {
+    const protocol = this.protocolOf(provider);
+
+    if (protocol === 'anthropic') {
       normalized.system = request.systemPrompt;
-      normalized.model = request.model || 'claude-sonnet-4';
-    } else if (provider.name === 'openai') {
-      normalized.model = request.model || 'gpt-4';
+    } else if (protocol === 'openai' || protocol === 'mistral') {
+      if (request.systemPrompt) {
+        normalized.messages.unshift({
+          role: 'system',
+          content: request.systemPrompt
+        });
+      }
+    } else if (protocol === 'google') {
+      // No system role here, so the prompt leads the first user turn
+      const firstUser = normalized.messages.find(msg => msg.role === 'user');
+      if (request.systemPrompt && firstUser) {
+        firstUser.parts = [{ text: request.systemPrompt }, ...firstUser.parts];
+      }
+    } else if (protocol === 'cohere') {
+      normalized.system = request.systemPrompt;
+    } else if (protocol === 'local') {
       if (request.systemPrompt) {
         normalized.messages.unshift({
           role: 'system',
           content: request.systemPrompt
         });
       }
-    } else if (provider.name === 'google') {
-      normalized.model = request.model || 'gemini-pro';
+    }
+
+    // toolChoice 'none' is expressed by not offering tools at all, which
+    // every vendor understands
+    if (request.tools?.length && request.toolChoice !== 'none') {
+      if (!this.supports(provider, 'tool-use', model)) {
+        throw new CapabilityNotSupportedError(
+          `Provider ${provider.name} does not support tool use`,
+          { provider: provider.name, model, capability: 'tool-use' }
+        );
+      }
+      normalized.tools = this.normalizeTools(request.tools, provider);
+      normalized.toolChoice = this.normalizeToolChoice(request.toolChoice, provider);
+    }
+
+    if (request.responseFormat?.type === 'json' && this.supports(provider, 'json-mode', model)) {
+      normalized.responseFormat = this.normalizeResponseFormat(request.responseFormat, provider);
     }
 
     return normalized;
   }
 
-  normalizeMessages(messages, provider) {
-    return messages.map(msg => ({
+  /**
+   * Native JSON mode, where the vendor has one. Only guarantees syntactically
+   * valid JSON; the schema itself is enforced by completeStructured().
+   */
+  normalizeResponseFormat(responseFormat, provider) {
+    switch (this.protocolOf(provider)) {
+      case 'openai':
+      case 'mistral':
+        return { type: 'json_object' };
+      case 'google':
+        return { responseMimeType: 'application/json' };
+      case 'local':
+        return 'json';
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Translate normalized messages into the vendor's message format
+   *
+   * Besides plain `{ role, content }` messages, assistant messages may carry
+   * `toolCalls: [{ id, name, arguments }]` and tool results are sent as
+   * `{ role: 'tool', toolCallId, name, content }`.
+   *
+   * `content` may also be an array of parts:
+   * - `{ type: 'text', text }`
+   * - `{ type: 'image', data, mediaType }` (base64) or `{ type: 'image', url }`
+   * - `{ type: 'document', data, mediaType, name }` (base64, e.g. a PDF) or
+   *   `{ type: 'document', url, mediaType }`
+   */
+  normalizeMessages(messages, provider, model) {
+    for (const msg of messages) {
+      if (Array.isArray(msg.content)) {
+        this.assertContentSupported(msg.content, provider, model);
+      }
+    }
+
+    switch (this.protocolOf(provider)) {
+      case 'anthropic':
+        return this.toAnthropicMessages(messages, provider);
+      case 'openai':
+      case 'mistral':
+        return messages.map(msg => this.toOpenAIMessage(msg, provider));
+      case 'google':
+        return messages.map(msg => this.toGoogleMessage(msg, provider));
+      case 'local':
+        return messages.map(msg => this.toLocalMessage(msg, provider));
+      case 'cohere':
+        return this.toCohereMessages(messages, provider);
+      default:
+        return messages.map(msg => ({
+          role: this.normalizeRole(msg.role, provider),
+          content: this.textOf(msg.content)
+        }));
+    }
+  }
+
+  /**
+   * Images need 'vision' and documents need 'documents', from both the
+   * provider and the model; the error names the provider so callers can
+   * route the request elsewhere
+   */
+  assertContentSupported(parts, provider, model) {
+    const required = { image: 'vision', document: 'documents' };
+
+    for (const part of parts) {
+      if (!['text', 'image', 'document'].includes(part.type)) {
+        throw new Error(`Unknown content part type: ${part.type}`);
+      }
+
+      const capability = required[part.type];
+      if (capability && !this.supports(provider, capability, model)) {
+        throw new CapabilityNotSupportedError(
+          `Provider ${provider.name} does not support ${part.type} content`,
+          { provider: provider.name, model, capability }
+        );
+      }
+    }
+  }
+
+  /**
+   * Text of a message, whether its content is a string or parts
+   */
+  textOf(content) {
+    if (!Array.isArray(content)) return content;
+
+    return content
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+
+  toDataUrl(part) {
+    return `data:${part.mediaType};base64,${part.data}`;
+  }
+
+  toAnthropicMessages(messages, provider) {
+    const result = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        const block = {
+          type: 'tool_result',
+          tool_use_id: msg.toolCallId,
+          content: this.stringifyToolResult(msg.content)
+        };
+        const previous = result[result.length - 1];
+
+        // Anthropic wants all results for one turn in a single user message
+        if (previous?.role === 'user' && previous.content[0]?.type === 'tool_result') {
+          previous.content.push(block);
+        } else {
+          result.push({ role: 'user', content: [block] });
+        }
+      } else if (msg.toolCalls?.length) {
+        result.push({
+          role: 'assistant',
+          content: [
+            ...(msg.content ? this.toAnthropicContent(msg.content) : []),
+            ...msg.toolCalls.map(call => ({
+              type: 'tool_use',
+              id: call.id,
+              name: call.name,
+              input: call.arguments
+            }))
+          ]
+        });
+      } else {
+        result.push({
+          role: this.normalizeRole(msg.role, provider),
+          content: Array.isArray(msg.content) ? this.toAnthropicContent(msg.content) : msg.content
+        });
+      }
+    }
+
+    return result;
+  }
+
+  toAnthropicContent(content) {
+    if (typeof content === 'string') {
+      return [{ type: 'text', text: content }];
+    }
+
+    return content.map(part => {
+      if (part.type === 'text') {
+        return { type: 'text', text: part.text };
+      }
+
+      return {
+        type: part.type,
+        source: part.url
+          ? { type: 'url', url: part.url }
+          : { type: 'base64', media_type: part.mediaType, data: part.data }
+      };
+    });
+  }
+
+  toOpenAIMessage(msg, provider) {
+    if (msg.role === 'tool') {
+      const message = {
+        role: 'tool',
+        tool_call_id: msg.toolCallId,
+        content: this.stringifyToolResult(msg.content)
+      };
+
+      // Mistral also wants the function name on results
+      if (this.protocolOf(provider) === 'mistral') {
+        message.name = msg.name;
+      }
+      return message;
+    }
+
+    if (msg.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: this.textOf(msg.content) || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: JSON.stringify(call.arguments ?? {})
+          }
+        }))
+      };
+    }
+
+    return {
       role: this.normalizeRole(msg.role, provider),
-      content: msg.content
-    }));
+      content: Array.isArray(msg.content) ? this.toOpenAIContent(msg.content, provider) : msg.content
+    };
+  }
+
+  toOpenAIContent(parts, provider) {
+    return parts.map(part => {
+      switch (part.type) {
+        case 'image':
+          return { type: 'image_url', image_url: { url: part.url || this.toDataUrl(part) } };
+        case 'document':
+          if (this.protocolOf(provider) === 'mistral') {
+            return { type: 'document_url', document_url: part.url || this.toDataUrl(part) };
+          }
+
+          // Chat completions only take inline file data
+          if (part.url) {
+            throw new CapabilityNotSupportedError(
+              `Provider ${provider.name} only accepts documents as base64 data`,
+              { provider: provider.name, capability: 'documents' }
+            );
+          }
+          return {
+            type: 'file',
+            file: { filename: part.name || 'document.pdf', file_data: this.toDataUrl(part) }
+          };
+        default:
+          return { type: 'text', text: part.text };
+      }
+    });
+  }
+
+  toGoogleMessage(msg, provider) {
+    if (msg.role === 'tool') {
+      return {
+        role: 'function',
+        parts: [{
+          functionResponse: {
+            name: msg.name,
+            response: { name: msg.name, content: msg.content }
+          }
+        }]
+      };
+    }
+
+    const parts = this.toGoogleParts(msg.content);
+
+    for (const call of msg.toolCalls || []) {
+      parts.push({ functionCall: { name: call.name, args: call.arguments ?? {} } });
+    }
+
+    return {
+      role: this.normalizeRole(msg.role, provider),
+      parts
+    };
+  }
+
+  toGoogleParts(content) {
+    if (!content) return [];
+    if (typeof content === 'string') return [{ text: content }];
+
+    return content.map(part => {
+      if (part.type === 'text') {
+        return { text: part.text };
+      }
+
+      return part.url
+        ? { fileData: { mimeType: part.mediaType, fileUri: part.url } }
+        : { inlineData: { mimeType: part.mediaType, data: part.data } };
+    });
+  }
+
+  toLocalMessage(msg, provider) {
+    const message = {
+      role: this.normalizeRole(msg.role, provider),
+      content: msg.role === 'tool' ? this.stringifyToolResult(msg.content) : this.textOf(msg.content) || ''
+    };
+
+    // Ollama takes images as bare base64 strings next to the text, and has
+    // no way to fetch a URL or read a document
+    if (Array.isArray(msg.content)) {
+      for (const part of msg.content) {
+        if (part.type === 'text') continue;
+
+        if (part.type === 'document' || part.url) {
+          throw new CapabilityNotSupportedError(
+            `Provider ${provider.name} only accepts images as base64 data`,
+            { provider: provider.name, capability: part.type === 'document' ? 'documents' : 'vision' }
+          );
+        }
+        message.images = [...(message.images || []), part.data];
+      }
+    }
+
+    // Ollama takes arguments as an object and matches results by position
+    if (msg.toolCalls?.length) {
+      message.tool_calls = msg.toolCalls.map(call => ({
+        function: { name: call.name, arguments: call.arguments ?? {} }
+      }));
+    }
+
+    return message;
+  }
+
+  /**
+   * Cohere's tool calls have no ids: a result repeats the call it answers,
+   * so each `toolCallId` is looked up among the assistant's latest calls.
+   * The adapter sends text as `message`.
+   */
+  toCohereMessages(messages, provider) {
+    const result = [];
+    let calls = new Map();
+
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        const toolResult = {
+          call: calls.get(msg.toolCallId) || { name: msg.name, parameters: {} },
+          outputs: this.toCohereOutputs(msg.content)
+        };
+        const previous = result[result.length - 1];
+
+        // All results for one turn go in a single TOOL message
+        if (previous?.role === 'TOOL') {
+          previous.toolResults.push(toolResult);
+        } else {
+          result.push({ role: 'TOOL', toolResults: [toolResult] });
+        }
+      } else if (msg.toolCalls?.length) {
+        calls = new Map(msg.toolCalls.map(call => [call.id, {
+          name: call.name,
+          parameters: call.arguments && typeof call.arguments === 'object' ? call.arguments : {}
+        }]));
+        result.push({ role: 'CHATBOT', content: this.textOf(msg.content) || '', toolCalls: [...calls.values()] });
+      } else {
+        result.push({ role: this.normalizeRole(msg.role, provider), content: this.textOf(msg.content) });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Cohere takes a tool's output as a list of objects
+   */
+  toCohereOutputs(content) {
+    if (Array.isArray(content)) {
+      return content.map(item => (item && typeof item === 'object' ? item : { result: item }));
+    }
+    return content && typeof content === 'object' ? [content] : [{ result: content }];
+  }
+
+  stringifyToolResult(content) {
+    return typeof content === 'string' ? content : JSON.stringify(content);
+  }
+
+  /**
+   * Translate normalized tool definitions (`{ name, description, parameters }`
+   * with a JSON schema for parameters) into the vendor's format
+   */
+  normalizeTools(tools, provider) {
+    switch (this.protocolOf(provider)) {
+      case 'anthropic':
+        return tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.parameters || { type: 'object', properties: {} }
+        }));
+      case 'openai':
+      case 'mistral':
+      case 'local':
+        return tools.map(tool => ({
+          type: 'function',
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters || { type: 'object', properties: {} }
+          }
+        }));
+      case 'google':
+        return [{
+          functionDeclarations: tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters
+          }))
+        }];
+      case 'cohere':
+        return tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameterDefinitions: this.toCohereParameters(tool.parameters)
+        }));
+      default:
+        return tools;
+    }
+  }
+
+  /**
+   * Cohere lists parameters one by one with Python type names rather than
+   * as a JSON schema, so nested schemas only keep their top-level type
+   */
+  toCohereParameters(schema = {}) {
+    const types = { string: 'str', integer: 'int', number: 'float', boolean: 'bool', array: 'list', object: 'dict' };
+    const required = schema.required || [];
+
+    return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => [name, {
+      description: property.description,
+      type: property.type === 'array' && property.items?.type
+        ? `List[${types[property.items.type] || 'str'}]`
+        : types[property.type] || 'str',
+      required: required.includes(name)
+    }]));
+  }
+
+  /**
+   * @param {'auto'|'required'|{name: string}} [toolChoice]
+   */
+  normalizeToolChoice(toolChoice, provider) {
+    if (!toolChoice) {
+      return undefined;
+    }
+
+    const forcedName = typeof toolChoice === 'object' ? toolChoice.name : null;
+
+    switch (this.protocolOf(provider)) {
+      case 'anthropic':
+        if (forcedName) return { type: 'tool', name: forcedName };
+        return { type: toolChoice === 'required' ? 'any' : 'auto' };
+      case 'openai':
+        if (forcedName) return { type: 'function', function: { name: forcedName } };
+        return toolChoice;
+      case 'mistral':
+        // Mistral can't force a specific function, only "some function"
+        return forcedName || toolChoice === 'required' ? 'any' : 'auto';
+      case 'google':
+        return {
+          functionCallingConfig: forcedName
+            ? { mode: 'ANY', allowedFunctionNames: [forcedName] }
+            : { mode: toolChoice === 'required' ? 'ANY' : 'AUTO' }
+        };
+      case 'cohere':
+        // Cohere's chat API always leaves the choice to the model
+        return undefined;
+      default:
+        return toolChoice;
+    }
   }
 
   normalizeRole(role, provider) {
     const roleMap = {
-      anthropic: { user: 'user', assistant: 'assistant', system: 'system' },
-      openai: { user: 'user', assistant: 'assistant', system: 'system' },
-      google: { user: 'user', assistant: 'model', system: 'user' }
+      anthropic: { user: 'user', assistant: 'assistant', system: 'system', tool: 'user' },
+      openai: { user: 'user', assistant: 'assistant', system: 'system', tool: 'tool' },
+      google: { user: 'user', assistant: 'model', system: 'user', tool: 'function' },
+      local: { user: 'user', assistant: 'assistant', system: 'system', tool: 'tool' },
+      mistral: { user: 'user', assistant: 'assistant', system: 'system', tool: 'tool' },
+      cohere: { user: 'USER', assistant: 'CHATBOT', system: 'SYSTEM', tool: 'TOOL' }
     };
-    return roleMap[provider.name]?.[role] || role;
+    return roleMap[this.protocolOf(provider)]?.[role] || role;
   }
 
-  normalizeResponse(response, provider) {
+  /**
+   * Gemini and Cohere responses don't name the model, so `requestedModel`
+   * (the normalized request's) stands in for pricing and attribution
+   */
+  normalizeResponse(response, provider, requestedModel) {
     return {
       content: this.extractContent(response, provider),
-      model: response.model,
+      model: response.model || requestedModel,
       provider: provider.name,
       usage: {
         inputTokens: this.extractInputTokens(response, provider),
         outputTokens: this.extractOutputTokens(response, provider),
         totalTokens: this.extractTotalTokens(response, provider)
       },
-      finishReason: this.extractFinishReason(response, provider)
+      finishReason: this.extractFinishReason(response, provider),
+      toolCalls: this.extractToolCalls(response, provider)
     };
   }
 
   extractContent(response, provider) {
-    switch (provider.name) {
+    switch (this.protocolOf(provider)) {
       case 'anthropic':
-        return response.content[0]?.text || '';
+        return response.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('');
       case 'openai':
+      case 'mistral':
         return response.choices[0]?.message?.content || '';
       case 'google':
-        return response.candidates[0]?.content?.parts[0]?.text || '';
+        return (response.candidates[0]?.content?.parts || [])
+          .filter(part => part.text)
+          .map(part => part.text)
+          .join('');
+      case 'cohere':
+        return response.text || '';
+      case 'local':
+        return response.message?.content ?? response.response ?? '';
       default:
         return response.content || response.text || '';
     }
   }
 
+  /**
+   * Tool calls requested by the model, as `[{ id, name, arguments }]`
+   */
+  extractToolCalls(response, provider) {
+    switch (this.protocolOf(provider)) {
+      case 'anthropic':
+        return response.content
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: block.input }));
+      case 'openai':
+      case 'mistral': {
+        const message = response.choices[0]?.message || {};
+        const calls = (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: this.parseToolArguments(call.function.arguments)
+        }));
+
+        // Legacy function_call responses carry no id
+        if (message.function_call) {
+          calls.push({
+            id: `call_${calls.length}`,
+            name: message.function_call.name,
+            arguments: this.parseToolArguments(message.function_call.arguments)
+          });
+        }
+        return calls;
+      }
+      case 'google':
+        // Gemini doesn't assign ids, so results are matched back by name
+        return (response.candidates[0]?.content?.parts || [])
+          .filter(part => part.functionCall)
+          .map((part, i) => ({
+            id: `call_${i}`,
+            name: part.functionCall.name,
+            arguments: part.functionCall.args || {}
+          }));
+      case 'cohere':
+        return (response.toolCalls || []).map((call, i) => ({
+          id: `call_${i}`,
+          name: call.name,
+          arguments: call.parameters || {}
+        }));
+      case 'local':
+        return (response.message?.tool_calls || []).map((call, i) => ({
+          id: `call_${i}`,
+          name: call.function.name,
+          arguments: this.parseToolArguments(call.function.arguments)
+        }));
+      default:
+        return response.toolCalls || [];
+    }
+  }
+
+  parseToolArguments(args) {
+    if (typeof args !== 'string') {
+      return args || {};
+    }
+
+    try {
+      return JSON.parse(args || '{}');
+    } catch (error) {
+      // Hand the raw string on so the caller can report invalid arguments
+      logger.warn('Failed to parse tool call arguments', { error });
+      return args;
+    }
+  }
+
   extractInputTokens(response, provider) {
-    switch (provider.name) {
+    switch (this.protocolOf(provider)) {
       case 'anthropic':
         return response.usage?.input_tokens || 0;
       case 'openai':
+      case 'mistral':
         return response.usage?.prompt_tokens || 0;
+      case 'cohere':
+        return response.meta?.billedUnits?.inputTokens ?? response.meta?.tokens?.inputTokens ?? 0;
       case 'google':
         return response.usageMetadata?.promptTokenCount || 0;
+      case 'local':
+        return response.prompt_eval_count || 0;
       default:
         return 0;
     }
   }
 
   extractOutputTokens(response, provider) {
-    switch (provider.name) {
+    switch (this.protocolOf(provider)) {
       case 'anthropic':
         return response.usage?.output_tokens || 0;
       case 'openai':
+      case 'mistral':
         return response.usage?.completion_tokens || 0;
+      case 'cohere':
+        return response.meta?.billedUnits?.outputTokens ?? response.meta?.tokens?.outputTokens ?? 0;
       case 'google':
         return response.usageMetadata?.candidatesTokenCount || 0;
+      case 'local':
+        return response.eval_count || 0;
       default:
         return 0;
     }
@@ -149,32 +1664,175 @@ export class UniversalProvider {
   }
 
   extractFinishReason(response, provider) {
-    switch (provider.name) {
+    switch (this.protocolOf(provider)) {
       case 'anthropic':
         return response.stop_reason;
       case 'openai':
+      case 'mistral':
         return response.choices[0]?.finish_reason;
+      case 'cohere':
+        return response.finishReason;
       case 'google':
         return response.candidates[0]?.finishReason;
+      case 'local':
+        return response.done_reason;
       default:
         return 'unknown';
     }
   }
 
+  extractStreamDelta(chunk, provider) {
+    switch (this.protocolOf(provider)) {
+      case 'anthropic': {
+        const toolCalls = [];
+        if (chunk.type === 'content_block_start' && chunk.content_block?.type === 'tool_use') {
+          toolCalls.push({ index: chunk.index, id: chunk.content_block.id, name: chunk.content_block.name });
+        } else if (chunk.delta?.type === 'input_json_delta') {
+          toolCalls.push({ index: chunk.index, arguments: chunk.delta.partial_json });
+        }
+        return {
+          text: chunk.type === 'content_block_delta' ? chunk.delta?.text : undefined,
+          toolCalls,
+          inputTokens: chunk.message?.usage?.input_tokens,
+          outputTokens: chunk.usage?.output_tokens,
+          finishReason: chunk.delta?.stop_reason,
+          model: chunk.message?.model
+        };
+      }
+      case 'openai':
+      case 'mistral':
+        return {
+          text: chunk.choices?.[0]?.delta?.content,
+          toolCalls: (chunk.choices?.[0]?.delta?.tool_calls || []).map(call => ({
+            index: call.index,
+            id: call.id,
+            name: call.function?.name,
+            arguments: call.function?.arguments
+          })),
+          inputTokens: chunk.usage?.prompt_tokens,
+          outputTokens: chunk.usage?.completion_tokens,
+          finishReason: chunk.choices?.[0]?.finish_reason,
+          model: chunk.model
+        };
+      case 'google': {
+        const parts = chunk.candidates?.[0]?.content?.parts || [];
+        return {
+          text: parts.filter(part => part.text).map(part => part.text).join(''),
+          toolCalls: parts
+            .filter(part => part.functionCall)
+            .map(part => ({
+              name: part.functionCall.name,
+              arguments: part.functionCall.args || {}
+            })),
+          inputTokens: chunk.usageMetadata?.promptTokenCount,
+          outputTokens: chunk.usageMetadata?.candidatesTokenCount,
+          finishReason: chunk.candidates?.[0]?.finishReason
+        };
+      }
+      case 'cohere': {
+        const meta = chunk.response?.meta;
+        return {
+          text: chunk.eventType === 'text-generation' ? chunk.text : undefined,
+          // Sent whole once generated; the 'tool-calls-chunk' events before it are previews
+          toolCalls: chunk.eventType === 'tool-calls-generation'
+            ? chunk.toolCalls.map(call => ({ name: call.name, arguments: call.parameters || {} }))
+            : [],
+          inputTokens: meta?.billedUnits?.inputTokens ?? meta?.tokens?.inputTokens,
+          outputTokens: meta?.billedUnits?.outputTokens ?? meta?.tokens?.outputTokens,
+          finishReason: chunk.eventType === 'stream-end' ? chunk.finishReason : undefined
+        };
+      }
+      case 'local':
+        return {
+          text: chunk.message?.content ?? chunk.response,
+          toolCalls: (chunk.message?.tool_calls || []).map(call => ({
+            name: call.function.name,
+            arguments: call.function.arguments
+          })),
+          inputTokens: chunk.prompt_eval_count,
+          outputTokens: chunk.eval_count,
+          finishReason: chunk.done_reason,
+          model: chunk.model
+        };
+      default:
+        return { text: chunk.content || chunk.text };
+    }
+  }
+
+  extractEmbeddings(response, provider) {
+    switch (this.protocolOf(provider)) {
+      case 'openai':
+        return [...response.data]
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding);
+      case 'google':
+        return response.embeddings.map(embedding => embedding.values);
+      default:
+        return response.embeddings;
+    }
+  }
+
+  extractEmbeddingTokens(response, provider) {
+    switch (this.protocolOf(provider)) {
+      case 'openai':
+        return response.usage?.prompt_tokens || 0;
+      case 'local':
+        return response.prompt_eval_count || 0;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Registered providers to try after `failedProvider`, skipping any whose
+   * circuit is open
+   */
+  getFallbackOrder(failedProvider) {
+    const order = this.fallbackOrder || Array.from(this.providers.keys());
+
+    return order.filter(name =>
+      name !== failedProvider && this.providers.has(name) && this.isHealthy(name)
+    );
+  }
+
+  /**
+   * @param {Array<string>|null} order - Provider names; null falls back to
+   *   every provider in registration order
+   */
+  setFallbackOrder(order) {
+    this.fallbackOrder = order;
+  }
+
+  isHealthy(name) {
+    return this.breakers.get(this.providers.get(name))?.isAvailable() ?? true;
+  }
+
+  /**
+   * A pinned model only goes to fallback providers that serve it; the
+   * others use their own default
+   */
+  fallbackRequest(providerName, request) {
+    return !request.model || this.serves(this.getProvider(providerName), request.model)
+      ? request
+      : { ...request, model: undefined };
+  }
+
   async tryFallback(request, failedProvider, options) {
-    const allProviders = Array.from(this.providers.keys());
-    const fallbackOrder = allProviders.filter(p => p !== failedProvider);
+    const fallbackOrder = this.getFallbackOrder(failedProvider);
 
     for (const providerName of fallbackOrder) {
       try {
-        logger.info(Trying fallback provider: );
-        return await this.complete(request, {
+        logger.info(`Trying fallback provider: ${providerName}`);
+        return await this.complete(this.fallbackRequest(providerName, request), {
           ...options,
           provider: providerName,
           enableFallback: false
         });
       } catch (error) {
-        logger.warn(Fallback provider  failed, { error });
+        if (error instanceof RequestCancelledError) {
+          throw error;
+        }
+        logger.warn(`Fallback provider ${providerName} failed`, { error });
         continue;
       }
     }
@@ -182,19 +1840,162 @@ export class UniversalProvider {
     throw new Error('All providers failed');
   }
 
+  /**
+   * @param {Error} cause - The failed provider's error, rethrown when no
+   *   fallback can take over
+   */
+  async tryEmbedFallback(texts, failedProvider, options, cause) {
+    const dimensions = options.dimensions ??
+      this.embeddingDimensions(this.getProvider(failedProvider), options.model);
+    let lastError = cause;
+
+    for (const providerName of this.getFallbackOrder(failedProvider)) {
+      const provider = this.getProvider(providerName);
+      // Embedding models are vendor-specific: a pinned model only goes to
+      // providers that serve it, the others use their default
+      const model = options.model && this.serves(provider, options.model) ? options.model : undefined;
+
+      if (!this.canEmbed(provider)) continue;
+      if (!options.allowDimensionChange && (!dimensions || this.embeddingDimensions(provider, model) !== dimensions)) {
+        logger.debug(`Skipping fallback embedding provider ${providerName}: vectors of another size`, { dimensions });
+        continue;
+      }
+
+      try {
+        logger.info(`Trying fallback embedding provider: ${providerName}`);
+        return await this.embedWith(provider, texts, { ...options, model });
+      } catch (error) {
+        if (error instanceof RequestCancelledError) {
+          throw error;
+        }
+        logger.warn(`Fallback provider ${providerName} failed`, { error });
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * @returns {number|null} Vector size of the model a provider embeds with,
+   *   null when the catalog doesn't list it
+   */
+  embeddingDimensions(provider, model) {
+    return this.catalog.get(model || provider.defaultEmbeddingModel)?.dimensions ?? null;
+  }
+
+  async *tryStreamFallback(request, failedProvider, options) {
+    const fallbackOrder = this.getFallbackOrder(failedProvider);
+
+    for (const providerName of fallbackOrder) {
+      let started = false;
+
+      try {
+        logger.info(`Trying fallback provider: ${providerName}`);
+        const stream = this.stream(this.fallbackRequest(providerName, request), {
+          ...options,
+          provider: providerName,
+          enableFallback: false
+        });
+        for await (const event of stream) {
+          started = true;
+          yield event;
+        }
+        return;
+      } catch (error) {
+        if (started || error instanceof RequestCancelledError) {
+          throw error;
+        }
+        logger.warn(`Fallback provider ${providerName} failed`, { error });
+      }
+    }
+
+    throw new Error('All providers failed');
+  }
+
+  /**
+   * Count a vendor call's tokens and, unless `monitoring.trackCosts` is off,
+   * record it in the cost ledger
+   * @param {string} providerName
+   * @param {Object} usage - Normalized usage
+   * @param {string} model - The model that actually ran
+   * @param {Object} [options] - Call options, for agentId, taskId and sessionId
+   * @param {Object} [reservation] - What the call reserved against budgets,
+   *   which its recorded cost replaces
+   */
+  trackUsage(providerName, usage, model, options = {}, reservation) {
+    const totals = this.usage.get(providerName) ||
+      { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+
+    totals.requests++;
+    totals.inputTokens += usage?.inputTokens || 0;
+    totals.outputTokens += usage?.outputTokens || 0;
+    totals.totalTokens += usage?.totalTokens || 0;
+    this.usage.set(providerName, totals);
+
+    const call = { provider: providerName, model, ...this.attributionOf(options) };
+    const entry = this.monitoring.trackCosts ? this.ledger.record(call, usage, reservation) : null;
+    // Unrecorded with cost tracking off, but no longer in flight either
+    this.ledger.release(reservation);
+
+    if (this.monitoring.logAllRequests) {
+      logger.info(`Request to ${providerName} completed`, { ...call, ...usage, costUsd: entry?.costUsd });
+    }
+  }
+
+  /**
+   * Feed back how good a response was, for quality-aware routing
+   * @param {string} providerName - `response.provider`
+   * @param {string} model - `response.model`
+   * @param {number} score - 0 to 1
+   */
+  recordQuality(providerName, model, score) {
+    this.metrics.recordQuality(providerName, model, score);
+  }
+
+  /**
+   * Who a call was made for, as recorded in the cost ledger
+   */
+  attributionOf(options) {
+    return { agentId: options.agentId, taskId: options.taskId, sessionId: options.sessionId };
+  }
+
+  /**
+   * Token use and cost per provider for calls that reached a vendor, plus
+   * what the response cache saved. Per-model, agent and session breakdowns
+   * are in `ledger.getSummary()`.
+   * @returns {Object} `{ providers: { [name]: { requests, inputTokens, outputTokens, totalTokens, cost } }, totalCost, cache }`
+   */
+  getCostSummary() {
+    const costs = this.ledger.getSummary();
+
+    return {
+      providers: Object.fromEntries(
+        Array.from(this.usage.entries()).map(([name, totals]) => [
+          name,
+          { ...totals, cost: costs.byProvider[name]?.cost ?? 0 }
+        ])
+      ),
+      totalCost: costs.totalCost,
+      cache: this.cache ? this.cache.getStats() : null
+    };
+  }
+
   listProviders() {
     return Array.from(this.providers.entries()).map(([name, provider]) => ({
       name,
       available: provider.isAvailable(),
-      models: provider.supportedModels
+      models: provider.supportedModels,
+      circuit: this.breakers.get(provider).getState(),
+      queue: this.limiters.get(provider).getStats()
     }));
   }
 
   setDefaultProvider(name) {
     if (!this.providers.has(name)) {
-      throw new Error(Provider  not registered);
+      throw new Error(`Provider ${name} not registered`);
     }
     this.defaultProvider = name;
-    logger.info(Default provider set to: );
+    logger.info(`Default provider set to: ${name}`);
   }
 }
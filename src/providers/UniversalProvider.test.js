@@ -0,0 +1,565 @@
+import { UniversalProvider } from './UniversalProvider';
+import { ModelCatalog } from './ModelCatalog';
+import { BudgetExceededError, CapabilityNotSupportedError, ProviderError } from './errors';
+
+// Speaks the Ollama protocol, which needs the least response shaping
+function mockProvider(name, overrides = {}) {
+  return {
+    name,
+    protocol: 'local',
+    defaultModel: `${name}-chat`,
+    defaultEmbeddingModel: `${name}-embed`,
+    isAvailable: () => true,
+    complete: jest.fn(async request => ({
+      model: request.model,
+      message: { role: 'assistant', content: `${name} answer` },
+      done_reason: 'stop',
+      prompt_eval_count: 10,
+      eval_count: 5
+    })),
+    embed: jest.fn(async ({ texts, model }) => ({
+      embeddings: texts.map(() => new Array(overrides.dimensions || 4).fill(0.5)),
+      model
+    })),
+    ...overrides
+  };
+}
+
+const unavailable = () => Object.assign(new Error('Service unavailable'), { status: 503 });
+const failing = () => jest.fn().mockRejectedValue(unavailable());
+
+// Yields the chunks in order, throwing any that is an error
+async function* chunks(...items) {
+  for (const item of items) {
+    if (item instanceof Error) throw item;
+    yield item;
+  }
+}
+
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+}
+
+const weatherTool = {
+  name: 'get_weather',
+  description: 'Current weather for a city',
+  parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+};
+
+describe('UniversalProvider', () => {
+  let catalog;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    catalog = new ModelCatalog().extend({
+      'primary-chat': { provider: 'local', contextWindow: 8192, pricing: { input: 1, output: 2 } },
+      'primary-embed': { provider: 'local', type: 'embedding', contextWindow: 8192, dimensions: 4 },
+      'same-embed': { provider: 'local', type: 'embedding', contextWindow: 8192, dimensions: 4 },
+      'other-embed': { provider: 'local', type: 'embedding', contextWindow: 8192, dimensions: 8 }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createUniversal(...providers) {
+    const universal = new UniversalProvider({ catalog, retryPolicy: { maxRetries: 0 } });
+    for (const provider of providers) {
+      universal.register(provider.name, provider);
+    }
+    return universal;
+  }
+
+  describe('complete', () => {
+    it('names the requested model when the response does not', async () => {
+      const primary = mockProvider('primary');
+      primary.complete.mockResolvedValue({ message: { content: 'hi' }, prompt_eval_count: 1000000, eval_count: 0 });
+      const universal = createUniversal(primary);
+
+      const response = await universal.complete({ messages: [{ role: 'user', content: 'hi' }] });
+
+      expect(response.model).toBe('primary-chat');
+      expect(universal.ledger.getEntries()[0]).toEqual(expect.objectContaining({ model: 'primary-chat', costUsd: 1 }));
+    });
+  });
+
+  describe('stream', () => {
+    const hello = { messages: [{ role: 'user', content: 'Hello' }] };
+    const text = (content, model = 'primary-chat') => ({ model, message: { content } });
+    const done = (model = 'primary-chat') => ({
+      model,
+      message: { content: '' },
+      done: true,
+      done_reason: 'stop',
+      prompt_eval_count: 10,
+      eval_count: 5
+    });
+
+    beforeEach(() => {
+      catalog.extend({
+        'primary-chat': { provider: 'local', contextWindow: 8192, capabilities: ['streaming', 'tool-use'] },
+        'secondary-chat': { provider: 'local', contextWindow: 8192, capabilities: ['streaming', 'tool-use'] }
+      });
+    });
+
+    it('retries a stream that fails before its first event', async () => {
+      const primary = mockProvider('primary', { stream: jest.fn() });
+      primary.stream
+        .mockImplementationOnce(() => chunks(unavailable()))
+        .mockImplementationOnce(() => chunks(text('Hi'), text(' there'), done()));
+      const universal = new UniversalProvider({ catalog, retryPolicy: { maxRetries: 1, baseDelay: 1 } });
+      universal.register('primary', primary);
+
+      const events = await collect(universal.stream(hello));
+
+      expect(primary.stream).toHaveBeenCalledTimes(2);
+      expect(events.filter(event => event.type === 'text').map(event => event.text)).toEqual(['Hi', ' there']);
+      expect(events.slice(-2)).toEqual([
+        { type: 'usage', provider: 'primary', usage: { inputTokens: 10, outputTokens: 5, totalTokens: 15 } },
+        { type: 'finish', provider: 'primary', model: 'primary-chat', finishReason: 'stop' }
+      ]);
+    });
+
+    it('falls back once retries run out', async () => {
+      const primary = mockProvider('primary', { stream: jest.fn(() => chunks(unavailable())) });
+      const secondary = mockProvider('secondary', {
+        stream: jest.fn(() => chunks(text('Hi', 'secondary-chat'), done('secondary-chat')))
+      });
+      const universal = new UniversalProvider({ catalog, retryPolicy: { maxRetries: 1, baseDelay: 1 } });
+      universal.register('primary', primary);
+      universal.register('secondary', secondary);
+
+      const events = await collect(universal.stream(hello));
+
+      expect(primary.stream).toHaveBeenCalledTimes(2);
+      expect(secondary.stream).toHaveBeenCalledWith(expect.objectContaining({ model: 'secondary-chat' }), expect.anything());
+      expect(events[0]).toEqual({ type: 'text', text: 'Hi', provider: 'secondary' });
+      expect(events[events.length - 1]).toEqual(expect.objectContaining({ type: 'finish', provider: 'secondary' }));
+    });
+
+    it('neither retries nor falls back once text has been sent', async () => {
+      const primary = mockProvider('primary', { stream: jest.fn(() => chunks(text('Hi'), unavailable())) });
+      const secondary = mockProvider('secondary', { stream: jest.fn(() => chunks(done('secondary-chat'))) });
+      const universal = new UniversalProvider({ catalog, retryPolicy: { maxRetries: 1, baseDelay: 1 } });
+      universal.register('primary', primary);
+      universal.register('secondary', secondary);
+      const events = [];
+
+      await expect((async () => {
+        for await (const event of universal.stream(hello)) {
+          events.push(event);
+        }
+      })()).rejects.toBeInstanceOf(ProviderError);
+
+      expect(events).toEqual([{ type: 'text', text: 'Hi', provider: 'primary' }]);
+      expect(primary.stream).toHaveBeenCalledTimes(1);
+      expect(secondary.stream).not.toHaveBeenCalled();
+    });
+
+    it('assembles tool calls streamed in indexed fragments', async () => {
+      const delta = toolCall => ({ choices: [{ delta: { tool_calls: [toolCall] } }] });
+      const primary = mockProvider('primary', {
+        protocol: 'openai',
+        stream: jest.fn(() => chunks(
+          delta({ index: 0, id: 'call_a', function: { name: 'get_weather', arguments: '' } }),
+          delta({ index: 1, id: 'call_b', function: { name: 'get_weather', arguments: '{"city":' } }),
+          delta({ index: 0, function: { arguments: '{"city":' } }),
+          delta({ index: 0, function: { arguments: ' "Oslo"}' } }),
+          delta({ index: 1, function: { arguments: ' "Bergen"}' } }),
+          { choices: [{ delta: {}, finish_reason: 'tool_calls' }], usage: { prompt_tokens: 20, completion_tokens: 8 } }
+        ))
+      });
+      const universal = createUniversal(primary);
+
+      const events = await collect(universal.stream({ ...hello, tools: [weatherTool] }));
+
+      expect(events).toEqual([
+        { type: 'tool_call', provider: 'primary', toolCall: { id: 'call_a', name: 'get_weather', arguments: { city: 'Oslo' } } },
+        { type: 'tool_call', provider: 'primary', toolCall: { id: 'call_b', name: 'get_weather', arguments: { city: 'Bergen' } } },
+        { type: 'usage', provider: 'primary', usage: { inputTokens: 20, outputTokens: 8, totalTokens: 28 } },
+        { type: 'finish', provider: 'primary', model: 'primary-chat', finishReason: 'tool_calls' }
+      ]);
+      expect(primary.stream.mock.calls[0][0].tools).toEqual([
+        { type: 'function', function: { name: 'get_weather', description: weatherTool.description, parameters: weatherTool.parameters } }
+      ]);
+    });
+
+    it('assembles tool input streamed as JSON pieces after the text', async () => {
+      const primary = mockProvider('primary', {
+        protocol: 'anthropic',
+        stream: jest.fn(() => chunks(
+          { type: 'message_start', message: { model: 'primary-chat', usage: { input_tokens: 20 } } },
+          { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+          { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking.' } },
+          { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } },
+          { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } },
+          { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: ' "Oslo"}' } },
+          { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 12 } }
+        ))
+      });
+      const universal = createUniversal(primary);
+
+      const events = await collect(universal.stream({ ...hello, tools: [weatherTool] }));
+
+      expect(events.map(event => event.type)).toEqual(['text', 'tool_call', 'usage', 'finish']);
+      expect(events[1].toolCall).toEqual({ id: 'toolu_1', name: 'get_weather', arguments: { city: 'Oslo' } });
+      expect(events[2].usage).toEqual({ inputTokens: 20, outputTokens: 12, totalTokens: 32 });
+    });
+
+    it('gives calls that arrive whole an id by position', async () => {
+      const primary = mockProvider('primary', {
+        stream: jest.fn(() => chunks(
+          { model: 'primary-chat', message: { content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Oslo' } } }] } },
+          done()
+        ))
+      });
+      const universal = createUniversal(primary);
+
+      const events = await collect(universal.stream({ ...hello, tools: [weatherTool] }));
+
+      expect(events[0]).toEqual({
+        type: 'tool_call',
+        provider: 'primary',
+        toolCall: { id: 'call_0', name: 'get_weather', arguments: { city: 'Oslo' } }
+      });
+    });
+
+    it('simulates a stream from a complete response where the model cannot stream', async () => {
+      const primary = mockProvider('primary', { stream: jest.fn() });
+      primary.complete.mockResolvedValue({
+        model: 'plain-chat',
+        message: { content: 'One two', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Oslo' } } }] },
+        done_reason: 'stop',
+        prompt_eval_count: 10,
+        eval_count: 5
+      });
+      catalog.extend({ 'plain-chat': { provider: 'local', contextWindow: 8192, capabilities: ['tool-use'] } });
+      const universal = createUniversal(primary);
+
+      const events = await collect(universal.stream({ ...hello, model: 'plain-chat', tools: [weatherTool] }));
+
+      expect(primary.stream).not.toHaveBeenCalled();
+      expect(events.map(event => event.type)).toEqual(['text', 'tool_call', 'usage', 'finish']);
+      expect(events[1].toolCall).toEqual({ id: 'call_0', name: 'get_weather', arguments: { city: 'Oslo' } });
+    });
+  });
+
+  describe('budgets', () => {
+    it('counts calls in flight against a hard limit', async () => {
+      const primary = mockProvider('primary');
+      primary.complete.mockImplementation(async request => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return { model: request.model, message: { content: 'done' }, prompt_eval_count: 100, eval_count: 100 };
+      });
+      const universal = createUniversal(primary);
+      universal.ledger.budgets = { session: { hard: 1 } };
+      // Worst case $0.60 each: either call fits, both at once don't
+      const request = { messages: [{ role: 'user', content: 'hi' }], maxTokens: 300000 };
+      const options = { sessionId: 'session-1', enableFallback: false };
+
+      const results = await Promise.allSettled([
+        universal.complete(request, options),
+        universal.complete(request, options)
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason).toBeInstanceOf(BudgetExceededError);
+      expect(primary.complete).toHaveBeenCalledTimes(1);
+
+      // Once the first call is booked at its real cost there's room again
+      await expect(universal.complete(request, options)).resolves.toEqual(expect.objectContaining({ content: 'done' }));
+    });
+
+    it('gives back what a failed call reserved', async () => {
+      const primary = mockProvider('primary', { complete: failing() });
+      const universal = createUniversal(primary);
+      universal.ledger.budgets = { session: { hard: 1 } };
+      const request = { messages: [{ role: 'user', content: 'hi' }], maxTokens: 300000 };
+
+      await expect(universal.complete(request, { sessionId: 'session-1', enableFallback: false })).rejects.toThrow();
+
+      expect(universal.ledger.reserved.size).toBe(0);
+    });
+  });
+
+  describe('supports', () => {
+    it('does not assume unknown models read images or documents', () => {
+      const universal = createUniversal(mockProvider('primary'));
+      const provider = universal.getProvider('primary');
+
+      expect(universal.supports(provider, 'vision', 'unknown-model')).toBe(false);
+      expect(universal.supports(provider, 'documents', 'unknown-model')).toBe(false);
+      expect(universal.supports(provider, 'streaming', 'unknown-model')).toBe(true);
+    });
+
+    it('takes image and document support from the provider or the catalog', () => {
+      const declaring = mockProvider('declaring', { hasCapability: capability => capability === 'vision' });
+      const universal = createUniversal(mockProvider('primary'), declaring);
+      catalog.extend({ 'seeing-model': { provider: 'local', contextWindow: 8192, capabilities: ['vision'] } });
+
+      expect(universal.supports(declaring, 'vision', 'unknown-model')).toBe(true);
+      expect(universal.supports(declaring, 'documents', 'unknown-model')).toBe(false);
+      expect(universal.supports(universal.getProvider('primary'), 'vision', 'seeing-model')).toBe(true);
+    });
+
+    it('refuses image parts for unknown models before calling the vendor', async () => {
+      const primary = mockProvider('primary');
+      const universal = createUniversal(primary);
+      const messages = [{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is this?' },
+          { type: 'image', mediaType: 'image/png', data: 'iVBORw0KGgo=' }
+        ]
+      }];
+
+      await expect(universal.complete({ model: 'unknown-model', messages }, { enableFallback: false }))
+        .rejects.toBeInstanceOf(CapabilityNotSupportedError);
+      expect(primary.complete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getContextWindow', () => {
+    beforeEach(() => {
+      catalog.extend({
+        'primary-chat': { provider: 'local', contextWindow: 32000 },
+        'secondary-chat': { provider: 'local', contextWindow: 8000 },
+        'quick-chat': { provider: 'local', contextWindow: 4000 }
+      });
+    });
+
+    it('gives the window of the model or the provider\'s default', () => {
+      const universal = createUniversal(mockProvider('primary'), mockProvider('secondary'));
+
+      expect(universal.getContextWindow('quick-chat')).toBe(4000);
+      expect(universal.getContextWindow(undefined, 'primary')).toBe(32000);
+      expect(universal.getContextWindow('unknown-model')).toBe(8192);
+    });
+
+    it('gives the smallest window a fallback may run on when no model is named', () => {
+      const universal = createUniversal(mockProvider('primary'), mockProvider('secondary'));
+
+      expect(universal.getContextWindow()).toBe(8000);
+
+      universal.enableFallback = false;
+      expect(universal.getContextWindow()).toBe(32000);
+    });
+
+    it('counts the models routing rules send calls to', () => {
+      const universal = createUniversal(mockProvider('primary'));
+      universal.rules = { 'simple-queries': 'primary/quick-chat' };
+
+      expect(universal.getContextWindow()).toBe(4000);
+    });
+  });
+
+  describe('embed', () => {
+    it('falls back to a provider whose model gives vectors of the same size', async () => {
+      const primary = mockProvider('primary', { embed: failing() });
+      const other = mockProvider('other', { dimensions: 8 });
+      const same = mockProvider('same');
+      const universal = createUniversal(primary, other, same);
+
+      const result = await universal.embed(['a', 'b']);
+
+      expect(result).toEqual(expect.objectContaining({ provider: 'same', model: 'same-embed', dimensions: 4 }));
+      expect(other.embed).not.toHaveBeenCalled();
+    });
+
+    it('rethrows the classified error when no fallback gives vectors of the same size', async () => {
+      const primary = mockProvider('primary', { embed: failing() });
+      const other = mockProvider('other', { dimensions: 8 });
+      const universal = createUniversal(primary, other);
+
+      const error = await universal.embed('a').catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ProviderError);
+      expect(error.kind).toBe('overloaded');
+      expect(other.embed).not.toHaveBeenCalled();
+    });
+
+    it('falls back to any embedding provider with allowDimensionChange', async () => {
+      const primary = mockProvider('primary', { embed: failing() });
+      const other = mockProvider('other', { dimensions: 8 });
+      const universal = createUniversal(primary, other);
+
+      const result = await universal.embed('a', { allowDimensionChange: true });
+
+      expect(result).toEqual(expect.objectContaining({ provider: 'other', dimensions: 8 }));
+    });
+  });
+
+  describe('tools', () => {
+    const toolTurn = {
+      messages: [
+        { role: 'user', content: 'Weather in Oslo and Bergen?' },
+        {
+          role: 'assistant',
+          content: 'Looking both up.',
+          toolCalls: [
+            { id: 'call_0', name: 'get_weather', arguments: { city: 'Oslo' } },
+            { id: 'call_1', name: 'get_weather', arguments: { city: 'Bergen' } }
+          ]
+        },
+        { role: 'tool', toolCallId: 'call_0', name: 'get_weather', content: { temperature: 4 } },
+        { role: 'tool', toolCallId: 'call_1', name: 'get_weather', content: '7°C' }
+      ],
+      tools: [weatherTool]
+    };
+    const asFunction = {
+      type: 'function',
+      function: { name: 'get_weather', description: weatherTool.description, parameters: weatherTool.parameters }
+    };
+    const openAICalls = [
+      { id: 'call_0', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } },
+      { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Bergen"}' } }
+    ];
+
+    it('sends Anthropic tool_use blocks and groups the results in one user turn', () => {
+      const normalized = createUniversal().normalizeRequest({ ...toolTurn, model: 'claude-sonnet-4' }, { name: 'anthropic' });
+
+      expect(normalized.tools).toEqual([
+        { name: 'get_weather', description: weatherTool.description, input_schema: weatherTool.parameters }
+      ]);
+      expect(normalized.messages).toEqual([
+        { role: 'user', content: 'Weather in Oslo and Bergen?' },
+        {
+          role: 'assistant',
+          content: [
+            { type: 'text', text: 'Looking both up.' },
+            { type: 'tool_use', id: 'call_0', name: 'get_weather', input: { city: 'Oslo' } },
+            { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Bergen' } }
+          ]
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'call_0', content: '{"temperature":4}' },
+            { type: 'tool_result', tool_use_id: 'call_1', content: '7°C' }
+          ]
+        }
+      ]);
+    });
+
+    it('sends OpenAI functions with JSON string arguments and one message per result', () => {
+      const normalized = createUniversal().normalizeRequest({ ...toolTurn, model: 'gpt-4-turbo' }, { name: 'openai' });
+
+      expect(normalized.tools).toEqual([asFunction]);
+      expect(normalized.messages).toEqual([
+        { role: 'user', content: 'Weather in Oslo and Bergen?' },
+        { role: 'assistant', content: 'Looking both up.', tool_calls: openAICalls },
+        { role: 'tool', tool_call_id: 'call_0', content: '{"temperature":4}' },
+        { role: 'tool', tool_call_id: 'call_1', content: '7°C' }
+      ]);
+    });
+
+    it('names the function on Mistral tool results', () => {
+      const normalized = createUniversal().normalizeRequest({ ...toolTurn, model: 'mistral-large-latest' }, { name: 'mistral' });
+
+      expect(normalized.tools).toEqual([asFunction]);
+      expect(normalized.messages.slice(1)).toEqual([
+        { role: 'assistant', content: 'Looking both up.', tool_calls: openAICalls },
+        { role: 'tool', tool_call_id: 'call_0', name: 'get_weather', content: '{"temperature":4}' },
+        { role: 'tool', tool_call_id: 'call_1', name: 'get_weather', content: '7°C' }
+      ]);
+    });
+
+    it('sends Gemini function declarations, calls and responses as parts', () => {
+      const normalized = createUniversal().normalizeRequest({ ...toolTurn, model: 'gemini-1.5-pro' }, { name: 'google' });
+
+      expect(normalized.tools).toEqual([{
+        functionDeclarations: [{ name: 'get_weather', description: weatherTool.description, parameters: weatherTool.parameters }]
+      }]);
+      expect(normalized.messages).toEqual([
+        { role: 'user', parts: [{ text: 'Weather in Oslo and Bergen?' }] },
+        {
+          role: 'model',
+          parts: [
+            { text: 'Looking both up.' },
+            { functionCall: { name: 'get_weather', args: { city: 'Oslo' } } },
+            { functionCall: { name: 'get_weather', args: { city: 'Bergen' } } }
+          ]
+        },
+        {
+          role: 'function',
+          parts: [{ functionResponse: { name: 'get_weather', response: { name: 'get_weather', content: { temperature: 4 } } } }]
+        },
+        {
+          role: 'function',
+          parts: [{ functionResponse: { name: 'get_weather', response: { name: 'get_weather', content: '7°C' } } }]
+        }
+      ]);
+    });
+
+    it('sends Ollama calls with object arguments and results in call order', () => {
+      const normalized = createUniversal().normalizeRequest({ ...toolTurn, model: 'llama3.1' }, { name: 'local' });
+
+      expect(normalized.tools).toEqual([asFunction]);
+      expect(normalized.messages).toEqual([
+        { role: 'user', content: 'Weather in Oslo and Bergen?' },
+        {
+          role: 'assistant',
+          content: 'Looking both up.',
+          tool_calls: [
+            { function: { name: 'get_weather', arguments: { city: 'Oslo' } } },
+            { function: { name: 'get_weather', arguments: { city: 'Bergen' } } }
+          ]
+        },
+        { role: 'tool', content: '{"temperature":4}' },
+        { role: 'tool', content: '7°C' }
+      ]);
+    });
+
+    it('refuses tools for a model without tool use', () => {
+      expect(() => createUniversal().normalizeRequest({ ...toolTurn, model: 'llama2' }, { name: 'local' }))
+        .toThrow(CapabilityNotSupportedError);
+    });
+
+    it.each([
+      ['anthropic', {
+        content: [
+          { type: 'text', text: 'Checking.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Oslo' } }
+        ]
+      }, 'toolu_1'],
+      ['openai', {
+        choices: [{ message: { content: null, tool_calls: [{ id: 'call_a', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }] } }]
+      }, 'call_a'],
+      ['mistral', {
+        choices: [{ message: { content: '', tool_calls: [{ id: 'abc123', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }] } }]
+      }, 'abc123'],
+      ['google', {
+        candidates: [{ content: { parts: [{ functionCall: { name: 'get_weather', args: { city: 'Oslo' } } }] } }]
+      }, 'call_0'],
+      ['local', {
+        message: { content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Oslo' } } }] }
+      }, 'call_0']
+    ])('reads the calls from %s responses', (name, response, id) => {
+      expect(createUniversal().extractToolCalls(response, { name })).toEqual([
+        { id, name: 'get_weather', arguments: { city: 'Oslo' } }
+      ]);
+    });
+
+    it('reads a legacy OpenAI function_call', () => {
+      const response = { choices: [{ message: { function_call: { name: 'get_weather', arguments: '{"city":"Oslo"}' } } }] };
+
+      expect(createUniversal().extractToolCalls(response, { name: 'openai' })).toEqual([
+        { id: 'call_0', name: 'get_weather', arguments: { city: 'Oslo' } }
+      ]);
+    });
+
+    it('hands on arguments that are not valid JSON as given', () => {
+      const response = { choices: [{ message: { tool_calls: [{ id: 'call_a', function: { name: 'get_weather', arguments: '{"city":' } }] } }] };
+
+      expect(createUniversal().extractToolCalls(response, { name: 'openai' })[0].arguments).toBe('{"city":');
+    });
+  });
+});
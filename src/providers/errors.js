@@ -0,0 +1,240 @@
+/**
+ * Provider error types
+ */
+
+/**
+ * A request needs something (vision, tool use, embeddings...) the chosen
+ * provider doesn't offer. Retrying or falling back to the same provider
+ * won't help; pick a capable provider instead.
+ */
+export class CapabilityNotSupportedError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CapabilityNotSupportedError';
+    this.details = details;
+  }
+}
+
+/**
+ * Model output still wasn't valid JSON for the requested schema after all
+ * repair attempts. `details.errors` holds the last validation errors and
+ * `details.content` the last raw output.
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.details = details;
+  }
+}
+
+/**
+ * Refused locally because the call could take a session, agent or day past
+ * its hard spending limit. `details` has the `scope`, its `key`, the `limit`,
+ * what was already `spent` and the call's `estimated` cost, all in USD.
+ */
+export class BudgetExceededError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.kind = 'budget-exceeded';
+    this.details = details;
+  }
+}
+
+/**
+ * Base class for failures reported by a provider's API. `kind` identifies
+ * the failure class for retry and fallback policy; `details` carries the
+ * provider name, HTTP status and the original SDK error.
+ */
+export class ProviderError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.kind = 'unknown';
+    this.details = details;
+    this.provider = details.provider;
+    this.status = details.status;
+  }
+}
+
+/** 429s and quota errors; `retryAfter` is in milliseconds when the API says */
+export class RateLimitError extends ProviderError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.kind = 'rate-limited';
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/** The vendor is overloaded or having a server-side outage (529, 5xx) */
+export class OverloadedError extends ProviderError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'OverloadedError';
+    this.kind = 'overloaded';
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/** Missing, invalid or under-privileged API key */
+export class AuthenticationError extends ProviderError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'AuthenticationError';
+    this.kind = 'auth';
+  }
+}
+
+/** The API rejected the request itself; sending it again won't help */
+export class InvalidRequestError extends ProviderError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'InvalidRequestError';
+    this.kind = 'invalid-request';
+  }
+}
+
+/** Prompt plus requested output don't fit the model's context window */
+export class ContextLengthExceededError extends InvalidRequestError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ContextLengthExceededError';
+    this.kind = 'context-length-exceeded';
+  }
+}
+
+/** The vendor's safety filter blocked the prompt or the response */
+export class ContentFilteredError extends ProviderError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ContentFilteredError';
+    this.kind = 'content-filtered';
+  }
+}
+
+/** Connection refused, DNS failure, timeout: the request never got an answer */
+export class NetworkError extends ProviderError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'NetworkError';
+    this.kind = 'network';
+  }
+}
+
+/**
+ * Refused locally because the provider's circuit breaker is open; the
+ * provider wasn't called. `retryAt` is when the breaker will allow a probe.
+ */
+export class CircuitOpenError extends ProviderError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'CircuitOpenError';
+    this.kind = 'circuit-open';
+    this.retryAt = details.retryAt ?? null;
+  }
+}
+
+const ERROR_CLASSES = {
+  'rate-limited': RateLimitError,
+  overloaded: OverloadedError,
+  auth: AuthenticationError,
+  'invalid-request': InvalidRequestError,
+  'context-length-exceeded': ContextLengthExceededError,
+  'content-filtered': ContentFilteredError,
+  network: NetworkError,
+  unknown: ProviderError
+};
+
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+const NETWORK_NAMES = ['AbortError', 'FetchError', 'APIConnectionError', 'APIConnectionTimeoutError'];
+
+/**
+ * Turn an SDK or fetch error into a typed ProviderError
+ *
+ * Works from the HTTP status, `Retry-After` headers and well-known message
+ * wording. Adapters that know their vendor's error codes pass the resolved
+ * `kind` so the message heuristics are skipped.
+ *
+ * @param {Error} error - Raw error from the SDK or fetch
+ * @param {string} provider - Provider name, for messages and details
+ * @param {string} [kind] - Failure kind the adapter already identified
+ * @returns {ProviderError}
+ */
+export function classifyError(error, provider, kind) {
+  if (error instanceof ProviderError) return error;
+
+  const status = statusOf(error);
+  const message = error?.message || String(error);
+  const resolved = kind || kindOf(error, status, message);
+  const ErrorClass = ERROR_CLASSES[resolved] || ProviderError;
+
+  return new ErrorClass(`${provider}: ${message}`, {
+    provider,
+    status,
+    retryAfter: retryAfterOf(error),
+    originalError: error
+  });
+}
+
+function kindOf(error, status, message) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate-limited';
+
+  if (/context.length|context window|maximum context|prompt is too long|too many tokens|token limit/i.test(message)) {
+    return 'context-length-exceeded';
+  }
+  if (/content.?filter|content management policy|safety|blocked|recitation/i.test(message)) {
+    return 'content-filtered';
+  }
+
+  if (status === 413) return 'context-length-exceeded';
+  if (status === 408) return 'network';
+  if (status >= 500) return 'overloaded';
+  if (status >= 400) return 'invalid-request';
+
+  if (NETWORK_NAMES.includes(error?.name) || NETWORK_CODES.includes(error?.code ?? error?.cause?.code)) {
+    return 'network';
+  }
+  if (/api key|unauthori[sz]ed|authentication|permission denied/i.test(message)) return 'auth';
+  if (/rate limit|too many requests|quota/i.test(message)) return 'rate-limited';
+  if (/overloaded|unavailable|temporarily/i.test(message)) return 'overloaded';
+  if (/fetch failed|network|socket hang up|timed? ?out/i.test(message)) return 'network';
+
+  return 'unknown';
+}
+
+/**
+ * HTTP status from the SDK error, or from the message for SDKs that only
+ * put it there (Google: "[429 Too Many Requests]")
+ */
+function statusOf(error) {
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+  if (typeof status === 'number') return status;
+
+  const match = /(?:\[|status:?\s*)(\d{3})\b/i.exec(error?.message || '');
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Milliseconds to wait according to `retry-after-ms` or `retry-after`
+ * (seconds or an HTTP date)
+ */
+function retryAfterOf(error) {
+  const headers = error?.headers || error?.response?.headers;
+  if (!headers) return null;
+
+  const read = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+  const ms = Number(read('retry-after-ms'));
+  if (ms > 0) return ms;
+
+  const value = read('retry-after');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
@@ -0,0 +1,315 @@
+/**
+ * Hedged Requests
+ *
+ * Send one request to several providers and take whichever answers first.
+ * With a `delay` of 0 all contenders start together (a race); otherwise the
+ * next one only starts if nothing has answered `delay` ms after the last
+ * start, so most calls cost one request and only slow ones get a second.
+ * A contender that fails starts the next one straight away.
+ *
+ * The losers are cancelled through their AbortSignal. Every call that was
+ * started is in the cost ledger: a finished one with its real usage, one
+ * cancelled in flight with its estimated prompt tokens (vendors bill input
+ * once a request is received).
+ *
+ * Streams race to their first event; from then on the winning stream is the
+ * only one read, and aborting the caller's signal still cancels it.
+ *
+ * @example
+ * const response = await universal.complete(request, {
+ *   hedge: { delay: 800 }
+ * });
+ * response.hedge.winner; // 'openai'
+ */
+
+import { logger } from '../utils/logger';
+import { estimateRequestTokens } from '../utils/tokens';
+import { RequestCancelledError, cancelledError, throwIfAborted } from '../utils/abort';
+
+/**
+ * @typedef {Object} HedgeOptions
+ * @property {number} [delay] - Ms before starting the next contender; 0 races
+ *   them all at once (default: the UniversalProvider's `hedgeDelay`)
+ * @property {Array<string|{provider: string, model?: string}>} [providers] -
+ *   Contenders in start order; may name one provider twice to hedge against
+ *   its own slow responses
+ * @property {number} [contenders] - How many to pick when `providers` isn't
+ *   given (default 2): routed candidates when the call is routed, else the
+ *   chosen provider and the next ones in fallback order
+ */
+
+/**
+ * @param {UniversalProvider} universal
+ * @param {Object} request - Completion request
+ * @param {Object} options - complete() options with `hedge`
+ * @returns {Promise<Object>} The winning response, with `hedge` reporting
+ *   the winner and what happened to every contender
+ */
+export async function completeHedged(universal, request, options) {
+  const { delay, racers } = planHedge(universal, request, options);
+
+  const { winner, value: response } = await race(universal, racers, delay, options, racer =>
+    universal.complete(racer.request, racer.options)
+  );
+
+  settleLosers(universal, racers, winner, options);
+  return { ...response, hedge: hedgeInfo(racers, winner, delay, response.model) };
+}
+
+/**
+ * @param {UniversalProvider} universal
+ * @param {Object} request - Completion request
+ * @param {Object} options - stream() options with `hedge`
+ * @returns {AsyncGenerator<Object>} The winning stream's events; its finish
+ *   event carries `hedge`
+ */
+export async function* streamHedged(universal, request, options) {
+  const { delay, racers } = planHedge(universal, request, options);
+
+  const { winner, value: first } = await race(universal, racers, delay, options, racer => {
+    racer.iterator = universal.stream(racer.request, racer.options)[Symbol.asyncIterator]();
+    return racer.iterator.next();
+  });
+
+  settleLosers(universal, racers, winner, options);
+
+  // race() let go of the caller's signal; the winner still has to stop with it
+  const abortWinner = () => winner.controller.abort(cancelledError(options.signal));
+  options.signal?.addEventListener('abort', abortWinner, { once: true });
+
+  try {
+    if (options.signal?.aborted) abortWinner();
+
+    let result = first;
+    while (!result.done) {
+      const event = result.value;
+      yield event.type === 'finish'
+        ? { ...event, hedge: hedgeInfo(racers, winner, delay, event.model) }
+        : event;
+      result = await winner.iterator.next();
+    }
+  } finally {
+    options.signal?.removeEventListener('abort', abortWinner);
+    // The caller stopped reading early
+    await winner.iterator.return?.();
+  }
+}
+
+/**
+ * Contenders from `hedge.providers`, the router, or the fallback order,
+ * each with its own AbortController linked to the caller's signal
+ */
+function planHedge(universal, request, options) {
+  throwIfAborted(options.signal);
+
+  const hedge = options.hedge === true ? {} : options.hedge;
+  const delay = hedge.delay ?? universal.hedgeDelay;
+  const count = hedge.contenders ?? 2;
+  const primary = options.provider || universal.defaultProvider;
+  let contenders;
+
+  if (hedge.providers) {
+    contenders = hedge.providers.map(entry => typeof entry === 'string' ? { provider: entry } : entry);
+  } else if (options.requirements || universal.strategyFor(request, options)) {
+    const decision = universal.router.route(request, {
+      ...options,
+      strategy: universal.strategyFor(request, options)
+    });
+    contenders = decision.candidates.slice(0, count).map(({ provider, model }) => ({ provider, model }));
+  } else {
+    contenders = [primary, ...universal.getFallbackOrder(primary)]
+      .slice(0, count)
+      .map(provider => ({ provider }));
+  }
+
+  if (contenders.length < 2) {
+    logger.debug('Only one provider to hedge with; sending a single request');
+  }
+
+  const racers = contenders.map(contender => {
+    // A pinned model only makes sense on the provider it was pinned for
+    const model = contender.model ?? (contender.provider === primary ? request.model : undefined);
+    const controller = new AbortController();
+
+    return {
+      provider: contender.provider,
+      model,
+      status: 'not-started',
+      controller,
+      request: { ...request, model },
+      options: {
+        ...options,
+        hedge: undefined,
+        requirements: undefined,
+        strategy: undefined,
+        provider: contender.provider,
+        enableFallback: false,
+        signal: controller.signal
+      }
+    };
+  });
+
+  return { delay, racers };
+}
+
+/**
+ * Start racers one by one, `delay` apart (or at once after a failure), and
+ * resolve with the first to succeed
+ * @param {Function} start - Begins a racer's call, returning a promise
+ * @returns {Promise<{ winner: Object, value: * }>}
+ * @throws The last error when every racer fails; RequestCancelledError when
+ *   the caller aborts; at once for errors no other provider would fix
+ */
+async function race(universal, racers, delay, options, start) {
+  const pending = new Set();
+  const abortAll = () => {
+    for (const racer of racers) racer.controller.abort(cancelledError(options.signal));
+  };
+  let next = 0;
+  let lastStart = 0;
+  let timer = null;
+  let lastError = null;
+
+  const launch = () => {
+    const racer = racers[next++];
+    racer.status = 'running';
+    racer.startedAt = Date.now();
+    lastStart = racer.startedAt;
+
+    const outcome = start(racer).then(value => ({ racer, value }), error => ({ racer, error }));
+    racer.outcome = outcome;
+    pending.add(outcome);
+  };
+  const hedgeAfter = wait => new Promise(resolve => {
+    timer = setTimeout(() => resolve({ hedge: true }), wait);
+  });
+
+  options.signal?.addEventListener('abort', abortAll, { once: true });
+
+  try {
+    launch();
+
+    while (pending.size > 0) {
+      const contenders = [...pending];
+
+      if (next < racers.length) {
+        contenders.push(hedgeAfter(Math.max(0, lastStart + delay - Date.now())));
+      }
+
+      const outcome = await Promise.race(contenders);
+      clearTimeout(timer);
+
+      if (outcome.hedge) {
+        logger.debug(`No answer after ${delay}ms; hedging with ${racers[next].provider}`);
+        launch();
+        continue;
+      }
+
+      pending.delete(outcome.racer.outcome);
+      outcome.racer.finishedAt = Date.now();
+
+      if (!outcome.error) {
+        outcome.racer.status = 'won';
+        return { winner: outcome.racer, value: outcome.value };
+      }
+
+      outcome.racer.status = 'failed';
+      outcome.racer.error = outcome.error;
+      lastError = outcome.error;
+
+      if (options.signal?.aborted) {
+        settleAborted(universal, racers, options);
+        throw cancelledError(options.signal);
+      }
+      if (!(outcome.error instanceof RequestCancelledError) && !universal.canFallback(outcome.error, { ...options, enableFallback: true })) {
+        abortAll();
+        settleAborted(universal, racers, options);
+        throw outcome.error;
+      }
+
+      logger.warn(`Hedged provider ${outcome.racer.provider} failed`, { error: outcome.error });
+      if (next < racers.length) launch();
+    }
+
+    throw lastError || new Error('All providers failed');
+  } finally {
+    clearTimeout(timer);
+    options.signal?.removeEventListener('abort', abortAll);
+  }
+}
+
+/**
+ * Cancel everyone still running and put their calls in the cost ledger once
+ * they settle
+ */
+function settleLosers(universal, racers, winner, options) {
+  for (const racer of racers) {
+    if (racer === winner || racer.status !== 'running') continue;
+
+    racer.status = 'cancelled';
+    racer.controller.abort(new RequestCancelledError('Lost the hedge race', {
+      reason: 'hedged',
+      winner: winner.provider
+    }));
+    chargeWhenSettled(universal, racer, options);
+  }
+}
+
+/**
+ * The race ended without a winner, its racers already aborted: put every
+ * call still in flight, or cut short by the abort, in the cost ledger
+ */
+function settleAborted(universal, racers, options) {
+  for (const racer of racers) {
+    const cutShort = racer.status === 'failed' && racer.error instanceof RequestCancelledError;
+    if (racer.status !== 'running' && !cutShort) continue;
+
+    racer.status = 'cancelled';
+    chargeWhenSettled(universal, racer, options);
+  }
+}
+
+/**
+ * Once a cancelled racer's call settles, record its estimated prompt
+ * tokens unless the call finished and recorded itself
+ */
+function chargeWhenSettled(universal, racer, options) {
+  racer.outcome.then(({ value, error }) => {
+    // A stream that got going before the abort landed is closed unfinished,
+    // so it never reports usage
+    const openStream = racer.iterator && value && !value.done;
+    if (openStream) {
+      racer.iterator.return?.().catch(() => {});
+    }
+
+    // Finished calls were recorded by complete(); cancelled ones weren't
+    if (openStream || error instanceof RequestCancelledError) {
+      const inputTokens = estimateRequestTokens(racer.request);
+      universal.trackUsage(racer.provider, {
+        inputTokens,
+        outputTokens: 0,
+        totalTokens: inputTokens,
+        estimated: true
+      }, racer.model || universal.getDefaultModel(universal.getProvider(racer.provider)), options);
+    }
+  });
+}
+
+/**
+ * The `hedge` report; `latencyMs` runs from the first start to the winner's
+ * answer (its first event, for streams)
+ */
+function hedgeInfo(racers, winner, delay, model) {
+  return {
+    winner: winner.provider,
+    model,
+    delay,
+    latencyMs: winner.finishedAt - racers[0].startedAt,
+    contenders: racers.map(racer => ({
+      provider: racer.provider,
+      model: racer.model,
+      status: racer.status,
+      error: racer.error?.message
+    }))
+  };
+}
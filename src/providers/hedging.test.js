@@ -0,0 +1,201 @@
+/**
+ * @jest-environment node
+ */
+import { UniversalProvider } from './UniversalProvider';
+import { ModelCatalog } from './ModelCatalog';
+import { RequestCancelledError } from '../utils/abort';
+
+const request = { messages: [{ role: 'user', content: 'Summarize the quarterly report' }], maxTokens: 100 };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const answer = (name, model) => ({
+  model,
+  message: { role: 'assistant', content: `${name} answer` },
+  done_reason: 'stop',
+  prompt_eval_count: 10,
+  eval_count: 5
+});
+
+// A local-protocol provider whose calls wait until the test answers them,
+// and fail as soon as their signal aborts
+function controlledProvider(name) {
+  const calls = [];
+  return {
+    name,
+    protocol: 'local',
+    defaultModel: `${name}-chat`,
+    isAvailable: () => true,
+    calls,
+    complete: jest.fn((normalized, { signal }) => new Promise((resolve, reject) => {
+      calls.push({ signal, answer: () => resolve(answer(name, normalized.model)) });
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    }))
+  };
+}
+
+// Streams `chunks` words a few ms apart, stopping when its signal aborts
+function streamingProvider(name, chunks = 20) {
+  const provider = {
+    name,
+    protocol: 'local',
+    defaultModel: `${name}-chat`,
+    isAvailable: () => true,
+    sent: 0,
+    signals: [],
+    complete: jest.fn(),
+    async *stream(normalized, { signal }) {
+      provider.signals.push(signal);
+      for (let i = 0; i < chunks; i++) {
+        await sleep(2);
+        if (signal.aborted) throw signal.reason;
+        provider.sent++;
+        yield { model: normalized.model, message: { content: `${name}${i} ` } };
+      }
+      yield { model: normalized.model, done_reason: 'stop', prompt_eval_count: 10, eval_count: chunks };
+    }
+  };
+  return provider;
+}
+
+describe('hedged requests', () => {
+  let catalog;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    catalog = new ModelCatalog().extend({
+      'primary-chat': { provider: 'local', contextWindow: 8192, capabilities: ['streaming'], pricing: { input: 1, output: 2 } },
+      'backup-chat': { provider: 'local', contextWindow: 8192, capabilities: ['streaming'], pricing: { input: 1, output: 2 } }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createUniversal(...providers) {
+    const universal = new UniversalProvider({ catalog, retryPolicy: { maxRetries: 0 } });
+    for (const provider of providers) {
+      universal.register(provider.name, provider);
+    }
+    return universal;
+  }
+
+  // Cancelled racers are charged once their calls settle
+  const settled = () => sleep(0);
+
+  it('starts the next contender only once the delay passes without an answer', async () => {
+    const primary = controlledProvider('primary');
+    const backup = controlledProvider('backup');
+    const universal = createUniversal(primary, backup);
+
+    const pending = universal.complete(request, { hedge: { delay: 100 } });
+
+    await sleep(30);
+    expect(primary.complete).toHaveBeenCalledTimes(1);
+    expect(backup.complete).not.toHaveBeenCalled();
+
+    await sleep(120);
+    expect(backup.complete).toHaveBeenCalledTimes(1);
+    backup.calls[0].answer();
+
+    const response = await pending;
+    expect(response.content).toBe('backup answer');
+    expect(response.hedge).toEqual(expect.objectContaining({ winner: 'backup', delay: 100 }));
+    expect(response.hedge.latencyMs).toBeGreaterThanOrEqual(100);
+  });
+
+  it('takes the first answer and cancels and charges the losers', async () => {
+    const primary = controlledProvider('primary');
+    const backup = controlledProvider('backup');
+    const universal = createUniversal(primary, backup);
+
+    const pending = universal.complete(request, { hedge: { delay: 0 }, sessionId: 'session-1' });
+    await sleep(5);
+    primary.calls[0].answer();
+
+    const response = await pending;
+    await settled();
+
+    expect(response.hedge.winner).toBe('primary');
+    expect(response.hedge.contenders.map(contender => contender.status)).toEqual(['won', 'cancelled']);
+    expect(backup.calls[0].signal.aborted).toBe(true);
+    expect(backup.calls[0].signal.reason.details).toEqual({ reason: 'hedged', winner: 'primary' });
+
+    const entries = universal.ledger.getEntries({ sessionId: 'session-1' });
+    expect(entries).toEqual([
+      expect.objectContaining({ provider: 'primary', model: 'primary-chat', inputTokens: 10, outputTokens: 5 }),
+      expect.objectContaining({ provider: 'backup', model: 'backup-chat', outputTokens: 0, estimated: true })
+    ]);
+    expect(entries[1].inputTokens).toBeGreaterThan(0);
+  });
+
+  it('starts the next contender at once when one fails', async () => {
+    const primary = controlledProvider('primary');
+    primary.complete.mockRejectedValue(Object.assign(new Error('Service unavailable'), { status: 503 }));
+    const backup = controlledProvider('backup');
+    const universal = createUniversal(primary, backup);
+
+    const pending = universal.complete(request, { hedge: { delay: 10000 } });
+    await sleep(5);
+    backup.calls[0].answer();
+
+    const response = await pending;
+    expect(response.hedge.contenders.map(contender => contender.status)).toEqual(['failed', 'won']);
+  });
+
+  it('cancels and charges every contender when the caller aborts before an answer', async () => {
+    const primary = controlledProvider('primary');
+    const backup = controlledProvider('backup');
+    const universal = createUniversal(primary, backup);
+    const controller = new AbortController();
+
+    const pending = universal.complete(request, { hedge: { delay: 0 }, signal: controller.signal });
+    await sleep(5);
+    controller.abort();
+
+    await expect(pending).rejects.toBeInstanceOf(RequestCancelledError);
+    await settled();
+
+    expect(primary.calls[0].signal.aborted).toBe(true);
+    expect(backup.calls[0].signal.aborted).toBe(true);
+    expect(universal.ledger.getEntries().map(entry => [entry.provider, entry.estimated])).toEqual([
+      ['primary', true],
+      ['backup', true]
+    ]);
+  });
+
+  it('stops the winning stream when the caller aborts after it won', async () => {
+    const primary = streamingProvider('primary');
+    const backup = streamingProvider('backup');
+    const universal = createUniversal(primary, backup);
+    const controller = new AbortController();
+
+    const events = universal.stream(request, { hedge: { delay: 0 }, signal: controller.signal })[Symbol.asyncIterator]();
+    const first = await events.next();
+    const winner = first.value.provider === 'primary' ? primary : backup;
+    controller.abort();
+
+    await expect(events.next()).rejects.toBeInstanceOf(RequestCancelledError);
+    expect(winner.signals[0].aborted).toBe(true);
+    expect(winner.sent).toBeLessThan(5);
+  });
+
+  it('streams the winner to the end with the hedge report on its finish event', async () => {
+    const primary = streamingProvider('primary', 3);
+    const backup = streamingProvider('backup', 3);
+    const universal = createUniversal(primary, backup);
+
+    const events = [];
+    for await (const event of universal.stream(request, { hedge: { delay: 0 } })) {
+      events.push(event);
+    }
+
+    const winner = events[0].provider;
+    expect(events.filter(event => event.type === 'text').map(event => event.text).join('')).toBe(`${winner}0 ${winner}1 ${winner}2 `);
+    expect(events[events.length - 1].hedge.winner).toBe(winner);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Structured Output
+ *
+ * Schema-validated JSON completions on top of any provider with the
+ * UniversalProvider `complete(request, options)` signature.
+ */
+
+import { logger } from '../utils/logger';
+import { extractJson } from '../utils/extractJson';
+import { validateSchema } from '../utils/jsonSchema';
+import { StructuredOutputError } from './errors';
+
+/**
+ * Ask for JSON matching `schema`, re-prompting with the validation errors
+ * when the output doesn't parse or doesn't validate
+ *
+ * @param {Object} provider - Anything with complete(request, options)
+ * @param {Object} request - Normal completion request
+ * @param {Object} schema - JSON schema the result must satisfy
+ * @param {Object} [options] - complete() options plus maxRepairs (default 2)
+ *   and jsonMode (default true; false skips the vendor's native JSON mode)
+ * @returns {Promise<Object>} `{ data, response, attempts }`
+ * @throws {StructuredOutputError} When every attempt fails
+ */
+export async function completeStructured(provider, request, schema, options = {}) {
+  const { maxRepairs = 2, jsonMode = true, ...completeOptions } = options;
+  const messages = [...request.messages];
+  const attempts = maxRepairs + 1;
+  let errors = [];
+  let response = null;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    response = await provider.complete({
+      ...request,
+      messages,
+      systemPrompt: withSchemaInstructions(request.systemPrompt, schema),
+      responseFormat: jsonMode ? { type: 'json', schema } : undefined
+    }, completeOptions);
+
+    const extracted = extractJson(response.content);
+    errors = extracted.found
+      ? validateSchema(extracted.value, schema)
+      : [`Response is not valid JSON: ${extracted.error}`];
+
+    if (errors.length === 0) {
+      return { data: extracted.value, response, attempts: attempt };
+    }
+
+    logger.warn('Structured output failed validation', { attempt, errors });
+
+    messages.push(
+      { role: 'assistant', content: response.content || '' },
+      { role: 'user', content: buildRepairPrompt(errors) }
+    );
+  }
+
+  throw new StructuredOutputError(
+    `No valid structured output after ${attempts} attempts`,
+    { errors, content: response?.content, attempts }
+  );
+}
+
+function withSchemaInstructions(systemPrompt, schema) {
+  const instructions = `Respond with only a JSON value that matches this JSON schema, with no other text:\n${JSON.stringify(schema, null, 2)}`;
+
+  return systemPrompt ? `${systemPrompt}\n\n${instructions}` : instructions;
+}
+
+function buildRepairPrompt(errors) {
+  return `Your previous response did not match the required JSON schema:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with only the corrected JSON.`;
+}
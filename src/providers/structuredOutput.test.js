@@ -0,0 +1,72 @@
+import { completeStructured } from './structuredOutput';
+import { StructuredOutputError } from './errors';
+
+const schema = {
+  type: 'object',
+  properties: { score: { type: 'number', minimum: 0, maximum: 1 } },
+  required: ['score']
+};
+
+function scripted(...contents) {
+  const complete = jest.fn();
+  contents.forEach(content => complete.mockResolvedValueOnce({ content, provider: 'test' }));
+  return { complete };
+}
+
+describe('completeStructured', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('asks for JSON matching the schema and returns it parsed', async () => {
+    const provider = scripted('```json\n{"score": 0.9}\n```');
+
+    const result = await completeStructured(provider, {
+      messages: [{ role: 'user', content: 'Rate this' }],
+      systemPrompt: 'You are a grader.'
+    }, schema, { agentId: 'grader' });
+
+    expect(result).toEqual({ data: { score: 0.9 }, response: expect.objectContaining({ provider: 'test' }), attempts: 1 });
+    const [request, options] = provider.complete.mock.calls[0];
+    expect(request.systemPrompt).toMatch(/^You are a grader\.\n\nRespond with only a JSON value/);
+    expect(request.systemPrompt).toContain('"required": [\n    "score"\n  ]');
+    expect(request.responseFormat).toEqual({ type: 'json', schema });
+    expect(options).toEqual({ agentId: 'grader' });
+  });
+
+  it('re-prompts with the validation errors until the output is valid', async () => {
+    const provider = scripted('Sure! The score is high.', '{"score": 9}', '{"score": 0.9}');
+
+    const result = await completeStructured(provider, { messages: [{ role: 'user', content: 'Rate this' }] }, schema);
+
+    expect(result.attempts).toBe(3);
+    expect(result.data).toEqual({ score: 0.9 });
+    const { messages } = provider.complete.mock.calls[2][0];
+    expect(messages).toEqual([
+      { role: 'user', content: 'Rate this' },
+      { role: 'assistant', content: 'Sure! The score is high.' },
+      { role: 'user', content: expect.stringContaining('- Response is not valid JSON:') },
+      { role: 'assistant', content: '{"score": 9}' },
+      { role: 'user', content: expect.stringContaining('- $.score must be <= 1') }
+    ]);
+  });
+
+  it('gives up after maxRepairs with the last errors', async () => {
+    const provider = scripted('{}', '{}');
+
+    const error = await completeStructured(provider, { messages: [{ role: 'user', content: 'Rate this' }] }, schema, {
+      maxRepairs: 1,
+      jsonMode: false
+    }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(StructuredOutputError);
+    expect(error.details).toEqual({ errors: ['$.score is required'], content: '{}', attempts: 2 });
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+    expect(provider.complete.mock.calls[0][0].responseFormat).toBeUndefined();
+    expect(provider.complete.mock.calls[0][1]).toEqual({});
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Supabase Cost Store
+ *
+ * Persists every CostLedger entry as a `cost_tracking` row. Give it to the
+ * ledger as `store`; the ledger logs a failed write and carries on, so an
+ * unreachable database never fails a model call.
+ *
+ * @example
+ * const ledger = new CostLedger({ store: new SupabaseCostStore({ client: supabase, userId: user.id }) });
+ * const universal = new UniversalProvider({ ledger });
+ */
+
+import { toCostTrackingRow } from '../providers/CostLedger';
+import { assertClient, run } from './supabase';
+
+const TABLE = 'cost_tracking';
+
+export class SupabaseCostStore {
+  /**
+   * @param {Object} config
+   * @param {Object} config.client - Supabase client
+   * @param {string} [config.userId] - Written to every row
+   */
+  constructor(config = {}) {
+    assertClient(config.client, 'SupabaseCostStore');
+
+    this.client = config.client;
+    this.userId = config.userId ?? null;
+  }
+
+  /**
+   * @param {CostEntry} entry
+   */
+  async append(entry) {
+    await run(this.client.from(TABLE).insert(toCostTrackingRow(entry, this.userId)), `insert into ${TABLE}`);
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Supabase Execution Store
+ *
+ * Records agent runs in the `agent_executions` table. Give it to an agent
+ * as `executionStore`: each execute() inserts a `pending` row, moves it to
+ * `running` once the agent starts work, and ends it `completed` or `failed`
+ * with the result or error, duration, tokens and cost.
+ *
+ * Execution stores provide:
+ *
+ * - `start(execution)` - record a run; returns its id
+ * - `update(id, changes)` - record a status change and whatever came with it
+ *
+ * @example
+ * const executionStore = new SupabaseExecutionStore({ client: supabase, userId: user.id });
+ * const agent = new ReasoningAgent({ id: 'analyst', provider: universal, executionStore });
+ */
+
+import { assertClient, run } from './supabase';
+
+const TABLE = 'agent_executions';
+
+/**
+ * @typedef {Object} Execution
+ * @property {string} agentId
+ * @property {string} agentType - The agent's class
+ * @property {string} taskId
+ * @property {string} taskDescription
+ * @property {string} startedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} ExecutionChanges
+ * @property {'running'|'completed'|'failed'} status
+ * @property {*} [result] - When completed; stored as JSON
+ * @property {string} [error] - When failed
+ * @property {number} [durationMs]
+ * @property {number} [tokensUsed]
+ * @property {number} [costUsd]
+ * @property {string} [completedAt] - ISO timestamp
+ */
+
+export class SupabaseExecutionStore {
+  /**
+   * @param {Object} config
+   * @param {Object} config.client - Supabase client
+   * @param {string} [config.userId] - Written to every row
+   */
+  constructor(config = {}) {
+    assertClient(config.client, 'SupabaseExecutionStore');
+
+    this.client = config.client;
+    this.userId = config.userId ?? null;
+  }
+
+  /**
+   * @param {Execution} execution
+   * @returns {Promise<string>} The row's id
+   */
+  async start(execution) {
+    const row = await run(
+      this.client.from(TABLE).insert({
+        user_id: this.userId,
+        agent_id: execution.agentId,
+        agent_type: execution.agentType,
+        task_id: execution.taskId,
+        task_description: execution.taskDescription,
+        status: 'pending',
+        started_at: execution.startedAt
+      }).select('id').single(),
+      `insert into ${TABLE}`
+    );
+    return row.id;
+  }
+
+  /**
+   * @param {string} id - From start()
+   * @param {ExecutionChanges} changes
+   */
+  async update(id, changes) {
+    const columns = {
+      status: changes.status,
+      result: changes.result,
+      error_message: changes.error,
+      duration_ms: changes.durationMs,
+      tokens_used: changes.tokensUsed,
+      cost_usd: changes.costUsd,
+      completed_at: changes.completedAt
+    };
+
+    // Only what changed, so a later update doesn't blank an earlier one
+    const patch = Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+    await run(this.client.from(TABLE).update(patch).eq('id', id), `update of ${TABLE}`);
+  }
+}
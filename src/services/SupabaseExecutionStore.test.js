@@ -0,0 +1,83 @@
+import { SupabaseExecutionStore } from './SupabaseExecutionStore';
+import { SupabaseError } from './supabase';
+import { createFakeSupabase } from '../testing/fakeSupabase';
+
+const execution = {
+  agentId: 'analyst',
+  agentType: 'ReasoningAgent',
+  taskId: 'task-1',
+  taskDescription: 'Summarize the report',
+  startedAt: '2024-05-01T10:00:00.000Z'
+};
+
+describe('SupabaseExecutionStore', () => {
+  let client;
+  let store;
+
+  beforeEach(() => {
+    client = createFakeSupabase();
+    store = new SupabaseExecutionStore({ client, userId: 'user-1' });
+  });
+
+  it('inserts a pending row and returns its id', async () => {
+    const id = await store.start(execution);
+
+    expect(client.tables.agent_executions).toEqual([{
+      id,
+      user_id: 'user-1',
+      agent_id: 'analyst',
+      agent_type: 'ReasoningAgent',
+      task_id: 'task-1',
+      task_description: 'Summarize the report',
+      status: 'pending',
+      started_at: '2024-05-01T10:00:00.000Z'
+    }]);
+  });
+
+  it('moves a run to running, then completed with its result and usage', async () => {
+    const id = await store.start(execution);
+
+    await store.update(id, { status: 'running' });
+    expect(client.tables.agent_executions[0].status).toBe('running');
+
+    await store.update(id, {
+      status: 'completed',
+      result: { finalAnswer: 'Revenue is up' },
+      durationMs: 1200,
+      tokensUsed: 340,
+      costUsd: 0.002,
+      completedAt: '2024-05-01T10:00:01.200Z'
+    });
+    expect(client.tables.agent_executions[0]).toEqual(expect.objectContaining({
+      status: 'completed',
+      result: { finalAnswer: 'Revenue is up' },
+      duration_ms: 1200,
+      tokens_used: 340,
+      cost_usd: 0.002,
+      completed_at: '2024-05-01T10:00:01.200Z'
+    }));
+  });
+
+  it('records a failure without blanking what earlier updates wrote', async () => {
+    const id = await store.start(execution);
+    await store.update(id, { status: 'running', tokensUsed: 80 });
+
+    await store.update(id, { status: 'failed', error: 'Provider timed out' });
+
+    const row = client.tables.agent_executions[0];
+    expect(row).toEqual(expect.objectContaining({ status: 'failed', error_message: 'Provider timed out', tokens_used: 80 }));
+    expect(row).not.toHaveProperty('result');
+    expect(row).not.toHaveProperty('completed_at');
+  });
+
+  it('throws a SupabaseError when the insert fails', async () => {
+    const denied = { data: null, error: { message: 'permission denied for table agent_executions', code: '42501' } };
+    const failing = { from: () => ({ insert: () => ({ select: () => ({ single: async () => denied }) }) }) };
+    store = new SupabaseExecutionStore({ client: failing });
+
+    const error = await store.start(execution).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(SupabaseError);
+    expect(error.details.code).toBe('42501');
+  });
+});
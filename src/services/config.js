@@ -0,0 +1,365 @@
+/**
+ * antigravity.config.json validation
+ *
+ * One schema for the config file, checked before anything is built from it,
+ * plus the checks a schema can't express: fallback orders and routing rules
+ * that name providers or models nobody configured, an unknown routing
+ * strategy, budgets with cost tracking switched off. Every problem is
+ * reported at once, each with its path in the file.
+ *
+ * `checkEnvironment` then makes sure the variables the config declares in
+ * `environment.requiredVars` are set, so a missing API key fails at start-up
+ * rather than on the first request.
+ *
+ * @example
+ * validateConfig(config);
+ * checkEnvironment(config);
+ * const universal = initializeProviders(config);
+ */
+
+import { LATENCY_CLASSES, MODEL_CAPABILITIES, modelCatalog } from '../providers/ModelCatalog';
+import { RoutingStrategy } from '../providers/RoutingStrategy';
+import { validateSchema } from '../utils/jsonSchema';
+import { logger } from '../utils/logger';
+
+/**
+ * The config file is malformed, inconsistent, or needs environment
+ * variables that aren't set. `details.errors` lists every problem found
+ * (`details.missing` the unset variables).
+ */
+export class ConfigError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ConfigError';
+    this.details = details;
+  }
+}
+
+/**
+ * Vendors with a built-in adapter, as keys of `ai.providers`
+ */
+export const PROVIDER_NAMES = ['anthropic', 'openai', 'google', 'mistral', 'cohere', 'local'];
+
+/**
+ * Keys of `ai.routing.rules`
+ */
+export const ROUTING_RULES = ['simple-queries', 'complex-reasoning', 'general', 'embeddings'];
+
+const modelList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const rateLimitsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    maxConcurrent: { type: 'integer', minimum: 1 },
+    requestsPerMinute: { type: 'number', minimum: 0 },
+    tokensPerMinute: { type: 'number', minimum: 0 },
+    agingInterval: { type: 'number', minimum: 0 }
+  }
+};
+
+const providerSchema = {
+  type: 'object',
+  required: ['enabled'],
+  additionalProperties: false,
+  properties: {
+    enabled: { type: 'boolean' },
+    models: modelList,
+    defaultModel: { type: 'string', minLength: 1 },
+    embeddingModel: { type: 'string', minLength: 1 },
+    apiKeyEnv: { type: 'string', minLength: 1 },
+    endpoint: { type: 'string', minLength: 1 },
+    useCases: { type: 'array', items: { type: 'string' } },
+    rateLimits: rateLimitsSchema
+  }
+};
+
+const compatibleServerSchema = {
+  type: 'object',
+  required: ['name', 'baseURL'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    baseURL: { type: 'string', minLength: 1 },
+    apiKeyEnv: { type: 'string', minLength: 1 },
+    headers: { type: 'object', additionalProperties: { type: 'string' } },
+    models: modelList,
+    defaultModel: { type: 'string', minLength: 1 },
+    capabilities: { type: 'array', items: { type: 'string' } },
+    rateLimits: rateLimitsSchema
+  }
+};
+
+const modelSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    provider: { type: 'string', minLength: 1 },
+    type: { enum: ['chat', 'embedding'] },
+    contextWindow: { type: 'integer', minimum: 1 },
+    maxOutput: { type: 'integer', minimum: 1 },
+    dimensions: { type: 'integer', minimum: 1 },
+    pricing: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        input: { type: 'number', minimum: 0 },
+        output: { type: 'number', minimum: 0 }
+      }
+    },
+    capabilities: { type: 'array', items: { enum: MODEL_CAPABILITIES } },
+    latencyClass: { enum: LATENCY_CLASSES },
+    default: { type: 'boolean' }
+  }
+};
+
+const budgetSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    soft: { type: 'number', minimum: 0 },
+    hard: { type: 'number', minimum: 0 }
+  }
+};
+
+/**
+ * JSON schema for antigravity.config.json. Sections this package doesn't
+ * read (`framework`, `agents`) are left open.
+ */
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['ai'],
+  properties: {
+    projectName: { type: 'string' },
+    ai: {
+      type: 'object',
+      required: ['providers'],
+      additionalProperties: false,
+      properties: {
+        defaultProvider: { type: 'string', minLength: 1 },
+        providers: {
+          type: 'object',
+          additionalProperties: false,
+          properties: Object.fromEntries(PROVIDER_NAMES.map(name => [name, providerSchema]))
+        },
+        openaiCompatible: { type: 'array', items: compatibleServerSchema },
+        routing: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            strategy: { type: 'string', minLength: 1 },
+            rules: {
+              type: 'object',
+              additionalProperties: false,
+              properties: Object.fromEntries(ROUTING_RULES.map(rule => [rule, { type: 'string', minLength: 1 }]))
+            },
+            fallback: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                enabled: { type: 'boolean' },
+                order: { type: 'array', items: { type: 'string', minLength: 1 } }
+              }
+            },
+            metrics: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                windowSize: { type: 'integer', minimum: 1 },
+                persist: { type: 'boolean' },
+                saveInterval: { type: 'number', minimum: 0 }
+              }
+            },
+            hedgeDelay: { type: 'number', minimum: 0 }
+          }
+        },
+        models: { type: 'object', additionalProperties: modelSchema },
+        contextWindow: { type: 'integer', minimum: 1 },
+        maxRetries: { type: 'integer', minimum: 0 },
+        retryPolicy: { type: 'object' },
+        circuitBreaker: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            failureThreshold: { type: 'integer', minimum: 1 },
+            cooldown: { type: 'number', minimum: 0 },
+            halfOpenProbes: { type: 'integer', minimum: 1 },
+            successThreshold: { type: 'integer', minimum: 1 }
+          }
+        },
+        cache: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            ttl: { type: 'number', minimum: 0 },
+            maxEntries: { type: 'integer', minimum: 1 },
+            cacheAnyTemperature: { type: 'boolean' }
+          }
+        },
+        budgets: {
+          type: 'object',
+          additionalProperties: false,
+          properties: { session: budgetSchema, agent: budgetSchema, daily: budgetSchema }
+        }
+      }
+    },
+    environment: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        envFile: { type: 'string' },
+        requiredVars: { type: 'array', items: { type: 'string', minLength: 1 } },
+        optionalVars: { type: 'array', items: { type: 'string', minLength: 1 } }
+      }
+    },
+    monitoring: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        trackCosts: { type: 'boolean' },
+        trackLatency: { type: 'boolean' },
+        logAllRequests: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+/**
+ * @param {Object} config - Parsed antigravity.config.json
+ * @param {Object} [options]
+ * @param {ModelCatalog} [options.catalog] - Models known besides the file's
+ *   (default: the shared modelCatalog)
+ * @returns {Object} The same config, for chaining
+ * @throws {ConfigError} Listing every problem found
+ */
+export function validateConfig(config, options = {}) {
+  const errors = validateSchema(config, CONFIG_SCHEMA).map(error => error.replace(/^\$\.?/, '') || 'config');
+
+  // Cross-references only make sense once the shapes are right
+  if (errors.length === 0) {
+    errors.push(...checkReferences(config, options.catalog || modelCatalog));
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(
+      `antigravity.config.json is invalid:\n${errors.map(error => `  - ${error}`).join('\n')}`,
+      { errors }
+    );
+  }
+  return config;
+}
+
+/**
+ * Problems the schema can't see: names that point at nothing, settings that
+ * contradict each other
+ * @returns {Array<string>}
+ */
+function checkReferences(config, catalog) {
+  const { ai, monitoring = {} } = config;
+  const errors = [];
+  const providers = ai.providers || {};
+  const servers = ai.openaiCompatible || [];
+  const configured = new Set([...Object.keys(providers), ...servers.map(server => server.name)]);
+  const enabled = new Set([
+    ...Object.keys(providers).filter(name => providers[name].enabled),
+    ...servers.map(server => server.name)
+  ]);
+
+  if (enabled.size === 0) {
+    errors.push('ai.providers has no enabled provider');
+  }
+
+  servers.forEach((server, index) => {
+    if (PROVIDER_NAMES.includes(server.name) || servers.findIndex(other => other.name === server.name) < index) {
+      errors.push(`ai.openaiCompatible[${index}].name '${server.name}' is already taken`);
+    }
+  });
+
+  for (const [name, provider] of Object.entries(providers)) {
+    if (provider.defaultModel && provider.models && !provider.models.includes(provider.defaultModel)) {
+      errors.push(`ai.providers.${name}.defaultModel '${provider.defaultModel}' is not in its models`);
+    }
+  }
+
+  if (ai.defaultProvider && !enabled.has(ai.defaultProvider)) {
+    errors.push(`ai.defaultProvider '${ai.defaultProvider}' is not an enabled provider`);
+  }
+
+  (ai.routing?.fallback?.order || []).forEach((name, index) => {
+    if (!configured.has(name)) {
+      errors.push(`ai.routing.fallback.order[${index}] '${name}' is not a configured provider`);
+    }
+  });
+
+  // Models declared anywhere in the file, on top of the built-in catalog
+  const known = new Set([
+    ...Object.keys(ai.models || {}),
+    ...[...Object.values(providers), ...servers].flatMap(provider => provider.models || [])
+  ]);
+
+  for (const [rule, target] of Object.entries(ai.routing?.rules || {})) {
+    const slash = target.indexOf('/');
+
+    if (slash > 0 && configured.has(target.slice(0, slash))) {
+      continue;
+    }
+    if (!known.has(target) && !catalog.has(target)) {
+      errors.push(`ai.routing.rules.${rule} '${target}' is neither a known model nor 'provider/model' for a configured provider`);
+    }
+  }
+
+  if (ai.routing?.strategy) {
+    try {
+      RoutingStrategy.from(ai.routing.strategy);
+    } catch (error) {
+      errors.push(`ai.routing.strategy: ${error.message}`);
+    }
+  }
+
+  for (const [id, model] of Object.entries(ai.models || {})) {
+    if (!model.provider && !catalog.has(id)) {
+      errors.push(`ai.models.${id}.provider is required for a model the catalog doesn't know`);
+    }
+  }
+
+  for (const [scope, budget] of Object.entries(ai.budgets || {})) {
+    if (budget.soft !== undefined && budget.hard !== undefined && budget.soft > budget.hard) {
+      errors.push(`ai.budgets.${scope}.soft must not exceed hard`);
+    }
+  }
+
+  if (ai.budgets && monitoring.trackCosts === false) {
+    errors.push('ai.budgets needs monitoring.trackCosts; budgets are enforced from tracked costs');
+  }
+
+  return errors;
+}
+
+/**
+ * Check the variables the config declares. Missing optional ones are
+ * logged; an empty string counts as missing.
+ * @param {Object} config - Parsed antigravity.config.json
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {{ missingOptional: Array<string> }}
+ * @throws {ConfigError} When required variables are missing, with
+ *   `details.missing`
+ */
+export function checkEnvironment(config, env = process.env) {
+  const { requiredVars = [], optionalVars = [], envFile = '.env' } = config.environment || {};
+  const isSet = name => env[name] !== undefined && env[name] !== '';
+
+  const missing = requiredVars.filter(name => !isSet(name));
+  if (missing.length > 0) {
+    throw new ConfigError(
+      `Missing required environment variables: ${missing.join(', ')} (set them in ${envFile})`,
+      { missing }
+    );
+  }
+
+  const missingOptional = optionalVars.filter(name => !isSet(name));
+  if (missingOptional.length > 0) {
+    logger.info(`Optional environment variables not set: ${missingOptional.join(', ')}`);
+  }
+
+  return { missingOptional };
+}
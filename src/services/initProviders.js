@@ -2,39 +2,165 @@
 import { AnthropicProvider } from '../providers/AnthropicProvider';
 import { OpenAIProvider } from '../providers/OpenAIProvider';
 import { GoogleProvider } from '../providers/GoogleProvider';
+import { MistralProvider } from '../providers/MistralProvider';
+import { CohereProvider } from '../providers/CohereProvider';
+import { LocalProvider } from '../providers/LocalProvider';
+import { OpenAICompatibleProvider } from '../providers/OpenAICompatibleProvider';
+import { ModelCatalog } from '../providers/ModelCatalog';
+import { LocalStorageCacheStore } from '../cache/LocalStorageCacheStore';
+import { checkEnvironment, validateConfig } from './config';
 import { logger } from '../utils/logger';
 
-export function initializeProviders(config = null) {
-  const universal = new UniversalProvider();
-  
-  // Anthropic
-  const anthropicKey = process.env.REACT_APP_ANTHROPIC_API_KEY;
-  if (anthropicKey) {
-    universal.register('anthropic', new AnthropicProvider({ apiKey: anthropicKey }));
-    logger.info('Anthropic provider initialized');
+// Built-in vendors: the env variable holding the key (or endpoint) when the
+// config doesn't name one, and where env-only setups take the default model
+const VENDORS = {
+  anthropic: { keyEnv: 'REACT_APP_ANTHROPIC_API_KEY', Adapter: AnthropicProvider },
+  openai: { keyEnv: 'REACT_APP_OPENAI_API_KEY', Adapter: OpenAIProvider },
+  google: { keyEnv: 'REACT_APP_GOOGLE_API_KEY', Adapter: GoogleProvider },
+  mistral: { keyEnv: 'REACT_APP_MISTRAL_API_KEY', modelEnv: 'REACT_APP_MISTRAL_DEFAULT_MODEL', Adapter: MistralProvider },
+  cohere: { keyEnv: 'REACT_APP_COHERE_API_KEY', modelEnv: 'REACT_APP_COHERE_DEFAULT_MODEL', Adapter: CohereProvider },
+  local: { endpointEnv: 'REACT_APP_LOCAL_ENDPOINT', modelEnv: 'REACT_APP_LOCAL_DEFAULT_MODEL', Adapter: LocalProvider }
+};
+
+/**
+ * Build the provider runtime from antigravity.config.json
+ *
+ * The config is validated (see validateConfig) and its declared environment
+ * variables checked before anything is built. Enabled providers are
+ * registered with their configured models, default model and key variable
+ * (`apiKeyEnv`); one whose key isn't set is skipped with a warning. Routing
+ * rules, strategy, fallback order, budgets and `monitoring` flags all come
+ * from the file.
+ *
+ * Without a config every vendor whose key is in the environment is
+ * registered, as before there was a config file.
+ *
+ * `REACT_APP_DEFAULT_PROVIDER` and `REACT_APP_ROUTING_STRATEGY` override the
+ * file, which otherwise uses `ai.defaultProvider` (or the first provider
+ * registered) and `ai.routing.strategy`.
+ *
+ * @param {Object} [config] - Parsed antigravity.config.json
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Defaults to process.env
+ * @returns {UniversalProvider}
+ * @throws {ConfigError} When the config is invalid or required variables
+ *   are missing
+ */
+export function initializeProviders(config = null, options = {}) {
+  const env = options.env || process.env;
+  // This runtime's own catalog, so the file's models don't leak into the
+  // shared one (or into other runtimes)
+  const catalog = new ModelCatalog();
+
+  if (config) {
+    validateConfig(config, { catalog });
+    checkEnvironment(config, env);
+  }
+
+  const ai = config?.ai || {};
+
+  // Before the adapters are built, since they take their defaults from it
+  catalog.extend(ai.models);
+
+  const rateLimits = {};
+  for (const [name, providerConfig] of Object.entries(ai.providers || {})) {
+    if (providerConfig.rateLimits) rateLimits[name] = providerConfig.rateLimits;
+  }
+  for (const serverConfig of ai.openaiCompatible || []) {
+    if (serverConfig.rateLimits) rateLimits[serverConfig.name] = serverConfig.rateLimits;
+  }
+
+  const universal = new UniversalProvider({
+    retryPolicy: {
+      ...ai.retryPolicy,
+      maxRetries: ai.maxRetries ?? ai.retryPolicy?.maxRetries
+    },
+    circuitBreaker: ai.circuitBreaker,
+    fallbackOrder: ai.routing?.fallback?.order,
+    enableFallback: ai.routing?.fallback?.enabled,
+    rateLimits,
+    cache: ai.cache,
+    catalog,
+    contextWindow: ai.contextWindow,
+    budgets: ai.budgets,
+    metrics: metricsConfig(ai.routing?.metrics),
+    strategy: env.REACT_APP_ROUTING_STRATEGY || ai.routing?.strategy,
+    hedgeDelay: ai.routing?.hedgeDelay,
+    rules: ai.routing?.rules,
+    monitoring: config?.monitoring
+  });
+
+  for (const [name, vendor] of Object.entries(VENDORS)) {
+    const settings = config ? ai.providers?.[name] : {};
+    if (!settings?.enabled && config) continue;
+
+    const adapter = createAdapter(name, vendor, settings, env, !!config, catalog);
+    if (adapter) {
+      universal.register(name, adapter);
+      logger.info(`${name} provider initialized`);
+    }
   }
 
-  // OpenAI
-  const openaiKey = process.env.REACT_APP_OPENAI_API_KEY;
-  if (openaiKey) {
-    universal.register('openai', new OpenAIProvider({ apiKey: openaiKey }));
-    logger.info('OpenAI provider initialized');
+  // OpenAI-compatible servers, each registered under its own name
+  for (const serverConfig of ai.openaiCompatible || []) {
+    universal.register(serverConfig.name, new OpenAICompatibleProvider({
+      ...serverConfig,
+      apiKey: serverConfig.apiKeyEnv ? env[serverConfig.apiKeyEnv] : undefined
+    }));
+    logger.info(`OpenAI-compatible provider ${serverConfig.name} initialized`);
   }
 
-  // Google
-  const googleKey = process.env.REACT_APP_GOOGLE_API_KEY;
-  if (googleKey) {
-    universal.register('google', new GoogleProvider({ apiKey: googleKey }));
-    logger.info('Google provider initialized');
+  if (universal.providers.size === 0) {
+    logger.warn('No providers initialized; set an API key for at least one provider');
+    return universal;
   }
 
-  // Set default provider
-  const defaultProvider = process.env.REACT_APP_DEFAULT_PROVIDER || 'anthropic';
-  try {
-    universal.setDefaultProvider(defaultProvider);
-  } catch (error) {
-    logger.warn('Could not set default provider, using first available');
+  const defaultProvider = env.REACT_APP_DEFAULT_PROVIDER || ai.defaultProvider || (config ? null : 'anthropic');
+  if (defaultProvider) {
+    try {
+      universal.setDefaultProvider(defaultProvider);
+    } catch (error) {
+      logger.warn(`Could not set default provider ${defaultProvider}, using ${universal.defaultProvider}`);
+    }
   }
 
   return universal;
 }
+
+/**
+ * A vendor adapter from its config entry, or null when its key isn't set.
+ * The local provider needs no key; without a config it is only registered
+ * when an endpoint is.
+ */
+function createAdapter(name, vendor, settings, env, fromConfig, catalog) {
+  const keyEnv = settings.apiKeyEnv || vendor.keyEnv;
+  const apiKey = keyEnv ? env[keyEnv] : undefined;
+  const endpoint = settings.endpoint || env[vendor.endpointEnv];
+
+  if (vendor.keyEnv && !apiKey) {
+    if (fromConfig) logger.warn(`Provider ${name} is enabled but ${keyEnv} is not set; skipping it`);
+    return null;
+  }
+  if (vendor.endpointEnv && !endpoint && !fromConfig) {
+    return null;
+  }
+
+  return new vendor.Adapter({
+    apiKey,
+    endpoint,
+    defaultModel: settings.defaultModel || env[vendor.modelEnv],
+    embeddingModel: settings.embeddingModel,
+    models: settings.models,
+    catalog
+  });
+}
+
+/**
+ * With `persist`, routing measurements are kept in localStorage so they
+ * survive reloads (skipped where there is none, e.g. in Node)
+ */
+function metricsConfig(metrics) {
+  if (!metrics?.persist || typeof localStorage === 'undefined') return metrics;
+
+  return { ...metrics, store: new LocalStorageCacheStore() };
+}
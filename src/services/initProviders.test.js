@@ -0,0 +1,65 @@
+import { initializeProviders } from './initProviders';
+import { ConfigError, validateConfig } from './config';
+import { ModelCatalog, modelCatalog } from '../providers/ModelCatalog';
+
+// A local server needs no key, so these runtimes build without any env
+const configWith = models => ({
+  ai: {
+    providers: { local: { enabled: true, endpoint: 'http://localhost:11434', defaultModel: 'llama3:8b' } },
+    models
+  }
+});
+
+describe('initializeProviders', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives each runtime its own catalog with the file\'s models', () => {
+    const first = initializeProviders(configWith({
+      'llama3:8b': { provider: 'local', contextWindow: 8192, pricing: { input: 0, output: 0 } }
+    }), { env: {} });
+    const second = initializeProviders(configWith({
+      'llama3:8b': { provider: 'local', contextWindow: 32768 }
+    }), { env: {} });
+
+    expect(first.getContextWindow('llama3:8b')).toBe(8192);
+    expect(second.getContextWindow('llama3:8b')).toBe(32768);
+    expect(first.ledger.catalog).toBe(first.catalog);
+    expect(first.metrics.catalog).toBe(first.catalog);
+    expect(modelCatalog.has('llama3:8b')).toBe(false);
+  });
+
+  it('builds the adapters from the runtime\'s catalog', () => {
+    const universal = initializeProviders({
+      ai: {
+        providers: { local: { enabled: true } },
+        models: { 'phi3:mini': { provider: 'local', contextWindow: 4096, default: true } }
+      }
+    }, { env: {} });
+
+    expect(universal.getProvider('local').defaultModel).toBe('phi3:mini');
+    expect(modelCatalog.getDefaultModel('local')).toBe('llama2');
+  });
+});
+
+describe('validateConfig', () => {
+  it('checks model references against the catalog it is given', () => {
+    const config = {
+      ai: {
+        providers: { local: { enabled: true } },
+        models: { 'llama3:8b': { contextWindow: 8192 } }
+      }
+    };
+
+    expect(() => validateConfig(config)).toThrow(ConfigError);
+    expect(() => validateConfig(config, {
+      catalog: new ModelCatalog({ 'llama3:8b': { provider: 'local', contextWindow: 8192 } })
+    })).not.toThrow();
+  });
+});
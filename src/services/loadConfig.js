@@ -0,0 +1,31 @@
+/**
+ * Read antigravity.config.json from disk for Node-side code (scripts,
+ * servers, tests). Browser apps import the JSON and hand it straight to
+ * initializeProviders.
+ *
+ * @example
+ * const universal = initializeProviders(await loadConfig());
+ */
+
+import { readJsonFile } from '../utils/jsonFile';
+import { ConfigError, validateConfig } from './config';
+
+/**
+ * @param {string} [filePath] - Defaults to antigravity.config.json in the
+ *   working directory
+ * @returns {Promise<Object>} The validated config
+ * @throws {ConfigError} When the file is missing, isn't JSON, or is invalid
+ */
+export async function loadConfig(filePath = 'antigravity.config.json') {
+  let config;
+  try {
+    config = await readJsonFile(filePath);
+  } catch (error) {
+    throw new ConfigError(`${filePath} could not be read: ${error.message}`, { filePath });
+  }
+
+  if (config === null) {
+    throw new ConfigError(`${filePath} not found`, { filePath });
+  }
+  return validateConfig(config);
+}
@@ -0,0 +1,84 @@
+/**
+ * Supabase helpers shared by the adapters for the tables in
+ * starters/SupabaseDatabaseSchema.sql (SupabaseEpisodicMemory,
+ * SupabaseVectorStore, SupabaseExecutionStore, SupabaseCostStore).
+ *
+ * Adapters take a client rather than creating one, so they run against
+ * `createClient(url, key)` from `@supabase/supabase-js` in the app and
+ * against any stand-in with the same query-builder surface in tests:
+ * `from(table)` with `insert`, `upsert`, `update`, `delete`, `select`,
+ * `eq`, `in`, `contains`, `order`, `limit` and `single`, plus `rpc`.
+ */
+
+export class SupabaseError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SupabaseError';
+    this.details = details;
+  }
+}
+
+/**
+ * MemoryItem fields and the columns they're stored in
+ */
+export const ITEM_COLUMNS = {
+  id: 'id',
+  agentId: 'agent_id',
+  taskId: 'task_id',
+  sessionId: 'session_id',
+  userId: 'user_id',
+  role: 'role'
+};
+
+/**
+ * @param {Object} client - A Supabase client
+ * @param {string} name - Which adapter needs it, for the error
+ * @throws {Error} When `client` can't be queried
+ */
+export function assertClient(client, name) {
+  if (typeof client?.from !== 'function') {
+    throw new Error(`${name} needs a Supabase client`);
+  }
+}
+
+/**
+ * Await a query, turning a returned `error` into a thrown SupabaseError
+ * @param {PromiseLike<{ data: *, error: Object|null }>} query
+ * @param {string} what - e.g. 'insert into episodic_memory', for the message
+ * @returns {Promise<*>} The query's data
+ * @throws {SupabaseError}
+ */
+export async function run(query, what) {
+  const { data, error } = await query;
+  if (error) {
+    throw new SupabaseError(`Supabase ${what} failed: ${error.message}`, {
+      code: error.code,
+      hint: error.hint,
+      originalError: error
+    });
+  }
+  return data;
+}
+
+/**
+ * Narrow a query by a memory filter (see matchesFilter): item fields
+ * become column equalities and `metadata` a jsonb containment
+ * @param {Object} query - A Supabase filter builder
+ * @param {Object} [filter]
+ * @returns {Object} The query
+ * @throws {Error} For a field with no column
+ */
+export function applyFilter(query, filter = {}) {
+  for (const [field, expected] of Object.entries(filter)) {
+    if (expected === undefined) continue;
+
+    if (field === 'metadata') {
+      query = query.contains('metadata', expected);
+    } else if (ITEM_COLUMNS[field]) {
+      query = query.eq(ITEM_COLUMNS[field], expected);
+    } else {
+      throw new Error(`Cannot filter Supabase memory by ${field}`);
+    }
+  }
+  return query;
+}
@@ -0,0 +1,39 @@
+/**
+ * Test doubles for adapters that call vendor APIs with fetch
+ */
+
+/**
+ * The parts of a fetch Response the adapters read
+ * @param {Object} [init]
+ * @param {number} [init.status] - Default 200
+ * @param {Object<string, string>} [init.headers] - Lower-case names
+ * @param {string|Array<string>} [init.body] - A list is read chunk by chunk,
+ *   as a streamed body would be
+ */
+export function fakeResponse({ status = 200, headers = {}, body = '' } = {}) {
+  const chunks = Array.isArray(body) ? [...body] : [body];
+  const encoder = new TextEncoder();
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => headers[name.toLowerCase()] ?? null },
+    text: async () => chunks.join(''),
+    json: async () => JSON.parse(chunks.join('')),
+    body: {
+      getReader: () => ({
+        read: async () => (chunks.length > 0
+          ? { done: false, value: encoder.encode(chunks.shift()) }
+          : { done: true, value: undefined })
+      })
+    }
+  };
+}
+
+/**
+ * @param {*} body - Sent as JSON
+ * @param {Object} [init] - `status`, `headers`, as for fakeResponse
+ */
+export function jsonResponse(body, init = {}) {
+  return fakeResponse({ ...init, body: JSON.stringify(body) });
+}
@@ -0,0 +1,159 @@
+/**
+ * Test double for the Supabase adapters: an in-memory client with the
+ * query-builder surface they use (see services/supabase.js)
+ */
+
+import { createId } from '../utils/ids';
+
+/**
+ * @param {Object} [config]
+ * @param {Object<string, Array<Object>>} [config.tables] - Rows by table
+ * @param {Object<string, Function>} [config.functions] - rpc() handlers by
+ *   name, called with the arguments and the tables; return the data
+ * @returns {Object} A client whose `tables` hold the rows
+ */
+export function createFakeSupabase({ tables = {}, functions = {} } = {}) {
+  const rows = Object.fromEntries(
+    Object.entries(tables).map(([table, tableRows]) => [table, tableRows.map(row => ({ ...row }))])
+  );
+
+  return {
+    tables: rows,
+    from: table => new FakeQuery(rows[table] || (rows[table] = [])),
+    rpc: async (name, args) => (functions[name]
+      ? { data: await functions[name](args, rows), error: null }
+      : { data: null, error: { message: `function ${name} does not exist`, code: '42883' } })
+  };
+}
+
+/**
+ * One query against a table's rows, run when awaited. Inserted rows get an
+ * `id` when they have none, as a uuid column default would give them.
+ */
+class FakeQuery {
+  constructor(rows) {
+    this.rows = rows;
+    this.action = 'select';
+    this.filters = [];
+    this.columns = '*';
+    this.returning = false;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = [].concat(values);
+    return this;
+  }
+
+  upsert(values) {
+    this.action = 'upsert';
+    this.values = [].concat(values);
+    return this;
+  }
+
+  update(patch) {
+    this.action = 'update';
+    this.patch = patch;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  select(columns = '*') {
+    this.columns = columns;
+    this.returning = true;
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => row[column] === value);
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push(row => values.includes(row[column]));
+    return this;
+  }
+
+  contains(column, value) {
+    this.filters.push(row => Object.entries(value).every(([key, expected]) => row[column]?.[key] === expected));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering = { column, ascending };
+    return this;
+  }
+
+  limit(count) {
+    this.count = count;
+    return this;
+  }
+
+  single() {
+    this.one = true;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  execute() {
+    let affected = this.action === 'insert' || this.action === 'upsert'
+      ? this.write()
+      : this.rows.filter(row => this.filters.every(matches => matches(row)));
+
+    if (this.action === 'update') {
+      affected.forEach(row => Object.assign(row, this.patch));
+    } else if (this.action === 'delete') {
+      affected.forEach(row => this.rows.splice(this.rows.indexOf(row), 1));
+    }
+
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null };
+    }
+
+    if (this.ordering) {
+      const { column, ascending } = this.ordering;
+      affected = [...affected].sort((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1));
+    }
+    const data = affected.slice(0, this.count ?? affected.length).map(row => this.project(row));
+
+    if (this.one) {
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: { message: 'JSON object requested, multiple (or no) rows returned', code: 'PGRST116' } };
+    }
+    return { data, error: null };
+  }
+
+  /**
+   * @private
+   */
+  write() {
+    return this.values.map(values => {
+      const existing = this.action === 'upsert' && values.id !== undefined
+        ? this.rows.find(row => row.id === values.id)
+        : null;
+      if (existing) {
+        return Object.assign(existing, values);
+      }
+
+      const row = { id: createId(), ...values };
+      this.rows.push(row);
+      return row;
+    });
+  }
+
+  /**
+   * @private
+   */
+  project(row) {
+    if (this.columns === '*') return { ...row };
+    return Object.fromEntries(this.columns.split(',').map(column => column.trim()).map(column => [column, row[column]]));
+  }
+}
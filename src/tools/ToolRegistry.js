@@ -0,0 +1,297 @@
+/**
+ * Tool Registry
+ *
+ * The tools agents can call. Each tool declares a JSON schema for its
+ * input, an async handler, a timeout and the permission tags a caller needs
+ * to use it. execute() checks all of these before and while the handler
+ * runs, so a model's tool call can be handed over as is:
+ *
+ * 1. the tool must exist
+ * 2. the caller must hold every permission tag the tool has
+ * 3. the arguments must match the input schema
+ * 4. the handler must finish within the timeout; its signal aborts if it
+ *    doesn't, or if the caller's signal does
+ *
+ * Each failure is a ToolError with its own `kind` (see ./errors).
+ *
+ * @example
+ * const tools = new ToolRegistry();
+ * tools.register({
+ *   name: 'get_weather',
+ *   description: 'Current weather for a city',
+ *   parameters: {
+ *     type: 'object',
+ *     properties: { city: { type: 'string' } },
+ *     required: ['city']
+ *   },
+ *   permissions: ['network'],
+ *   timeout: 5000,
+ *   handler: async ({ city }, { signal }) => weatherApi.current(city, { signal })
+ * });
+ * await tools.execute('get_weather', { city: 'Oslo' }, { permissions: ['network'] });
+ */
+
+import { logger } from '../utils/logger';
+import { validateSchema } from '../utils/jsonSchema';
+import { RequestCancelledError, abortable, throwIfAborted } from '../utils/abort';
+import { termsOf } from '../memory/relevance';
+import {
+  ToolArgumentError,
+  ToolError,
+  ToolExecutionError,
+  ToolNotFoundError,
+  ToolPermissionError,
+  ToolTimeoutError
+} from './errors';
+
+// What every vendor accepts as a function name
+const TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+const DEFAULT_TIMEOUT = 30000;
+const EMPTY_SCHEMA = { type: 'object', properties: {} };
+
+/**
+ * @typedef {Object} Tool
+ * @property {string} name - Letters, digits, `_` and `-`, up to 64
+ * @property {string} description - What it does, for the model
+ * @property {Object} [parameters] - JSON schema for the arguments object
+ * @property {Function} handler - `async (args, { signal, agentId, taskId, sessionId }) => result`
+ * @property {number} [timeout] - Milliseconds (default 30000)
+ * @property {Array<string>} [permissions] - Tags a caller needs, e.g.
+ *   'network', 'filesystem', 'write'
+ */
+
+/**
+ * @typedef {Object} ToolCallOptions
+ * @property {Array<string>} [permissions] - Tags the caller holds
+ * @property {AbortSignal} [signal]
+ * @property {number} [timeout] - Instead of the tool's
+ * @property {string} [agentId] - Handed to the handler
+ * @property {string} [taskId]
+ * @property {string} [sessionId]
+ */
+
+export class ToolRegistry {
+  constructor() {
+    /** @type {Map<string, Tool>} */
+    this.tools = new Map();
+  }
+
+  /**
+   * @param {Tool} tool
+   * @returns {Tool} The tool as registered, with defaults filled in
+   * @throws {Error} When the definition is incomplete or the name is taken
+   */
+  register(tool) {
+    if (!TOOL_NAME.test(tool?.name || '')) {
+      throw new Error(`Invalid tool name: ${tool?.name} (letters, digits, _ and - only, up to 64)`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool ${tool.name} is already registered`);
+    }
+    if (!tool.description) {
+      throw new Error(`Tool ${tool.name} needs a description`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} needs a handler function`);
+    }
+
+    const registered = {
+      ...tool,
+      parameters: tool.parameters || EMPTY_SCHEMA,
+      timeout: tool.timeout ?? DEFAULT_TIMEOUT,
+      permissions: tool.permissions || []
+    };
+    this.tools.set(tool.name, registered);
+    logger.debug(`Tool ${tool.name} registered`, { permissions: registered.permissions });
+    return registered;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} Whether there was such a tool
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Tool|null}
+   */
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.permissions] - Only tools these tags allow
+   *   (default: every tool)
+   * @returns {Array<Tool>}
+   */
+  list(options = {}) {
+    const tools = Array.from(this.tools.values());
+    if (!options.permissions) return tools;
+    return tools.filter(tool => this.missingPermissions(tool, options.permissions).length === 0);
+  }
+
+  /**
+   * Tools whose name or description shares words with `requirement`, best
+   * match first
+   * @param {string} requirement - e.g. 'search the web'
+   * @param {Object} [options] - `permissions`, as for list()
+   * @returns {Array<Tool>}
+   */
+  discover(requirement, options = {}) {
+    const wanted = termsOf(requirement);
+
+    return this.list(options)
+      .map(tool => {
+        const terms = termsOf(`${tool.name.replace(/[_-]/g, ' ')} ${tool.description}`);
+        return { tool, hits: [...wanted].filter(term => terms.has(term)).length };
+      })
+      .filter(({ hits }) => hits > 0)
+      .sort((a, b) => b.hits - a.hits)
+      .map(({ tool }) => tool);
+  }
+
+  /**
+   * Register a tool that runs others in sequence, each one's result being
+   * the next one's arguments. It takes the first tool's input, needs every
+   * tool's permissions and, unless given one, gets their timeouts combined.
+   * @param {Object} spec
+   * @param {string} spec.name
+   * @param {string} spec.description
+   * @param {Array<string>} spec.tools - Names of registered tools, in order
+   * @param {number} [spec.timeout]
+   * @returns {Tool}
+   * @throws {ToolNotFoundError} When a step isn't registered
+   */
+  compose(spec) {
+    if (!spec.tools?.length) {
+      throw new Error(`Composite tool ${spec.name} needs at least one tool`);
+    }
+    const steps = spec.tools.map(name => this.require(name));
+    const permissions = [...new Set(steps.flatMap(step => step.permissions))];
+
+    return this.register({
+      name: spec.name,
+      description: spec.description,
+      parameters: steps[0].parameters,
+      permissions,
+      timeout: spec.timeout ?? steps.reduce((sum, step) => sum + step.timeout, 0),
+      handler: async (args, context) => {
+        let value = args;
+        for (const step of steps) {
+          value = await this.execute(step.name, value, { ...context, permissions });
+        }
+        return value;
+      }
+    });
+  }
+
+  /**
+   * Tool definitions for a model request (`request.tools`)
+   * @param {Object} [options] - `permissions`, as for list()
+   * @returns {Array<{ name: string, description: string, parameters: Object }>}
+   */
+  definitions(options = {}) {
+    return this.list(options).map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  /**
+   * Run a tool's handler after checking permissions and arguments
+   * @param {string} name
+   * @param {Object} [args]
+   * @param {ToolCallOptions} [options]
+   * @returns {Promise<*>} What the handler returned
+   * @throws {ToolError} ToolNotFoundError, ToolPermissionError,
+   *   ToolArgumentError, ToolTimeoutError or ToolExecutionError
+   * @throws {RequestCancelledError} When `options.signal` aborts
+   */
+  async execute(name, args = {}, options = {}) {
+    const tool = this.require(name);
+
+    const missing = this.missingPermissions(tool, options.permissions || []);
+    if (missing.length > 0) {
+      throw new ToolPermissionError(
+        `Tool ${name} needs permission: ${missing.join(', ')}`,
+        { tool: name, missing }
+      );
+    }
+
+    const errors = validateSchema(args, tool.parameters, 'arguments');
+    if (errors.length > 0) {
+      throw new ToolArgumentError(
+        `Invalid arguments for tool ${name}: ${errors.join('; ')}`,
+        { tool: name, errors }
+      );
+    }
+
+    throwIfAborted(options.signal);
+    return await this.runHandler(tool, args, options);
+  }
+
+  /**
+   * @private
+   */
+  async runHandler(tool, args, options) {
+    const timeout = options.timeout ?? tool.timeout;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(options.signal.reason);
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new ToolTimeoutError(`Tool ${tool.name} timed out after ${timeout}ms`, { tool: tool.name, timeout });
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+
+    const started = Date.now();
+    try {
+      const run = Promise.resolve().then(() => tool.handler(args, {
+        signal: controller.signal,
+        agentId: options.agentId,
+        taskId: options.taskId,
+        sessionId: options.sessionId
+      }));
+      const result = await Promise.race([abortable(run, options.signal), timedOut]);
+
+      logger.debug(`Tool ${tool.name} completed`, { durationMs: Date.now() - started });
+      return result;
+    } catch (error) {
+      if (error instanceof ToolError || error instanceof RequestCancelledError) throw error;
+
+      throw new ToolExecutionError(
+        `Tool ${tool.name} failed: ${error.message}`,
+        { tool: tool.name, originalError: error }
+      );
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * @private
+   */
+  require(name) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new ToolNotFoundError(
+        `Unknown tool: ${name}`,
+        { tool: name, available: Array.from(this.tools.keys()) }
+      );
+    }
+    return tool;
+  }
+
+  /**
+   * @private
+   */
+  missingPermissions(tool, granted) {
+    return tool.permissions.filter(tag => !granted.includes(tag));
+  }
+}
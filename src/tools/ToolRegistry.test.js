@@ -0,0 +1,165 @@
+/**
+ * @jest-environment node
+ */
+import { ToolRegistry } from './ToolRegistry';
+import {
+  ToolArgumentError,
+  ToolExecutionError,
+  ToolNotFoundError,
+  ToolPermissionError,
+  ToolTimeoutError
+} from './errors';
+import { RequestCancelledError } from '../utils/abort';
+
+function createTools() {
+  const tools = new ToolRegistry();
+  tools.register({
+    name: 'add',
+    description: 'Add two numbers',
+    parameters: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+    handler: jest.fn(async ({ a, b }) => a + b)
+  });
+  tools.register({
+    name: 'write_file',
+    description: 'Write a file to disk',
+    permissions: ['filesystem', 'write'],
+    handler: jest.fn(async () => 'written')
+  });
+  return tools;
+}
+
+describe('ToolRegistry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs the handler with the arguments and the caller identity', async () => {
+    const tools = createTools();
+
+    const result = await tools.execute('add', { a: 2, b: 3 }, { agentId: 'agent-1', taskId: 'task-1' });
+
+    expect(result).toBe(5);
+    expect(tools.get('add').handler).toHaveBeenCalledWith(
+      { a: 2, b: 3 },
+      expect.objectContaining({ agentId: 'agent-1', taskId: 'task-1', signal: expect.any(Object) })
+    );
+  });
+
+  it('rejects a tool that is not registered', async () => {
+    const error = await createTools().execute('subtract', { a: 2, b: 3 }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ToolNotFoundError);
+    expect(error.kind).toBe('not-found');
+    expect(error.details.available).toEqual(['add', 'write_file']);
+  });
+
+  it('rejects a caller missing a permission tag before running the handler', async () => {
+    const tools = createTools();
+
+    const error = await tools.execute('write_file', {}, { permissions: ['filesystem'] }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ToolPermissionError);
+    expect(error.kind).toBe('permission-denied');
+    expect(error.details.missing).toEqual(['write']);
+    expect(tools.get('write_file').handler).not.toHaveBeenCalled();
+    await expect(tools.execute('write_file', {}, { permissions: ['filesystem', 'write'] })).resolves.toBe('written');
+  });
+
+  it('rejects arguments that do not match the schema', async () => {
+    const tools = createTools();
+
+    const error = await tools.execute('add', { a: 2, b: 'three' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ToolArgumentError);
+    expect(error.kind).toBe('invalid-arguments');
+    expect(error.details.errors).toEqual([expect.stringContaining('arguments.b')]);
+    expect(tools.get('add').handler).not.toHaveBeenCalled();
+  });
+
+  it('times out a slow handler and aborts its signal', async () => {
+    const tools = new ToolRegistry();
+    let handlerSignal;
+    tools.register({
+      name: 'slow',
+      description: 'Never finishes on its own',
+      timeout: 20,
+      handler: (args, { signal }) => {
+        handlerSignal = signal;
+        return new Promise(() => {});
+      }
+    });
+
+    const error = await tools.execute('slow').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ToolTimeoutError);
+    expect(error.kind).toBe('timeout');
+    expect(error.details.timeout).toBe(20);
+    expect(handlerSignal.aborted).toBe(true);
+    expect(handlerSignal.reason).toBe(error);
+  });
+
+  it('wraps what a handler throws', async () => {
+    const tools = new ToolRegistry();
+    const cause = new Error('disk full');
+    tools.register({ name: 'broken', description: 'Always fails', handler: async () => { throw cause; } });
+
+    const error = await tools.execute('broken').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ToolExecutionError);
+    expect(error.kind).toBe('failed');
+    expect(error.details.originalError).toBe(cause);
+  });
+
+  it('aborts the handler when the caller cancels', async () => {
+    const tools = new ToolRegistry();
+    let handlerSignal;
+    tools.register({
+      name: 'wait',
+      description: 'Waits to be cancelled',
+      handler: (args, { signal }) => {
+        handlerSignal = signal;
+        return new Promise(() => {});
+      }
+    });
+    const controller = new AbortController();
+
+    const pending = tools.execute('wait', {}, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 5);
+
+    await expect(pending).rejects.toBeInstanceOf(RequestCancelledError);
+    expect(handlerSignal.aborted).toBe(true);
+  });
+
+  it('offers only the tools a caller may use', () => {
+    const tools = createTools();
+
+    expect(tools.definitions({ permissions: [] }).map(tool => tool.name)).toEqual(['add']);
+    expect(tools.definitions().map(tool => tool.name)).toEqual(['add', 'write_file']);
+    expect(tools.discover('write a file', { permissions: ['filesystem', 'write'] })[0].name).toBe('write_file');
+  });
+
+  it('composes tools that pass each result on to the next', async () => {
+    const tools = createTools();
+    tools.register({
+      name: 'double',
+      description: 'Double a number',
+      parameters: { type: 'object', properties: { value: { type: 'number' } }, required: ['value'] },
+      handler: async ({ value }) => value * 2
+    });
+    tools.register({
+      name: 'wrap',
+      description: 'Wrap a number for double',
+      handler: async ({ n }) => ({ value: n })
+    });
+
+    const composite = tools.compose({ name: 'wrap_double', description: 'Wrap then double', tools: ['wrap', 'double'] });
+
+    expect(composite.timeout).toBe(60000);
+    await expect(tools.execute('wrap_double', { n: 4 })).resolves.toBe(8);
+    expect(() => tools.compose({ name: 'bad', description: 'Missing step', tools: ['nope'] })).toThrow(ToolNotFoundError);
+  });
+});
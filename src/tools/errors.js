@@ -0,0 +1,62 @@
+/**
+ * Tool error types
+ */
+
+/**
+ * Base class for tool call failures. `kind` identifies the failure class;
+ * `details` carries the `tool` name and whatever the failure adds.
+ */
+export class ToolError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.kind = 'unknown';
+    this.details = details;
+    this.tool = details.tool;
+  }
+}
+
+/** No tool is registered under that name */
+export class ToolNotFoundError extends ToolError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ToolNotFoundError';
+    this.kind = 'not-found';
+  }
+}
+
+/** The arguments don't match the tool's input schema; `details.errors` lists why */
+export class ToolArgumentError extends ToolError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ToolArgumentError';
+    this.kind = 'invalid-arguments';
+  }
+}
+
+/** The caller lacks permission tags the tool requires; `details.missing` lists them */
+export class ToolPermissionError extends ToolError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ToolPermissionError';
+    this.kind = 'permission-denied';
+  }
+}
+
+/** The handler didn't finish within the tool's timeout; its signal was aborted */
+export class ToolTimeoutError extends ToolError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ToolTimeoutError';
+    this.kind = 'timeout';
+  }
+}
+
+/** The handler threw; `details.originalError` is what it threw */
+export class ToolExecutionError extends ToolError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ToolExecutionError';
+    this.kind = 'failed';
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Cancellation helpers built on AbortSignal
+ *
+ * Every cancellation surfaces as a RequestCancelledError, whether the signal
+ * was aborted by the caller or a deadline ran out, so callers only need one
+ * `instanceof` check.
+ */
+
+/**
+ * A call was cancelled before it finished. `details.reason` is `'aborted'`
+ * or `'deadline'`.
+ */
+export class RequestCancelledError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RequestCancelledError';
+    this.kind = 'cancelled';
+    this.details = details;
+  }
+}
+
+/**
+ * The error to throw for an aborted signal
+ * @param {AbortSignal} signal
+ * @returns {RequestCancelledError}
+ */
+export function cancelledError(signal) {
+  if (signal?.reason instanceof RequestCancelledError) {
+    return signal.reason;
+  }
+  return new RequestCancelledError('Request was cancelled', {
+    reason: 'aborted',
+    cause: signal?.reason
+  });
+}
+
+/**
+ * @param {AbortSignal} [signal]
+ * @throws {RequestCancelledError} If the signal has been aborted
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw cancelledError(signal);
+  }
+}
+
+/**
+ * Settle with `promise`, or reject as soon as `signal` aborts. For SDKs that
+ * can't take a signal: the request keeps running, but nobody waits for it.
+ * @param {Promise<*>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<*>}
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    // Started too late to be waited for; it mustn't reject unhandled either
+    Promise.resolve(promise).catch(() => {});
+    throw cancelledError(signal);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(cancelledError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Iterate `iterable`, throwing as soon as `signal` aborts even while a
+ * `next()` is still pending
+ * @param {AsyncIterable<*>} iterable
+ * @param {AbortSignal} [signal]
+ * @returns {AsyncGenerator<*>}
+ */
+export async function* abortableIterable(iterable, signal) {
+  if (!signal) {
+    yield* iterable;
+    return;
+  }
+
+  const iterator = iterable[Symbol.asyncIterator]();
+
+  try {
+    while (true) {
+      const { done, value } = await abortable(iterator.next(), signal);
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    // Not awaited: a generator stuck in next() only returns once that settles
+    Promise.resolve(iterator.return?.()).catch(() => {});
+  }
+}
+
+/**
+ * setTimeout as a promise that rejects early when `signal` aborts
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return abortable(new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => clearTimeout(timer), { once: true });
+  }), signal);
+}
+
+/**
+ * One signal that aborts when `parent` does or when `deadline` passes
+ *
+ * @param {AbortSignal} [parent] - Caller's signal
+ * @param {number|Date} [deadline] - Absolute time (epoch ms or Date)
+ * @returns {{ signal: AbortSignal, dispose: Function }} Call `dispose()` when
+ *   done so the deadline timer doesn't outlive the work
+ */
+export function linkSignal(parent, deadline) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(cancelledError(parent));
+  let timer = null;
+
+  if (parent?.aborted) {
+    onAbort();
+  } else if (parent) {
+    parent.addEventListener('abort', onAbort, { once: true });
+  }
+
+  if (deadline !== undefined && deadline !== null && !controller.signal.aborted) {
+    const at = deadline instanceof Date ? deadline.getTime() : deadline;
+    timer = setTimeout(() => {
+      controller.abort(new RequestCancelledError('Deadline exceeded', {
+        reason: 'deadline',
+        deadline: new Date(at).toISOString()
+      }));
+    }, Math.max(0, at - Date.now()));
+  }
+
+  return {
+    signal: controller.signal,
+    dispose: () => {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onAbort);
+    }
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Pull a JSON value out of model output
+ *
+ * Models asked for JSON often wrap it in a ```json fence or surround it with
+ * prose. Tries, in order: the whole text, fenced blocks, then the first
+ * balanced object or array.
+ *
+ * @param {string} text - Raw model output
+ * @returns {{ found: boolean, value: *, error?: string }}
+ */
+export function extractJson(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { found: false, value: undefined, error: 'Response was empty' };
+  }
+
+  const candidates = [text.trim()];
+
+  for (const match of text.matchAll(/```(?:json)?\s*([\s\S]*?)```/gi)) {
+    candidates.push(match[1].trim());
+  }
+
+  const balanced = findBalanced(text);
+  if (balanced) candidates.push(balanced);
+
+  let lastError = 'No JSON found in response';
+
+  for (const candidate of candidates) {
+    try {
+      return { found: true, value: JSON.parse(candidate) };
+    } catch (error) {
+      lastError = error.message;
+    }
+  }
+
+  return { found: false, value: undefined, error: lastError };
+}
+
+/**
+ * First `{...}` or `[...]` span whose brackets balance, ignoring brackets
+ * inside strings
+ */
+function findBalanced(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,35 @@
+import { extractJson } from './extractJson';
+
+describe('extractJson', () => {
+  it('parses a response that is only JSON', () => {
+    expect(extractJson('  {"score": 0.8}\n')).toEqual({ found: true, value: { score: 0.8 } });
+    expect(extractJson('[1, 2]')).toEqual({ found: true, value: [1, 2] });
+  });
+
+  it('takes JSON out of a fenced block', () => {
+    const text = 'Here is the result:\n```json\n{"score": 0.8}\n```\nLet me know if you need more.';
+
+    expect(extractJson(text)).toEqual({ found: true, value: { score: 0.8 } });
+  });
+
+  it('finds the first balanced object in prose, ignoring brackets in strings', () => {
+    const text = 'The evaluation is {"feedback": "use {braces} and ] carefully", "scores": [1, {"a": 2}]} as requested.';
+
+    expect(extractJson(text)).toEqual({
+      found: true,
+      value: { feedback: 'use {braces} and ] carefully', scores: [1, { a: 2 }] }
+    });
+  });
+
+  it('handles escaped quotes inside strings', () => {
+    expect(extractJson('Result: {"quote": "she said \\"hi}\\""} done').value).toEqual({ quote: 'she said "hi}"' });
+  });
+
+  it('reports why nothing was found', () => {
+    expect(extractJson('')).toEqual({ found: false, value: undefined, error: 'Response was empty' });
+    expect(extractJson(undefined).found).toBe(false);
+    expect(extractJson('No JSON here.')).toEqual({ found: false, value: undefined, error: expect.any(String) });
+    expect(extractJson('Almost: {"a": 1').found).toBe(false);
+    expect(extractJson('Mismatched: {"a": [1}').found).toBe(false);
+  });
+});
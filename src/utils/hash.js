@@ -0,0 +1,29 @@
+/**
+ * Non-cryptographic string hash (cyrb53, run with two seeds)
+ *
+ * Synchronous and dependency-free so it works the same in the browser and
+ * in Node. Good for cache keys; not for anything security-related.
+ *
+ * @param {string} text
+ * @returns {string} 28 hex characters
+ */
+export function hashString(text) {
+  return cyrb53(text, 0) + cyrb53(text, 0x9e3779b9);
+}
+
+function cyrb53(text, seed) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  const value = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return value.toString(16).padStart(14, '0');
+}
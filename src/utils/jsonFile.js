@@ -0,0 +1,39 @@
+/**
+ * JSON file helpers for Node-side tooling (tests, CI, scripts)
+ *
+ * Kept separate so browser bundles never pull in `fs`.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+let tempCounter = 0;
+
+/**
+ * @param {string} filePath
+ * @param {*} [fallback] - Returned when the file doesn't exist
+ * @returns {Promise<*>}
+ */
+export async function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write atomically (temp file + rename) so a crash never leaves half a file
+ * @param {string} filePath
+ * @param {*} data
+ */
+export async function writeJsonFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${tempCounter++}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.rename(tempPath, filePath);
+}
@@ -0,0 +1,113 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Covers the subset we use for structured model output: type, enum, const,
+ * properties, required, additionalProperties, items, min/max for numbers,
+ * strings and arrays, anyOf and oneOf. Unknown keywords are ignored.
+ */
+
+/**
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} [path] - Location used in messages
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const matching = options.filter(option => validateSchema(value, option, path).length === 0);
+
+    if (matching.length === 0 || (schema.oneOf && matching.length > 1)) {
+      return [`${path} must match ${schema.oneOf ? 'exactly one' : 'at least one'} of the allowed schemas`];
+    }
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = [].concat(schema.type).join(' or ');
+    return [`${path} must be ${expected}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if ('const' in schema && !isEqual(schema.const, value)) {
+    errors.push(`${path} must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  return [].concat(type).some(expected => {
+    if (expected === 'integer') return Number.isInteger(value);
+    if (expected === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === expected;
+  });
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,68 @@
+import { validateSchema } from './jsonSchema';
+
+const evaluation = {
+  type: 'object',
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    verdict: { enum: ['pass', 'fail'] },
+    feedback: { type: 'string', minLength: 1, maxLength: 20 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    attempts: { type: 'integer' }
+  },
+  required: ['score', 'verdict'],
+  additionalProperties: false
+};
+
+describe('validateSchema', () => {
+  it('accepts a value that matches', () => {
+    expect(validateSchema({ score: 0.5, verdict: 'pass', feedback: 'Good', tags: ['a'], attempts: 2 }, evaluation)).toEqual([]);
+  });
+
+  it('reports every problem with its path', () => {
+    const errors = validateSchema({
+      score: 1.5,
+      verdict: 'maybe',
+      feedback: '',
+      tags: ['a', 2, 'c'],
+      attempts: 1.5,
+      extra: true
+    }, evaluation);
+
+    expect(errors).toEqual([
+      '$.score must be <= 1',
+      '$.verdict must be one of "pass", "fail"',
+      '$.feedback must be at least 1 characters',
+      '$.tags must have at most 2 items',
+      '$.tags[1] must be string, got number',
+      '$.attempts must be integer, got number',
+      '$.extra is not allowed'
+    ]);
+  });
+
+  it('reports missing required properties and wrong types', () => {
+    expect(validateSchema({ score: 0.5 }, evaluation)).toEqual(['$.verdict is required']);
+    expect(validateSchema([], evaluation)).toEqual(['$ must be object, got array']);
+    expect(validateSchema(null, { type: ['string', 'null'] })).toEqual([]);
+    expect(validateSchema(NaN, { type: 'number' })).toEqual(['$ must be number, got number']);
+  });
+
+  it('validates additional properties against a schema', () => {
+    const schema = { type: 'object', additionalProperties: { type: 'number' } };
+
+    expect(validateSchema({ a: 1, b: 'two' }, schema, 'scores')).toEqual(['scores.b must be number, got string']);
+  });
+
+  it('checks const, anyOf and oneOf', () => {
+    expect(validateSchema('v2', { const: 'v1' })).toEqual(['$ must equal "v1"']);
+    expect(validateSchema(3, { anyOf: [{ type: 'string' }, { type: 'integer' }] })).toEqual([]);
+    expect(validateSchema(true, { anyOf: [{ type: 'string' }, { type: 'integer' }] }))
+      .toEqual(['$ must match at least one of the allowed schemas']);
+    expect(validateSchema(3, { oneOf: [{ type: 'number' }, { type: 'integer' }] }))
+      .toEqual(['$ must match exactly one of the allowed schemas']);
+  });
+
+  it('ignores keywords it does not know and missing schemas', () => {
+    expect(validateSchema('anything', { format: 'email', pattern: '^x' })).toEqual([]);
+    expect(validateSchema('anything', undefined)).toEqual([]);
+  });
+});
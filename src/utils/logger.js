@@ -17,25 +17,25 @@ class Logger {
 
   debug(...args) {
     if (this.level <= LOG_LEVELS.debug) {
-      console.log([DEBUG] [], ...args);
+      console.log(`[DEBUG] [${this.name}]`, ...args);
     }
   }
 
   info(...args) {
     if (this.level <= LOG_LEVELS.info) {
-      console.log([INFO] [], ...args);
+      console.log(`[INFO] [${this.name}]`, ...args);
     }
   }
 
   warn(...args) {
     if (this.level <= LOG_LEVELS.warn) {
-      console.warn([WARN] [], ...args);
+      console.warn(`[WARN] [${this.name}]`, ...args);
     }
   }
 
   error(...args) {
     if (this.level <= LOG_LEVELS.error) {
-      console.error([ERROR] [], ...args);
+      console.error(`[ERROR] [${this.name}]`, ...args);
     }
   }
 }
@@ -45,5 +45,8 @@ export function createLogger(name, level) {
   return new Logger(name, level || process.env.LOG_LEVEL || 'info');
 }
 
+// Shared framework logger
+export const logger = createLogger('agi-framework');
+
 // For CommonJS compatibility
 export default { createLogger };
@@ -0,0 +1,24 @@
+/**
+ * JSON.stringify with object keys sorted, so equal values always produce
+ * the same string regardless of property order
+ */
+export function stableStringify(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item) ?? 'null').join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .sort()
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+
+  return `{${entries.join(',')}}`;
+}
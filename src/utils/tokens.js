@@ -0,0 +1,67 @@
+/**
+ * Token estimation
+ *
+ * A vendor-neutral approximation (~4 characters per token) for budgeting
+ * before a call; actual counts come back in each response's `usage`.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+// Images and documents are billed by size or page rather than by text;
+// a flat allowance keeps estimates in the right order of magnitude
+const NON_TEXT_PART_TOKENS = 1000;
+
+/**
+ * @param {string|Array<Object>|Object} content - Text, content parts or any JSON value
+ * @returns {number}
+ */
+export function estimateTokens(content) {
+  if (content === null || content === undefined) return 0;
+
+  if (typeof content === 'string') {
+    return Math.ceil(content.length / CHARS_PER_TOKEN);
+  }
+
+  if (Array.isArray(content)) {
+    return content.reduce((sum, part) => {
+      if (part?.type === 'text') return sum + estimateTokens(part.text);
+      if (part?.type === 'image' || part?.type === 'document') return sum + NON_TEXT_PART_TOKENS;
+      return sum + estimateTokens(part);
+    }, 0);
+  }
+
+  return estimateTokens(JSON.stringify(content));
+}
+
+/**
+ * Prompt tokens of a normalized completion request: system prompt,
+ * messages (with tool calls) and tool definitions
+ * @param {Object} request
+ * @returns {number}
+ */
+export function estimateRequestTokens(request) {
+  let tokens = estimateTokens(request.systemPrompt);
+
+  for (const message of request.messages || []) {
+    // A few tokens of per-message framing on every vendor
+    tokens += 4 + estimateTokens(message.content);
+    if (message.toolCalls) tokens += estimateTokens(message.toolCalls);
+  }
+
+  if (request.tools) tokens += estimateTokens(request.tools);
+
+  return tokens;
+}
+
+/**
+ * Cut text down to about `maxTokens`, marking where it was cut
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export function truncateToTokens(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return text;
+
+  const marker = ' …[truncated]';
+  return text.slice(0, Math.max(0, maxTokens * CHARS_PER_TOKEN - marker.length)) + marker;
+}
@@ -43,6 +43,10 @@ create policy "Users can insert their own memory"
   on episodic_memory for insert
   with check (auth.uid() = user_id);
 
+create policy "Users can delete their own memory"
+  on episodic_memory for delete
+  using (auth.uid() = user_id);
+
 -- =============================================================================
 -- SEMANTIC MEMORY - Vector Embeddings
 -- =============================================================================
@@ -81,6 +85,14 @@ create policy "Users can insert their own semantic memory"
   on semantic_memory for insert
   with check (auth.uid() = user_id);
 
+create policy "Users can update their own semantic memory"
+  on semantic_memory for update
+  using (auth.uid() = user_id);
+
+create policy "Users can delete their own semantic memory"
+  on semantic_memory for delete
+  using (auth.uid() = user_id);
+
 -- =============================================================================
 -- AGENT EXECUTIONS - Track agent runs
 -- =============================================================================